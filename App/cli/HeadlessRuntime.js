@@ -0,0 +1,152 @@
+/**
+ * HeadlessRuntime
+ * Loads the editor's browser scripts (data types, node templates, FunctionRegistry,
+ * Graph model and Simulation core) into an isolated Node.js context that plays the
+ * role of `window`, so saved blueprint documents can be executed without a browser.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser scripts needed to execute a graph, in index.html order. Nothing here may touch the DOM.
+const ENGINE_SCRIPTS = [
+    'DataTypes.js',
+    'Nodes.js',
+    'core/Widget.js',
+    'core/Pin.js',
+    'core/Connection.js',
+    'core/Node.js',
+    'core/Graph.js',
+    'core/Breakpoint.js',
+    'FunctionRegistry.js',
+    'view/WidgetRenderer.js',
+    'ExecutionTrace.js',
+    'Simulation.js',
+    'TestRunner.js',
+    'EnumManager.js',
+    'StructManager.js',
+    'VariableManager.js',
+    'FunctionManager.js',
+    'MacroManager.js',
+    'CustomEventManager.js',
+    'EventGraphManager.js',
+    'Editor.js' // Only for the document format constants; the Editor itself is never instantiated
+];
+
+const SCRIPT_ROOT = path.join(__dirname, '..', 'js');
+
+class HeadlessRuntime {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.log] - Receives console.log output of the blueprint scripts (silent by default).
+     */
+    constructor(options = {}) {
+        const log = options.log || (() => {});
+
+        // The sandbox is its own `window`, exactly like the global object in a browser
+        const sandbox = {
+            console: { log, info: log, warn: log, error: (...args) => console.error(...args) },
+            setTimeout, clearTimeout, Promise
+        };
+        sandbox.window = sandbox;
+        this.window = vm.createContext(sandbox);
+
+        ENGINE_SCRIPTS.forEach(file => {
+            const source = fs.readFileSync(path.join(SCRIPT_ROOT, file), 'utf8');
+            vm.runInContext(source, this.window, { filename: file });
+        });
+
+        this.importFileGlobals();
+    }
+
+    /**
+     * Mirrors Editor.importFileGlobals(): builds typeDefinitions and nodeTemplates from the globals.
+     */
+    importFileGlobals() {
+        const w = this.window;
+        w.typeDefinitions = {};
+        (w.globalDataTypes || []).forEach(t => w.typeDefinitions[t.name] = t);
+        w.nodeTemplates = JSON.parse(JSON.stringify(w.globalNodes || []));
+    }
+
+    /**
+     * Returns a class or value declared by the loaded scripts (e.g. 'Graph', 'Simulation').
+     * Top-level class declarations are not properties of `window`, so they are looked up by name.
+     */
+    resolve(name) {
+        return vm.runInContext(name, this.window);
+    }
+
+    /**
+     * Reads and parses a .bpgraph.json file.
+     * @param {string} filePath
+     * @returns {Object} The document.
+     */
+    readDocument(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Builds an executable session from a saved document.
+     * @param {Object} doc - A document produced by Editor.serializeDocument().
+     * @param {Object} [simulationOptions] - Forwarded to the Simulation constructor (e.g. maxSteps).
+     * @returns {{graph: Graph, variableManager: VariableManager, functionManager: FunctionManager,
+     *   macroManager: MacroManager, customEventManager: CustomEventManager, eventGraphManager: EventGraphManager,
+     *   simulation: Simulation, skipped: Array}}
+     */
+    load(doc, simulationOptions = {}) {
+        const Editor = this.resolve('Editor');
+        if (!doc || doc.format !== Editor.DOCUMENT_FORMAT || !doc.graph) {
+            throw new Error("Not a blueprint document.");
+        }
+        if (doc.version > Editor.DOCUMENT_VERSION) {
+            throw new Error(`Document version ${doc.version} is newer than supported (${Editor.DOCUMENT_VERSION}).`);
+        }
+
+        const Graph = this.resolve('Graph');
+        const Simulation = this.resolve('Simulation');
+        const VariableManager = this.resolve('VariableManager');
+        const EnumManager = this.resolve('EnumManager');
+        const StructManager = this.resolve('StructManager');
+        const FunctionManager = this.resolve('FunctionManager');
+        const MacroManager = this.resolve('MacroManager');
+        const EventGraphManager = this.resolve('EventGraphManager');
+        const CustomEventManager = this.resolve('CustomEventManager');
+
+        // Enums and structs first: they register the types and templates used by variables and nodes
+        const enumManager = new EnumManager(null);
+        enumManager.loadEnums(doc.enums);
+        const structManager = new StructManager(null);
+        structManager.loadStructs(doc.structs);
+
+        const variableManager = new VariableManager(null);
+        variableManager.loadVariables(doc.variables);
+
+        // Custom events and dispatchers register the templates of their nodes, which any graph may hold
+        const customEventManager = new CustomEventManager(null);
+        customEventManager.loadEvents(doc.events, doc.dispatchers);
+
+        // Functions and macros before the event graph: it holds their nodes. Macro graphs and function
+        // graphs may use each other, so the macro graphs are restored once the functions are known.
+        const macroManager = new MacroManager(null, variableManager);
+        macroManager.loadMacros(doc.macros);
+        const functionManager = new FunctionManager(null, variableManager);
+        const skipped = functionManager.loadFunctions(doc.functions);
+        skipped.push(...macroManager.loadMacroGraphs(doc.macros));
+
+        const resolveTemplate = (nodeData) => variableManager.findTemplate(nodeData);
+        const graph = new Graph();
+        skipped.push(...graph.fromJSON(doc.graph, resolveTemplate));
+        const eventGraphManager = new EventGraphManager(null, graph);
+        skipped.push(...eventGraphManager.loadEventGraphs(doc.eventGraphs, resolveTemplate));
+
+        const simulation = new Simulation(graph, { ...simulationOptions, variableManager, functionManager, macroManager, eventGraphManager });
+
+        // FunctionRegistry reaches the variables through the application object, as in the browser
+        this.window.App = { graph, variableManager, functionManager, macroManager, customEventManager, eventGraphManager, simulation };
+
+        return { graph, variableManager, functionManager, macroManager, customEventManager, eventGraphManager, simulation, skipped };
+    }
+}
+
+module.exports = { HeadlessRuntime, ENGINE_SCRIPTS };
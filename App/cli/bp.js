@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/**
+ * bp - Command-line blueprint runner.
+ *
+ * Usage:
+ *   node App/cli/bp.js run <graph.bpgraph.json> [--var Name=value]... [--max-steps N] [--duration S] [--input F] [--trace F] [--json]
+ *   node App/cli/bp.js test <graph.bpgraph.json> [--var Name=value]... [--max-steps N] [--input F] [--json]
+ *
+ * `run` fires every "Event BeginPlay" of the saved event graphs, prints Print String output to stdout
+ * and exits with a non-zero code if any node raised a Blueprint error. Game time is simulated: Event Tick,
+ * Delay and timers run as fast as possible, until nothing waits for time anymore or --duration is reached.
+ * The keyboard and mouse input of the Input events comes from a scripted timeline (--input); --trace saves
+ * the execution trace of the run in the format the editor's trace timeline imports.
+ * `test` runs every "Event Test" of the event graphs in isolation and reports each one as passed or failed.
+ *
+ * Exit codes: 0 = success, 1 = blueprint error(s) / failed test(s), 2 = usage or document error (including
+ * a --var value that is not a value of the variable's type).
+ */
+const fs = require('fs');
+const path = require('path');
+const { HeadlessRuntime } = require('./HeadlessRuntime');
+
+const USAGE = `Usage:
+  bp run <graph.bpgraph.json> [options]    Run the graph's BeginPlay events
+  bp test <graph.bpgraph.json> [options]   Run the graph's "Event Test" nodes
+
+Options:
+  --var Name=value   Override the default value of a variable (repeatable; applies to each test)
+  --max-steps N      Abort with an error after N exec steps (default 10000, 0 = unlimited)
+                     (applies to each test separately)
+  --max-loop-iterations N
+                     Treat a loop running more than N iterations as infinite (default 10000, 0 = unlimited)
+  --duration S       Stop after S seconds of game time (default 10, 0 = unlimited)
+  --frame-rate N     Simulated frames per second (default 60)
+  --time-scale X     Game time per frame multiplier: Delta Seconds = X / frame rate (default 1)
+  --input F          Inject the input timeline of JSON file F (e.g. [{"time": 0.5, "key": "Space Bar",
+                     "action": "pressed"}]; see README); applies to each test separately
+  --trace F          Save the execution trace of the run to F (opened with Import in the editor's trace timeline)
+  --json             Print a machine-readable trace / test report instead of plain output
+  --verbose          Also print the engine's console output to stderr
+  -h, --help         Show this help`;
+
+const EXIT_OK = 0;
+const EXIT_BLUEPRINT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Parses process arguments into { command, file, vars, maxSteps, maxLoopIterations, duration, frameRate,
+ * timeScale, input, trace, json, verbose, help }.
+ * Throws on malformed options.
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null, file: null, vars: [], maxSteps: 10000, maxLoopIterations: 10000,
+        duration: 10, frameRate: 60, timeScale: 1, input: null, trace: null, json: false, verbose: false, help: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--var') {
+            const assignment = argv[++i];
+            if (!assignment || !assignment.includes('=')) throw new Error(`--var expects Name=value`);
+            const separator = assignment.indexOf('=');
+            options.vars.push({ name: assignment.slice(0, separator), raw: assignment.slice(separator + 1) });
+        }
+        else if (arg === '--max-steps') {
+            const value = parseInt(argv[++i], 10);
+            if (isNaN(value) || value < 0) throw new Error(`--max-steps expects a non-negative number (0 = unlimited)`);
+            options.maxSteps = value;
+        }
+        else if (arg === '--max-loop-iterations') {
+            const value = parseInt(argv[++i], 10);
+            if (isNaN(value) || value < 0) throw new Error(`--max-loop-iterations expects a non-negative number (0 = unlimited)`);
+            options.maxLoopIterations = value;
+        }
+        else if (arg === '--duration') {
+            const value = parseFloat(argv[++i]);
+            if (isNaN(value) || value < 0) throw new Error(`--duration expects a non-negative number of seconds (0 = unlimited)`);
+            options.duration = value;
+        }
+        else if (arg === '--frame-rate' || arg === '--time-scale') {
+            const value = parseFloat(argv[++i]);
+            if (!(value > 0)) throw new Error(`${arg} expects a number greater than 0`);
+            options[arg === '--frame-rate' ? 'frameRate' : 'timeScale'] = value;
+        }
+        else if (arg === '--input') {
+            options.input = argv[++i];
+            if (!options.input) throw new Error(`--input expects a timeline file`);
+        }
+        else if (arg === '--trace') {
+            options.trace = argv[++i];
+            if (!options.trace) throw new Error(`--trace expects an output file`);
+        }
+        else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        else positional.push(arg);
+    }
+
+    options.command = positional[0] || null;
+    options.file = positional[1] || null;
+    return options;
+}
+
+/**
+ * Sets the default value of each variable given with --var.
+ * Throws on unknown variables and on values that are not of the variable's type.
+ */
+function applyVariableOverrides(vars, variableManager, window, simulation) {
+    vars.forEach(({ name, raw }) => {
+        const variable = variableManager.variables.find(v => v.name === name);
+        if (!variable) throw new Error(`Unknown variable: ${name}`);
+        variable.defaultValue = parseVariableValue(variable, raw, window, simulation);
+    });
+}
+
+/**
+ * Converts a --var value to the variable's type.
+ * Accepts JSON (numbers, booleans, objects) and "x,y,z" shorthand for vectors.
+ * Throws if the value is not one of the type, rather than running with a coerced value (0 for "abc").
+ */
+function parseVariableValue(variable, raw, window, simulation) {
+    const { type } = variable;
+    if (type === 'string') return raw;
+
+    let parsed;
+    if (type === 'vector' && /^[^{]*,.*,/.test(raw)) {
+        const [x, y, z, ...rest] = raw.split(',').map(v => v.trim() ? Number(v) : NaN);
+        parsed = rest.length === 0 ? { x, y, z } : null;
+    } else {
+        try { parsed = JSON.parse(raw); } catch (e) { parsed = raw; }
+    }
+    if (!isValueOfType(parsed, type, window)) throw new Error(`Invalid value for variable ${variable.name} (${type}): ${raw}`);
+    return simulation.castValue(parsed, type);
+}
+
+/**
+ * True if a parsed --var value is a value of 'type' as it is: 1.5 is not an int, 1 is not a boolean.
+ * Enums take an entry name or index. User structs may leave fields out (they get their empty value),
+ * built-in structs (vector, rotator, transform) need all of them. Types without a JSON form to check
+ * (color, object...) take any value.
+ */
+function isValueOfType(value, type, window) {
+    const { ArrayTypes, SetTypes, MapTypes, EnumTypes, StructTypes } = window;
+    if (ArrayTypes.isArray(type)) return Array.isArray(value) && value.every(item => isValueOfType(item, ArrayTypes.elementType(type), window));
+    if (SetTypes.isSet(type)) return Array.isArray(value) && value.every(item => isValueOfType(item, SetTypes.elementType(type), window));
+    if (MapTypes.isMap(type)) {
+        return Array.isArray(value) && value.every(entry => !!entry && typeof entry === 'object'
+            && isValueOfType(entry.key, MapTypes.keyType(type), window) && isValueOfType(entry.value, MapTypes.valueType(type), window));
+    }
+    if (EnumTypes.isEnum(type)) {
+        const entries = EnumTypes.entries(type);
+        return entries.includes(value) || (Number.isInteger(value) && value >= 0 && value < entries.length);
+    }
+
+    switch (type) {
+        case 'int': return Number.isInteger(value);
+        case 'float': return typeof value === 'number' && isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+    }
+
+    const definition = window.typeDefinitions[type];
+    if (!definition || !definition.fields) return true;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const partial = StructTypes.isUserStruct(type);
+    return Object.keys(value).every(key => definition.fields.some(field => field.key === key))
+        && definition.fields.every(field => (partial && !(field.key in value)) || isValueOfType(value[field.key], field.type, window));
+}
+
+/**
+ * Reads an input timeline: a JSON array of { time, key | button, action, x, y } entries (see Simulation.injectInput).
+ * Throws on entries the Input events cannot receive.
+ * @param {Object} window - The runtime's window (for the known keys and mouse buttons).
+ * @returns {Array<Object>|undefined} undefined without a file.
+ */
+function readInputTimeline(file, window) {
+    if (!file) return undefined;
+    const timeline = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    if (!Array.isArray(timeline)) throw new Error(`${file}: the input timeline must be a JSON array`);
+
+    timeline.forEach((entry, i) => {
+        const where = `${file}: entry ${i + 1}`;
+        if (!entry || typeof entry !== 'object') throw new Error(`${where} is not an object`);
+        if (entry.time !== undefined && !(typeof entry.time === 'number' && entry.time >= 0)) throw new Error(`${where}: 'time' must be a number of seconds`);
+        if (entry.key !== undefined && !(entry.key in window.inputKeys)) throw new Error(`${where}: unknown key '${entry.key}'`);
+        if (entry.button !== undefined && !window.mouseButtons.includes(entry.button)) throw new Error(`${where}: unknown mouse button '${entry.button}'`);
+        if ((entry.key !== undefined || entry.button !== undefined) !== (entry.action === 'pressed' || entry.action === 'released')) {
+            throw new Error(`${where}: a key or mouse button needs an action, 'pressed' or 'released'`);
+        }
+        if ((entry.x === undefined) !== (entry.y === undefined) || [entry.x, entry.y].some(v => v !== undefined && typeof v !== 'number')) {
+            throw new Error(`${where}: 'x' and 'y' must be given together, as numbers`);
+        }
+    });
+    return timeline;
+}
+
+/**
+ * Simulation observer that collects Print output and a compact execution trace.
+ */
+class RunReporter {
+    constructor(onPrint) {
+        this.onPrint = onPrint;
+        this.output = [];
+        this.trace = [];
+        this.step = 0;
+    }
+
+    handleSimulationEvent(type, payload) {
+        switch (type) {
+            case 'node-enter':
+                this.step++;
+                this.trace.push({ step: this.step, event: type, nodeId: payload.node.id, node: payload.node.name });
+                break;
+            case 'node-executed':
+                this.trace.push({ step: this.step, event: type, nodeId: payload.node.id, node: payload.node.name, pure: payload.pure, result: payload.result });
+                if (payload.node.functionId === 'Flow.Print') {
+                    this.output.push(String(payload.result));
+                    this.onPrint(String(payload.result));
+                }
+                break;
+            case 'pin-evaluated':
+                this.trace.push({ step: this.step, event: type, nodeId: payload.node.id, pin: payload.pin.name, value: payload.value });
+                break;
+            case 'wire-traversed':
+                this.trace.push({ step: this.step, event: type, kind: payload.kind, connectionId: payload.conn.id });
+                break;
+            case 'error':
+                this.trace.push({ step: this.step, event: type, nodeId: payload.node.id, node: payload.node.name, message: payload.error.message });
+                break;
+            case 'frame-start':
+                this.trace.push({ step: this.step, event: type, frame: payload.frame, time: payload.time });
+                break;
+            case 'input':
+                this.trace.push({ step: this.step, event: type, input: payload.input, nodeIds: payload.nodes.map(n => n.id) });
+                break;
+        }
+    }
+}
+
+async function runCommand(options) {
+    const runtime = new HeadlessRuntime({ log: options.verbose ? (...args) => console.error(...args) : undefined });
+    const doc = runtime.readDocument(path.resolve(options.file));
+    const { variableManager, simulation, skipped } = runtime.load(doc, {
+        maxSteps: options.maxSteps,
+        maxLoopIterations: options.maxLoopIterations,
+        maxGameTime: options.duration,
+        frameRate: options.frameRate,
+        timeScale: options.timeScale,
+        inputTimeline: readInputTimeline(options.input, runtime.window),
+        recordTrace: !!options.trace
+    });
+
+    if (skipped.length > 0) {
+        console.error(`Warning: skipped ${skipped.length} unknown node(s): ${[...new Set(skipped.map(n => n.name))].join(', ')}`);
+    }
+
+    applyVariableOverrides(options.vars, variableManager, runtime.window, simulation);
+
+    const reporter = new RunReporter(line => { if (!options.json) console.log(line); });
+    simulation.addObserver(reporter);
+
+    const errors = await simulation.start();
+    if (options.trace) fs.writeFileSync(path.resolve(options.trace), JSON.stringify(simulation.trace.toJSON(), null, 2));
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            file: options.file,
+            status: errors.length === 0 ? 'passed' : 'failed',
+            steps: simulation.stepCount,
+            gameTime: simulation.clock.time,
+            frames: simulation.clock.frame,
+            output: reporter.output,
+            errors,
+            variables: variableManager.runtimeValues,
+            trace: reporter.trace
+        }, null, 2));
+    } else {
+        errors.forEach(e => console.error(`Error in "${e.nodeName}" (node ${e.nodeId}): ${e.message}`));
+    }
+
+    return errors.length === 0 ? EXIT_OK : EXIT_BLUEPRINT_ERROR;
+}
+
+async function testCommand(options) {
+    const runtime = new HeadlessRuntime({ log: options.verbose ? (...args) => console.error(...args) : undefined });
+    const doc = runtime.readDocument(path.resolve(options.file));
+    const { graph, variableManager, functionManager, macroManager, eventGraphManager, simulation, skipped } = runtime.load(doc);
+
+    if (skipped.length > 0) {
+        console.error(`Warning: skipped ${skipped.length} unknown node(s): ${[...new Set(skipped.map(n => n.name))].join(', ')}`);
+    }
+
+    // Every test starts from the default values, overrides included
+    applyVariableOverrides(options.vars, variableManager, runtime.window, simulation);
+
+    const BlueprintTestRunner = runtime.resolve('BlueprintTestRunner');
+    const runner = new BlueprintTestRunner(graph, variableManager, {
+        maxSteps: options.maxSteps,
+        maxLoopIterations: options.maxLoopIterations,
+        maxGameTime: options.duration,
+        frameRate: options.frameRate,
+        timeScale: options.timeScale,
+        inputTimeline: readInputTimeline(options.input, runtime.window),
+        functionManager,
+        macroManager,
+        eventGraphManager
+    });
+
+    const results = await runner.runAll(result => {
+        if (options.json) return;
+        if (result.passed) {
+            console.log(`PASS ${result.name} (${result.durationMs} ms)`);
+        } else {
+            console.log(`FAIL ${result.name}`);
+            result.failures.forEach(f => console.log(`     ${f.nodeName} (node ${f.nodeId}): ${f.message}`));
+        }
+    });
+
+    const failed = results.filter(r => !r.passed).length;
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            file: options.file,
+            total: results.length,
+            passed: results.length - failed,
+            failed,
+            tests: results
+        }, null, 2));
+    } else if (results.length === 0) {
+        console.log(`No "${BlueprintTestRunner.TEST_EVENT}" node found.`);
+    } else {
+        console.log(`\n${results.length} test(s): ${results.length - failed} passed, ${failed} failed`);
+    }
+
+    return failed === 0 ? EXIT_OK : EXIT_BLUEPRINT_ERROR;
+}
+
+const COMMANDS = { run: runCommand, test: testCommand };
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[options.command];
+    if (!command || !options.file) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    try {
+        return await command(options);
+    } catch (err) {
+        console.error(`bp: ${err.message}`);
+        return EXIT_USAGE;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs, RunReporter };
@@ -0,0 +1,278 @@
+/**
+ * CollapsedGraphManager
+ * Keeps large graphs tidy. "Collapse Nodes" replaces a selection by a single collapsed node that holds
+ * the nodes in a graph of its own (node.subgraph), between an Inputs and an Outputs node; the pins of
+ * the collapsed node are the wires that crossed the selection. "Expand Node" puts the nodes back.
+ * Unlike a function or a macro, a collapsed graph belongs to its node: it is saved, copied and deleted
+ * with it. The Simulation runs it in place, like a macro (see Simulation.enterMacro).
+ */
+class CollapsedGraphManager {
+    /**
+     * @param {Editor} editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+    }
+
+    // --- LOOKUP ---
+
+    /**
+     * @param {Array<Graph>} graphs
+     * @returns {Array<Graph>} The graphs, each followed by the graphs of its collapsed nodes (nested ones included).
+     */
+    withCollapsedGraphs(graphs) {
+        return graphs.flatMap(graph =>
+            [graph, ...this.withCollapsedGraphs(graph.nodes.filter(n => n.subgraph).map(n => n.subgraph))]);
+    }
+
+    /**
+     * @returns {{graph: Graph, node: GraphNode}|null} The collapsed node a graph belongs to, and the graph holding that node.
+     */
+    findOwner(graph) {
+        for (const parent of this.editor.graphs) {
+            const node = parent.nodes.find(n => n.subgraph === graph);
+            if (node) return { graph: parent, node };
+        }
+        return null;
+    }
+
+    /**
+     * Describes where a graph is in a way that survives the graphs being rebuilt (undo/redo):
+     * the outermost graph holding it and the IDs of the collapsed nodes leading to it.
+     * @returns {{root: Graph, path: Array<Number>}}
+     */
+    locate(graph) {
+        const path = [];
+        let owner;
+        while ((owner = this.findOwner(graph))) {
+            path.unshift(owner.node.id);
+            graph = owner.graph;
+        }
+        return { root: graph, path };
+    }
+
+    /**
+     * Inverse of locate().
+     * @returns {Graph} The graph, or the innermost graph on the way if a collapsed node does not exist anymore.
+     */
+    resolve(location) {
+        let graph = location.root;
+        for (const nodeId of location.path) {
+            const node = graph.nodes.find(n => n.id === nodeId);
+            if (!node || !node.subgraph) break;
+            graph = node.subgraph;
+        }
+        return graph;
+    }
+
+    // --- COLLAPSE / EXPAND ---
+
+    /**
+     * Moves nodes of a graph into the graph of a new collapsed node, which takes their place.
+     * Wires crossing the selection become pins: exec wires entering the same pin share an input,
+     * data wires reading the same outside pin too, and the wires leaving a pin share an output.
+     * @param {Graph} graph - The graph holding the nodes.
+     * @param {Array<Number>} nodeIds - The nodes to collapse.
+     * @returns {GraphNode|null} The collapsed node, or null if the nodes cannot be collapsed.
+     */
+    collapseNodes(graph, nodeIds) {
+        const ids = new Set(nodeIds);
+        const nodes = graph.nodes.filter(n => ids.has(n.id));
+        if (nodes.length === 0) return null;
+
+        // Events, the boundaries of the graph and local variables belong to the graph itself
+        const isEvent = (n) => !n.inputs.some(p => p.type === 'exec') && n.outputs.some(p => p.type === 'exec');
+        const blocker = nodes.find(n => isEvent(n) || CollapsedGraphManager.GRAPH_BOUND_IDS.includes(n.functionId));
+        if (blocker) {
+            this.editor.notify(`Cannot collapse ${blocker.name || 'a local variable'}`);
+            return null;
+        }
+
+        const incoming = graph.connections.filter(c => ids.has(c.toNode) && !ids.has(c.fromNode));
+        const outgoing = graph.connections.filter(c => ids.has(c.fromNode) && !ids.has(c.toNode));
+        const internal = graph.connections.filter(c => ids.has(c.fromNode) && ids.has(c.toNode));
+        const groupBy = (connections, keyOf) => {
+            const groups = new Map();
+            connections.forEach(c => {
+                const key = keyOf(c);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(c);
+            });
+            // Exec pins first, as on the other nodes
+            return [...groups.values()].sort((a, b) => (b[0].type === 'exec') - (a[0].type === 'exec'));
+        };
+        const inputGroups = groupBy(incoming, c => c.type === 'exec' ? `exec:${c.toNode}:${c.toPin}` : `${c.fromNode}:${c.fromPin}:${c.type}`);
+        const outputGroups = groupBy(outgoing, c => `${c.fromNode}:${c.fromPin}`);
+
+        // Pins are named after the pins of the nodes they lead to
+        const createPins = (groups, nameOf) => {
+            const pins = [];
+            groups.forEach(group => {
+                const baseName = nameOf(group[0]) || 'Value';
+                let name = baseName;
+                let count = 0;
+                while (pins.some(p => p.name === name)) {
+                    count++;
+                    name = `${baseName}_${count}`;
+                }
+                pins.push({ name, type: group[0].type });
+            });
+            return pins;
+        };
+        const inputs = createPins(inputGroups, c => (graph.findPin(c.toNode, 'input', c.toPin) || {}).name);
+        const outputs = createPins(outputGroups, c => (graph.findPin(c.fromNode, 'output', c.fromPin) || {}).name);
+
+        // Move the nodes, keeping their layout, between the Inputs and Outputs nodes
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x));
+        const minY = Math.min(...nodes.map(n => n.y));
+        const subgraph = new Graph();
+        const inputsNode = subgraph.addNode(this.createInputsTemplate(inputs), minX - 300, minY);
+        const outputsNode = subgraph.addNode(this.createOutputsTemplate(outputs), maxX + 350, minY);
+        subgraph.pan = { x: 400 - minX, y: 100 - minY };
+
+        this.removeNodes(graph, nodes.map(n => n.id));
+        const idMap = new Map();
+        nodes.forEach(node => {
+            const oldId = node.id;
+            idMap.set(oldId, subgraph.adoptNode(node));
+        });
+        internal.forEach(c => subgraph.addConnection(idMap.get(c.fromNode), c.fromPin, idMap.get(c.toNode), c.toPin, c.type));
+
+        // An exec input leads to one pin inside and may be reached from several outside; a data input the other way round
+        inputGroups.forEach((group, i) => {
+            const insideEnds = group[0].type === 'exec' ? [group[0]] : group;
+            insideEnds.forEach(c => subgraph.addConnection(inputsNode.id, i, idMap.get(c.toNode), c.toPin, c.type));
+        });
+        outputGroups.forEach((group, i) =>
+            subgraph.addConnection(idMap.get(group[0].fromNode), group[0].fromPin, outputsNode.id, i, group[0].type));
+
+        // The collapsed node takes the place of the nodes; outside wires now end on its pins
+        const collapsedNode = graph.addNode(this.createCollapsedTemplate(inputs, outputs), minX, minY);
+        collapsedNode.subgraph = subgraph;
+        inputGroups.forEach((group, i) => {
+            const outsideEnds = group[0].type === 'exec' ? group : [group[0]];
+            outsideEnds.forEach(c => graph.addConnection(c.fromNode, c.fromPin, collapsedNode.id, i, c.type));
+        });
+        outputGroups.forEach((group, i) => group.forEach(c =>
+            graph.addConnection(collapsedNode.id, i, c.toNode, c.toPin, c.type)));
+
+        return collapsedNode;
+    }
+
+    /**
+     * Puts the nodes of a collapsed node back in its place, at the same positions relative to each other,
+     * and reconnects the wires that went through its pins.
+     * @param {Graph} graph - The graph holding the collapsed node.
+     * @param {Number} nodeId - The collapsed node.
+     * @returns {Array<GraphNode>|null} The restored nodes, or null if the node is not a collapsed node.
+     */
+    expandNode(graph, nodeId) {
+        const collapsedNode = graph.nodes.find(n => n.id === nodeId);
+        if (!collapsedNode || !collapsedNode.subgraph) return null;
+
+        const subgraph = collapsedNode.subgraph;
+        const nodes = subgraph.nodes.filter(n => !this.isTunnelNode(n));
+        const isInputs = (id) => (subgraph.nodes.find(n => n.id === id) || {}).functionId === 'Collapsed.Inputs';
+        const isOutputs = (id) => (subgraph.nodes.find(n => n.id === id) || {}).functionId === 'Collapsed.Outputs';
+
+        // Every wire inside becomes the wires between the ends it reaches through the collapsed node's pins
+        // (a wire from the Inputs node starts wherever the matching input was wired from, and so on)
+        const wires = [];
+        subgraph.connections.forEach(c => {
+            const sources = isInputs(c.fromNode)
+                ? graph.connections.filter(o => o.toNode === nodeId && o.toPin === c.fromPin)
+                    .map(o => ({ outside: true, node: o.fromNode, pin: o.fromPin }))
+                : [{ outside: false, node: c.fromNode, pin: c.fromPin }];
+            const targets = isOutputs(c.toNode)
+                ? graph.connections.filter(o => o.fromNode === nodeId && o.fromPin === c.toPin)
+                    .map(o => ({ outside: true, node: o.toNode, pin: o.toPin }))
+                : [{ outside: false, node: c.toNode, pin: c.toPin }];
+            sources.forEach(from => targets.forEach(to => wires.push({ from, to, type: c.type })));
+
+            // An input that was not wired outside hands its value over to the pin it led to
+            const inputPin = isInputs(c.fromNode) && sources.length === 0 ? collapsedNode.inputs[c.fromPin] : null;
+            const targetPin = inputPin ? subgraph.findPin(c.toNode, 'input', c.toPin) : null;
+            if (inputPin && inputPin.widget && targetPin && targetPin.widget) targetPin.widget.value = inputPin.widget.value;
+        });
+
+        const offsetX = collapsedNode.x - (nodes.length > 0 ? Math.min(...nodes.map(n => n.x)) : 0);
+        const offsetY = collapsedNode.y - (nodes.length > 0 ? Math.min(...nodes.map(n => n.y)) : 0);
+        this.removeNodes(graph, [nodeId]);
+
+        const idMap = new Map();
+        nodes.forEach(node => {
+            const oldId = node.id;
+            node.x += offsetX;
+            node.y += offsetY;
+            idMap.set(oldId, graph.adoptNode(node));
+        });
+        const idOf = (end) => end.outside ? end.node : idMap.get(end.node);
+        wires.forEach(({ from, to, type }) => graph.addConnection(idOf(from), from.pin, idOf(to), to.pin, type));
+
+        return nodes;
+    }
+
+    /**
+     * Removes nodes from a graph, and their elements if the graph is the one shown.
+     */
+    removeNodes(graph, nodeIds) {
+        nodeIds.forEach(id => {
+            graph.removeNode(id);
+            if (this.editor.activeGraph !== graph) return;
+            const el = document.getElementById(`node-${id}`);
+            if (el) el.remove();
+        });
+    }
+
+    // --- TEMPLATES ---
+    // The templates are self-contained: each collapsed node has its own pins, so nothing is registered
+
+    createCollapsedTemplate(inputs, outputs) {
+        return {
+            name: CollapsedGraphManager.NODE_NAME,
+            color: "var(--n-collapsed)",
+            functionId: "Collapsed.Node",
+            selfContained: true,
+            inputs: inputs.map(p => ({ ...p })),
+            outputs: outputs.map(p => ({ ...p }))
+        };
+    }
+
+    createInputsTemplate(inputs) {
+        return {
+            name: CollapsedGraphManager.INPUTS_NODE_NAME,
+            color: "var(--n-collapsed)",
+            functionId: "Collapsed.Inputs",
+            selfContained: true,
+            inputs: [],
+            outputs: inputs.map(p => ({ ...p }))
+        };
+    }
+
+    createOutputsTemplate(outputs) {
+        return {
+            name: CollapsedGraphManager.OUTPUTS_NODE_NAME,
+            color: "var(--n-collapsed)",
+            functionId: "Collapsed.Outputs",
+            selfContained: true,
+            inputs: outputs.map(p => ({ ...p })),
+            outputs: []
+        };
+    }
+
+    /** @returns {Boolean} True for the Inputs and Outputs nodes of a collapsed graph. */
+    isTunnelNode(node) {
+        return node.functionId === 'Collapsed.Inputs' || node.functionId === 'Collapsed.Outputs';
+    }
+}
+
+CollapsedGraphManager.NODE_NAME = "Collapsed Graph";
+CollapsedGraphManager.INPUTS_NODE_NAME = "Inputs";
+CollapsedGraphManager.OUTPUTS_NODE_NAME = "Outputs";
+
+// Nodes that cannot leave their graph: the boundaries of function, macro and collapsed graphs, and local variables
+CollapsedGraphManager.GRAPH_BOUND_IDS = [
+    'Function.Entry', 'Function.Return', 'Local.Get', 'Local.Set',
+    'Macro.Inputs', 'Macro.Outputs', 'Collapsed.Inputs', 'Collapsed.Outputs'
+];
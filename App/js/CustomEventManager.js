@@ -0,0 +1,516 @@
+/**
+ * CustomEventManager
+ * Manages the custom events and the event dispatchers of the document. Both have a name and typed
+ * parameters, and generate node templates:
+ *  - a custom event gets its event node (category "Events", one output per parameter) and a
+ *    "Call <Event>" node that fires it, with its arguments, from anywhere in the exec flow;
+ *  - a dispatcher gets "Bind Event to <Dispatcher>" and "Unbind Event from <Dispatcher>" nodes, which
+ *    add or remove a custom event of the same signature, and a "Call <Dispatcher>" node that fires
+ *    every event bound to it (category "Event Dispatchers").
+ * Bindings only live for one run; the Simulation keeps them (see Simulation.processEventCall).
+ */
+class CustomEventManager {
+    /**
+     * @param {Editor|null} editor - null for headless runs.
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.events = [];      // { name, parameters: [{ name, type }] }
+        this.dispatchers = []; // { name, parameters: [{ name, type }] }
+
+        // Headless runs (no DOM) only use the manager to register the document's templates
+        const hasDom = typeof document !== 'undefined';
+        this.ui = {
+            list: hasDom ? document.getElementById('event-list') : null
+        };
+    }
+
+    /**
+     * @param {String} kind - 'events' or 'dispatchers'.
+     */
+    findEntry(kind, name) {
+        return this[kind].find(entry => entry.name === name) || null;
+    }
+
+    /** @returns {Array<Object>} Every parameter of every custom event and dispatcher. */
+    get parameters() {
+        return [...this.events, ...this.dispatchers].flatMap(entry => entry.parameters);
+    }
+
+    /** @returns {Number} How many custom events and dispatchers have a parameter whose type matches the predicate. */
+    countEntriesUsing(usesType) {
+        return [...this.events, ...this.dispatchers].filter(entry => entry.parameters.some(p => usesType(p.type))).length;
+    }
+
+    /**
+     * The custom events a dispatcher can be bound to: the ones with the same parameter types, in the same order.
+     * @returns {Array<Object>}
+     */
+    findCompatibleEvents(dispatcher) {
+        const signature = (entry) => entry.parameters.map(p => p.type).join(',');
+        return this.events.filter(ev => signature(ev) === signature(dispatcher));
+    }
+
+    /**
+     * The custom events the "Event" input of a node can name: the ones compatible with the dispatcher of
+     * a Bind or Unbind node, the ones without parameters for Set Timer by Event.
+     * @returns {Array<Object>|null} null for other nodes (and Bind nodes of a missing dispatcher).
+     */
+    findSelectableEvents(node) {
+        if (node.functionId === 'Timer.SetByEvent') return this.findCompatibleEvents({ parameters: [] });
+        const dispatcher = this.findBindEventPin(node) ? this.findEntry('dispatchers', CustomEventManager.targetName(node)) : null;
+        return dispatcher ? this.findCompatibleEvents(dispatcher) : null;
+    }
+
+    // --- EDITING ---
+
+    /**
+     * @param {String} kind - 'events' or 'dispatchers'.
+     */
+    addEntry(kind) {
+        const name = this.createUniqueName(CustomEventManager.KINDS[kind].baseName);
+        this[kind].push({ name, parameters: [] });
+        this.applyChanges(kind, name);
+        this.editor.history.commit(`Add ${CustomEventManager.KINDS[kind].label}`);
+    }
+
+    /**
+     * Deletes a custom event or a dispatcher. Refused while nodes generated from it still exist.
+     */
+    deleteEntry(kind, name) {
+        const entry = this.findEntry(kind, name);
+        if (!entry) return;
+
+        const useCount = this.editor.graphs
+            .reduce((count, graph) => count + graph.nodes.filter(n => this.isGeneratedNode(n, kind, name)).length, 0);
+        if (useCount > 0) {
+            this.editor.notify(`Cannot delete ${name}: used by ${useCount} node(s)`);
+            return;
+        }
+
+        this[kind] = this[kind].filter(e => e !== entry);
+        this.registerTemplates();
+        this.refreshBindNodes();
+        this.renderList();
+        this.editor.history.commit(`Delete ${CustomEventManager.KINDS[kind].label}`);
+    }
+
+    /**
+     * Renames a custom event or a dispatcher and the nodes generated from it. Bind, Unbind and
+     * Set Timer by Event nodes set to a renamed event follow it.
+     */
+    renameEntry(kind, oldName, newName) {
+        const entry = this.findEntry(kind, oldName);
+        newName = String(newName).trim();
+        if (!entry || newName === oldName) return;
+
+        if (!CustomEventManager.NAME_PATTERN.test(newName) || this.isNameTaken(newName)) {
+            this.editor.notify(`"${newName}" is not a valid ${CustomEventManager.KINDS[kind].label.toLowerCase()} name or is already taken`);
+            this.renderList();
+            return;
+        }
+
+        entry.name = newName;
+        // Generated nodes are restored from their template, which is found by name
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+            if (!this.isGeneratedNode(node, kind, oldName)) return;
+            node.name = node.functionId === 'Event.Custom' ? newName : CustomEventManager.nodeName(node.functionId, newName);
+        }));
+        if (kind === 'events') {
+            this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+                const pin = this.findBindEventPin(node);
+                if (pin && pin.widget.value === oldName) pin.widget.value = newName;
+            }));
+        }
+
+        this.applyChanges(kind, newName);
+        this.editor.history.commit(`Rename ${CustomEventManager.KINDS[kind].label}`);
+    }
+
+    addParameter(kind, entryName) {
+        const entry = this.findEntry(kind, entryName);
+        if (!entry) return;
+
+        let name = CustomEventManager.PARAMETER_BASE_NAME;
+        let count = 0;
+        while (!this.isParameterNameFree(entry, name)) {
+            count++;
+            name = `${CustomEventManager.PARAMETER_BASE_NAME}_${count}`;
+        }
+
+        entry.parameters.push({ name, type: "boolean" });
+        this.applyChanges(kind, entryName);
+        this.editor.history.commit(`Add ${CustomEventManager.KINDS[kind].label} Parameter`);
+    }
+
+    /**
+     * Renames a parameter. Wires of the matching pins follow the new name.
+     */
+    renameParameter(kind, entryName, index, newName) {
+        const entry = this.findEntry(kind, entryName);
+        if (!entry) return;
+        const oldName = entry.parameters[index].name;
+        newName = String(newName).trim();
+        if (newName === oldName) return;
+
+        if (!newName || !this.isParameterNameFree(entry, newName)) {
+            this.editor.notify(`"${newName}" is not a valid name or is already taken in ${entryName}`);
+            this.renderList();
+            return;
+        }
+
+        entry.parameters[index].name = newName;
+        this.applyChanges(kind, entryName, { [oldName]: newName });
+        this.editor.history.commit(`Rename ${CustomEventManager.KINDS[kind].label} Parameter`);
+    }
+
+    /**
+     * Changes the type of a parameter. Wires that no longer match are removed.
+     */
+    retypeParameter(kind, entryName, index, newType) {
+        const entry = this.findEntry(kind, entryName);
+        if (!entry || entry.parameters[index].type === newType) return;
+
+        entry.parameters[index].type = newType;
+        this.applyChanges(kind, entryName);
+        this.editor.history.commit(`Change ${CustomEventManager.KINDS[kind].label} Parameter Type`);
+    }
+
+    removeParameter(kind, entryName, index) {
+        const entry = this.findEntry(kind, entryName);
+        if (!entry) return;
+
+        entry.parameters.splice(index, 1);
+        this.applyChanges(kind, entryName);
+        this.editor.history.commit(`Remove ${CustomEventManager.KINDS[kind].label} Parameter`);
+    }
+
+    /**
+     * Re-registers the templates and rebuilds the pins of the nodes generated from a custom event or
+     * a dispatcher. Wires whose two ends had the same type before the edit but not after it are removed.
+     * The events offered by Bind and Unbind nodes are refreshed too: signatures may have changed.
+     * @param {String} kind - 'events' or 'dispatchers'.
+     * @param {String} entryName - The entry that changed (its new name, if it was renamed).
+     * @param {Object} [renamedParameters] - Old parameter name -> new name.
+     */
+    applyChanges(kind, entryName, renamedParameters = {}) {
+        this.registerTemplates();
+
+        const entry = this.findEntry(kind, entryName);
+        const renderer = this.editor.renderer;
+        let removedWires = 0;
+
+        this.editor.graphs.forEach(graph => {
+            const changedNodes = graph.nodes.filter(node => this.isGeneratedNode(node, kind, entryName));
+            const matchedBefore = graph.findMatchingConnections(changedNodes.map(n => n.id));
+
+            changedNodes.forEach(node => this.rebuildPins(graph, node, entry, renamedParameters));
+
+            removedWires += graph.removeMismatchedConnections(matchedBefore);
+            changedNodes.forEach(node => renderer.refreshNode(node));
+        });
+
+        if (removedWires > 0) this.editor.notify(`Removed ${removedWires} wire(s) that no longer match ${entryName}`);
+        this.refreshBindNodes();
+        renderer.render();
+        this.renderList();
+    }
+
+    /**
+     * Replaces the parameter pins of a generated node by the ones of its current signature.
+     * Split pins are recombined first: the split layout may not exist anymore.
+     */
+    rebuildPins(graph, node, entry, renamedParameters) {
+        ['input', 'output'].forEach(direction => {
+            let pin;
+            while ((pin = (direction === 'input' ? node.inputs : node.outputs).find(p => p.split))) {
+                graph.recombinePin(node.id, pin.index, direction);
+            }
+        });
+
+        if (node.functionId === 'Event.Custom') {
+            graph.replacePins(node.id, 'output', this.createEventTemplate(entry).outputs, renamedParameters);
+        } else if (node.functionId === 'Event.Call') {
+            graph.replacePins(node.id, 'input', this.createCallEventTemplate(entry).inputs, renamedParameters);
+        } else if (node.functionId === 'Dispatcher.Call') {
+            graph.replacePins(node.id, 'input', this.createCallDispatcherTemplate(entry).inputs, renamedParameters);
+        }
+    }
+
+    /**
+     * Gives the "Event" dropdown of every Bind, Unbind and Set Timer by Event node the events it accepts.
+     */
+    refreshBindNodes() {
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+            const pin = this.findBindEventPin(node);
+            const events = pin ? this.findSelectableEvents(node) : null;
+            if (!events) return;
+            pin.widget.options = events.map(ev => ev.name);
+            this.editor.renderer.refreshNode(node);
+        }));
+    }
+
+    /** @returns {Pin|null} The "Event" input of a Bind, Unbind or Set Timer by Event node (null for other nodes). */
+    findBindEventPin(node) {
+        if (!CustomEventManager.EVENT_PICKER_IDS.includes(node.functionId)) return null;
+        const pin = node.inputs.find(p => p.name === CustomEventManager.BIND_EVENT_PIN);
+        return pin && pin.widget ? pin : null;
+    }
+
+    // --- TEMPLATES ---
+
+    /**
+     * Registers the templates of every custom event and dispatcher, replacing the previous registration,
+     * and updates the events offered by the built-in Set Timer by Event template.
+     */
+    registerTemplates() {
+        window.nodeTemplates = (window.nodeTemplates || [])
+            .filter(t => !CustomEventManager.GENERATED_IDS.includes(t.functionId));
+        this.events.forEach(ev => window.nodeTemplates.push(this.createEventTemplate(ev), this.createCallEventTemplate(ev)));
+        this.dispatchers.forEach(dispatcher => window.nodeTemplates.push(
+            this.createCallDispatcherTemplate(dispatcher),
+            this.createBindTemplate(dispatcher, 'Dispatcher.Bind'),
+            this.createBindTemplate(dispatcher, 'Dispatcher.Unbind')));
+
+        const timerTemplate = window.nodeTemplates.find(t => t.functionId === 'Timer.SetByEvent');
+        const timerEventPin = timerTemplate ? timerTemplate.inputs.find(p => p.name === CustomEventManager.BIND_EVENT_PIN) : null;
+        if (timerEventPin) {
+            timerEventPin.options = this.findCompatibleEvents({ parameters: [] }).map(ev => ev.name);
+            timerEventPin.default = timerEventPin.options[0] || "";
+        }
+    }
+
+    createEventTemplate(ev) {
+        return {
+            name: ev.name,
+            category: "Events",
+            color: "var(--n-event)",
+            functionId: "Event.Custom",
+            inputs: [],
+            outputs: [{ name: "Out", type: "exec" }, ...this.createParameterPins(ev.parameters)]
+        };
+    }
+
+    createCallEventTemplate(ev) {
+        return {
+            name: CustomEventManager.nodeName('Event.Call', ev.name),
+            category: "Events",
+            color: "var(--n-func)",
+            functionId: "Event.Call",
+            inputs: [{ name: "Exec", type: "exec" }, ...this.createParameterPins(ev.parameters)],
+            outputs: [{ name: "Out", type: "exec" }]
+        };
+    }
+
+    createCallDispatcherTemplate(dispatcher) {
+        return {
+            name: CustomEventManager.nodeName('Dispatcher.Call', dispatcher.name),
+            category: "Event Dispatchers",
+            color: "var(--n-dispatcher)",
+            functionId: "Dispatcher.Call",
+            inputs: [{ name: "Exec", type: "exec" }, ...this.createParameterPins(dispatcher.parameters)],
+            outputs: [{ name: "Out", type: "exec" }]
+        };
+    }
+
+    /**
+     * Bind or Unbind node: the event is picked among the ones matching the dispatcher's signature.
+     * @param {String} functionId - 'Dispatcher.Bind' or 'Dispatcher.Unbind'.
+     */
+    createBindTemplate(dispatcher, functionId) {
+        const options = this.findCompatibleEvents(dispatcher).map(ev => ev.name);
+        return {
+            name: CustomEventManager.nodeName(functionId, dispatcher.name),
+            category: "Event Dispatchers",
+            color: "var(--n-dispatcher)",
+            functionId,
+            inputs: [
+                { name: "Exec", type: "exec" },
+                { name: CustomEventManager.BIND_EVENT_PIN, type: "string", widget: "dropdown", options, default: options[0] || "" }
+            ],
+            outputs: [{ name: "Out", type: "exec" }]
+        };
+    }
+
+    /** One pin per parameter, named after it. */
+    createParameterPins(parameters) {
+        return parameters.map(p => ({ name: p.name, type: p.type }));
+    }
+
+    /**
+     * @param {String} kind - 'events' or 'dispatchers'.
+     * @returns {Boolean} True for the nodes generated from the named custom event or dispatcher.
+     */
+    isGeneratedNode(node, kind, name) {
+        if (kind === 'events') {
+            if (node.functionId === 'Event.Custom') return node.name === name;
+            return node.functionId === 'Event.Call' && CustomEventManager.targetName(node) === name;
+        }
+        return CustomEventManager.DISPATCHER_IDS.includes(node.functionId) && CustomEventManager.targetName(node) === name;
+    }
+
+    createUniqueName(baseName) {
+        let name = baseName;
+        let count = 0;
+        while (this.isNameTaken(name)) {
+            count++;
+            name = `${baseName}_${count}`;
+        }
+        return name;
+    }
+
+    /**
+     * Custom events and dispatchers share one namespace (their Call nodes would clash), and their names
+     * and the names of their generated nodes must not match any node of the menu.
+     */
+    isNameTaken(name) {
+        if (this.findEntry('events', name) || this.findEntry('dispatchers', name)) return true;
+        const nodeNames = [name, ...Object.values(CustomEventManager.NODE_NAME_PREFIXES).map(prefix => `${prefix}${name}`)];
+        return (window.nodeTemplates || []).some(t => nodeNames.includes(t.name));
+    }
+
+    isParameterNameFree(entry, name) {
+        return !entry.parameters.some(p => p.name === name) && name !== 'Exec' && name !== 'Out';
+    }
+
+    // --- PANEL ---
+
+    renderList() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+
+        Object.keys(CustomEventManager.KINDS).forEach(kind => {
+            const { title, label } = CustomEventManager.KINDS[kind];
+            const section = document.createElement('div');
+            section.className = 'event-section';
+            section.innerText = title;
+            section.appendChild(this.createParameterButton('+', `Add ${label}`, () => this.addEntry(kind)));
+            this.ui.list.appendChild(section);
+
+            this[kind].forEach(entry => this.ui.list.appendChild(this.createEntryRow(kind, entry)));
+        });
+    }
+
+    createEntryRow(kind, entry) {
+        const { label } = CustomEventManager.KINDS[kind];
+        const row = document.createElement('div');
+        row.className = `function-row ${kind === 'events' ? 'event-row' : 'dispatcher-row'}`;
+
+        const header = document.createElement('div');
+        header.className = 'function-header';
+
+            const nameInput = document.createElement('input');
+            nameInput.value = entry.name;
+            nameInput.className = 'var-name';
+            nameInput.onchange = (e) => this.renameEntry(kind, entry.name, e.target.value);
+
+            const delBtn = document.createElement('button');
+            delBtn.innerText = '×';
+            delBtn.className = 'var-del';
+            delBtn.title = `Delete ${label}`;
+            delBtn.onclick = () => this.deleteEntry(kind, entry.name);
+
+        header.append(nameInput, delBtn);
+        row.appendChild(header);
+
+        const title = document.createElement('div');
+        title.className = 'function-section';
+        title.innerText = 'Parameters';
+        title.appendChild(this.createParameterButton('+', `Add ${label} Parameter`, () => this.addParameter(kind, entry.name)));
+        row.appendChild(title);
+
+        entry.parameters.forEach((param, index) => {
+            const paramRow = document.createElement('div');
+            paramRow.className = 'function-param';
+
+            const paramInput = document.createElement('input');
+            paramInput.value = param.name;
+            paramInput.className = 'struct-field-name';
+            paramInput.onchange = (e) => this.renameParameter(kind, entry.name, index, e.target.value);
+
+            const typePickers = this.editor.variableManager.createTypePickers(param.type,
+                (t) => this.retypeParameter(kind, entry.name, index, t));
+            const removeBtn = this.createParameterButton('×', `Remove ${label} Parameter`,
+                () => this.removeParameter(kind, entry.name, index));
+
+            paramRow.append(paramInput, ...typePickers, removeBtn);
+            row.appendChild(paramRow);
+        });
+        return row;
+    }
+
+    createParameterButton(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'struct-field-btn';
+        btn.innerText = text;
+        btn.title = title;
+        btn.onclick = onClick;
+        return btn;
+    }
+
+    // --- DOCUMENT ---
+
+    /**
+     * Serializes the custom events and dispatchers for saving.
+     * @returns {{events: Array<Object>, dispatchers: Array<Object>}} { name, parameters } entries.
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify({ events: this.events, dispatchers: this.dispatchers }));
+    }
+
+    /**
+     * Replaces all custom events and dispatchers (used when opening a saved document). Must run after
+     * the enums and structs (parameters may use them) and before any graph is loaded (graphs hold the
+     * generated nodes).
+     * @param {Array<Object>} savedEvents - The 'events' list produced by toJSON().
+     * @param {Array<Object>} savedDispatchers - The 'dispatchers' list produced by toJSON().
+     */
+    loadEvents(savedEvents, savedDispatchers) {
+        const copyEntries = (list) => (Array.isArray(list) ? list : [])
+            .filter(entry => entry && entry.name)
+            .map(entry => ({
+                name: String(entry.name),
+                parameters: (Array.isArray(entry.parameters) ? entry.parameters : [])
+                    .filter(p => p && p.name)
+                    .map(p => ({ name: String(p.name), type: p.type || 'boolean' }))
+            }));
+
+        this.events = copyEntries(savedEvents);
+        this.dispatchers = copyEntries(savedDispatchers);
+        this.registerTemplates();
+        this.renderList();
+    }
+}
+
+// Custom event and dispatcher names become node names: same rule as the other user-defined names
+CustomEventManager.NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+CustomEventManager.PARAMETER_BASE_NAME = "NewParam";
+
+// Name of the input that picks the event, and the nodes that have one (Set Timer by Event is built in)
+CustomEventManager.BIND_EVENT_PIN = "Event";
+CustomEventManager.EVENT_PICKER_IDS = ['Dispatcher.Bind', 'Dispatcher.Unbind', 'Timer.SetByEvent'];
+
+// Nodes generated from a dispatcher, and from custom events and dispatchers altogether
+CustomEventManager.DISPATCHER_IDS = ['Dispatcher.Call', 'Dispatcher.Bind', 'Dispatcher.Unbind'];
+CustomEventManager.GENERATED_IDS = ['Event.Custom', 'Event.Call', ...CustomEventManager.DISPATCHER_IDS];
+
+// The generated nodes besides the event node are named after their event or dispatcher, behind a prefix
+CustomEventManager.NODE_NAME_PREFIXES = {
+    'Event.Call': 'Call ',
+    'Dispatcher.Call': 'Call ',
+    'Dispatcher.Bind': 'Bind Event to ',
+    'Dispatcher.Unbind': 'Unbind Event from '
+};
+CustomEventManager.nodeName = (functionId, name) => `${CustomEventManager.NODE_NAME_PREFIXES[functionId]}${name}`;
+
+/** @returns {String} The custom event or dispatcher a generated node refers to. */
+CustomEventManager.targetName = (node) => node.functionId === 'Event.Custom'
+    ? node.name
+    : node.name.slice(CustomEventManager.NODE_NAME_PREFIXES[node.functionId].length);
+
+// What the panel and the history labels call each list, and the names given to new entries
+CustomEventManager.KINDS = {
+    events: { title: 'Custom Events', label: 'Custom Event', baseName: 'NewEvent' },
+    dispatchers: { title: 'Event Dispatchers', label: 'Event Dispatcher', baseName: 'NewEventDispatcher' }
+};
@@ -3,12 +3,166 @@ window.globalDataTypes = [
     { "name": "boolean",   "color": "var(--c-boolean)",   "widget": "checkbox" },
     { "name": "float",     "color": "var(--c-float)",     "widget": "number" },
     { "name": "string",    "color": "var(--c-string)",    "widget": "text" },
-    { "name": "vector",    "color": "var(--c-vector)",    "widget": "vector3" },
-    { "name": "rotator",   "color": "var(--c-rotator)",   "widget": "rotator" },
-    { "name": "transform", "color": "var(--c-transform)", "widget": "none" },
+    // Struct types list their 'fields' (key = property of the JS value); used by Break nodes and Split Struct Pin
+    { "name": "vector",    "color": "var(--c-vector)",    "widget": "vector3",
+      "fields": [{ "name": "X", "key": "x", "type": "float" }, { "name": "Y", "key": "y", "type": "float" }, { "name": "Z", "key": "z", "type": "float" }] },
+    { "name": "rotator",   "color": "var(--c-rotator)",   "widget": "rotator",
+      "fields": [{ "name": "Roll", "key": "roll", "type": "float" }, { "name": "Pitch", "key": "pitch", "type": "float" }, { "name": "Yaw", "key": "yaw", "type": "float" }] },
+    { "name": "transform", "color": "var(--c-transform)", "widget": "transform",
+      "fields": [{ "name": "Location", "key": "loc", "type": "vector" }, { "name": "Rotation", "key": "rot", "type": "rotator" }, { "name": "Scale", "key": "scale", "type": "vector" }] },
     { "name": "color",     "color": "var(--c-color)",     "widget": "color" },
     { "name": "int",       "color": "var(--c-int)",       "widget": "number" },
     { "name": "class",     "color": "var(--c-class)",     "widget": "dropdown" },
     { "name": "object",    "color": "var(--c-object)",    "widget": "dropdown" },
-    { "name": "wildcard",  "color": "var(--c-wildcard)",  "widget": "none" }
-];
\ No newline at end of file
+    { "name": "wildcard",  "color": "var(--c-wildcard)",  "widget": "none" },
+    // Generic pin type standing for any user enum (see EnumTypes below)
+    { "name": "enum",      "color": "var(--c-enum)",      "widget": "none" },
+    // Containers: never used alone, the element (key, value) types are part of the type identifier (see below).
+    // They take their color from their elements; 'widget' edits their default value.
+    { "name": "array",     "container": true,             "widget": "array" },
+    { "name": "set",       "container": true,             "widget": "array" },
+    { "name": "map",       "container": true,             "widget": "map" }
+];
+
+/**
+ * Array types: any type followed by "[]" is an array of that type
+ * ("float[]", "vector[]"; "wildcard[]" for generic array pins).
+ * Values are JS arrays.
+ */
+window.ArrayTypes = {
+    SUFFIX: "[]",
+
+    /** @returns {Boolean} True for array type identifiers such as "float[]". */
+    isArray: (type) => typeof type === 'string' && type.endsWith(window.ArrayTypes.SUFFIX),
+
+    /** @returns {String} The type of the elements of an array type ("float[]" -> "float"). */
+    elementType: (type) => type.slice(0, -window.ArrayTypes.SUFFIX.length),
+
+    /** @returns {String} The array type holding elements of the given type ("float" -> "float[]"). */
+    of: (type) => type + window.ArrayTypes.SUFFIX
+};
+
+/**
+ * Set types: "set<int>", "set<wildcard>"...
+ * Values are JS arrays without duplicates (in insertion order).
+ */
+window.SetTypes = {
+    /** @returns {Boolean} True for set type identifiers such as "set<int>". */
+    isSet: (type) => typeof type === 'string' && type.startsWith('set<') && type.endsWith('>'),
+
+    /** @returns {String} The type of the elements of a set type ("set<int>" -> "int"). */
+    elementType: (type) => type.slice(4, -1),
+
+    /** @returns {String} The set type holding elements of the given type ("int" -> "set<int>"). */
+    of: (type) => `set<${type}>`
+};
+
+/**
+ * Map types: "map<string,float>" maps string keys to float values.
+ * Values are JS arrays of { key, value } entries with unique keys (in insertion order),
+ * so that any type (vectors included) can be a key and documents stay plain JSON.
+ */
+window.MapTypes = {
+    /** @returns {Boolean} True for map type identifiers such as "map<string,float>". */
+    isMap: (type) => typeof type === 'string' && type.startsWith('map<') && type.endsWith('>'),
+
+    /** @returns {String} The key type of a map type ("map<string,float>" -> "string"). */
+    keyType: (type) => type.slice(4, -1).split(',')[0],
+
+    /** @returns {String} The value type of a map type ("map<string,float>" -> "float"). */
+    valueType: (type) => type.slice(4, -1).split(',')[1],
+
+    /** @returns {String} The map type with the given key and value types. */
+    of: (keyType, valueType) => `map<${keyType},${valueType}>`,
+
+    /** @returns {Boolean} True if a value looks like a (non-empty) map value, for untyped formatting. */
+    isMapValue: (value) => Array.isArray(value) && value.length > 0 && value.every(entry =>
+        entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+        Object.keys(entry).length === 2 && 'key' in entry && 'value' in entry)
+};
+
+/**
+ * User-defined enum types (see EnumManager): each enum is registered in window.typeDefinitions
+ * under its own name, with its ordered 'entries'. Values are entry names.
+ * Pins of type "enum" are generic and adopt the enum they get connected to.
+ */
+window.EnumTypes = {
+    ANY: "enum",
+
+    /** @returns {Boolean} True for the name of a user enum. */
+    isEnum: (type) => {
+        const definition = (window.typeDefinitions || {})[type];
+        return !!(definition && definition.entries);
+    },
+
+    /** @returns {Array<String>} The entries of an enum, in order (empty if the type is not an enum). */
+    entries: (type) => window.EnumTypes.isEnum(type) ? window.typeDefinitions[type].entries : [],
+
+    /** @returns {Array<String>} The names of every registered enum. */
+    names: () => Object.values(window.typeDefinitions || {}).filter(d => d.entries).map(d => d.name)
+};
+
+/**
+ * User-defined struct types (see StructManager): registered in window.typeDefinitions like the
+ * built-in structs above ('fields', key = field name) and flagged 'userDefined'.
+ * Values are plain objects with one property per field.
+ */
+window.StructTypes = {
+    /** @returns {Boolean} True for the name of a user struct (built-in structs excluded). */
+    isUserStruct: (type) => {
+        const definition = (window.typeDefinitions || {})[type];
+        return !!(definition && definition.userDefined && definition.fields);
+    },
+
+    /** @returns {Array<String>} The names of every registered user struct. */
+    names: () => Object.values(window.typeDefinitions || {}).filter(d => d.userDefined && d.fields).map(d => d.name)
+};
+
+/**
+ * @returns {Boolean} True for array, set and map types. Containers can't hold other containers.
+ */
+window.isContainerType = (type) =>
+    window.ArrayTypes.isArray(type) || window.SetTypes.isSet(type) || window.MapTypes.isMap(type);
+
+/**
+ * Looks up the definition (color, widget...) of any type identifier, container types included.
+ * A container's definition combines its entry above with its element types: it takes the color of
+ * its elements (values, for maps; 'keyColor' holds the key color) and lists them in
+ * 'elementType' (and 'keyType' for maps).
+ * @param {String} type
+ * @returns {Object|null}
+ */
+window.getTypeDefinition = (type) => {
+    const definitions = window.typeDefinitions || {};
+    let container, elementType, keyType = null;
+
+    if (window.ArrayTypes.isArray(type)) {
+        container = 'array';
+        elementType = window.ArrayTypes.elementType(type);
+    } else if (window.SetTypes.isSet(type)) {
+        container = 'set';
+        elementType = window.SetTypes.elementType(type);
+    } else if (window.MapTypes.isMap(type)) {
+        container = 'map';
+        elementType = window.MapTypes.valueType(type);
+        keyType = window.MapTypes.keyType(type);
+    } else {
+        return definitions[type] || null;
+    }
+
+    const element = definitions[elementType];
+    const key = keyType ? definitions[keyType] : null;
+    if (!element || (keyType && !key)) return null;
+
+    // Nothing to edit when the elements themselves have no widget (e.g. wildcards)
+    const editable = element.widget !== 'none' && (!key || key.widget !== 'none');
+    return {
+        name: type,
+        container,
+        color: element.color,
+        keyColor: key ? key.color : null,
+        widget: editable ? definitions[container].widget : 'none',
+        elementType,
+        keyType
+    };
+};
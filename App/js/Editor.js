@@ -17,28 +17,135 @@ class Editor {
             contextSearch: document.getElementById('context-search'),
             variablePanel: document.getElementById('variable-panel'),
             btnToggleVars: document.getElementById('btn-toggle-vars'),
+            enumPanel: document.getElementById('enum-panel'),
+            btnToggleEnums: document.getElementById('btn-toggle-enums'),
+            structPanel: document.getElementById('struct-panel'),
+            btnToggleStructs: document.getElementById('btn-toggle-structs'),
+            functionPanel: document.getElementById('function-panel'),
+            btnToggleFunctions: document.getElementById('btn-toggle-functions'),
+            macroPanel: document.getElementById('macro-panel'),
+            btnToggleMacros: document.getElementById('btn-toggle-macros'),
+            eventPanel: document.getElementById('event-panel'),
+            btnToggleEvents: document.getElementById('btn-toggle-events'),
+            blueprintPanel: document.getElementById('blueprint-panel'),
+            btnToggleBlueprint: document.getElementById('btn-toggle-blueprint'),
+            graphTitle: document.getElementById('graph-title'),
+            btnToggleTests: document.getElementById('btn-toggle-tests'),
+            btnToggleBreakpoints: document.getElementById('btn-toggle-breakpoints'),
+            btnToggleWatches: document.getElementById('btn-toggle-watches'),
+            btnToggleCallStack: document.getElementById('btn-toggle-call-stack'),
+            btnTogglePlay: document.getElementById('btn-toggle-play'),
+            notification: document.getElementById('notification'),
+
+            // Document Toolbar Buttons
+            btnSave: document.getElementById('btn-save'),
+            btnOpen: document.getElementById('btn-open'),
+            fileInput: document.getElementById('file-open'),
             
             // Simulation Toolbar Buttons
             btnPlay: document.getElementById('btn-play'),
+            btnRunToCompletion: document.getElementById('btn-run-to-completion'),
             btnPause: document.getElementById('btn-pause'),
             btnStep: document.getElementById('btn-step'),
+            btnStepInto: document.getElementById('btn-step-into'),
+            btnStepOver: document.getElementById('btn-step-over'),
+            btnStepOut: document.getElementById('btn-step-out'),
             btnReplay: document.getElementById('btn-replay'),
-            btnStop: document.getElementById('btn-stop')
+            btnStop: document.getElementById('btn-stop'),
+            speedSelect: document.getElementById('speed-select'),
+            fireEventSelect: document.getElementById('fire-event-select'),
+            btnFireEvent: document.getElementById('btn-fire-event'),
+            gameTime: document.getElementById('game-time'),
+            frameRateInput: document.getElementById('frame-rate-input'),
+            timeScaleInput: document.getElementById('time-scale-input')
         };
         
+        // Name used for the downloaded file (updated when a document is opened)
+        this.documentName = 'Untitled';
+
         // 2. Instantiate the Core Systems
         this.graph = new Graph(); // The Data Model
         this.renderer = new Renderer(this.graph, this.dom); // The Visual System
         
+        // The Undo/Redo Command Stack
+        this.history = new HistoryManager(this);
+
         // The Interaction Controller (Inputs, Clicks, Drags)
-        this.interaction = new Interaction(this.graph, this.renderer, this.dom);
-        
-        // The Execution Engine
-        this.simulation = new Simulation(this.graph, this.renderer);
+        this.interaction = new Interaction(this.graph, this.renderer, this.dom, this.history);
         
+        // The User Enum Manager (enum types must exist before variables and nodes use them)
+        this.enumManager = new EnumManager(this);
+
+        // The User Struct Manager (struct fields may use enums, variables and nodes may use structs)
+        this.structManager = new StructManager(this);
+
         // The Variable/Property Manager
         this.variableManager = new VariableManager(this);
 
+        // The User Function Manager (function graphs use variables, the event graph calls functions)
+        this.functionManager = new FunctionManager(this);
+
+        // The User Macro Manager (macros are inlined where they are used)
+        this.macroManager = new MacroManager(this);
+
+        // The custom events and event dispatchers (their nodes may be used in every graph)
+        this.customEventManager = new CustomEventManager(this);
+
+        // Collapsed nodes (graphs of their own, for tidying)
+        this.collapsedGraphManager = new CollapsedGraphManager(this);
+
+        // The event graphs (the main one is this.graph; users may add more)
+        this.eventGraphManager = new EventGraphManager(this);
+
+        // The Execution Engine (headless) + its animated playback observer
+        this.simulation = new Simulation(this.graph, {
+            variableManager: this.variableManager,
+            functionManager: this.functionManager,
+            macroManager: this.macroManager,
+            eventGraphManager: this.eventGraphManager,
+            stepDelay: 100,
+            realTime: true,
+            pauseOnBreakpoints: true,
+            recordTrace: true
+        });
+        this.visualizer = new SimulationVisualizer(this.renderer);
+        // Playback speed of the toolbar (see setPlaybackSpeed), and whether a Run to Completion is going on
+        this.playbackSpeed = 1;
+        this.isFastRun = false;
+        // Stepping into a function or a macro, or pausing at a breakpoint, shows its graph (before the visualizer highlights the step)
+        this.simulation.addObserver({ handleSimulationEvent: (type, payload) => this.followExecution(type, payload) });
+        this.simulation.addObserver({ handleSimulationEvent: (type) => { if (type === 'frame-start' || type === 'run-start') this.renderGameTime(); } });
+
+        // The Watch Panel records the values of the run as they are evaluated (before the visualizer animates them)
+        this.watchPanel = new WatchPanel(this);
+        this.simulation.addObserver(this.watchPanel);
+        this.simulation.addObserver(this.visualizer);
+
+        // The toolbar's scrubber over the execution trace of the run (shows the values of earlier steps in the Watch panel)
+        this.traceTimeline = new TraceTimeline(this);
+        this.simulation.addObserver(this.traceTimeline);
+
+        // The Call Stack Panel (frames of the paused run)
+        this.callStackPanel = new CallStackPanel(this);
+        this.simulation.addObserver(this.callStackPanel);
+
+        // The Blueprint Test Panel (Assert nodes + "Event Test" entry points)
+        this.testPanel = new TestPanel(this);
+
+        // The Breakpoints Panel (breakpoints are toggled on the nodes with F9 or their context menu)
+        this.breakpointPanel = new BreakpointPanel(this);
+
+        // The play area: keyboard and mouse input of the player, for the Input events
+        this.playAreaPanel = new PlayAreaPanel(this);
+
+        // The tabs of the open graphs and the "My Blueprint" tree, refreshed after every edit (and undo/redo)
+        this.graphTabs = new GraphTabs(this);
+        this.blueprintPanel = new MyBlueprintPanel(this);
+        this.history.onChange = () => this.refreshDocumentViews();
+
+        // Graph -> IDs of its selected nodes, given back when the graph is shown again
+        this.selections = new WeakMap();
+
         // 3. Bind Simulation Events
         // When the simulation runs/stops, update the toolbar buttons (Play/Pause icons)
         this.simulation.onStateChange = (status) => this.updateControls(status);
@@ -47,9 +154,15 @@ class Editor {
         this.importFileGlobals(); // Load node definitions from window
         this.setupToolbar();      // Click listeners for UI buttons
         this.setupDragDrop();     // Allow dragging variables onto canvas
+        this.graphTabs.open(this.graph);
+        this.blueprintPanel.render();
+        this.customEventManager.renderList();
+        this.renderFireEventOptions();
+        this.updateGraphTitle();
         
         // 5. Load the Default Demo
         this.initDemo();
+        this.history.clear(); // The demo is the baseline, not an undoable edit
     }
 
     /**
@@ -69,6 +182,55 @@ class Editor {
             };
         }
 
+        // Toggle the My Blueprint / Enum / Struct / Function / Macro Side Panels (they share the same spot, so only one is open at a time)
+        const typePanels = [
+            { panel: this.dom.blueprintPanel, button: this.dom.btnToggleBlueprint },
+            { panel: this.dom.enumPanel, button: this.dom.btnToggleEnums },
+            { panel: this.dom.structPanel, button: this.dom.btnToggleStructs },
+            { panel: this.dom.functionPanel, button: this.dom.btnToggleFunctions },
+            { panel: this.dom.macroPanel, button: this.dom.btnToggleMacros },
+            { panel: this.dom.eventPanel, button: this.dom.btnToggleEvents }
+        ].filter(p => p.panel && p.button);
+        typePanels.forEach(current => {
+            current.button.onclick = () => {
+                typePanels.forEach(p => {
+                    const visible = p === current && !p.panel.classList.contains('visible');
+                    p.panel.classList.toggle('visible', visible);
+                    p.button.style.background = visible ? '#36a55d' : '';
+                });
+            };
+        });
+
+        // Toggle the Test / Breakpoint / Watch / Call Stack Side Panels (they share the right side, so only one is open at a time)
+        this.sidePanels = [
+            { view: this.testPanel, button: this.dom.btnToggleTests },
+            { view: this.breakpointPanel, button: this.dom.btnToggleBreakpoints },
+            { view: this.watchPanel, button: this.dom.btnToggleWatches },
+            { view: this.callStackPanel, button: this.dom.btnToggleCallStack }
+        ].filter(p => p.view.ui.panel && p.button);
+        this.sidePanels.forEach(current => {
+            current.button.onclick = () => this.toggleSidePanel(current.view);
+        });
+
+        // Toggle the Play Area
+        if (this.dom.btnTogglePlay) {
+            this.dom.btnTogglePlay.onclick = () => {
+                const visible = this.playAreaPanel.toggle();
+                this.dom.btnTogglePlay.style.background = visible ? '#36a55d' : '';
+            };
+        }
+
+        // Save / Open Documents
+        if (this.dom.btnSave) this.dom.btnSave.onclick = () => this.saveDocument();
+        if (this.dom.btnOpen && this.dom.fileInput) {
+            this.dom.btnOpen.onclick = () => this.dom.fileInput.click();
+            this.dom.fileInput.onchange = (e) => {
+                const file = e.target.files[0];
+                if (file) this.openDocument(file);
+                e.target.value = ''; // Allow re-opening the same file
+            };
+        }
+
         // Play Button Logic
         if (this.dom.btnPlay) {
             this.dom.btnPlay.onclick = () => {
@@ -78,6 +240,14 @@ class Editor {
             };
         }
 
+        // Run to Completion: the run (or the rest of a paused one) without animation
+        if (this.dom.btnRunToCompletion) this.dom.btnRunToCompletion.onclick = () => this.runToCompletion();
+
+        // Playback speed (applies to the current run too)
+        if (this.dom.speedSelect) {
+            this.dom.speedSelect.onchange = (e) => this.setPlaybackSpeed(e.target.value === 'instant' ? Infinity : parseFloat(e.target.value));
+        }
+
         // Pause Button Logic
         if (this.dom.btnPause) {
             this.dom.btnPause.onclick = () => {
@@ -88,14 +258,396 @@ class Editor {
         }
 
         // Stepping and Stopping
-        if (this.dom.btnStep) this.dom.btnStep.onclick = () => this.simulation.step();
+        if (this.dom.btnStep) this.dom.btnStep.onclick = () => this.stepExecution('into');
+        if (this.dom.btnStepInto) this.dom.btnStepInto.onclick = () => this.stepExecution('into');
+        if (this.dom.btnStepOver) this.dom.btnStepOver.onclick = () => this.stepExecution('over');
+        if (this.dom.btnStepOut) this.dom.btnStepOut.onclick = () => this.stepExecution('out');
         if (this.dom.btnReplay) this.dom.btnReplay.onclick = () => this.simulation.replayStep();
         if (this.dom.btnStop) this.dom.btnStop.onclick = () => this.simulation.stop();
+
+        // Fire a custom event into the running simulation
+        if (this.dom.btnFireEvent && this.dom.fireEventSelect) {
+            this.dom.btnFireEvent.onclick = () => {
+                const name = this.dom.fireEventSelect.value;
+                if (name && !this.simulation.fireEvent(name)) this.notify(`${name} has no node in the event graphs`);
+            };
+        }
+
+        // Simulated clock settings (they apply to the current run too)
+        if (this.dom.frameRateInput) {
+            this.dom.frameRateInput.value = this.simulation.frameRate;
+            this.dom.frameRateInput.onchange = (e) => {
+                const frameRate = parseFloat(e.target.value);
+                if (frameRate > 0) this.simulation.frameRate = frameRate;
+                e.target.value = this.simulation.frameRate;
+            };
+        }
+        if (this.dom.timeScaleInput) {
+            this.dom.timeScaleInput.value = this.simulation.timeScale;
+            this.dom.timeScaleInput.onchange = (e) => {
+                const timeScale = parseFloat(e.target.value);
+                if (timeScale > 0) this.simulation.timeScale = timeScale;
+                e.target.value = this.simulation.timeScale;
+            };
+        }
+        this.renderGameTime();
         
         // Set initial button states
         this.updateControls(this.simulation.status);
     }
 
+    /**
+     * Builds the serializable document (event graphs + variables + enums + structs + functions + macros
+     * + custom events and dispatchers) for saving.
+     * @returns {Object} A versioned blueprint document.
+     */
+    serializeDocument() {
+        const customEvents = this.customEventManager.toJSON();
+        return {
+            format: Editor.DOCUMENT_FORMAT,
+            version: Editor.DOCUMENT_VERSION,
+            enums: this.enumManager.toJSON(),
+            structs: this.structManager.toJSON(),
+            variables: this.variableManager.toJSON(),
+            functions: this.functionManager.toJSON(),
+            macros: this.macroManager.toJSON(),
+            events: customEvents.events,
+            dispatchers: customEvents.dispatchers,
+            graph: this.graph.toJSON(),
+            eventGraphs: this.eventGraphManager.toJSON()
+        };
+    }
+
+    /**
+     * Replaces the current graph and variables with the content of a saved document.
+     * Throws if the document is not a blueprint document or was written by a newer version.
+     * @param {Object} doc - A document produced by serializeDocument().
+     */
+    loadDocument(doc) {
+        if (!doc || doc.format !== Editor.DOCUMENT_FORMAT || !doc.graph) {
+            throw new Error("Not a blueprint document.");
+        }
+        if (doc.version > Editor.DOCUMENT_VERSION) {
+            throw new Error(`Document version ${doc.version} is newer than supported (${Editor.DOCUMENT_VERSION}).`);
+        }
+
+        this.simulation.stop();
+        this.interaction.selectionManager.clear();
+
+        // Enums, structs, variables, custom events, then functions and macros: the types and node templates they generate are used by the nodes
+        this.enumManager.loadEnums(doc.enums);
+        this.structManager.loadStructs(doc.structs);
+        this.variableManager.loadVariables(doc.variables);
+        this.customEventManager.loadEvents(doc.events, doc.dispatchers);
+        this.macroManager.loadMacros(doc.macros);
+        const skipped = this.functionManager.loadFunctions(doc.functions);
+        skipped.push(...this.macroManager.loadMacroGraphs(doc.macros));
+        const resolveTemplate = (nodeData) => this.variableManager.findTemplate(nodeData);
+        skipped.push(...this.graph.fromJSON(doc.graph, resolveTemplate));
+        skipped.push(...this.eventGraphManager.loadEventGraphs(doc.eventGraphs, resolveTemplate));
+
+        this.graphTabs.reset();
+        this.selections = new WeakMap();
+        this.showGraph(this.graph);
+        this.history.clear();
+
+        if (skipped.length > 0) {
+            const names = [...new Set(skipped.map(n => n.name || n.varName))].join(', ');
+            this.notify(`Skipped ${skipped.length} unknown node(s): ${names}`);
+        }
+    }
+
+    /**
+     * Downloads the current document as a .bpgraph.json file.
+     */
+    saveDocument() {
+        const json = JSON.stringify(this.serializeDocument(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.documentName}${Editor.FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.notify(`Saved ${link.download}`);
+    }
+
+    /**
+     * Reads a document file picked by the user and loads it.
+     * @param {File} file - The file from the "Open" file input.
+     */
+    async openDocument(file) {
+        try {
+            const doc = JSON.parse(await file.text());
+            this.loadDocument(doc);
+            this.documentName = file.name.replace(Editor.FILE_EXTENSION, '').replace(/\.json$/, '');
+            this.notify(`Opened ${file.name}`);
+        } catch (err) {
+            console.error("Open Document Error:", err);
+            this.notify(`Could not open ${file.name}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Every graph of the document: the event graphs, then the graph of each function and macro,
+     * each followed by the graphs of its collapsed nodes.
+     * @returns {Array<Graph>}
+     */
+    get graphs() {
+        const graphs = [...this.eventGraphManager.graphs, ...this.functionManager.graphs, ...this.macroManager.graphs];
+        return this.collapsedGraphManager.withCollapsedGraphs(graphs);
+    }
+
+    /** The graph shown in the canvas (an event graph, a function, macro or collapsed graph). */
+    get activeGraph() {
+        return this.renderer.graph;
+    }
+
+    /**
+     * Shows another graph of the document in the canvas, with the nodes that were selected when it was last shown.
+     * @param {Graph} graph - An event graph, a function, macro or collapsed graph.
+     */
+    showGraph(graph) {
+        const selection = this.interaction.selectionManager;
+        this.selections.set(this.activeGraph, [...selection.selected]);
+        selection.clear();
+        this.renderer.graph = graph;
+        this.interaction.setGraph(graph);
+        this.renderer.rebuild();
+        this.traceTimeline.highlight();
+        this.visualizer.showRunResults();
+        (this.selections.get(graph) || [])
+            .filter(nodeId => graph.nodes.some(n => n.id === nodeId))
+            .forEach(nodeId => selection.add(nodeId));
+
+        this.updateGraphTitle();
+        this.graphTabs.open(graph);
+        this.refreshDocumentViews();
+        // Pin positions are only known once the browser has laid out the new nodes
+        setTimeout(() => this.renderer.render(), 50);
+    }
+
+    /** Redraws the views that list the graphs of the document (they show which one is open). */
+    refreshDocumentViews() {
+        this.functionManager.renderList();
+        this.macroManager.renderList();
+        this.customEventManager.renderList();
+        this.graphTabs.render();
+        this.blueprintPanel.render();
+        this.breakpointPanel.render();
+        this.watchPanel.render();
+        this.renderFireEventOptions();
+    }
+
+    /**
+     * Shows or hides one of the right side panels (Tests, Breakpoints, Watch); showing one hides the others.
+     * @param {Object} view - The panel (e.g. this.watchPanel).
+     * @param {boolean} [visible] - Whether to show it (default: the opposite of now).
+     */
+    toggleSidePanel(view, visible) {
+        const entry = this.sidePanels.find(p => p.view === view);
+        if (!entry) return;
+        const shown = entry.view.ui.panel.classList.contains('visible');
+        if (visible === undefined || visible !== shown) visible = entry.view.toggle();
+        this.sidePanels.forEach(p => {
+            if (p !== entry && visible) p.view.ui.panel.classList.remove('visible');
+            p.button.style.background = p === entry && visible ? '#36a55d' : '';
+        });
+    }
+
+    /** Lists the custom events in the toolbar's Fire Event dropdown, keeping the one picked if it still exists. */
+    renderFireEventOptions() {
+        const select = this.dom.fireEventSelect;
+        if (!select) return;
+        const picked = select.value;
+        select.innerHTML = '';
+        this.customEventManager.events.forEach(ev => {
+            const option = document.createElement('option');
+            option.value = ev.name;
+            option.innerText = ev.name;
+            option.selected = ev.name === picked;
+            select.appendChild(option);
+        });
+        this.updateControls(this.simulation.status);
+    }
+
+    /**
+     * @returns {string} 'event', 'function', 'macro' or 'collapsed': what a graph of the document belongs to.
+     */
+    getGraphKind(graph) {
+        if (this.eventGraphManager.findEventGraphOf(graph)) return 'event';
+        if (this.functionManager.findFunctionOfGraph(graph)) return 'function';
+        if (this.macroManager.findMacroOfGraph(graph)) return 'macro';
+        return 'collapsed';
+    }
+
+    /** @returns {string} The name of an event graph, function or macro, or of the collapsed node a graph belongs to. */
+    getGraphName(graph) {
+        const owner = this.eventGraphManager.findEventGraphOf(graph) || this.functionManager.findFunctionOfGraph(graph)
+            || this.macroManager.findMacroOfGraph(graph);
+        if (owner) return owner.name;
+        const collapsedOwner = this.collapsedGraphManager.findOwner(graph);
+        return collapsedOwner ? collapsedOwner.node.name : '';
+    }
+
+    /**
+     * Opens the graph behind a function call node, a macro node or a collapsed node.
+     * @returns {Boolean} False if the node has no graph of its own.
+     */
+    openNodeGraph(node) {
+        if (node.subgraph) {
+            this.showGraph(node.subgraph);
+            return true;
+        }
+        const owner = node.functionId === 'Function.Call' ? this.functionManager.findFunction(node.name)
+            : node.functionId === 'Macro.Call' ? this.macroManager.findMacro(node.name) : null;
+        if (!owner) return false;
+        this.showGraph(owner.graph);
+        return true;
+    }
+
+    /**
+     * Sets the playback speed: every pause and animation of the visualizer and the renderer, the step delay
+     * and the real-time frames are divided by it.
+     * @param {number} speed - 0.25 to 10, or Infinity (Instant: no pause and no animation).
+     */
+    setPlaybackSpeed(speed) {
+        this.playbackSpeed = speed;
+        this.visualizer.speed = speed;
+        if (!this.isFastRun) this.simulation.playbackSpeed = speed;
+    }
+
+    /**
+     * Runs to the end (or the rest of a paused run) with the visuals off and no wait: only the nodes that ran
+     * are outlined once it stops, or pauses at a breakpoint; their values are in the pin tooltips and the
+     * Watch panel. Game time goes as fast as it can, so a run kept going by Event Tick runs until stopped.
+     */
+    runToCompletion() {
+        const simulation = this.simulation;
+        if (simulation.status === 'RUNNING') return;
+        if (simulation.status === 'PAUSED') simulation.resume();
+        else simulation.start();
+        // Set once the run is going: starting it stops the previous run, which would end the fast run
+        if (simulation.status === 'RUNNING') this.setFastRun(true);
+    }
+
+    /** Turns the Run to Completion mode on or off (off again as soon as the run is no longer running). */
+    setFastRun(fast) {
+        this.isFastRun = fast;
+        this.simulation.playbackSpeed = fast ? Infinity : this.playbackSpeed;
+        this.visualizer.setEnabled(!fast);
+    }
+
+    /**
+     * Step / Step Into (F11) runs one step; Step Over (F10) and Step Out (Shift+F11) run until the step they
+     * aim at (see Simulation.stepToDepth). Step Out only applies to a paused run.
+     * @param {'into'|'over'|'out'} mode
+     */
+    async stepExecution(mode) {
+        const simulation = this.simulation;
+        if (simulation.status === 'RUNNING' || (mode === 'out' && simulation.status !== 'PAUSED')) return;
+        if (mode === 'over') simulation.stepOver();
+        else if (mode === 'out') simulation.stepOut();
+        else {
+            await simulation.step();
+            // A step pauses nowhere in particular: the stack is read once it is done
+            if (this.callStackPanel.isVisible) this.callStackPanel.render();
+        }
+    }
+
+    /**
+     * Simulation observer: while stepping, the canvas shows the graph of the step about to run
+     * (a step into a function, a macro or a collapsed node opens its graph, the step after it goes back).
+     * A run paused at a breakpoint, or by Step Over / Step Out, shows its node.
+     */
+    followExecution(type, payload) {
+        if (type === 'run-start') this.breakpointPanel.render(); // Hits are counted per run
+        if (type === 'breakpoint-hit') {
+            const graph = this.graphs.find(g => g.nodes.includes(payload.node));
+            if (graph) this.focusNode(payload.node.id, graph);
+            this.breakpointPanel.render();
+            this.notify(payload.error
+                ? `Paused at ${payload.node.name}: ${payload.error}`
+                : `Paused at the breakpoint of ${payload.node.name} (hit ${payload.hits})`);
+            return;
+        }
+        if (type === 'step-paused') {
+            const graph = this.graphs.find(g => g.nodes.includes(payload.node));
+            if (graph) this.focusNode(payload.node.id, graph);
+            return;
+        }
+        if (type !== 'step-start' || this.simulation.status !== 'PAUSED') return;
+        const graph = this.simulation.sourceGraphOf(payload.item.frame || null);
+        if (graph !== this.activeGraph && this.graphs.includes(graph)) this.showGraph(graph);
+    }
+
+    /**
+     * Shows which graph is open above the canvas, as breadcrumbs (event graph, function or macro ›
+     * collapsed nodes); clicking a crumb goes back to its graph.
+     */
+    updateGraphTitle() {
+        const title = this.dom.graphTitle;
+        if (!title) return;
+
+        const crumbs = [];
+        let graph = this.activeGraph;
+        let collapsedOwner;
+        while ((collapsedOwner = this.collapsedGraphManager.findOwner(graph))) {
+            crumbs.unshift({ name: collapsedOwner.node.name, graph });
+            graph = collapsedOwner.graph;
+        }
+        crumbs.unshift({ name: this.getGraphName(graph), graph });
+
+        title.innerHTML = '';
+        crumbs.forEach((crumb, i) => {
+            const span = document.createElement('span');
+            span.innerText = crumb.name;
+            if (i < crumbs.length - 1) {
+                span.className = 'link';
+                span.onclick = () => this.showGraph(crumb.graph);
+            }
+            if (i > 0) title.appendChild(document.createTextNode(' › '));
+            title.appendChild(span);
+        });
+    }
+
+    /**
+     * Selects a node and pans the viewport so that it sits in the middle of the screen.
+     * @param {number} nodeId
+     * @param {Graph} [graph] - The graph holding the node (shown first if needed). Defaults to the event graph.
+     */
+    focusNode(nodeId, graph = this.graph) {
+        if (graph !== this.activeGraph) this.showGraph(graph);
+
+        const node = graph.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+
+        const rect = this.dom.container.getBoundingClientRect();
+        graph.pan.x = rect.width / 2 - node.x * graph.scale;
+        graph.pan.y = rect.height / 2 - node.y * graph.scale;
+        this.renderer.updateTransform();
+
+        this.interaction.selectionManager.clear();
+        this.interaction.selectionManager.add(nodeId);
+    }
+
+    /**
+     * Shows a short message in the bottom notification bubble.
+     * @param {string} message - The text to display.
+     */
+    notify(message) {
+        const el = this.dom.notification;
+        if (!el) return;
+        el.innerText = message;
+        el.classList.add('visible');
+        clearTimeout(this.notifyTimer);
+        this.notifyTimer = setTimeout(() => el.classList.remove('visible'), 2500);
+    }
+
     /**
      * Handles dragging a "Variable" from the side panel onto the Canvas.
      */
@@ -118,14 +670,25 @@ class Editor {
             try { data = JSON.parse(rawData); } catch(err) { return; }
             
             // If the user dropped a variable, calculate where it landed
-            if (data.type === 'variable') {
+            if (data.type === 'variable' || data.type === 'local') {
+                const graph = this.activeGraph;
                 const rect = c.getBoundingClientRect();
                 // Convert Screen Coords -> Graph Coords (accounting for Pan/Zoom)
-                const x = (e.clientX - rect.left - this.graph.pan.x) / this.graph.scale;
-                const y = (e.clientY - rect.top - this.graph.pan.y) / this.graph.scale;
+                const x = (e.clientX - rect.left - graph.pan.x) / graph.scale;
+                const y = (e.clientY - rect.top - graph.pan.y) / graph.scale;
+
+                // Local variables only exist in the graph of their function
+                const fn = this.functionManager.findFunctionOfGraph(graph);
+                if (data.type === 'local' && (!fn || fn.name !== data.function)) {
+                    this.notify(`${data.name} is a local variable of ${data.function}: open its graph to use it`);
+                    return;
+                }
 
                 // Open the specific "Get vs Set" menu
-                this.showVariableMenu(e.clientX, e.clientY, data.name, x, y);
+                const createTemplate = data.type === 'local'
+                    ? (isSet) => this.functionManager.createLocalTemplate(fn, data.name, isSet)
+                    : null;
+                this.showVariableMenu(e.clientX, e.clientY, data.name, x, y, createTemplate);
             }
         });
     }
@@ -133,8 +696,9 @@ class Editor {
     /**
      * A specialized Context Menu for Variables.
      * Asks the user: "Do you want to GET this variable or SET it?"
+     * @param {Function} [createTemplate] - (isSet) => template, for local variables.
      */
-    showVariableMenu(mx, my, varName, gx, gy) {
+    showVariableMenu(mx, my, varName, gx, gy, createTemplate = null) {
         const menu = this.dom.contextMenu;
         const list = this.dom.contextList;
         const search = this.dom.contextSearch;
@@ -160,12 +724,12 @@ class Editor {
             li.innerText = label;
             li.onclick = () => {
                 // Ask VariableManager for the JSON template
-                const template = isSet 
+                const template = createTemplate ? createTemplate(isSet) : (isSet 
                     ? this.variableManager.createSetTemplate(varName)
-                    : this.variableManager.createGetTemplate(varName);
+                    : this.variableManager.createGetTemplate(varName));
                 
                 if (template) {
-                    const node = this.graph.addNode(template, gx, gy);
+                    const node = this.activeGraph.addNode(template, gx, gy);
                     
                     // CRITICAL: Inject the variable name into the node instance
                     // This allows the simulation to know WHICH variable to get/set
@@ -173,6 +737,7 @@ class Editor {
 
                     // Create DOM and attach Interaction listeners (Drag/Select)
                     this.renderer.createNodeElement(node, (e, nid) => this.interaction.handleNodeDown(e, nid));
+                    this.history.commit(`Create ${isSet ? 'Set' : 'Get'} ${varName}`);
                 }
                 menu.classList.remove('visible');
             };
@@ -190,7 +755,9 @@ class Editor {
      */
     updateControls(status) {
         const d = this.dom;
+        if (this.isFastRun && status !== 'RUNNING') this.setFastRun(false);
         if (!d.btnPlay) return; 
+        if (d.btnRunToCompletion) d.btnRunToCompletion.disabled = status === 'RUNNING';
 
         // Icons
         const iconStartPaused = `<svg viewBox="0 0 24 24"><path d="M6 5v14l9-7z M17 5v14h2V5z"/></svg>`;
@@ -200,18 +767,41 @@ class Editor {
             d.btnPlay.disabled = false; d.btnPlay.title = "Play";
             d.btnPause.disabled = false; d.btnPause.innerHTML = iconStartPaused; d.btnPause.title = "Start Paused";
             d.btnReplay.disabled = true; d.btnStep.disabled = false; d.btnStop.disabled = true;
+            this.setStepButtons(true, false);
         } 
         else if (status === 'RUNNING') {
             d.btnPlay.disabled = true;
             d.btnPause.disabled = false; d.btnPause.innerHTML = iconPause; d.btnPause.title = "Pause";
             d.btnReplay.disabled = true; d.btnStep.disabled = true; d.btnStop.disabled = false;
+            this.setStepButtons(false, false);
         } 
         else if (status === 'PAUSED') {
             d.btnPlay.disabled = false; d.btnPlay.title = "Resume";
             d.btnPause.disabled = true; 
             d.btnReplay.disabled = !this.simulation.lastProcessedItem;
             d.btnStep.disabled = false; d.btnStop.disabled = false;
+            this.setStepButtons(true, true);
         }
+
+        // Custom events are fired into a run: a paused one gets them too, for the next steps
+        if (d.btnFireEvent && d.fireEventSelect) d.btnFireEvent.disabled = status === 'STOPPED' || !d.fireEventSelect.value;
+        // The play area only captures input during a run; the trace can't be scrubbed while running
+        if (this.playAreaPanel) this.playAreaPanel.render();
+        if (this.traceTimeline) this.traceTimeline.render();
+        if (this.callStackPanel && this.callStackPanel.isVisible) this.callStackPanel.render();
+    }
+
+    /** Enables Step Into and Step Over, and Step Out (which needs a paused run). */
+    setStepButtons(canStep, canStepOut) {
+        const d = this.dom;
+        if (d.btnStepInto) d.btnStepInto.disabled = !canStep;
+        if (d.btnStepOver) d.btnStepOver.disabled = !canStep;
+        if (d.btnStepOut) d.btnStepOut.disabled = !canStepOut;
+    }
+
+    /** Shows the game time of the current (or last) run next to the simulation controls. */
+    renderGameTime() {
+        if (this.dom.gameTime) this.dom.gameTime.innerText = `${this.simulation.clock.time.toFixed(2)} s`;
     }
 
     /**
@@ -287,5 +877,11 @@ class Editor {
     }
 }
 
+// Saved document identification (version 2 added user enums, version 3 user structs, version 4 user functions,
+// version 5 user macros, version 6 collapsed nodes, version 7 additional event graphs, version 8 custom events and dispatchers)
+Editor.DOCUMENT_FORMAT = 'bpgraph';
+Editor.DOCUMENT_VERSION = 8;
+Editor.FILE_EXTENSION = '.bpgraph.json';
+
 // Global Entry Point
 window.onload = () => { window.App = new Editor(); };
\ No newline at end of file
@@ -0,0 +1,418 @@
+/**
+ * EnumManager
+ * Manages the user-defined enums (Name + ordered entries) of the document.
+ * Every enum becomes a data type of its own (registered in window.typeDefinitions, see EnumTypes)
+ * edited with a dropdown, and gets a generated "Switch on <Enum>" node template.
+ * Editing an enum updates the pins, Switch nodes and variables that use it.
+ */
+class EnumManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.enums = []; // { name, entries: [String] }
+
+        // What registerTypes() added to the globals, so it can be replaced on the next change
+        this.registered = { types: [], conversions: [] };
+
+        // Headless runs (no DOM) only use the manager to register the document's enums
+        const hasDom = typeof document !== 'undefined';
+        this.ui = {
+            list: hasDom ? document.getElementById('enum-list') : null,
+            addBtn: hasDom ? document.getElementById('btn-add-enum') : null
+        };
+
+        if (this.ui.addBtn) this.ui.addBtn.onclick = () => this.addEnum();
+    }
+
+    findEnum(name) {
+        return this.enums.find(e => e.name === name) || null;
+    }
+
+    // --- EDITING ---
+
+    addEnum() {
+        let name = "NewEnum";
+        let count = 0;
+        while (this.isTypeNameTaken(name)) {
+            count++;
+            name = `NewEnum_${count}`;
+        }
+
+        this.enums.push({ name, entries: ["NewEnumerator0"] });
+        this.applyChanges(name);
+        this.editor.history.commit('Add Enum');
+    }
+
+    /**
+     * Deletes an enum. Refused while a node, a variable, a struct, a function, a macro, a custom event or a dispatcher still uses it.
+     */
+    deleteEnum(name) {
+        const { graphs, variableManager, structManager, functionManager, macroManager, customEventManager } = this.editor;
+        const nodeCount = graphs.reduce((count, graph) => count + graph.nodes.filter(n => this.isUsedByNode(n, name)).length, 0);
+        const variableCount = variableManager.variables.filter(v => this.usesEnum(v.type, name)).length;
+        const structCount = structManager ? structManager.structs.filter(s => this.usesEnum(s.name, name)).length : 0;
+        const functionCount = functionManager.countFunctionsUsing(type => this.usesEnum(type, name));
+        const macroCount = macroManager.countMacrosUsing(type => this.usesEnum(type, name));
+        const eventCount = customEventManager ? customEventManager.countEntriesUsing(type => this.usesEnum(type, name)) : 0;
+        if (nodeCount + variableCount + structCount + functionCount + macroCount + eventCount > 0) {
+            this.editor.notify(`Cannot delete ${name}: used by ${nodeCount} node(s), ${variableCount} variable(s), ${structCount} struct(s), ${functionCount} function(s), ${macroCount} macro(s) and ${eventCount} event(s) or dispatcher(s)`);
+            return;
+        }
+
+        this.enums = this.enums.filter(e => e.name !== name);
+        this.applyChanges(name);
+        this.editor.history.commit('Delete Enum');
+    }
+
+    /**
+     * Renames an enum, and with it every type that refers to it (pins, wires, variables, struct fields,
+     * function, macro, custom event and dispatcher parameters).
+     */
+    renameEnum(oldName, newName) {
+        const enumDef = this.findEnum(oldName);
+        newName = String(newName).trim();
+        if (!enumDef || newName === oldName) return;
+
+        if (!EnumManager.NAME_PATTERN.test(newName) || this.isTypeNameTaken(newName)) {
+            this.editor.notify(`"${newName}" is not a valid enum name or is already taken`);
+            this.renderList();
+            return;
+        }
+
+        enumDef.name = newName;
+        const rename = (type) => this.replaceInType(type, oldName, newName);
+
+        const { graphs, variableManager, structManager, functionManager, macroManager, customEventManager } = this.editor;
+        graphs.forEach(graph => {
+            graph.nodes.forEach(node => {
+                [...node.inputs, ...node.outputs].forEach(pin => {
+                    const newType = rename(pin.type);
+                    if (newType === pin.type) return;
+                    pin.type = newType;
+                    pin.dataType = newType;
+                });
+                // Switch nodes are restored from their template, which is found by name
+                if (this.isSwitchNode(node, newName)) node.name = EnumManager.switchNodeName(newName);
+            });
+            graph.connections.forEach(c => c.type = rename(c.type));
+        });
+        variableManager.variables.forEach(v => v.type = rename(v.type));
+        if (structManager) structManager.structs.forEach(s => s.fields.forEach(f => f.type = rename(f.type)));
+        functionManager.parameters.forEach(p => p.type = rename(p.type));
+        macroManager.parameters.forEach(p => p.type = rename(p.type));
+        if (customEventManager) customEventManager.parameters.forEach(p => p.type = rename(p.type));
+
+        this.applyChanges(newName);
+        this.editor.history.commit('Rename Enum');
+    }
+
+    addEntry(enumName) {
+        const enumDef = this.findEnum(enumName);
+        if (!enumDef) return;
+
+        let count = enumDef.entries.length;
+        while (enumDef.entries.includes(`NewEnumerator${count}`)) count++;
+        enumDef.entries.push(`NewEnumerator${count}`);
+
+        this.applyChanges(enumName);
+        this.editor.history.commit('Add Enum Entry');
+    }
+
+    /**
+     * Renames an entry. Values set to it (pin literals, variable defaults) and the wires of
+     * the matching Switch outputs follow the new name.
+     */
+    renameEntry(enumName, index, newEntry) {
+        const enumDef = this.findEnum(enumName);
+        if (!enumDef) return;
+        const oldEntry = enumDef.entries[index];
+        newEntry = String(newEntry).trim();
+        if (newEntry === oldEntry) return;
+
+        if (!newEntry || enumDef.entries.includes(newEntry)) {
+            this.editor.notify(`Entries of ${enumName} must have unique, non-empty names`);
+            this.renderList();
+            return;
+        }
+
+        enumDef.entries[index] = newEntry;
+        this.remapValues(enumName, value => value === oldEntry ? newEntry : value);
+        this.applyChanges(enumName, { [oldEntry]: newEntry });
+        this.editor.history.commit('Rename Enum Entry');
+    }
+
+    /**
+     * Removes an entry (an enum keeps at least one). Values set to it fall back to the first entry.
+     */
+    removeEntry(enumName, index) {
+        const enumDef = this.findEnum(enumName);
+        if (!enumDef) return;
+        if (enumDef.entries.length <= 1) {
+            this.editor.notify(`${enumName} needs at least one entry`);
+            return;
+        }
+
+        const [removed] = enumDef.entries.splice(index, 1);
+        this.remapValues(enumName, value => value === removed ? enumDef.entries[0] : value);
+        this.applyChanges(enumName);
+        this.editor.history.commit('Remove Enum Entry');
+    }
+
+    /**
+     * Moves an entry up (offset -1) or down (+1). Values are entry names, so only the
+     * order of the dropdowns, of the Switch outputs and of Enum to Int changes.
+     */
+    moveEntry(enumName, index, offset) {
+        const enumDef = this.findEnum(enumName);
+        const target = index + offset;
+        if (!enumDef || target < 0 || target >= enumDef.entries.length) return;
+
+        const entries = enumDef.entries;
+        [entries[index], entries[target]] = [entries[target], entries[index]];
+        this.applyChanges(enumName);
+        this.editor.history.commit('Reorder Enum Entries');
+    }
+
+    /**
+     * Re-registers the enums and brings the graph and the panels up to date after an edit.
+     * @param {String} enumName - The enum that changed (its new name, if it was renamed).
+     * @param {Object} [renamedEntries] - Old entry -> new entry, so Switch wires follow renames.
+     */
+    applyChanges(enumName, renamedEntries = {}) {
+        this.registerTypes();
+
+        const { graphs, renderer, variableManager, structManager, functionManager, macroManager, customEventManager } = this.editor;
+        // Struct fields may use the enum: their definitions and Make/Break templates follow
+        if (structManager) structManager.registerTypes();
+        // So do the templates of the functions, macros, custom events and dispatchers (parameter types)
+        if (functionManager) functionManager.registerTemplates();
+        if (macroManager) macroManager.registerTemplates();
+        if (customEventManager) customEventManager.registerTemplates();
+
+        const entries = window.EnumTypes.entries(enumName);
+        graphs.forEach(graph => graph.nodes.forEach(node => {
+            if (!this.isUsedByNode(node, enumName)) return;
+            if (this.isSwitchNode(node, enumName)) {
+                graph.replacePins(node.id, 'output', this.createSwitchOutputs(enumName), renamedEntries);
+            }
+            node.inputs.forEach(pin => {
+                if (pin.widget && pin.type === enumName) pin.widget.options = entries;
+            });
+            renderer.refreshNode(node);
+        }));
+
+        variableManager.renderList();
+        if (structManager) structManager.renderList();
+        if (functionManager) functionManager.renderList();
+        if (macroManager) macroManager.renderList();
+        if (customEventManager) customEventManager.renderList();
+        this.renderList();
+    }
+
+    /**
+     * Rewrites the literal values of an enum: input pin widgets and variable defaults,
+     * including the elements / keys of containers and the fields of structs holding the enum.
+     * @param {Function} mapEntry - Old entry -> new entry.
+     */
+    remapValues(enumName, mapEntry) {
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => node.inputs.forEach(pin => {
+            if (!pin.widget || !this.usesEnum(pin.type, enumName)) return;
+            pin.widget.value = this.mapEnumValue(pin.widget.value, pin.type, enumName, mapEntry);
+            pin.value = pin.widget.value;
+        })));
+        this.editor.variableManager.variables.forEach(v => {
+            if (this.usesEnum(v.type, enumName)) v.defaultValue = this.mapEnumValue(v.defaultValue, v.type, enumName, mapEntry);
+        });
+    }
+
+    // --- TYPES & TEMPLATES ---
+
+    /**
+     * Registers every enum as a type, with its Switch node template and its conversions
+     * (Enum to String / Enum to Int are spawned automatically), replacing the previous registration.
+     */
+    registerTypes() {
+        const definitions = window.typeDefinitions = window.typeDefinitions || {};
+        const conversions = window.nodeConversions = window.nodeConversions || {};
+
+        this.registered.types.forEach(name => delete definitions[name]);
+        this.registered.conversions.forEach(key => delete conversions[key]);
+        window.nodeTemplates = (window.nodeTemplates || []).filter(t => t.functionId !== 'Flow.SwitchOnEnum');
+        this.registered = { types: [], conversions: [] };
+
+        this.enums.forEach(enumDef => {
+            definitions[enumDef.name] = { name: enumDef.name, color: "var(--c-enum)", widget: "dropdown", entries: [...enumDef.entries] };
+            this.registered.types.push(enumDef.name);
+
+            conversions[`${enumDef.name}->string`] = "Enum to String";
+            conversions[`${enumDef.name}->int`] = "Enum to Int";
+            this.registered.conversions.push(`${enumDef.name}->string`, `${enumDef.name}->int`);
+
+            window.nodeTemplates.push(this.createSwitchTemplate(enumDef.name));
+        });
+    }
+
+    createSwitchTemplate(enumName) {
+        return {
+            name: EnumManager.switchNodeName(enumName),
+            category: "Flow Control",
+            color: "var(--n-event)",
+            functionId: "Flow.SwitchOnEnum",
+            inputs: [
+                { name: "Exec", type: "exec" },
+                { name: "Selection", type: enumName }
+            ],
+            outputs: this.createSwitchOutputs(enumName)
+        };
+    }
+
+    /** One exec output per entry, named after it. */
+    createSwitchOutputs(enumName) {
+        const enumDef = this.findEnum(enumName);
+        return (enumDef ? enumDef.entries : []).map(entry => ({ name: entry, type: "exec" }));
+    }
+
+    isSwitchNode(node, enumName) {
+        return node.functionId === 'Flow.SwitchOnEnum' && !!node.inputs[1] && node.inputs[1].type === enumName;
+    }
+
+    isUsedByNode(node, enumName) {
+        return [...node.inputs, ...node.outputs].some(pin => this.usesEnum(pin.type, enumName));
+    }
+
+    /** @returns {Boolean} True if a type is the enum, a container of it or a user struct with a field that uses it. */
+    usesEnum(type, enumName) {
+        const { ArrayTypes, SetTypes, MapTypes, StructTypes } = window;
+        if (ArrayTypes.isArray(type)) return this.usesEnum(ArrayTypes.elementType(type), enumName);
+        if (SetTypes.isSet(type)) return this.usesEnum(SetTypes.elementType(type), enumName);
+        if (MapTypes.isMap(type)) return this.usesEnum(MapTypes.keyType(type), enumName) || this.usesEnum(MapTypes.valueType(type), enumName);
+        if (StructTypes.isUserStruct(type)) return Pin.getStructFields(type).some(f => this.usesEnum(f.type, enumName));
+        return type === enumName;
+    }
+
+    /** @returns {String} The type with every occurrence of one enum replaced by another. */
+    replaceInType(type, oldName, newName) {
+        const { ArrayTypes, SetTypes, MapTypes } = window;
+        const replace = (t) => this.replaceInType(t, oldName, newName);
+        if (ArrayTypes.isArray(type)) return ArrayTypes.of(replace(ArrayTypes.elementType(type)));
+        if (SetTypes.isSet(type)) return SetTypes.of(replace(SetTypes.elementType(type)));
+        if (MapTypes.isMap(type)) return MapTypes.of(replace(MapTypes.keyType(type)), replace(MapTypes.valueType(type)));
+        return type === oldName ? newName : type;
+    }
+
+    /** Applies mapEntry to the enum values held by a value of the given type. */
+    mapEnumValue(value, type, enumName, mapEntry) {
+        const { ArrayTypes, SetTypes, MapTypes, StructTypes } = window;
+        const map = (v, t) => this.usesEnum(t, enumName) ? this.mapEnumValue(v, t, enumName, mapEntry) : v;
+        if (type === enumName) return mapEntry(value);
+
+        if (StructTypes.isUserStruct(type)) {
+            if (!value || typeof value !== 'object') return value;
+            const mapped = { ...value };
+            Pin.getStructFields(type).forEach(f => mapped[f.key] = map(value[f.key], f.type));
+            return mapped;
+        }
+        if (!Array.isArray(value)) return value;
+
+        if (ArrayTypes.isArray(type) || SetTypes.isSet(type)) {
+            const elementType = ArrayTypes.isArray(type) ? ArrayTypes.elementType(type) : SetTypes.elementType(type);
+            return value.map(item => map(item, elementType));
+        }
+        if (MapTypes.isMap(type)) {
+            return value.map(entry => ({
+                key: map(entry.key, MapTypes.keyType(type)),
+                value: map(entry.value, MapTypes.valueType(type))
+            }));
+        }
+        return value;
+    }
+
+    isTypeNameTaken(name) {
+        return !!(window.typeDefinitions || {})[name];
+    }
+
+    // --- PANEL ---
+
+    renderList() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+
+        this.enums.forEach(enumDef => {
+            const row = document.createElement('div');
+            row.className = 'enum-row';
+
+            const header = document.createElement('div');
+            header.className = 'enum-header';
+
+                const nameInput = document.createElement('input');
+                nameInput.value = enumDef.name;
+                nameInput.className = 'var-name';
+                nameInput.onchange = (e) => this.renameEnum(enumDef.name, e.target.value);
+
+                const delBtn = document.createElement('button');
+                delBtn.innerText = '×';
+                delBtn.className = 'var-del';
+                delBtn.title = 'Delete Enum';
+                delBtn.onclick = () => this.deleteEnum(enumDef.name);
+
+            header.append(nameInput, delBtn);
+            row.appendChild(header);
+
+            enumDef.entries.forEach((entry, index) => {
+                const entryRow = document.createElement('div');
+                entryRow.className = 'enum-entry';
+
+                const entryInput = document.createElement('input');
+                entryInput.value = entry;
+                entryInput.className = 'enum-entry-name';
+                entryInput.onchange = (e) => this.renameEntry(enumDef.name, index, e.target.value);
+
+                const upBtn = this.createEntryButton('↑', 'Move Up', () => this.moveEntry(enumDef.name, index, -1));
+                upBtn.disabled = index === 0;
+                const removeBtn = this.createEntryButton('×', 'Remove Entry', () => this.removeEntry(enumDef.name, index));
+
+                entryRow.append(entryInput, upBtn, removeBtn);
+                row.appendChild(entryRow);
+            });
+
+            row.appendChild(this.createEntryButton('+ Entry', 'Add Entry', () => this.addEntry(enumDef.name)));
+            this.ui.list.appendChild(row);
+        });
+    }
+
+    createEntryButton(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'enum-entry-btn';
+        btn.innerText = text;
+        btn.title = title;
+        btn.onclick = onClick;
+        return btn;
+    }
+
+    // --- DOCUMENT ---
+
+    /**
+     * Serializes the enum definitions for saving.
+     * @returns {Array<Object>} Deep copies of { name, entries }.
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.enums));
+    }
+
+    /**
+     * Replaces all enums (used when opening a saved document). Must run before the variables
+     * and the graph are loaded, since their types refer to the enums.
+     * @param {Array<Object>} savedEnums - The list produced by toJSON().
+     */
+    loadEnums(savedEnums) {
+        this.enums = (savedEnums || [])
+            .filter(e => e && e.name && Array.isArray(e.entries) && e.entries.length > 0)
+            .map(e => ({ name: e.name, entries: e.entries.map(String) }));
+        this.registerTypes();
+        this.renderList();
+    }
+}
+
+// Enum names become type identifiers: no spaces or container syntax
+EnumManager.NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+EnumManager.switchNodeName = (enumName) => `Switch on ${enumName}`;
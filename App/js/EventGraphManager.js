@@ -0,0 +1,130 @@
+/**
+ * EventGraphManager
+ * Manages the event graphs of the document. The first one is the blueprint's main event graph
+ * (the editor's `graph`): it always exists and keeps its name. Users may add more event graphs to
+ * split their events by topic; every event graph runs as part of the same blueprint (same variables,
+ * functions and macros, and every "Event BeginPlay" fires when the simulation starts).
+ */
+class EventGraphManager {
+    /**
+     * @param {Editor|null} editor - null for headless runs.
+     * @param {Graph} [mainGraph] - The main event graph (defaults to the editor's).
+     */
+    constructor(editor, mainGraph = null) {
+        this.editor = editor;
+        // { name, graph: Graph }, the main event graph first
+        this.eventGraphs = [{ name: EventGraphManager.MAIN_GRAPH_NAME, graph: mainGraph || editor.graph }];
+    }
+
+    /** @returns {Graph} The main event graph. */
+    get mainGraph() {
+        return this.eventGraphs[0].graph;
+    }
+
+    /** @returns {Array<Graph>} Every event graph, the main one first. */
+    get graphs() {
+        return this.eventGraphs.map(e => e.graph);
+    }
+
+    findEventGraph(name) {
+        return this.eventGraphs.find(e => e.name === name) || null;
+    }
+
+    /** @returns {Object|null} The event graph entry of a graph (null for function, macro and collapsed graphs). */
+    findEventGraphOf(graph) {
+        return this.eventGraphs.find(e => e.graph === graph) || null;
+    }
+
+    /** @returns {Boolean} True for the main event graph, which cannot be renamed or deleted. */
+    isMainGraph(name) {
+        return name === EventGraphManager.MAIN_GRAPH_NAME;
+    }
+
+    // --- EDITING ---
+
+    addEventGraph() {
+        const entry = { name: this.createUniqueName("NewEventGraph"), graph: new Graph() };
+        entry.graph.pan = { x: 100, y: 100 };
+        this.eventGraphs.push(entry);
+
+        this.editor.history.commit('Add Event Graph');
+        this.editor.showGraph(entry.graph);
+    }
+
+    /**
+     * Deletes an event graph and its nodes. The main event graph cannot be deleted.
+     */
+    deleteEventGraph(name) {
+        const entry = this.findEventGraph(name);
+        if (!entry) return;
+        if (this.isMainGraph(name)) {
+            this.editor.notify(`${name} is the main event graph: it cannot be deleted`);
+            return;
+        }
+
+        const wasShown = this.editor.collapsedGraphManager.locate(this.editor.activeGraph).root === entry.graph;
+        this.eventGraphs = this.eventGraphs.filter(e => e !== entry);
+        if (wasShown) this.editor.showGraph(this.mainGraph);
+        this.editor.history.commit('Delete Event Graph');
+    }
+
+    renameEventGraph(oldName, newName) {
+        const entry = this.findEventGraph(oldName);
+        newName = String(newName).trim();
+        if (!entry || newName === oldName) return;
+
+        if (this.isMainGraph(oldName) || !EventGraphManager.NAME_PATTERN.test(newName) || this.findEventGraph(newName)) {
+            this.editor.notify(`"${newName}" is not a valid event graph name or is already taken`);
+            return;
+        }
+
+        entry.name = newName;
+        this.editor.updateGraphTitle();
+        this.editor.history.commit('Rename Event Graph');
+    }
+
+    createUniqueName(baseName) {
+        let name = baseName;
+        let count = 0;
+        while (this.findEventGraph(name)) {
+            count++;
+            name = `${baseName}_${count}`;
+        }
+        return name;
+    }
+
+    // --- DOCUMENT ---
+
+    /**
+     * Serializes the event graphs besides the main one (the document stores that one as its 'graph').
+     * @returns {Array<Object>} { name, graph } with the graph as Graph.toJSON().
+     */
+    toJSON() {
+        return this.eventGraphs.slice(1).map(entry => ({ name: entry.name, graph: entry.graph.toJSON() }));
+    }
+
+    /**
+     * Replaces the event graphs besides the main one (used when opening a saved document).
+     * The Graph of an event graph that keeps its name is reused, so views holding it stay valid.
+     * @param {Array<Object>} savedEventGraphs - The list produced by toJSON().
+     * @param {Function} resolveTemplate - (nodeData) => template, see Graph.fromJSON().
+     * @returns {Array<Object>} Serialized nodes that could not be restored (no matching template).
+     */
+    loadEventGraphs(savedEventGraphs, resolveTemplate) {
+        const previousGraphs = new Map(this.eventGraphs.map(entry => [entry.name, entry.graph]));
+        const saved = (savedEventGraphs || []).filter((e, i, all) =>
+            e && e.name && !this.isMainGraph(e.name) && all.findIndex(other => other && other.name === e.name) === i);
+        const skipped = [];
+
+        this.eventGraphs = [this.eventGraphs[0], ...saved.map(e => ({ name: e.name, graph: previousGraphs.get(e.name) || new Graph() }))];
+        this.eventGraphs.slice(1).forEach((entry, i) => {
+            skipped.push(...entry.graph.fromJSON(saved[i].graph || {}, resolveTemplate));
+        });
+        return skipped;
+    }
+}
+
+EventGraphManager.MAIN_GRAPH_NAME = "EventGraph";
+
+// Same rule as the other user-defined names
+EventGraphManager.NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
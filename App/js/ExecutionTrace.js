@@ -0,0 +1,200 @@
+/**
+ * ExecutionTrace
+ * Record of a run, step by step (see Simulation 'recordTrace'): the node each exec step ran, at what
+ * game time, the nodes it evaluated, every pin value, the variables it wrote and the errors it raised.
+ * It lets the editor show the state of the run as of any earlier step (see stateAt and TraceTimeline),
+ * and is saved as plain JSON (toJSON / fromJSON) to be attached to bug reports.
+ *
+ * Nodes are referred to by graph (an index into 'graphs', which describes each graph of the document
+ * the way Simulation.describeGraph does) and node ID. Only the last 'limit' steps are kept: older steps
+ * are folded into 'initial', the state before the first step kept.
+ */
+class ExecutionTrace {
+    /**
+     * @param {Object} [variables] - The values of the variables when the run starts.
+     * @param {Object} [options]
+     * @param {number} [options.limit=ExecutionTrace.DEFAULT_LIMIT] - Steps kept. 0 = unlimited.
+     */
+    constructor(variables = {}, options = {}) {
+        this.limit = options.limit !== undefined ? options.limit : ExecutionTrace.DEFAULT_LIMIT;
+
+        // Graph descriptors ({ kind, name } or { kind: 'collapsed', parent, nodeId }), referenced by index
+        this.graphs = [];
+
+        // State before the first step kept: variable values, and the last value of each pin
+        this.initial = { variables: ExecutionTrace.copyVariables(variables), pins: [] };
+
+        // { step, time, frame, graph, nodeId, node, nodes: [{ graph, nodeId }],
+        //   pins: [{ graph, nodeId, dir, pin, value }], variables: { name: value }, errors: [{ graph, nodeId, node, message }] }
+        this.steps = [];
+
+        // Variable values as of the last step, to tell which ones the current step writes
+        this.lastVariables = ExecutionTrace.copyVariables(variables);
+    }
+
+    /** @returns {Object|null} The step being recorded (the last one). */
+    get currentStep() {
+        return this.steps.length > 0 ? this.steps[this.steps.length - 1] : null;
+    }
+
+    /** @returns {number} The number of the last step (0 if there is none). */
+    get lastStepNumber() {
+        return this.steps.length > 0 ? this.currentStep.step : 0;
+    }
+
+    /** @returns {number} The number of the first step kept (1 unless older steps were dropped). */
+    get firstStepNumber() {
+        return this.steps.length > 0 ? this.steps[0].step : 0;
+    }
+
+    /** @returns {Object|null} The step of that number, if it is kept. */
+    getStep(stepNumber) {
+        return this.steps[stepNumber - this.firstStepNumber] || null;
+    }
+
+    /**
+     * @param {Object} descriptor - A graph descriptor (see Simulation.describeGraph).
+     * @returns {number} Its index in 'graphs' (added if new).
+     */
+    graphIndex(descriptor) {
+        const key = JSON.stringify(descriptor);
+        let index = this.graphs.findIndex(g => JSON.stringify(g) === key);
+        if (index === -1) {
+            index = this.graphs.length;
+            this.graphs.push(descriptor);
+        }
+        return index;
+    }
+
+    // --- RECORDING ---
+
+    /**
+     * Starts a new step (the variables written by the previous one are recorded first).
+     * @param {Object} step - { time, frame, graph, nodeId, node }: when, and which node runs.
+     * @param {Object} variables - The current variable values.
+     */
+    startStep(step, variables) {
+        this.recordVariables(variables);
+        this.steps.push({
+            step: this.lastStepNumber + 1, time: step.time, frame: step.frame,
+            graph: step.graph, nodeId: step.nodeId, node: step.node,
+            nodes: [], pins: [], variables: {}, errors: []
+        });
+        if (this.limit > 0 && this.steps.length > this.limit) ExecutionTrace.applyStep(this.initial, this.steps.shift());
+    }
+
+    /** Records that a node ran during the current step (the step's node, or a pure node it pulled). */
+    recordNode(graph, nodeId) {
+        const step = this.currentStep;
+        if (step && !step.nodes.some(n => n.graph === graph && n.nodeId === nodeId)) step.nodes.push({ graph, nodeId });
+    }
+
+    /** Records the value a pin carried during the current step (the last one recorded for a pin wins). */
+    recordPin(graph, nodeId, dir, pin, value) {
+        const step = this.currentStep;
+        if (!step) return;
+        const record = { graph, nodeId, dir, pin, value: copyValue(value) };
+        const index = step.pins.findIndex(p => p.graph === graph && p.nodeId === nodeId && p.dir === dir && p.pin === pin);
+        if (index === -1) step.pins.push(record);
+        else step.pins[index] = record;
+    }
+
+    recordError(graph, nodeId, node, message) {
+        const step = this.currentStep;
+        if (step) step.errors.push({ graph, nodeId, node, message });
+    }
+
+    /**
+     * Records, on the current step, the variables whose value changed since the last call.
+     * @param {Object} variables - The current variable values.
+     */
+    recordVariables(variables) {
+        const step = this.currentStep;
+        Object.keys(variables).forEach(name => {
+            const value = JSON.stringify(variables[name]);
+            if (JSON.stringify(this.lastVariables[name]) === value) return;
+            this.lastVariables[name] = copyValue(variables[name]);
+            if (step) step.variables[name] = copyValue(variables[name]);
+            else this.initial.variables[name] = copyValue(variables[name]);
+        });
+    }
+
+    // --- REPLAY ---
+
+    /**
+     * The state of the run right after a step.
+     * @param {number} stepNumber - A step number between firstStepNumber and lastStepNumber.
+     * @returns {{step: Object|null, variables: Object, pins: Array<Object>, errors: Array<Object>}} The step, the
+     *   variable values, the last value of each pin ({ graph, nodeId, dir, pin, value }) and the errors raised so far.
+     */
+    stateAt(stepNumber) {
+        const state = { variables: { ...this.initial.variables }, pins: this.initial.pins.slice(), errors: [] };
+        let step = null;
+        for (const s of this.steps) {
+            if (s.step > stepNumber) break;
+            ExecutionTrace.applyStep(state, s);
+            step = s;
+        }
+        return { ...state, step };
+    }
+
+    /** Applies what a step did to a state (see stateAt). */
+    static applyStep(state, step) {
+        Object.assign(state.variables, step.variables);
+        step.pins.forEach(record => {
+            const index = state.pins.findIndex(p => p.graph === record.graph && p.nodeId === record.nodeId && p.dir === record.dir && p.pin === record.pin);
+            if (index === -1) state.pins.push(record);
+            else state.pins[index] = record;
+        });
+        if (state.errors) state.errors.push(...step.errors);
+    }
+
+    // --- SERIALIZATION ---
+
+    toJSON() {
+        return {
+            format: ExecutionTrace.FORMAT,
+            version: ExecutionTrace.VERSION,
+            graphs: this.graphs,
+            initial: this.initial,
+            steps: this.steps
+        };
+    }
+
+    /**
+     * Rebuilds a trace saved with toJSON().
+     * @throws {Error} If the data is not a trace, or was written by a newer version.
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== ExecutionTrace.FORMAT || !Array.isArray(data.steps) || !Array.isArray(data.graphs)) {
+            throw new Error("Not an execution trace.");
+        }
+        if (data.version > ExecutionTrace.VERSION) {
+            throw new Error(`Trace version ${data.version} is newer than supported (${ExecutionTrace.VERSION}).`);
+        }
+        const trace = new ExecutionTrace({}, { limit: 0 });
+        trace.graphs = data.graphs;
+        trace.initial = { variables: (data.initial && data.initial.variables) || {}, pins: (data.initial && data.initial.pins) || [] };
+        trace.steps = data.steps.map(step => ({
+            ...step, nodes: step.nodes || [], pins: step.pins || [], variables: step.variables || {}, errors: step.errors || []
+        }));
+        trace.lastVariables = trace.stateAt(trace.lastStepNumber).variables;
+        return trace;
+    }
+
+    static copyVariables(variables) {
+        const copy = {};
+        Object.keys(variables).forEach(name => copy[name] = copyValue(variables[name]));
+        return copy;
+    }
+}
+
+// Identifies trace files
+ExecutionTrace.FORMAT = "bpgraph-trace";
+ExecutionTrace.VERSION = 1;
+
+// Steps kept by default (older ones are folded into the initial state)
+ExecutionTrace.DEFAULT_LIMIT = 5000;
+
+// Extension of exported trace files
+ExecutionTrace.FILE_EXTENSION = ".trace.json";
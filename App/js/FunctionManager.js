@@ -0,0 +1,681 @@
+/**
+ * FunctionManager
+ * Manages the user-defined functions of the document. A function has typed inputs and outputs,
+ * local variables and a graph of its own, which starts at its Entry node and ends at a Return node.
+ * Every function gets a generated call node template (category "Functions"); when a call node runs,
+ * the Simulation executes the function's graph on a new frame of its call stack.
+ * Pure functions have no exec pins: calling one evaluates the values wired into its Return node.
+ * Editing a signature updates the call, Entry, Return and local variable nodes of every graph.
+ */
+class FunctionManager {
+    /**
+     * @param {Editor|null} editor - null for headless runs.
+     * @param {VariableManager} [variableManager] - Resolves the other nodes of the function graphs
+     *   (defaults to the editor's).
+     */
+    constructor(editor, variableManager = null) {
+        this.editor = editor;
+        this.variableManager = variableManager || (editor ? editor.variableManager : null);
+        this.functions = []; // { name, pure, inputs: [{ name, type }], outputs: [...], locals: [...], graph: Graph }
+
+        // Headless runs (no DOM) only use the manager to hold the document's functions
+        const hasDom = typeof document !== 'undefined';
+        this.ui = {
+            list: hasDom ? document.getElementById('function-list') : null,
+            addBtn: hasDom ? document.getElementById('btn-add-function') : null
+        };
+
+        if (this.ui.addBtn) this.ui.addBtn.onclick = () => this.addFunction();
+    }
+
+    findFunction(name) {
+        return this.functions.find(f => f.name === name) || null;
+    }
+
+    /** @returns {Object|null} The function a graph belongs to (null for the event graph). */
+    findFunctionOfGraph(graph) {
+        return this.functions.find(f => f.graph === graph) || null;
+    }
+
+    /** @returns {Array<Graph>} The graph of every function. */
+    get graphs() {
+        return this.functions.map(f => f.graph);
+    }
+
+    /** @returns {Array<Object>} Every input, output and local variable of every function. */
+    get parameters() {
+        return this.functions.flatMap(fn => [...fn.inputs, ...fn.outputs, ...fn.locals]);
+    }
+
+    /** @returns {Number} How many functions have a parameter whose type matches the predicate. */
+    countFunctionsUsing(usesType) {
+        return this.functions.filter(fn => [...fn.inputs, ...fn.outputs, ...fn.locals].some(p => usesType(p.type))).length;
+    }
+
+    // --- EDITING ---
+
+    addFunction() {
+        const fn = this.createFunction(this.createUniqueName("NewFunction"));
+        const { entry, returnNode } = this.createBoundaryNodes(fn, { x: 0, y: 0 }, { x: 400, y: 0 });
+        fn.graph.addConnection(entry.id, 0, returnNode.id, 0, 'exec');
+        fn.graph.pan = { x: 100, y: 100 };
+
+        this.renderList();
+        this.editor.history.commit('Add Function');
+        this.editor.showGraph(fn.graph);
+    }
+
+    /**
+     * Deletes a function. Refused while call nodes outside of its own graph still use it.
+     */
+    deleteFunction(name) {
+        const fn = this.findFunction(name);
+        if (!fn) return;
+
+        const callCount = this.editor.graphs
+            .filter(graph => graph !== fn.graph)
+            .reduce((count, graph) => count + graph.nodes.filter(n => this.isCallNode(n, name)).length, 0);
+        if (callCount > 0) {
+            this.editor.notify(`Cannot delete ${name}: called by ${callCount} node(s)`);
+            return;
+        }
+
+        const wasShown = this.editor.activeGraph === fn.graph;
+        this.functions = this.functions.filter(f => f !== fn);
+        this.registerTemplates();
+        this.renderList();
+        if (wasShown) this.editor.showGraph(this.editor.graph);
+        this.editor.history.commit('Delete Function');
+    }
+
+    /**
+     * Renames a function, its call nodes and its Entry node.
+     */
+    renameFunction(oldName, newName) {
+        const fn = this.findFunction(oldName);
+        newName = String(newName).trim();
+        if (!fn || newName === oldName) return;
+
+        if (!FunctionManager.NAME_PATTERN.test(newName) || this.isNameTaken(newName)) {
+            this.editor.notify(`"${newName}" is not a valid function name or is already taken`);
+            this.renderList();
+            return;
+        }
+
+        fn.name = newName;
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+            // Call nodes are restored from their template, which is found by name
+            if (this.isCallNode(node, oldName)) node.name = newName;
+            if (graph === fn.graph && node.functionId === 'Function.Entry') node.name = newName;
+        }));
+
+        this.applyChanges(newName);
+        this.editor.updateGraphTitle();
+        this.editor.history.commit('Rename Function');
+    }
+
+    /**
+     * Makes a function pure (no exec pins, evaluated on demand) or impure. The exec wires of its
+     * call nodes are removed when it becomes pure.
+     */
+    setPure(name, pure) {
+        const fn = this.findFunction(name);
+        if (!fn || fn.pure === !!pure) return;
+
+        fn.pure = !!pure;
+        this.applyChanges(name);
+        this.editor.history.commit(pure ? 'Make Function Pure' : 'Make Function Impure');
+    }
+
+    /**
+     * Adds an input, an output or a local variable to a function.
+     * @param {String} kind - 'inputs', 'outputs' or 'locals'.
+     */
+    addParameter(functionName, kind) {
+        const fn = this.findFunction(functionName);
+        if (!fn) return;
+
+        const baseName = FunctionManager.PARAMETER_KINDS[kind].baseName;
+        let name = baseName;
+        let count = 0;
+        while (!this.isParameterNameFree(fn, kind, name)) {
+            count++;
+            name = `${baseName}_${count}`;
+        }
+
+        fn[kind].push({ name, type: "boolean" });
+        this.applyChanges(functionName);
+        this.editor.history.commit(`Add ${FunctionManager.PARAMETER_KINDS[kind].label}`);
+    }
+
+    /**
+     * Renames an input, an output or a local variable. Wires of the matching pins follow the new name.
+     */
+    renameParameter(functionName, kind, index, newName) {
+        const fn = this.findFunction(functionName);
+        if (!fn) return;
+        const oldName = fn[kind][index].name;
+        newName = String(newName).trim();
+        if (newName === oldName) return;
+
+        if (!newName || !this.isParameterNameFree(fn, kind, newName)) {
+            this.editor.notify(`"${newName}" is not a valid name or is already taken in ${functionName}`);
+            this.renderList();
+            return;
+        }
+
+        fn[kind][index].name = newName;
+        if (kind === 'locals') {
+            fn.graph.nodes.forEach(node => {
+                if (this.isLocalNode(node, oldName)) node.varName = newName;
+            });
+        }
+
+        this.applyChanges(functionName, { [kind]: { [oldName]: newName } });
+        this.editor.history.commit(`Rename ${FunctionManager.PARAMETER_KINDS[kind].label}`);
+    }
+
+    /**
+     * Changes the type of an input, an output or a local variable. Wires that no longer match are removed.
+     */
+    retypeParameter(functionName, kind, index, newType) {
+        const fn = this.findFunction(functionName);
+        if (!fn || fn[kind][index].type === newType) return;
+
+        fn[kind][index].type = newType;
+        this.applyChanges(functionName);
+        this.editor.history.commit(`Change ${FunctionManager.PARAMETER_KINDS[kind].label} Type`);
+    }
+
+    /**
+     * Removes an input, an output or a local variable (and the Get/Set nodes of a local variable).
+     */
+    removeParameter(functionName, kind, index) {
+        const fn = this.findFunction(functionName);
+        if (!fn) return;
+
+        const [removed] = fn[kind].splice(index, 1);
+        if (kind === 'locals') {
+            const nodeIds = fn.graph.nodes.filter(n => this.isLocalNode(n, removed.name)).map(n => n.id);
+            this.removeNodes(fn.graph, nodeIds);
+        }
+
+        this.applyChanges(functionName);
+        this.editor.history.commit(`Remove ${FunctionManager.PARAMETER_KINDS[kind].label}`);
+    }
+
+    /**
+     * Re-registers the call templates and rebuilds the pins of the nodes generated from a function
+     * (call nodes in every graph; Entry, Return and local variable nodes in its own graph).
+     * Wires whose two ends had the same type before the edit but not after it are removed.
+     * @param {String} functionName - The function that changed (its new name, if it was renamed).
+     * @param {Object} [renamedParameters] - Per kind ('inputs', 'outputs', 'locals'): old name -> new name.
+     */
+    applyChanges(functionName, renamedParameters = {}) {
+        this.registerTemplates();
+
+        const fn = this.findFunction(functionName);
+        const renderer = this.editor.renderer;
+        let removedWires = 0;
+
+        this.editor.graphs.forEach(graph => {
+            const changedNodes = graph.nodes.filter(node =>
+                this.isCallNode(node, functionName) || (graph === fn.graph && this.isGeneratedNode(node)));
+            const matchedBefore = graph.findMatchingConnections(changedNodes.map(n => n.id));
+
+            changedNodes.forEach(node => this.rebuildPins(graph, node, fn, renamedParameters));
+
+            removedWires += graph.removeMismatchedConnections(matchedBefore);
+            changedNodes.forEach(node => renderer.refreshNode(node));
+        });
+
+        if (removedWires > 0) this.editor.notify(`Removed ${removedWires} wire(s) that no longer match ${functionName}`);
+        renderer.render();
+        this.renderList();
+    }
+
+    /**
+     * Replaces the pins of a node generated from a function by the ones of its current signature.
+     * Split pins are recombined first: the split layout may not exist anymore.
+     */
+    rebuildPins(graph, node, fn, renamedParameters) {
+        ['input', 'output'].forEach(direction => {
+            let pin;
+            while ((pin = (direction === 'input' ? node.inputs : node.outputs).find(p => p.split))) {
+                graph.recombinePin(node.id, pin.index, direction);
+            }
+        });
+
+        if (node.functionId === 'Function.Call') {
+            const template = this.createCallTemplate(fn);
+            graph.replacePins(node.id, 'input', template.inputs, renamedParameters.inputs);
+            graph.replacePins(node.id, 'output', template.outputs, renamedParameters.outputs);
+        } else if (node.functionId === 'Function.Entry') {
+            graph.replacePins(node.id, 'output', this.createEntryTemplate(fn).outputs, renamedParameters.inputs);
+        } else if (node.functionId === 'Function.Return') {
+            graph.replacePins(node.id, 'input', this.createReturnTemplate(fn).inputs, renamedParameters.outputs);
+        } else {
+            const template = this.createLocalTemplate(fn, node.varName, node.functionId === 'Local.Set');
+            if (!template) return;
+            node.color = template.color;
+            graph.replacePins(node.id, 'input', template.inputs, renamedParameters.locals);
+            graph.replacePins(node.id, 'output', template.outputs, renamedParameters.locals);
+        }
+    }
+
+    /**
+     * Removes nodes from a graph, and their elements if the graph is the one shown.
+     */
+    removeNodes(graph, nodeIds) {
+        nodeIds.forEach(id => {
+            graph.removeNode(id);
+            if (this.editor.activeGraph !== graph) return;
+            const el = document.getElementById(`node-${id}`);
+            if (el) el.remove();
+        });
+    }
+
+    // --- COLLAPSE TO FUNCTION ---
+
+    /**
+     * Turns nodes of a graph into a new function: they move into the function's graph, between its
+     * Entry and Return nodes, and a call node takes their place. Wires crossing the selection become
+     * parameters: one input per outside pin read by the nodes, one output per pin of the nodes read
+     * outside. Exec wires may enter the selection through one pin and leave it through one pin;
+     * a selection without exec pins becomes a pure function.
+     * @param {Graph} graph - The graph holding the nodes.
+     * @param {Array<Number>} nodeIds - The nodes to collapse.
+     * @returns {GraphNode|null} The call node, or null if the nodes cannot be collapsed.
+     */
+    collapseNodes(graph, nodeIds) {
+        const ids = new Set(nodeIds);
+        const nodes = graph.nodes.filter(n => ids.has(n.id));
+        if (nodes.length === 0) return null;
+
+        // Events, the boundaries of the graph and local variables belong to the graph itself
+        const isEvent = (n) => !n.inputs.some(p => p.type === 'exec') && n.outputs.some(p => p.type === 'exec');
+        const blocker = nodes.find(n => isEvent(n) || CollapsedGraphManager.GRAPH_BOUND_IDS.includes(n.functionId));
+        if (blocker) {
+            this.editor.notify(`Cannot collapse ${blocker.name || 'a local variable'} into a function`);
+            return null;
+        }
+
+        const incoming = graph.connections.filter(c => ids.has(c.toNode) && !ids.has(c.fromNode));
+        const outgoing = graph.connections.filter(c => ids.has(c.fromNode) && !ids.has(c.toNode));
+        const internal = graph.connections.filter(c => ids.has(c.fromNode) && ids.has(c.toNode));
+        const groupBy = (connections, keyOf) => {
+            const groups = new Map();
+            connections.forEach(c => {
+                const key = keyOf(c);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(c);
+            });
+            return [...groups.values()];
+        };
+
+        const execIn = groupBy(incoming.filter(c => c.type === 'exec'), c => `${c.toNode}:${c.toPin}`);
+        const execOut = groupBy(outgoing.filter(c => c.type === 'exec'), c => `${c.fromNode}:${c.fromPin}`);
+        if (execIn.length > 1 || execOut.length > 1) {
+            this.editor.notify('Collapse to Function needs a single exec input and a single exec output');
+            return null;
+        }
+        const dataIn = groupBy(incoming.filter(c => c.type !== 'exec'), c => `${c.fromNode}:${c.fromPin}:${c.type}`);
+        const dataOut = groupBy(outgoing.filter(c => c.type !== 'exec'), c => `${c.fromNode}:${c.fromPin}`);
+
+        const hasExecPins = nodes.some(n => [...n.inputs, ...n.outputs].some(p => p.type === 'exec'));
+        const fn = this.createFunction(this.createUniqueName("NewFunction"), !hasExecPins);
+        const addParameter = (kind, pin, type) => {
+            const baseName = (pin && pin.name) || 'Value';
+            let name = baseName;
+            let count = 0;
+            while (!this.isParameterNameFree(fn, kind, name)) {
+                count++;
+                name = `${baseName}_${count}`;
+            }
+            fn[kind].push({ name, type });
+        };
+        dataIn.forEach(group => addParameter('inputs', graph.findPin(group[0].toNode, 'input', group[0].toPin), group[0].type));
+        dataOut.forEach(group => addParameter('outputs', graph.findPin(group[0].fromNode, 'output', group[0].fromPin), group[0].type));
+        this.registerTemplates();
+
+        // Move the nodes, keeping their layout, between the Entry and Return nodes
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x));
+        const minY = Math.min(...nodes.map(n => n.y));
+        const { entry, returnNode } = this.createBoundaryNodes(fn, { x: minX - 300, y: minY }, { x: maxX + 350, y: minY });
+        fn.graph.pan = { x: 400 - minX, y: 100 - minY };
+
+        this.removeNodes(graph, nodes.map(n => n.id));
+        const idMap = new Map();
+        nodes.forEach(node => {
+            const oldId = node.id;
+            idMap.set(oldId, fn.graph.adoptNode(node));
+        });
+        internal.forEach(c => fn.graph.addConnection(idMap.get(c.fromNode), c.fromPin, idMap.get(c.toNode), c.toPin, c.type));
+
+        if (execIn.length > 0) fn.graph.addConnection(entry.id, 0, idMap.get(execIn[0][0].toNode), execIn[0][0].toPin, 'exec');
+        if (execOut.length > 0) fn.graph.addConnection(idMap.get(execOut[0][0].fromNode), execOut[0][0].fromPin, returnNode.id, 0, 'exec');
+        else if (execIn.length === 0) fn.graph.addConnection(entry.id, 0, returnNode.id, 0, 'exec');
+        dataIn.forEach((group, i) => group.forEach(c =>
+            fn.graph.addConnection(entry.id, i + 1, idMap.get(c.toNode), c.toPin, c.type)));
+        dataOut.forEach((group, i) =>
+            fn.graph.addConnection(idMap.get(group[0].fromNode), group[0].fromPin, returnNode.id, i + 1, group[0].type));
+
+        // The call node takes the place of the nodes; outside wires now end on its pins
+        const callNode = graph.addNode(this.createCallTemplate(fn), minX, minY);
+        const execOffset = fn.pure ? 0 : 1;
+        if (execIn.length > 0) execIn[0].forEach(c => graph.addConnection(c.fromNode, c.fromPin, callNode.id, 0, 'exec'));
+        if (execOut.length > 0) execOut[0].forEach(c => graph.addConnection(callNode.id, 0, c.toNode, c.toPin, 'exec'));
+        dataIn.forEach((group, i) =>
+            graph.addConnection(group[0].fromNode, group[0].fromPin, callNode.id, i + execOffset, group[0].type));
+        dataOut.forEach((group, i) => group.forEach(c =>
+            graph.addConnection(callNode.id, i + execOffset, c.toNode, c.toPin, c.type)));
+
+        this.renderList();
+        return callNode;
+    }
+
+    // --- TEMPLATES ---
+
+    /**
+     * Registers the call node template of every function, replacing the previous registration.
+     */
+    registerTemplates() {
+        window.nodeTemplates = (window.nodeTemplates || []).filter(t => t.functionId !== 'Function.Call');
+        this.functions.forEach(fn => window.nodeTemplates.push(this.createCallTemplate(fn)));
+    }
+
+    createCallTemplate(fn) {
+        const execIn = fn.pure ? [] : [{ name: "Exec", type: "exec" }];
+        const execOut = fn.pure ? [] : [{ name: "Out", type: "exec" }];
+        return {
+            name: fn.name,
+            category: "Functions",
+            color: fn.pure ? "var(--n-pure)" : "var(--n-func)",
+            functionId: "Function.Call",
+            inputs: [...execIn, ...this.createParameterPins(fn.inputs)],
+            outputs: [...execOut, ...this.createParameterPins(fn.outputs)]
+        };
+    }
+
+    createEntryTemplate(fn) {
+        return {
+            name: fn.name,
+            color: "var(--n-function-entry)",
+            functionId: "Function.Entry",
+            inputs: [],
+            outputs: [{ name: "Out", type: "exec" }, ...this.createParameterPins(fn.inputs)]
+        };
+    }
+
+    createReturnTemplate(fn) {
+        return {
+            name: FunctionManager.RETURN_NODE_NAME,
+            category: "Functions",
+            color: "var(--n-function-entry)",
+            functionId: "Function.Return",
+            inputs: [{ name: "Exec", type: "exec" }, ...this.createParameterPins(fn.outputs)],
+            outputs: []
+        };
+    }
+
+    /**
+     * Get or Set node of a local variable (same layout as the Get/Set nodes of variables).
+     * @returns {Object|null} The template, or null if the function has no such local variable.
+     */
+    createLocalTemplate(fn, localName, isSet) {
+        const local = fn.locals.find(l => l.name === localName);
+        if (!local) return null;
+
+        const color = this.variableManager.getTypeColor(local.type);
+        if (!isSet) {
+            return { name: "", color, functionId: "Local.Get", varName: local.name, inputs: [], outputs: [{ name: local.name, type: local.type }] };
+        }
+        const widgetConfig = this.variableManager.getWidgetConfig(local.type, this.variableManager.getTypeDefault(local.type));
+        return {
+            name: "Set",
+            color,
+            functionId: "Local.Set",
+            varName: local.name,
+            inputs: [{ name: "Exec", type: "exec" }, { name: local.name, type: local.type, widget: widgetConfig }],
+            outputs: [{ name: "Out", type: "exec" }, { name: "", type: local.type }]
+        };
+    }
+
+    /** One pin per input or output, named after it. */
+    createParameterPins(parameters) {
+        return parameters.map(p => ({ name: p.name, type: p.type }));
+    }
+
+    /**
+     * Adds the Entry and Return nodes of a function to its graph.
+     * @returns {{entry: GraphNode, returnNode: GraphNode}}
+     */
+    createBoundaryNodes(fn, entryPosition, returnPosition) {
+        const entry = fn.graph.addNode(this.createEntryTemplate(fn), entryPosition.x, entryPosition.y);
+        const returnNode = fn.graph.addNode(this.createReturnTemplate(fn), returnPosition.x, returnPosition.y);
+        return { entry, returnNode };
+    }
+
+    /**
+     * Resolves the template needed to re-instantiate a serialized node of a function graph
+     * (or of the event graph, when fn is null).
+     * @param {Object} nodeData - A node produced by GraphNode.toJSON().
+     * @param {Object|null} [fn] - The function whose graph holds the node. Defaults to the one shown.
+     * @returns {Object|null} The template, or null if none matches.
+     */
+    findTemplate(nodeData, fn = this.editor ? this.findFunctionOfGraph(this.editor.activeGraph) : null) {
+        if (FunctionManager.BOUND_FUNCTION_IDS.includes(nodeData.functionId)) {
+            if (!fn) return null;
+            switch (nodeData.functionId) {
+                case 'Function.Entry': return this.createEntryTemplate(fn);
+                case 'Function.Return': return this.createReturnTemplate(fn);
+                default: return this.createLocalTemplate(fn, nodeData.varName, nodeData.functionId === 'Local.Set');
+            }
+        }
+        return this.variableManager.findTemplate(nodeData);
+    }
+
+    /**
+     * Templates offered by the node menu of a graph besides the global ones (a function graph's Return node).
+     */
+    getGraphTemplates(graph) {
+        const fn = this.findFunctionOfGraph(graph);
+        return fn ? [this.createReturnTemplate(fn)] : [];
+    }
+
+    isCallNode(node, functionName) {
+        return node.functionId === 'Function.Call' && node.name === functionName;
+    }
+
+    isLocalNode(node, localName) {
+        return (node.functionId === 'Local.Get' || node.functionId === 'Local.Set') && node.varName === localName;
+    }
+
+    /** @returns {Boolean} True for the Entry, Return and local variable nodes of a function graph. */
+    isGeneratedNode(node) {
+        return FunctionManager.BOUND_FUNCTION_IDS.includes(node.functionId);
+    }
+
+    createFunction(name, pure = false) {
+        const fn = { name, pure, inputs: [], outputs: [], locals: [], graph: new Graph() };
+        this.functions.push(fn);
+        this.registerTemplates();
+        return fn;
+    }
+
+    createUniqueName(baseName) {
+        let name = baseName;
+        let count = 0;
+        while (this.isNameTaken(name)) {
+            count++;
+            name = `${baseName}_${count}`;
+        }
+        return name;
+    }
+
+    /** Function names are node names: they must not match any node of the menu. */
+    isNameTaken(name) {
+        return (window.nodeTemplates || []).some(t => t.name === name);
+    }
+
+    /** Names are unique per kind; the exec pins' names are reserved. */
+    isParameterNameFree(fn, kind, name) {
+        return !fn[kind].some(p => p.name === name) && name !== FunctionManager.PARAMETER_KINDS[kind].reserved;
+    }
+
+    // --- PANEL ---
+
+    renderList() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+
+        this.functions.forEach(fn => {
+            const row = document.createElement('div');
+            row.className = 'function-row';
+            row.classList.toggle('shown', this.editor.activeGraph === fn.graph);
+
+            const header = document.createElement('div');
+            header.className = 'function-header';
+
+                const nameInput = document.createElement('input');
+                nameInput.value = fn.name;
+                nameInput.className = 'var-name';
+                nameInput.onchange = (e) => this.renameFunction(fn.name, e.target.value);
+
+                const pureLabel = document.createElement('label');
+                pureLabel.className = 'function-pure';
+                pureLabel.title = 'Pure functions have no exec pins';
+                const pureCheckbox = document.createElement('input');
+                pureCheckbox.type = 'checkbox';
+                pureCheckbox.checked = fn.pure;
+                pureCheckbox.onchange = (e) => this.setPure(fn.name, e.target.checked);
+                pureLabel.append(pureCheckbox, 'Pure');
+
+                const openBtn = this.createParameterButton('Open', 'Open Function Graph', () => this.editor.showGraph(fn.graph));
+
+                const delBtn = document.createElement('button');
+                delBtn.innerText = '×';
+                delBtn.className = 'var-del';
+                delBtn.title = 'Delete Function';
+                delBtn.onclick = () => this.deleteFunction(fn.name);
+
+            header.append(nameInput, pureLabel, openBtn, delBtn);
+            row.appendChild(header);
+
+            Object.keys(FunctionManager.PARAMETER_KINDS).forEach(kind => {
+                const title = document.createElement('div');
+                title.className = 'function-section';
+                title.innerText = FunctionManager.PARAMETER_KINDS[kind].title;
+                title.appendChild(this.createParameterButton('+', `Add ${FunctionManager.PARAMETER_KINDS[kind].label}`,
+                    () => this.addParameter(fn.name, kind)));
+                row.appendChild(title);
+
+                fn[kind].forEach((param, index) => row.appendChild(this.createParameterRow(fn, kind, param, index)));
+            });
+
+            this.ui.list.appendChild(row);
+        });
+    }
+
+    createParameterRow(fn, kind, param, index) {
+        const paramRow = document.createElement('div');
+        paramRow.className = 'function-param';
+
+        const paramInput = document.createElement('input');
+        paramInput.value = param.name;
+        paramInput.className = 'struct-field-name';
+        paramInput.onchange = (e) => this.renameParameter(fn.name, kind, index, e.target.value);
+
+        const typePickers = this.variableManager.createTypePickers(param.type,
+            (t) => this.retypeParameter(fn.name, kind, index, t));
+        const removeBtn = this.createParameterButton('×', `Remove ${FunctionManager.PARAMETER_KINDS[kind].label}`,
+            () => this.removeParameter(fn.name, kind, index));
+
+        paramRow.append(paramInput, ...typePickers, removeBtn);
+
+        // Local variables are dragged onto their function's graph, like variables
+        if (kind === 'locals') {
+            paramRow.draggable = true;
+            paramRow.ondragstart = (e) => {
+                e.dataTransfer.setData('application/json', JSON.stringify({ type: 'local', function: fn.name, name: param.name }));
+            };
+        }
+        return paramRow;
+    }
+
+    createParameterButton(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'struct-field-btn';
+        btn.innerText = text;
+        btn.title = title;
+        btn.onclick = onClick;
+        return btn;
+    }
+
+    // --- DOCUMENT ---
+
+    /**
+     * Serializes the functions (signature and graph) for saving.
+     * @returns {Array<Object>} { name, pure, inputs, outputs, locals, graph } with the graph as Graph.toJSON().
+     */
+    toJSON() {
+        return this.functions.map(fn => JSON.parse(JSON.stringify({
+            name: fn.name,
+            pure: fn.pure,
+            inputs: fn.inputs,
+            outputs: fn.outputs,
+            locals: fn.locals,
+            graph: fn.graph.toJSON()
+        })));
+    }
+
+    /**
+     * Replaces all functions (used when opening a saved document). Must run after the variables
+     * (function graphs may use them) and before the event graph is loaded (it may call the functions).
+     * The Graph of a function that keeps its name is reused, so views holding it stay valid.
+     * @param {Array<Object>} savedFunctions - The list produced by toJSON().
+     * @returns {Array<Object>} Serialized nodes that could not be restored (no matching template).
+     */
+    loadFunctions(savedFunctions) {
+        const previousGraphs = new Map(this.functions.map(fn => [fn.name, fn.graph]));
+        const copyParameters = (list) => (Array.isArray(list) ? list : [])
+            .filter(p => p && p.name)
+            .map(p => ({ name: String(p.name), type: p.type || 'boolean' }));
+
+        const saved = (savedFunctions || []).filter(f => f && f.name);
+        this.functions = saved.map(f => ({
+            name: f.name,
+            pure: !!f.pure,
+            inputs: copyParameters(f.inputs),
+            outputs: copyParameters(f.outputs),
+            locals: copyParameters(f.locals),
+            graph: previousGraphs.get(f.name) || new Graph()
+        }));
+
+        // Every call template first: function graphs may call any function, themselves included
+        this.registerTemplates();
+
+        const skipped = [];
+        this.functions.forEach((fn, i) => {
+            skipped.push(...fn.graph.fromJSON(saved[i].graph || {}, (nodeData) => this.findTemplate(nodeData, fn)));
+        });
+        this.renderList();
+        return skipped;
+    }
+}
+
+// Function names become node names: same rule as the other user-defined names
+FunctionManager.NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+FunctionManager.RETURN_NODE_NAME = "Return Node";
+
+// Nodes that only exist inside a function graph (resolved against the function's signature)
+FunctionManager.BOUND_FUNCTION_IDS = ['Function.Entry', 'Function.Return', 'Local.Get', 'Local.Set'];
+
+// What the panel and the history labels call each parameter list; 'reserved' is its exec pin's name
+FunctionManager.PARAMETER_KINDS = {
+    inputs: { title: 'Inputs', label: 'Function Input', baseName: 'NewParam', reserved: 'Exec' },
+    outputs: { title: 'Outputs', label: 'Function Output', baseName: 'NewReturn', reserved: 'Out' },
+    locals: { title: 'Local Variables', label: 'Local Variable', baseName: 'NewLocal', reserved: null }
+};
@@ -23,12 +23,33 @@ window.FunctionRegistry = {
     "Variable.Set": function(incomingValue) {
         const variableManager = window.App.variableManager;
         if (variableManager && this.varName) {
-            variableManager.runtimeValues[this.varName] = incomingValue;
+            // Arrays are copied: the variable must not share its array with the source
+            variableManager.runtimeValues[this.varName] = Array.isArray(incomingValue) ? copyValue(incomingValue) : incomingValue;
         }
         // Passthrough: The 'Set' node also outputs the value it just set.
         return incomingValue; 
     },
 
+    // ==========================================================================================
+    // USER FUNCTIONS
+    // Nodes of a function graph work on the current call frame of the Simulation, passed as the
+    // last argument (see Simulation.FRAME_FUNCTIONS and FunctionManager).
+    // ==========================================================================================
+
+    // Entry node: outputs the parameters the function was called with
+    "Function.Entry": function(frame) {
+        return dispatchResult({ outputs: { ...requireCallFrame(frame, this).parameters } });
+    },
+
+    "Local.Get": function(frame) {
+        return requireCallFrame(frame, this).locals[this.varName];
+    },
+
+    "Local.Set": function(incomingValue, frame) {
+        requireCallFrame(frame, this).locals[this.varName] = copyValue(incomingValue);
+        return incomingValue;
+    },
+
     // ==========================================================================================
     // DEBUGGING & VISUALIZATION
     // These helpers generate the small text previews shown on nodes after execution.
@@ -38,21 +59,29 @@ window.FunctionRegistry = {
      * formatting helper called by the NodeRenderer to display the last execution result.
      * @param {GraphNode} graphNode - The node being visualized.
      * @param {Array} inputValues - The values passed into the node.
-     * @param {any} operationResult - The result produced by the node.
+     * @param {any} operationResult - The result produced by the node (on 'outputPin' if given).
+     * @param {Pin} [outputPin] - The output the value was read from (matters for nodes with several outputs).
      */
-    getVisualDebug: (graphNode, inputValues, operationResult) => {
+    getVisualDebug: (graphNode, inputValues, operationResult, outputPin) => {
         // Check if a specific visualizer exists for this function type
         const customVisualizer = window.FunctionRegistry.Visualizers[graphNode.functionId];
         
         if (customVisualizer) {
             try { 
-                return customVisualizer(inputValues, operationResult, graphNode); 
+                return customVisualizer(inputValues, operationResult, graphNode, outputPin); 
             } catch(error) { 
                 console.error("Visualizer Error", error); 
             }
         }
 
+        // Several data outputs: name the one this value comes from
+        const dataOutputCount = graphNode.outputs.filter(pin => pin.type !== 'exec').length;
+        if (outputPin && dataOutputCount > 1) {
+            return `${outputPin.name}: ${formatValueForDisplay(operationResult)}`;
+        }
+
         // Default formatting if no custom visualizer is defined
+        if (Array.isArray(operationResult)) return formatValueForDisplay(operationResult);
         if (typeof operationResult === 'object' && operationResult !== null) {
             // Check for Vector format (x, y, z)
             if ('x' in operationResult && 'y' in operationResult && 'z' in operationResult) {
@@ -62,7 +91,8 @@ window.FunctionRegistry = {
             if ('loc' in operationResult && 'rot' in operationResult) {
                 return `Trs(...)`;
             }
-            return '{Obj}';
+            // Other structs: every field, on one line
+            return formatValueForInspection(operationResult, outputPin ? outputPin.type : undefined).split('\n').map(line => line.trim()).join(', ');
         }
         
         return String(operationResult);
@@ -78,6 +108,9 @@ window.FunctionRegistry = {
         "Math.SubtractGeneric": (inputs, result) => `${formatValueForDisplay(inputs[0])} - ${formatValueForDisplay(inputs[1])} = ${formatValueForDisplay(result)}`,
         "Math.MultiplyGeneric": (inputs, result) => `${formatValueForDisplay(inputs[0])} × ${formatValueForDisplay(inputs[1])} = ${formatValueForDisplay(result)}`,
         "Math.DivideGeneric": (inputs, result) => `${formatValueForDisplay(inputs[0])} ÷ ${formatValueForDisplay(inputs[1])} = ${formatValueForDisplay(result)}`,
+        "Math.DivideWithRemainder": (inputs, result, node, outputPin) => outputPin && outputPin.name === "Remainder"
+            ? `${formatValueForDisplay(inputs[0])} mod ${formatValueForDisplay(inputs[1])} = ${formatValueForDisplay(result)}`
+            : `${formatValueForDisplay(inputs[0])} div ${formatValueForDisplay(inputs[1])} = ${formatValueForDisplay(result)}`,
         
         // Logical Comparisons
         "Logic.Greater": (inputs, result) => `(${formatValueForDisplay(inputs[0])} > ${formatValueForDisplay(inputs[1])}) = ${result}`,
@@ -102,10 +135,19 @@ window.FunctionRegistry = {
         "Conv.IntToString": (inputs, result) => `${inputs[0]} ➞ "${result}"`,
         "Conv.BoolToString": (inputs, result) => `${inputs[0]} ➞ "${result}"`,
         "Conv.VectorToString": (inputs, result) => `Vec ➞ "${result}"`,
+        "Conv.EnumToString": (inputs, result) => `${inputs[0]} ➞ "${result}"`,
+        "Conv.EnumToInt": (inputs, result) => `${inputs[0]} ➞ ${result}`,
+
+        // Arrays
+        "Array.GetCopy": (inputs, result) => `[${inputs[1]}] = ${formatValueForDisplay(result)}`,
+        "Array.GetRef": (inputs, result) => `[${inputs[1]}] = ${formatValueForDisplay(result)}`,
+        "Array.Length": (inputs, result) => `Length = ${result}`,
 
         // Variable Accessors (Visualizer needs the Node instance to read 'varName')
         "Variable.Get": (inputs, result, node) => `${node.varName} = ${formatValueForDisplay(result)}`,
-        "Variable.Set": (inputs, result, node) => `${node.varName} = ${formatValueForDisplay(result)}`
+        "Variable.Set": (inputs, result, node) => `${node.varName} = ${formatValueForDisplay(result)}`,
+        "Local.Get": (inputs, result, node) => `${node.varName} = ${formatValueForDisplay(result)}`,
+        "Local.Set": (inputs, result, node) => `${node.varName} = ${formatValueForDisplay(result)}`
     },
 
     // ==========================================================================================
@@ -120,8 +162,151 @@ window.FunctionRegistry = {
     },
     
     "Flow.Branch": (condition) => {
-        // Returns true/false to direct the Execution Flow to the appropriate output pin
-        return !!condition;
+        // Directs the Execution Flow to the appropriate output pin
+        return dispatchResult({ exec: condition ? "True" : "False" });
+    },
+
+    // Exec routing: these return dispatchResult({ exec: pin name(s) }) to choose which exec output(s) fire,
+    // and keep their memory in 'this.runtimeState' (reset by the Simulation on every run).
+    // 'this.entryPin' tells which exec input was triggered.
+    "Flow.Sequence": function() {
+        return dispatchResult({ exec: this.outputs.filter(p => p.type === 'exec').map(p => p.name) });
+    },
+
+    "Flow.SwitchOnInt": function(selection) {
+        const casePin = this.outputs.find(p => p.type === 'exec' && p.name === String(selection));
+        return dispatchResult({ exec: casePin ? casePin.name : "Default" });
+    },
+
+    "Flow.SwitchOnString": (selection, ...cases) => {
+        const caseIndex = cases.indexOf(selection);
+        return dispatchResult({ exec: caseIndex >= 0 ? `Case ${caseIndex}` : "Default" });
+    },
+
+    // Switch on <Enum> nodes are generated per enum (see EnumManager): one exec output per entry
+    "Flow.SwitchOnEnum": function(selection) {
+        const casePin = this.outputs.find(p => p.type === 'exec' && p.name === selection);
+        return dispatchResult({ exec: casePin ? casePin.name : null });
+    },
+
+    "Flow.DoOnce": function(startClosed) {
+        const state = this.runtimeState;
+        if (state.closed === undefined) state.closed = !!startClosed;
+
+        if (this.entryPin === "Reset") {
+            state.closed = false;
+            return dispatchResult({ exec: null });
+        }
+        if (state.closed) return dispatchResult({ exec: null });
+
+        state.closed = true;
+        return dispatchResult({ exec: "Completed" });
+    },
+
+    "Flow.DoN": function(limit) {
+        const state = this.runtimeState;
+        if (state.counter === undefined) state.counter = 0;
+
+        if (this.entryPin === "Reset") {
+            state.counter = 0;
+            return dispatchResult({ exec: null });
+        }
+        if (state.counter >= limit) return dispatchResult({ exec: null });
+
+        state.counter++;
+        return dispatchResult({ exec: "Exit", outputs: { "Counter": state.counter } });
+    },
+
+    "Flow.Gate": function(startClosed) {
+        const state = this.runtimeState;
+        if (state.open === undefined) state.open = !startClosed;
+
+        switch (this.entryPin) {
+            case "Open": state.open = true; return dispatchResult({ exec: null });
+            case "Close": state.open = false; return dispatchResult({ exec: null });
+            case "Toggle": state.open = !state.open; return dispatchResult({ exec: null });
+            default: return dispatchResult({ exec: state.open ? "Exit" : null });
+        }
+    },
+
+    "Flow.FlipFlop": function() {
+        const state = this.runtimeState;
+        state.isA = !state.isA; // First execution goes to A
+        return dispatchResult({ exec: state.isA ? "A" : "B", outputs: { "Is A": state.isA } });
+    },
+
+    "Flow.MultiGate": function(isRandom, loop, startIndex) {
+        const outNames = this.outputs.filter(p => p.type === 'exec').map(p => p.name);
+        const state = this.runtimeState;
+        const allIndices = () => outNames.map((name, index) => index);
+
+        if (!state.remaining || this.entryPin === "Reset") {
+            state.remaining = allIndices();
+            state.last = undefined;
+        }
+        if (this.entryPin === "Reset") return dispatchResult({ exec: null });
+
+        if (state.remaining.length === 0) {
+            if (!loop) return dispatchResult({ exec: null });
+            state.remaining = allIndices();
+        }
+
+        let pick;
+        if (isRandom) {
+            pick = state.remaining[Math.floor(Math.random() * state.remaining.length)];
+        } else {
+            // Next output after the last one fired (starting at Start Index), wrapping around
+            const from = state.last === undefined ? Math.max(0, startIndex) : state.last + 1;
+            pick = state.remaining.find(i => i >= from);
+            if (pick === undefined) pick = state.remaining[0];
+        }
+
+        state.remaining = state.remaining.filter(i => i !== pick);
+        state.last = pick;
+        return dispatchResult({ exec: outNames[pick] });
+    },
+
+    // Loops: called by the Simulation once per iteration (the iteration number is appended to the inputs).
+    // They return the values of the node's data outputs (by pin name) to run the Loop Body again,
+    // or null once the loop is over (the Simulation then fires 'Completed').
+    "Flow.ForLoop": (firstIndex, lastIndex, iteration) => {
+        const index = firstIndex + iteration;
+        return index <= lastIndex ? { "Index": index } : null;
+    },
+    "Flow.WhileLoop": (condition) => condition ? {} : null,
+    "Flow.ForEachLoop": (array, iteration) => {
+        if (!Array.isArray(array)) {
+            const error = new Error("For Each Loop: 'Array' input is not an array.");
+            error.isBlueprintError = true;
+            throw error;
+        }
+        return iteration < array.length ? { "Array Element": array[iteration], "Array Index": iteration } : null;
+    },
+
+    // Time (the simulated clock is passed as the last argument, see Simulation.CLOCK_FUNCTIONS)
+    "Time.GetGameTime": (clock) => clock.time,
+
+    // Input (the state of the player's input is passed as the last argument, see Simulation.INPUT_FUNCTIONS)
+    "Input.GetMousePosition": (input) => dispatchResult({ outputs: { "Location X": input.mouseX, "Location Y": input.mouseY } }),
+
+    // Testing (an assertion failure stops the run and fails the current test)
+    "Test.AssertEqual": function(actual, expected, message) {
+        if (!areValuesDeeplyEqual(actual, expected, this.inputs[1].type)) {
+            throwAssertionFailure(message, `expected ${formatValueForDisplay(expected)}, got ${formatValueForDisplay(actual)}`);
+        }
+    },
+    "Test.AssertTrue": (condition, message) => {
+        if (condition !== true) throwAssertionFailure(message, `condition is false`);
+    },
+    "Test.AssertNear": (actual, expected, tolerance, message) => {
+        const isVector = (v) => v && typeof v === 'object' && 'x' in v;
+        const limit = Math.abs(tolerance || 0);
+        const near = isVector(actual) && isVector(expected)
+            ? ['x', 'y', 'z'].every(axis => Math.abs(actual[axis] - expected[axis]) <= limit)
+            : Math.abs(actual - expected) <= limit;
+        if (!near) {
+            throwAssertionFailure(message, `expected ${formatValueForDisplay(expected)} ± ${limit}, got ${formatValueForDisplay(actual)}`);
+        }
     },
 
     // Generic Math (Handles both Numbers and Vectors via 'executePolymorphicOperation')
@@ -135,9 +320,21 @@ window.FunctionRegistry = {
         return executePolymorphicOperation(leftOperand, rightOperand, (a, b) => a / b);
     },
 
+    // Multiple return values: dispatchResult({ outputs: { <pin name>: value } }) feeds each output pin separately
+    "Math.DivideWithRemainder": (dividend, divisor) => {
+        if (divisor === 0) {
+            const error = new Error("Division by zero.");
+            error.isBlueprintError = true;
+            throw error;
+        }
+        const quotient = Math.trunc(dividend / divisor);
+        return dispatchResult({ outputs: { "Return Value": quotient, "Remainder": dividend - quotient * divisor } });
+    },
+
     // Comparison Logic
-    "Logic.Equal": (leftOperand, rightOperand) => areValuesDeeplyEqual(leftOperand, rightOperand),
-    "Logic.NotEqual": (leftOperand, rightOperand) => !areValuesDeeplyEqual(leftOperand, rightOperand),
+    // (the pin type tells sets and maps apart from arrays: their order doesn't matter)
+    "Logic.Equal": function(leftOperand, rightOperand) { return areValuesDeeplyEqual(leftOperand, rightOperand, this.inputs[0].type); },
+    "Logic.NotEqual": function(leftOperand, rightOperand) { return !areValuesDeeplyEqual(leftOperand, rightOperand, this.inputs[0].type); },
     "Logic.Greater": (leftOperand, rightOperand) => validateNumericComparison(leftOperand, rightOperand) && leftOperand > rightOperand,
     "Logic.GreaterEqual": (leftOperand, rightOperand) => validateNumericComparison(leftOperand, rightOperand) && leftOperand >= rightOperand,
     "Logic.Less": (leftOperand, rightOperand) => validateNumericComparison(leftOperand, rightOperand) && leftOperand < rightOperand,
@@ -168,6 +365,11 @@ window.FunctionRegistry = {
         return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
     },
 
+    "Vector.ToDirectionAndLength": (vector) => {
+        const length = window.FunctionRegistry["Vector.Length"](vector);
+        return dispatchResult({ outputs: { "Direction": window.FunctionRegistry["Vector.Normalize"](vector), "Length": length } });
+    },
+
     // Struct Creation
     "Rotator.Make": (roll, pitch, yaw) => ({ 
         roll: roll || 0, 
@@ -181,6 +383,125 @@ window.FunctionRegistry = {
         scale: scale || {x:1, y:1, z:1}
     }),
 
+    // User Struct Creation: one input per field of the struct type (see StructManager)
+    "Struct.Make": function(...fieldValues) {
+        const structPin = this.outputs[0];
+        const structType = structPin.split ? structPin.split[0].group.type : structPin.type;
+
+        const struct = {};
+        (Pin.getStructFields(structType) || []).forEach((field, i) => {
+            struct[field.key] = fieldValues[i] === undefined ? Pin.getEmptyValue(field.type) : copyValue(fieldValues[i]);
+        });
+        return struct;
+    },
+
+    // Struct Decomposition: one output per field of the struct type (see 'fields' in DataTypes.js)
+    "Struct.Break": function(structValue) {
+        const structPin = this.inputs[0];
+        const structType = structPin.split ? structPin.split[0].group.type : structPin.type;
+        const value = structValue || structPin.resolveDefaultValue(structType);
+
+        const outputs = {};
+        (Pin.getStructFields(structType) || []).forEach(field => outputs[field.name] = value[field.key]);
+        return dispatchResult({ outputs });
+    },
+
+    // Arrays: arrays are passed by reference, so Add, Insert, Remove Index, Set Array Elem, Clear,
+    // Shuffle and Sort modify the connected array (e.g. a variable's value) in place.
+    "Array.Make": (...items) => items.map(copyValue),
+    "Array.Add": (targetArray, newItem) => {
+        targetArray.push(copyValue(newItem));
+        return targetArray.length - 1;
+    },
+    "Array.Insert": (targetArray, newItem, index) => {
+        if (index !== targetArray.length) validateArrayIndex(targetArray, index);
+        targetArray.splice(index, 0, copyValue(newItem));
+    },
+    "Array.RemoveIndex": (targetArray, index) => {
+        validateArrayIndex(targetArray, index);
+        targetArray.splice(index, 1);
+    },
+    "Array.GetCopy": (targetArray, index) => {
+        validateArrayIndex(targetArray, index);
+        return copyValue(targetArray[index]);
+    },
+    // The element itself: struct elements read through it can be modified in place
+    "Array.GetRef": (targetArray, index) => {
+        validateArrayIndex(targetArray, index);
+        return targetArray[index];
+    },
+    "Array.Set": function(targetArray, index, item, sizeToFit) {
+        if (sizeToFit && index >= targetArray.length) {
+            const itemType = this.inputs.find(p => p.name === "Item").type;
+            while (targetArray.length <= index) targetArray.push(Pin.getEmptyValue(itemType));
+        }
+        validateArrayIndex(targetArray, index);
+        targetArray[index] = copyValue(item);
+    },
+    "Array.Length": (targetArray) => targetArray.length,
+    "Array.Contains": (targetArray, itemToFind) => targetArray.some(item => areValuesDeeplyEqual(item, itemToFind)),
+    "Array.Find": (targetArray, itemToFind) => targetArray.findIndex(item => areValuesDeeplyEqual(item, itemToFind)),
+    "Array.Clear": (targetArray) => { targetArray.length = 0; },
+    "Array.Shuffle": (targetArray) => {
+        // Fisher-Yates
+        for (let i = targetArray.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [targetArray[i], targetArray[j]] = [targetArray[j], targetArray[i]];
+        }
+    },
+    "Array.Sort": (targetArray) => {
+        if (targetArray.every(item => typeof item === 'number')) targetArray.sort((a, b) => a - b);
+        else if (targetArray.every(item => typeof item === 'string')) targetArray.sort((a, b) => a.localeCompare(b));
+        else {
+            const error = new Error("Sort only supports float, int and string arrays.");
+            error.isBlueprintError = true;
+            throw error;
+        }
+    },
+
+    // Sets (arrays without duplicates) are modified in place like arrays; Union, Intersection
+    // and Difference build a new set.
+    "Set.Add": (targetSet, newItem) => {
+        if (!targetSet.some(item => areValuesDeeplyEqual(item, newItem))) targetSet.push(copyValue(newItem));
+    },
+    "Set.Remove": (targetSet, item) => {
+        const index = targetSet.findIndex(other => areValuesDeeplyEqual(other, item));
+        if (index === -1) return false;
+        targetSet.splice(index, 1);
+        return true;
+    },
+    "Set.Contains": (targetSet, itemToFind) => targetSet.some(item => areValuesDeeplyEqual(item, itemToFind)),
+    "Set.Length": (targetSet) => targetSet.length,
+    "Set.ToArray": (targetSet) => targetSet.map(copyValue),
+    "Set.Union": (setA, setB) => [...setA, ...setB.filter(b => !setA.some(a => areValuesDeeplyEqual(a, b)))].map(copyValue),
+    "Set.Intersection": (setA, setB) => setA.filter(a => setB.some(b => areValuesDeeplyEqual(a, b))).map(copyValue),
+    "Set.Difference": (setA, setB) => setA.filter(a => !setB.some(b => areValuesDeeplyEqual(a, b))).map(copyValue),
+
+    // Maps (arrays of { key, value } entries, see DataTypes.js) are modified in place like arrays
+    "Map.Add": (targetMap, key, value) => {
+        const index = findMapEntryIndex(targetMap, key);
+        if (index === -1) targetMap.push({ key: copyValue(key), value: copyValue(value) });
+        else targetMap[index].value = copyValue(value);
+    },
+    "Map.Remove": (targetMap, key) => {
+        const index = findMapEntryIndex(targetMap, key);
+        if (index === -1) return false;
+        targetMap.splice(index, 1);
+        return true;
+    },
+    "Map.Find": function(targetMap, key) {
+        const index = findMapEntryIndex(targetMap, key);
+        const valueType = this.outputs.find(p => p.name === "Value").type;
+        return dispatchResult({ outputs: {
+            "Value": index === -1 ? Pin.getEmptyValue(valueType) : copyValue(targetMap[index].value),
+            "Found": index !== -1
+        } });
+    },
+    "Map.Contains": (targetMap, key) => findMapEntryIndex(targetMap, key) !== -1,
+    "Map.Keys": (targetMap) => targetMap.map(entry => copyValue(entry.key)),
+    "Map.Values": (targetMap) => targetMap.map(entry => copyValue(entry.value)),
+    "Map.Length": (targetMap) => targetMap.length,
+
     // Primitive Constructors
     "Make.Bool": (value) => value === true,
     "Make.Float": (value) => parseFloat(value),
@@ -196,6 +517,11 @@ window.FunctionRegistry = {
     "Conv.VectorToString": (vector) => {
         if (!vector) return "X=0.000 Y=0.000 Z=0.000";
         return `X=${vector.x.toFixed(3)} Y=${vector.y.toFixed(3)} Z=${vector.z.toFixed(3)}`;
+    },
+    "Conv.EnumToString": (value) => (value !== null && value !== undefined ? String(value) : ""),
+    // Index of the entry in its enum (-1 for a pin not connected to any enum yet)
+    "Conv.EnumToInt": function(value) {
+        return window.EnumTypes.entries(this.inputs[0].type).indexOf(value);
     }
 };
 
@@ -203,12 +529,38 @@ window.FunctionRegistry = {
 // HELPER FUNCTIONS
 // ==========================================================================================
 
+/**
+ * Marks what a node function returns as a dispatch object (see Simulation.storeResult): { exec, outputs }
+ * picks the exec output(s) to fire and/or gives the values of several data outputs. Unmarked objects of
+ * this shape are only read as such from nodes whose outputs can't hold them (see Simulation.isDispatchResult).
+ */
+function dispatchResult(result) {
+    return Object.defineProperty(result, dispatchResult.MARK, { value: true });
+}
+
+// Not enumerable, and a Symbol: neither copied nor saved along with the values
+dispatchResult.MARK = Symbol('dispatchResult');
+
 /**
  * Formats a value for succinct display in the node graph visualizers.
  * @param {any} value - The value to format.
  * @returns {String} The formatted string.
  */
 function formatValueForDisplay(value) {
+    // Format Maps (first entries only)
+    if (window.MapTypes.isMapValue(value)) {
+        const shown = value.slice(0, 3).map(entry => `${formatValueForDisplay(entry.key)}: ${formatValueForDisplay(entry.value)}`);
+        if (value.length > shown.length) shown.push(`… ${value.length - shown.length} more`);
+        return `{${shown.join(', ')}}`;
+    }
+
+    // Format Arrays and Sets (first elements only)
+    if (Array.isArray(value)) {
+        const shown = value.slice(0, 4).map(formatValueForDisplay);
+        if (value.length > shown.length) shown.push(`… ${value.length - shown.length} more`);
+        return `[${shown.join(', ')}]`;
+    }
+
     // Format Vectors
     if (typeof value === 'object' && value !== null && 'x' in value) {
         // Parse float to remove trailing zeros (e.g. 5.0 -> 5)
@@ -224,6 +576,61 @@ function formatValueForDisplay(value) {
     return String(value);
 }
 
+/**
+ * Formats a value in full for inspection while debugging (Watch panel, pin tooltips): every field of a
+ * struct and every element of a container, one per line, nested values indented. Structs of plain
+ * values (vectors, rotators) stay on one line, e.g. (X=1, Y=2.5, Z=0).
+ * @param {any} value - The value to format.
+ * @param {String} [type] - Its pin or variable type (names the struct fields); guessed from the value if unknown.
+ * @returns {String} The formatted text (may span several lines).
+ */
+function formatValueForInspection(value, type = 'wildcard') {
+    const definitions = window.typeDefinitions || {};
+    const indent = (lines) => lines.map(line => `  ${line}`);
+
+    // Built-in structs are recognized by their keys when the type does not tell
+    const guessType = (v) => {
+        if (window.MapTypes.isMapValue(v)) return window.MapTypes.of('wildcard', 'wildcard');
+        if (Array.isArray(v)) return window.ArrayTypes.of('wildcard');
+        if (typeof v !== 'object' || v === null) return 'wildcard';
+        return ['vector', 'rotator', 'transform'].find(name => definitions[name] && definitions[name].fields.every(f => f.key in v)) || 'wildcard';
+    };
+
+    // Label + value: on one line if the value fits, else the value's lines below it
+    const entry = (label, lines) => lines.length === 1 ? [`${label}: ${lines[0]}`] : [`${label}:`, ...indent(lines)];
+
+    const format = (v, t) => {
+        if (v === null || v === undefined) return ['None'];
+        if (!t || t === 'wildcard') t = guessType(v);
+
+        if (window.MapTypes.isMap(t)) {
+            if (!Array.isArray(v) || v.length === 0) return ['{}'];
+            const keyType = window.MapTypes.keyType(t), valueType = window.MapTypes.valueType(t);
+            return v.flatMap(e => entry(format(e.key, keyType).join(' '), format(e.value, valueType)));
+        }
+        if (window.ArrayTypes.isArray(t) || window.SetTypes.isSet(t)) {
+            if (!Array.isArray(v) || v.length === 0) return ['[]'];
+            const elementType = window.ArrayTypes.isArray(t) ? window.ArrayTypes.elementType(t) : window.SetTypes.elementType(t);
+            return v.flatMap((element, i) => entry(`[${i}]`, format(element, elementType)));
+        }
+
+        const fields = typeof v === 'object' ? (Pin.getStructFields(t) || Object.keys(v).map(key => ({ name: key, key, type: 'wildcard' }))) : null;
+        if (fields) {
+            const formatted = fields.map(field => ({ name: field.name, lines: format(v[field.key], field.type) }));
+            if (fields.every(field => typeof v[field.key] !== 'object' || v[field.key] === null)) {
+                return [`(${formatted.map(f => `${f.name}=${f.lines[0]}`).join(', ')})`];
+            }
+            return formatted.flatMap(f => entry(f.name, f.lines));
+        }
+
+        if (typeof v === 'number') return [String(Number.isInteger(v) ? v : parseFloat(v.toFixed(4)))];
+        if (typeof v === 'string' && !window.EnumTypes.isEnum(t)) return [JSON.stringify(v)];
+        return [String(v)];
+    };
+
+    return format(value, type).join('\n');
+}
+
 /**
  * Executes an operation polymorphically, handling both Scalar and Vector math.
  * Supports: (Vector, Vector), (Scalar, Scalar), (Vector, Scalar), and (Scalar, Vector).
@@ -278,15 +685,81 @@ function executePolymorphicOperation(leftOperand, rightOperand, operationCallbac
 }
 
 /**
- * Checks for Deep Equality between two values (including objects/vectors).
+ * Checks for Deep Equality between two values (including objects/vectors and arrays).
+ * Arrays are equal when they have the same length and equal elements in the same order;
+ * objects when they have the same keys with equal values (in any order).
+ * @param {String} [type] - The values' type, if known: sets and maps are then equal when they hold
+ *   the same elements (entries) in any order.
  */
-function areValuesDeeplyEqual(valueA, valueB) {
+function areValuesDeeplyEqual(valueA, valueB, type) {
+    if (window.SetTypes.isSet(type) || window.MapTypes.isMap(type)) {
+        // Elements (keys) are unique, so same size + every element found on the other side is enough
+        return Array.isArray(valueA) && Array.isArray(valueB)
+            && valueA.length === valueB.length
+            && valueA.every(item => valueB.some(other => areValuesDeeplyEqual(item, other)));
+    }
+    if (Array.isArray(valueA) || Array.isArray(valueB)) {
+        return Array.isArray(valueA) && Array.isArray(valueB)
+            && valueA.length === valueB.length
+            && valueA.every((item, i) => areValuesDeeplyEqual(item, valueB[i]));
+    }
     if (typeof valueA === 'object' && valueA !== null && typeof valueB === 'object' && valueB !== null) {
-        return JSON.stringify(valueA) === JSON.stringify(valueB);
+        const keys = Object.keys(valueA);
+        return keys.length === Object.keys(valueB).length
+            && keys.every(key => key in valueB && areValuesDeeplyEqual(valueA[key], valueB[key]));
     }
     return valueA == valueB;
 }
 
+/**
+ * Returns an independent copy of a value (arrays and structs are deep-copied).
+ */
+function copyValue(value) {
+    return (typeof value === 'object' && value !== null) ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Position of the entry of 'map' whose key equals 'key' (deeply), or -1.
+ */
+function findMapEntryIndex(map, key) {
+    return map.findIndex(entry => areValuesDeeplyEqual(entry.key, key));
+}
+
+/**
+ * Returns the call frame a function graph node runs in; raises a Blueprint error outside of a function.
+ */
+function requireCallFrame(frame, graphNode) {
+    if (!frame || !frame.function) {
+        const error = new Error(`'${graphNode.name || graphNode.varName}' can only run inside a function.`);
+        error.isBlueprintError = true;
+        throw error;
+    }
+    return frame;
+}
+
+/**
+ * Raises a Blueprint error unless 'index' is a valid position in 'array'.
+ */
+function validateArrayIndex(array, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= array.length) {
+        const error = new Error(`Index ${index} is out of bounds (array length ${array.length}).`);
+        error.isBlueprintError = true;
+        throw error;
+    }
+}
+
+/**
+ * Raises the Blueprint error used by Assert nodes.
+ * @param {String} userMessage - Optional message typed on the node (prefixes the failure).
+ * @param {String} detail - Description of the mismatch.
+ */
+function throwAssertionFailure(userMessage, detail) {
+    const error = new Error(userMessage ? `${userMessage}: ${detail}` : `Assertion failed: ${detail}`);
+    error.isBlueprintError = true;
+    error.isAssertionFailure = true;
+    throw error;
+}
+
 /**
  * Validates that inputs are numbers before performing numeric comparisons.
  * Throws an error if complex types (objects/vectors) are compared directly.
@@ -0,0 +1,272 @@
+/**
+ * HistoryManager
+ * Undo/Redo command stack for every editing operation (nodes, wires, pin types,
+ * widget values, variables, enums, structs, functions, macros and event graphs).
+ *
+ * Each command stores a snapshot of the editable document taken before and after
+ * the operation. Callers simply report that an edit happened ("commit") once the
+ * model has been changed; the "before" state is always the snapshot recorded by the
+ * previous commit. This makes multi-step operations (paste, multi-node drag,
+ * socket stealing + reconnection, auto-inserted conversion nodes) a single step,
+ * without an inverse operation to write (and keep right) for every kind of edit.
+ *
+ * Snapshots share what did not change: a snapshot is the JSON of the document without
+ * its graphs, plus the JSON of each node and of the wires of each graph, and every
+ * string equal to the one of the previous snapshot is that snapshot's string. A command
+ * thus only adds the parts it changed (e.g. the node that moved). Undo and redo reload
+ * the graphs that differ; only edits outside the graphs (variables, functions...)
+ * reload the whole document.
+ */
+class HistoryManager {
+    /**
+     * @param {Editor} editor - The editor owning the graph, renderer and variables.
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.undoStack = []; // Array of { label, before, after, mergeKey } (snapshots, see snapshot())
+        this.redoStack = [];
+        this.limit = 100;    // Oldest commands are dropped beyond this size
+
+        // Snapshot of the document as of the last commit (baseline for the next command)
+        this.lastSnapshot = null;
+
+        // Called after every recorded command (undo and redo show the graph again, which refreshes the views)
+        this.onChange = null;
+    }
+
+    /**
+     * Forgets all commands and takes a fresh baseline (e.g. after opening a document).
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastSnapshot = this.snapshot();
+    }
+
+    /**
+     * Records the changes made since the last commit as one undoable command.
+     * Does nothing if the document did not actually change (e.g. a click without drag).
+     * @param {string} label - Human readable name shown in menus (e.g. "Move Nodes").
+     * @param {Object} [options]
+     * @param {string} [options.mergeKey] - Consecutive commits with the same key are merged
+     *                                      into one command (used for typing in widgets).
+     */
+    commit(label, options = {}) {
+        if (this.lastSnapshot === null) this.lastSnapshot = this.snapshot();
+
+        const after = this.snapshot();
+        if (HistoryManager.isSameSnapshot(after, this.lastSnapshot)) return;
+
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (options.mergeKey && top && top.mergeKey === options.mergeKey && this.redoStack.length === 0) {
+            top.after = after;
+            if (HistoryManager.isSameSnapshot(top.after, top.before)) this.undoStack.pop();
+        } else {
+            this.undoStack.push({ label, before: this.lastSnapshot, after, mergeKey: options.mergeKey || null });
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.lastSnapshot = after;
+        if (this.onChange) this.onChange();
+    }
+
+    /** @returns {boolean} True if there is a command to undo. */
+    canUndo() { return this.undoStack.length > 0; }
+
+    /** @returns {boolean} True if there is a command to redo. */
+    canRedo() { return this.redoStack.length > 0; }
+
+    /** @returns {string|null} Label of the command Undo would revert. */
+    get undoLabel() { return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null; }
+
+    /** @returns {string|null} Label of the command Redo would re-apply. */
+    get redoLabel() { return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null; }
+
+    /**
+     * Reverts the most recent command.
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+        this.redoStack.push(command);
+        this.restore(command.before);
+    }
+
+    /**
+     * Re-applies the most recently undone command.
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+        this.undoStack.push(command);
+        this.restore(command.after);
+    }
+
+    /**
+     * Serializes the undoable part of the document, sharing what did not change since the last commit.
+     * The viewport is excluded on purpose: panning and zooming are not edits.
+     * @returns {{document: string, graphs: Object}} The JSON of the document with every graph left out
+     *   (null), and each graph by key (see eachGraphOwner) as packed by packGraph().
+     */
+    snapshot() {
+        const previous = this.lastSnapshot;
+        const functions = this.editor.functionManager ? this.editor.functionManager.toJSON() : [];
+        const macros = this.editor.macroManager ? this.editor.macroManager.toJSON() : [];
+        const eventGraphs = this.editor.eventGraphManager ? this.editor.eventGraphManager.toJSON() : [];
+        const customEvents = this.editor.customEventManager ? this.editor.customEventManager.toJSON() : { events: [], dispatchers: [] };
+        const state = {
+            enums: this.editor.enumManager ? this.editor.enumManager.toJSON() : [],
+            structs: this.editor.structManager ? this.editor.structManager.toJSON() : [],
+            variables: this.editor.variableManager ? this.editor.variableManager.toJSON() : [],
+            events: customEvents.events,
+            dispatchers: customEvents.dispatchers,
+            functions,
+            macros,
+            graph: this.editor.graph.toJSON(),
+            eventGraphs
+        };
+
+        const graphs = {};
+        HistoryManager.eachGraphOwner(state, (key, owner) => {
+            graphs[key] = this.packGraph(owner.graph, previous ? previous.graphs[key] : null);
+            owner.graph = null;
+        });
+        const document = JSON.stringify(state);
+        return { document: previous && previous.document === document ? previous.document : document, graphs };
+    }
+
+    /**
+     * Packs one graph of a snapshot: each node as JSON by node ID (in order), and the wires and counters as JSON.
+     * @param {Object} serializedGraph - Graph.toJSON() output.
+     * @param {Object|null} previous - The packed graph of the previous snapshot, whose equal strings are reused.
+     * @returns {{nodes: Map<number, string>, wiring: string}} 'previous' itself if nothing changed.
+     */
+    packGraph({ nodes, connections, counters }, previous) {
+        const share = (json, previousJson) => json === previousJson ? previousJson : json;
+        const packed = {
+            nodes: new Map(nodes.map(node => [node.id, share(JSON.stringify(node), previous ? previous.nodes.get(node.id) : null)])),
+            wiring: share(JSON.stringify({ connections, counters }), previous ? previous.wiring : null)
+        };
+        return previous && HistoryManager.isSameGraph(packed, previous) ? previous : packed;
+    }
+
+    /** @returns {Object} The document state of a snapshot, as the managers load it (graphs as Graph.toJSON()). */
+    unpack(snapshot) {
+        const state = JSON.parse(snapshot.document);
+        HistoryManager.eachGraphOwner(state, (key, owner) => owner.graph = HistoryManager.unpackGraph(snapshot.graphs[key]));
+        return state;
+    }
+
+    /**
+     * Rebuilds the graphs, variables and view from a snapshot. The graph shown stays shown,
+     * unless the event graph, function, macro or collapsed node it belongs to does not exist in the
+     * snapshot (then the graph holding that collapsed node, or the main event graph).
+     * @param {Object} snapshot - A snapshot produced by snapshot().
+     */
+    restore(snapshot) {
+        const { graph, renderer, simulation, interaction } = this.editor;
+
+        // Running nodes would reference instances that are about to be replaced
+        if (simulation.status !== 'STOPPED') simulation.stop();
+        interaction.selectionManager.clear();
+
+        // The graphs of collapsed nodes are rebuilt: the one shown is found again by its place
+        const shown = renderer.graph;
+        const shownLocation = this.editor.collapsedGraphManager.locate(shown);
+        if (!this.restoreGraphs(snapshot)) this.restoreDocument(snapshot);
+        const restoredShown = this.editor.graphs.includes(shownLocation.root) ? this.editor.collapsedGraphManager.resolve(shownLocation) : null;
+        if (restoredShown && restoredShown !== shown) {
+            restoredShown.pan = { ...shown.pan };
+            restoredShown.scale = shown.scale;
+        }
+        this.editor.showGraph(restoredShown || graph);
+
+        this.lastSnapshot = snapshot;
+    }
+
+    /**
+     * Reloads only the graphs that differ from the current document, when nothing else does.
+     * The Graph objects are kept (the views holding them stay valid), and so are the panels.
+     * @returns {boolean} False if the document differs outside its graphs (see restoreDocument).
+     */
+    restoreGraphs(snapshot) {
+        const current = this.lastSnapshot;
+        if (!current || current.document !== snapshot.document) return false;
+        const liveGraphs = this.liveGraphs();
+        const keys = Object.keys(snapshot.graphs);
+        if (keys.length !== liveGraphs.size || !keys.every(key => liveGraphs.has(key))) return false;
+
+        keys.forEach(key => {
+            if (current.graphs[key] && HistoryManager.isSameGraph(current.graphs[key], snapshot.graphs[key])) return;
+            const { graph, resolveTemplate } = liveGraphs.get(key);
+            graph.fromJSON(HistoryManager.unpackGraph(snapshot.graphs[key]), resolveTemplate);
+        });
+        return true;
+    }
+
+    /** Reloads the whole document from a snapshot (types, variables, events, functions, macros, then the graphs). */
+    restoreDocument(snapshot) {
+        const { graph, variableManager, enumManager, structManager, functionManager, macroManager, eventGraphManager, customEventManager } = this.editor;
+        const state = this.unpack(snapshot);
+        const viewport = { x: graph.pan.x, y: graph.pan.y, scale: graph.scale };
+        enumManager.loadEnums(state.enums);
+        structManager.loadStructs(state.structs);
+        variableManager.loadVariables(state.variables);
+        customEventManager.loadEvents(state.events, state.dispatchers);
+        macroManager.loadMacros(state.macros);
+        functionManager.loadFunctions(state.functions);
+        macroManager.loadMacroGraphs(state.macros);
+        const resolveTemplate = (nodeData) => variableManager.findTemplate(nodeData);
+        graph.fromJSON({ ...state.graph, viewport }, resolveTemplate);
+        eventGraphManager.loadEventGraphs(state.eventGraphs, resolveTemplate);
+    }
+
+    /**
+     * The graphs of the document as they are now, by the same keys as in snapshots (see eachGraphOwner).
+     * @returns {Map<string, {graph: Graph, resolveTemplate: Function}>}
+     */
+    liveGraphs() {
+        const { graph, variableManager, functionManager, macroManager, eventGraphManager } = this.editor;
+        const resolveTemplate = (nodeData) => variableManager.findTemplate(nodeData);
+        const graphs = new Map([['main', { graph, resolveTemplate }]]);
+        functionManager.functions.forEach(fn => graphs.set(`function:${fn.name}`, { graph: fn.graph, resolveTemplate: (nodeData) => functionManager.findTemplate(nodeData, fn) }));
+        macroManager.macros.forEach(macro => graphs.set(`macro:${macro.name}`, { graph: macro.graph, resolveTemplate: (nodeData) => macroManager.findTemplate(nodeData, macro) }));
+        eventGraphManager.eventGraphs.slice(1).forEach(entry => graphs.set(`event graph:${entry.name}`, { graph: entry.graph, resolveTemplate }));
+        return graphs;
+    }
+
+    /**
+     * Calls back with the key and the owner ({ graph }) of each graph of a document state: the main event graph,
+     * then the graphs of the functions, macros and other event graphs.
+     */
+    static eachGraphOwner(state, callback) {
+        callback('main', state);
+        state.functions.forEach(fn => callback(`function:${fn.name}`, fn));
+        state.macros.forEach(macro => callback(`macro:${macro.name}`, macro));
+        state.eventGraphs.forEach(entry => callback(`event graph:${entry.name}`, entry));
+    }
+
+    /** @returns {Object} A packed graph (see packGraph) as Graph.toJSON() output, without viewport. */
+    static unpackGraph(packed) {
+        return { nodes: [...packed.nodes.values()].map(json => JSON.parse(json)), ...JSON.parse(packed.wiring) };
+    }
+
+    /** @returns {boolean} True if two packed graphs hold the same nodes, in the same order, and the same wires. */
+    static isSameGraph(a, b) {
+        if (a === b) return true;
+        if (a.wiring !== b.wiring || a.nodes.size !== b.nodes.size) return false;
+        const other = [...b.nodes];
+        return [...a.nodes].every(([id, json], i) => other[i][0] === id && other[i][1] === json);
+    }
+
+    /** @returns {boolean} True if two snapshots hold the same document. */
+    static isSameSnapshot(a, b) {
+        if (a === b) return true;
+        if (!a || !b || a.document !== b.document) return false;
+        const keys = Object.keys(a.graphs);
+        return keys.length === Object.keys(b.graphs).length
+            && keys.every(key => b.graphs[key] && HistoryManager.isSameGraph(a.graphs[key], b.graphs[key]));
+    }
+}
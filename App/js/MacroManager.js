@@ -0,0 +1,531 @@
+/**
+ * MacroManager
+ * Manages the user-defined macros of the document. Like a function, a macro has a graph of its own,
+ * between its Inputs and Outputs nodes, and a generated node template (category "Macros").
+ * Unlike a function, a macro may have several exec inputs and outputs, and it is not called:
+ * every macro node runs its own inlined copy of the macro's graph (see instantiate), where exec
+ * enters through the Inputs pin matching the entered pin and leaves through the Outputs pin reached.
+ * This is how users build their own flow control (a custom Gate, Do N, ...).
+ */
+class MacroManager {
+    /**
+     * @param {Editor|null} editor - null for headless runs.
+     * @param {VariableManager} [variableManager] - Resolves the other nodes of the macro graphs
+     *   (defaults to the editor's).
+     */
+    constructor(editor, variableManager = null) {
+        this.editor = editor;
+        this.variableManager = variableManager || (editor ? editor.variableManager : null);
+        this.macros = []; // { name, inputs: [{ name, type }], outputs: [...], graph: Graph } ('exec' pins included)
+
+        // Headless runs (no DOM) only use the manager to hold the document's macros
+        const hasDom = typeof document !== 'undefined';
+        this.ui = {
+            list: hasDom ? document.getElementById('macro-list') : null,
+            addBtn: hasDom ? document.getElementById('btn-add-macro') : null
+        };
+
+        if (this.ui.addBtn) this.ui.addBtn.onclick = () => this.addMacro();
+    }
+
+    findMacro(name) {
+        return this.macros.find(m => m.name === name) || null;
+    }
+
+    /** @returns {Object|null} The macro a graph belongs to. */
+    findMacroOfGraph(graph) {
+        return this.macros.find(m => m.graph === graph) || null;
+    }
+
+    /** @returns {Array<Graph>} The graph of every macro. */
+    get graphs() {
+        return this.macros.map(m => m.graph);
+    }
+
+    /** @returns {Number} How many macros have a pin whose type matches the predicate. */
+    countMacrosUsing(usesType) {
+        return this.macros.filter(m => [...m.inputs, ...m.outputs].some(p => usesType(p.type))).length;
+    }
+
+    /** @returns {Array<Object>} Every input and output of every macro. */
+    get parameters() {
+        return this.macros.flatMap(m => [...m.inputs, ...m.outputs]);
+    }
+
+    // --- EDITING ---
+
+    addMacro() {
+        const macro = this.createMacro(this.createUniqueName("NewMacro"));
+        const { inputsNode, outputsNode } = this.createBoundaryNodes(macro);
+        macro.graph.addConnection(inputsNode.id, 0, outputsNode.id, 0, 'exec');
+        macro.graph.pan = { x: 100, y: 100 };
+
+        this.renderList();
+        this.editor.history.commit('Add Macro');
+        this.editor.showGraph(macro.graph);
+    }
+
+    /**
+     * Deletes a macro. Refused while macro nodes outside of its own graph still use it.
+     */
+    deleteMacro(name) {
+        const macro = this.findMacro(name);
+        if (!macro) return;
+
+        const useCount = this.editor.graphs
+            .filter(graph => graph !== macro.graph)
+            .reduce((count, graph) => count + graph.nodes.filter(n => this.isMacroNode(n, name)).length, 0);
+        if (useCount > 0) {
+            this.editor.notify(`Cannot delete ${name}: used by ${useCount} node(s)`);
+            return;
+        }
+
+        const wasShown = this.editor.activeGraph === macro.graph;
+        this.macros = this.macros.filter(m => m !== macro);
+        this.registerTemplates();
+        this.renderList();
+        if (wasShown) this.editor.showGraph(this.editor.graph);
+        this.editor.history.commit('Delete Macro');
+    }
+
+    /**
+     * Renames a macro and its macro nodes.
+     */
+    renameMacro(oldName, newName) {
+        const macro = this.findMacro(oldName);
+        newName = String(newName).trim();
+        if (!macro || newName === oldName) return;
+
+        if (!MacroManager.NAME_PATTERN.test(newName) || this.isNameTaken(newName)) {
+            this.editor.notify(`"${newName}" is not a valid macro name or is already taken`);
+            this.renderList();
+            return;
+        }
+
+        macro.name = newName;
+        // Macro nodes are restored from their template, which is found by name
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+            if (this.isMacroNode(node, oldName)) node.name = newName;
+        }));
+
+        this.applyChanges(newName);
+        this.editor.updateGraphTitle();
+        this.editor.history.commit('Rename Macro');
+    }
+
+    /**
+     * Adds an input or an output pin to a macro.
+     * @param {String} kind - 'inputs' or 'outputs'.
+     * @param {String} type - 'exec' or a data type.
+     */
+    addPin(macroName, kind, type) {
+        const macro = this.findMacro(macroName);
+        if (!macro) return;
+
+        const baseName = type === 'exec' ? MacroManager.PIN_KINDS[kind].execName : MacroManager.PIN_KINDS[kind].dataName;
+        let name = baseName;
+        let count = 0;
+        while (!this.isPinNameFree(macro, kind, name)) {
+            count++;
+            name = `${baseName}_${count}`;
+        }
+
+        macro[kind].push({ name, type });
+        this.applyChanges(macroName);
+        this.editor.history.commit(`Add ${MacroManager.PIN_KINDS[kind].label}`);
+    }
+
+    /**
+     * Renames an input or an output. Wires of the matching pins follow the new name.
+     */
+    renamePin(macroName, kind, index, newName) {
+        const macro = this.findMacro(macroName);
+        if (!macro) return;
+        const oldName = macro[kind][index].name;
+        newName = String(newName).trim();
+        if (newName === oldName) return;
+
+        if (!newName || !this.isPinNameFree(macro, kind, newName)) {
+            this.editor.notify(`"${newName}" is not a valid name or is already taken in ${macroName}`);
+            this.renderList();
+            return;
+        }
+
+        macro[kind][index].name = newName;
+        this.applyChanges(macroName, { [kind]: { [oldName]: newName } });
+        this.editor.history.commit(`Rename ${MacroManager.PIN_KINDS[kind].label}`);
+    }
+
+    /**
+     * Changes the type of an input or an output (exec included). Wires that no longer match are removed.
+     */
+    retypePin(macroName, kind, index, newType) {
+        const macro = this.findMacro(macroName);
+        if (!macro || macro[kind][index].type === newType) return;
+
+        macro[kind][index].type = newType;
+        this.applyChanges(macroName);
+        this.editor.history.commit(`Change ${MacroManager.PIN_KINDS[kind].label} Type`);
+    }
+
+    removePin(macroName, kind, index) {
+        const macro = this.findMacro(macroName);
+        if (!macro) return;
+
+        macro[kind].splice(index, 1);
+        this.applyChanges(macroName);
+        this.editor.history.commit(`Remove ${MacroManager.PIN_KINDS[kind].label}`);
+    }
+
+    /**
+     * Moves an input or an output one place up (-1) or down (+1). Wires follow their pins.
+     */
+    movePin(macroName, kind, index, offset) {
+        const macro = this.findMacro(macroName);
+        const target = index + offset;
+        if (!macro || target < 0 || target >= macro[kind].length) return;
+
+        const [moved] = macro[kind].splice(index, 1);
+        macro[kind].splice(target, 0, moved);
+        this.applyChanges(macroName);
+        this.editor.history.commit(`Move ${MacroManager.PIN_KINDS[kind].label}`);
+    }
+
+    /**
+     * Re-registers the macro templates and rebuilds the pins of the nodes generated from a macro
+     * (macro nodes in every graph; Inputs and Outputs nodes in its own graph).
+     * Wires whose two ends had the same type before the edit but not after it are removed.
+     * @param {String} macroName - The macro that changed (its new name, if it was renamed).
+     * @param {Object} [renamedPins] - Per kind ('inputs', 'outputs'): old name -> new name.
+     */
+    applyChanges(macroName, renamedPins = {}) {
+        this.registerTemplates();
+
+        const macro = this.findMacro(macroName);
+        const renderer = this.editor.renderer;
+        let removedWires = 0;
+
+        this.editor.graphs.forEach(graph => {
+            const changedNodes = graph.nodes.filter(node =>
+                this.isMacroNode(node, macroName) || (graph === macro.graph && this.isBoundaryNode(node)));
+            const matchedBefore = graph.findMatchingConnections(changedNodes.map(n => n.id));
+
+            changedNodes.forEach(node => this.rebuildPins(graph, node, macro, renamedPins));
+
+            removedWires += graph.removeMismatchedConnections(matchedBefore);
+            changedNodes.forEach(node => renderer.refreshNode(node));
+        });
+
+        if (removedWires > 0) this.editor.notify(`Removed ${removedWires} wire(s) that no longer match ${macroName}`);
+        renderer.render();
+        this.renderList();
+    }
+
+    /**
+     * Replaces the pins of a node generated from a macro by the ones of its current signature.
+     * Split pins are recombined first: the split layout may not exist anymore.
+     */
+    rebuildPins(graph, node, macro, renamedPins) {
+        ['input', 'output'].forEach(direction => {
+            let pin;
+            while ((pin = (direction === 'input' ? node.inputs : node.outputs).find(p => p.split))) {
+                graph.recombinePin(node.id, pin.index, direction);
+            }
+        });
+
+        if (node.functionId === 'Macro.Call') {
+            const template = this.createMacroTemplate(macro);
+            graph.replacePins(node.id, 'input', template.inputs, renamedPins.inputs);
+            graph.replacePins(node.id, 'output', template.outputs, renamedPins.outputs);
+        } else if (node.functionId === 'Macro.Inputs') {
+            graph.replacePins(node.id, 'output', this.createInputsTemplate(macro).outputs, renamedPins.inputs);
+        } else {
+            graph.replacePins(node.id, 'input', this.createOutputsTemplate(macro).inputs, renamedPins.outputs);
+        }
+    }
+
+    // --- EXECUTION ---
+
+    /**
+     * Builds the inlined copy of a macro's graph that one macro node runs. Node and wire IDs are
+     * those of the macro's graph, and every copy remembers what it stands for ('shownAs'), so the
+     * step debugger can highlight the macro's graph while the copy runs (the graphs of collapsed
+     * nodes included).
+     * @param {Object} macro
+     * @returns {Graph} A graph that is not part of the document.
+     */
+    instantiate(macro) {
+        const instance = new Graph();
+        instance.fromJSON(macro.graph.toJSON(), (nodeData) => this.findTemplate(nodeData, macro));
+        const linkCopies = (copy, original) => {
+            copy.nodes.forEach(node => {
+                node.shownAs = original.nodes.find(n => n.id === node.id) || null;
+                if (node.subgraph && node.shownAs && node.shownAs.subgraph) linkCopies(node.subgraph, node.shownAs.subgraph);
+            });
+            copy.connections.forEach(conn => conn.shownAs = original.connections.find(c => c.id === conn.id) || null);
+        };
+        linkCopies(instance, macro.graph);
+        return instance;
+    }
+
+    // --- TEMPLATES ---
+
+    /**
+     * Registers the template of every macro, replacing the previous registration.
+     */
+    registerTemplates() {
+        window.nodeTemplates = (window.nodeTemplates || []).filter(t => t.functionId !== 'Macro.Call');
+        this.macros.forEach(macro => window.nodeTemplates.push(this.createMacroTemplate(macro)));
+    }
+
+    createMacroTemplate(macro) {
+        return {
+            name: macro.name,
+            category: "Macros",
+            color: "var(--n-macro)",
+            functionId: "Macro.Call",
+            inputs: this.createPins(macro.inputs),
+            outputs: this.createPins(macro.outputs)
+        };
+    }
+
+    createInputsTemplate(macro) {
+        return {
+            name: MacroManager.INPUTS_NODE_NAME,
+            color: "var(--n-macro)",
+            functionId: "Macro.Inputs",
+            inputs: [],
+            outputs: this.createPins(macro.inputs)
+        };
+    }
+
+    createOutputsTemplate(macro) {
+        return {
+            name: MacroManager.OUTPUTS_NODE_NAME,
+            color: "var(--n-macro)",
+            functionId: "Macro.Outputs",
+            inputs: this.createPins(macro.outputs),
+            outputs: []
+        };
+    }
+
+    /** One pin per input or output, named after it. */
+    createPins(pins) {
+        return pins.map(p => ({ name: p.name, type: p.type }));
+    }
+
+    /**
+     * Adds the Inputs and Outputs nodes of a macro to its graph.
+     * @returns {{inputsNode: GraphNode, outputsNode: GraphNode}}
+     */
+    createBoundaryNodes(macro) {
+        const inputsNode = macro.graph.addNode(this.createInputsTemplate(macro), 0, 0);
+        const outputsNode = macro.graph.addNode(this.createOutputsTemplate(macro), 400, 0);
+        return { inputsNode, outputsNode };
+    }
+
+    /**
+     * Resolves the template needed to re-instantiate a serialized node of a macro graph.
+     * @param {Object} nodeData - A node produced by GraphNode.toJSON().
+     * @param {Object} macro - The macro whose graph holds the node.
+     * @returns {Object|null} The template, or null if none matches.
+     */
+    findTemplate(nodeData, macro) {
+        if (nodeData.functionId === 'Macro.Inputs') return this.createInputsTemplate(macro);
+        if (nodeData.functionId === 'Macro.Outputs') return this.createOutputsTemplate(macro);
+        return this.variableManager.findTemplate(nodeData);
+    }
+
+    isMacroNode(node, macroName) {
+        return node.functionId === 'Macro.Call' && node.name === macroName;
+    }
+
+    /** @returns {Boolean} True for the Inputs and Outputs nodes of a macro graph. */
+    isBoundaryNode(node) {
+        return node.functionId === 'Macro.Inputs' || node.functionId === 'Macro.Outputs';
+    }
+
+    createMacro(name) {
+        const macro = {
+            name,
+            inputs: [{ name: "In", type: "exec" }],
+            outputs: [{ name: "Out", type: "exec" }],
+            graph: new Graph()
+        };
+        this.macros.push(macro);
+        this.registerTemplates();
+        return macro;
+    }
+
+    createUniqueName(baseName) {
+        let name = baseName;
+        let count = 0;
+        while (this.isNameTaken(name)) {
+            count++;
+            name = `${baseName}_${count}`;
+        }
+        return name;
+    }
+
+    /** Macro names are node names: they must not match any node of the menu. */
+    isNameTaken(name) {
+        return (window.nodeTemplates || []).some(t => t.name === name);
+    }
+
+    isPinNameFree(macro, kind, name) {
+        return !macro[kind].some(p => p.name === name);
+    }
+
+    // --- PANEL ---
+
+    renderList() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+
+        this.macros.forEach(macro => {
+            const row = document.createElement('div');
+            row.className = 'function-row macro-row';
+            row.classList.toggle('shown', this.editor.activeGraph === macro.graph);
+
+            const header = document.createElement('div');
+            header.className = 'function-header';
+
+                const nameInput = document.createElement('input');
+                nameInput.value = macro.name;
+                nameInput.className = 'var-name';
+                nameInput.onchange = (e) => this.renameMacro(macro.name, e.target.value);
+
+                const openBtn = this.createPinButton('Open', 'Open Macro Graph', () => this.editor.showGraph(macro.graph));
+
+                const delBtn = document.createElement('button');
+                delBtn.innerText = '×';
+                delBtn.className = 'var-del';
+                delBtn.title = 'Delete Macro';
+                delBtn.onclick = () => this.deleteMacro(macro.name);
+
+            header.append(nameInput, openBtn, delBtn);
+            row.appendChild(header);
+
+            Object.keys(MacroManager.PIN_KINDS).forEach(kind => {
+                const { title, label } = MacroManager.PIN_KINDS[kind];
+                const section = document.createElement('div');
+                section.className = 'function-section';
+                section.innerText = title;
+                const buttons = document.createElement('span');
+                buttons.append(
+                    this.createPinButton('+ Exec', `Add Exec ${label}`, () => this.addPin(macro.name, kind, 'exec')),
+                    this.createPinButton('+ Data', `Add Data ${label}`, () => this.addPin(macro.name, kind, 'boolean')));
+                section.appendChild(buttons);
+                row.appendChild(section);
+
+                macro[kind].forEach((pin, index) => row.appendChild(this.createPinRow(macro, kind, pin, index)));
+            });
+
+            this.ui.list.appendChild(row);
+        });
+    }
+
+    createPinRow(macro, kind, pin, index) {
+        const pinRow = document.createElement('div');
+        pinRow.className = 'function-param';
+
+        const nameInput = document.createElement('input');
+        nameInput.value = pin.name;
+        nameInput.className = 'struct-field-name';
+        nameInput.onchange = (e) => this.renamePin(macro.name, kind, index, e.target.value);
+
+        // Exec pins have no type to pick
+        const typePickers = [];
+        if (pin.type === 'exec') {
+            const execLabel = document.createElement('span');
+            execLabel.className = 'macro-exec-label';
+            execLabel.innerText = 'Exec';
+            typePickers.push(execLabel);
+        } else {
+            typePickers.push(...this.variableManager.createTypePickers(pin.type, (t) => this.retypePin(macro.name, kind, index, t)));
+        }
+
+        const label = MacroManager.PIN_KINDS[kind].label;
+        const upBtn = this.createPinButton('▲', `Move ${label} Up`, () => this.movePin(macro.name, kind, index, -1));
+        upBtn.disabled = index === 0;
+        const downBtn = this.createPinButton('▼', `Move ${label} Down`, () => this.movePin(macro.name, kind, index, 1));
+        downBtn.disabled = index === macro[kind].length - 1;
+        const removeBtn = this.createPinButton('×', `Remove ${label}`, () => this.removePin(macro.name, kind, index));
+
+        pinRow.append(nameInput, ...typePickers, upBtn, downBtn, removeBtn);
+        return pinRow;
+    }
+
+    createPinButton(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'struct-field-btn';
+        btn.innerText = text;
+        btn.title = title;
+        btn.onclick = onClick;
+        return btn;
+    }
+
+    // --- DOCUMENT ---
+
+    /**
+     * Serializes the macros (signature and graph) for saving.
+     * @returns {Array<Object>} { name, inputs, outputs, graph } with the graph as Graph.toJSON().
+     */
+    toJSON() {
+        return this.macros.map(macro => JSON.parse(JSON.stringify({
+            name: macro.name,
+            inputs: macro.inputs,
+            outputs: macro.outputs,
+            graph: macro.graph.toJSON()
+        })));
+    }
+
+    /**
+     * Replaces all macros (used when opening a saved document), in two passes: loadMacros() registers
+     * the macro templates, loadMacroGraphs() restores the graphs. Macro graphs may use functions and
+     * function graphs may use macros, so the functions are loaded between the two passes.
+     * The Graph of a macro that keeps its name is reused, so views holding it stay valid.
+     * @param {Array<Object>} savedMacros - The list produced by toJSON().
+     */
+    loadMacros(savedMacros) {
+        const previousGraphs = new Map(this.macros.map(macro => [macro.name, macro.graph]));
+        const copyPins = (list) => (Array.isArray(list) ? list : [])
+            .filter(p => p && p.name)
+            .map(p => ({ name: String(p.name), type: p.type || 'boolean' }));
+
+        this.macros = (savedMacros || []).filter(m => m && m.name).map(m => ({
+            name: m.name,
+            inputs: copyPins(m.inputs),
+            outputs: copyPins(m.outputs),
+            graph: previousGraphs.get(m.name) || new Graph()
+        }));
+        this.registerTemplates();
+    }
+
+    /**
+     * Second pass of loadMacros().
+     * @param {Array<Object>} savedMacros - The list given to loadMacros().
+     * @returns {Array<Object>} Serialized nodes that could not be restored (no matching template).
+     */
+    loadMacroGraphs(savedMacros) {
+        const saved = (savedMacros || []).filter(m => m && m.name);
+        const skipped = [];
+        this.macros.forEach((macro, i) => {
+            skipped.push(...macro.graph.fromJSON(saved[i].graph || {}, (nodeData) => this.findTemplate(nodeData, macro)));
+        });
+        this.renderList();
+        return skipped;
+    }
+}
+
+// Macro names become node names: same rule as the other user-defined names
+MacroManager.NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+MacroManager.INPUTS_NODE_NAME = "Inputs";
+MacroManager.OUTPUTS_NODE_NAME = "Outputs";
+
+// What the panel and the history labels call each pin list, and the names given to new pins
+MacroManager.PIN_KINDS = {
+    inputs: { title: 'Inputs', label: 'Macro Input', execName: 'In', dataName: 'NewParam' },
+    outputs: { title: 'Outputs', label: 'Macro Output', execName: 'Out', dataName: 'NewReturn' }
+};
@@ -1,3 +1,16 @@
+// Keys the "Input Key" event can listen to: name in its dropdown -> KeyboardEvent.code in the browser
+window.inputKeys = {
+    "Space Bar": "Space", "Enter": "Enter", "Escape": "Escape", "Tab": "Tab", "Backspace": "Backspace",
+    "Left Shift": "ShiftLeft", "Left Ctrl": "ControlLeft", "Left Alt": "AltLeft",
+    "Up": "ArrowUp", "Down": "ArrowDown", "Left": "ArrowLeft", "Right": "ArrowRight",
+    "A": "KeyA", "B": "KeyB", "C": "KeyC", "D": "KeyD", "E": "KeyE", "F": "KeyF", "G": "KeyG", "H": "KeyH", "I": "KeyI", "J": "KeyJ", "K": "KeyK", "L": "KeyL",
+    "M": "KeyM", "N": "KeyN", "O": "KeyO", "P": "KeyP", "Q": "KeyQ", "R": "KeyR", "S": "KeyS", "T": "KeyT", "U": "KeyU", "V": "KeyV", "W": "KeyW", "X": "KeyX", "Y": "KeyY", "Z": "KeyZ",
+    "Zero": "Digit0", "One": "Digit1", "Two": "Digit2", "Three": "Digit3", "Four": "Digit4", "Five": "Digit5", "Six": "Digit6", "Seven": "Digit7", "Eight": "Digit8", "Nine": "Digit9"
+};
+
+// Buttons the "Input Mouse Button" event can listen to, indexed by MouseEvent.button
+window.mouseButtons = ["Left Mouse Button", "Middle Mouse Button", "Right Mouse Button"];
+
 window.globalNodes = [
     // --- EVENTS ---
     {
@@ -7,6 +20,47 @@ window.globalNodes = [
         "outputs": [{"name": "Out", "type": "exec"}]
     },
 
+    {
+        "name": "Event Tick",
+        "category": "Events",
+        "color": "var(--n-event)",
+        "functionId": "Event.Tick",
+        "outputs": [{"name": "Out", "type": "exec"}, {"name": "Delta Seconds", "type": "float"}]
+    },
+
+    // --- INPUT ---
+    {
+        "name": "Input Key",
+        "category": "Input",
+        "color": "var(--n-event)",
+        "functionId": "Input.Key",
+        "inputs": [{ "name": "Key", "type": "string", "widget": "dropdown", "options": Object.keys(window.inputKeys), "default": "Space Bar" }],
+        "outputs": [{ "name": "Pressed", "type": "exec" }, { "name": "Released", "type": "exec" }]
+    },
+    {
+        "name": "Input Mouse Button",
+        "category": "Input",
+        "color": "var(--n-event)",
+        "functionId": "Input.MouseButton",
+        "inputs": [{ "name": "Button", "type": "string", "widget": "dropdown", "options": window.mouseButtons, "default": "Left Mouse Button" }],
+        "outputs": [{ "name": "Pressed", "type": "exec" }, { "name": "Released", "type": "exec" }]
+    },
+    {
+        "name": "Get Mouse Position",
+        "category": "Input",
+        "color": "var(--n-pure)",
+        "functionId": "Input.GetMousePosition",
+        "outputs": [{ "name": "Location X", "type": "float" }, { "name": "Location Y", "type": "float" }]
+    },
+
+    {
+        "name": "Event Test",
+        "category": "Testing",
+        "color": "var(--n-event)",
+        "inputs": [{"name": "Test Name", "type": "string", "default": "New Test"}],
+        "outputs": [{"name": "Out", "type": "exec"}]
+    },
+
     // --- FLOW CONTROL ---
     {
         "name": "Branch",
@@ -23,6 +77,249 @@ window.globalNodes = [
         ]
     },
 
+    {
+        "name": "Sequence",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.Sequence",
+        "inputs": [{ "name": "Exec", "type": "exec" }],
+        "outputs": [
+            { "name": "Then 0", "type": "exec" },
+            { "name": "Then 1", "type": "exec" },
+            { "name": "Then 2", "type": "exec" }
+        ]
+    },
+    {
+        "name": "Switch on Int",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.SwitchOnInt",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Selection", "type": "int", "default": 0 }
+        ],
+        "outputs": [
+            { "name": "0", "type": "exec" },
+            { "name": "1", "type": "exec" },
+            { "name": "2", "type": "exec" },
+            { "name": "Default", "type": "exec" }
+        ]
+    },
+    {
+        "name": "Switch on String",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.SwitchOnString",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Selection", "type": "string", "default": "" },
+            { "name": "Case 0", "type": "string", "default": "A" },
+            { "name": "Case 1", "type": "string", "default": "B" },
+            { "name": "Case 2", "type": "string", "default": "C" }
+        ],
+        "outputs": [
+            { "name": "Case 0", "type": "exec" },
+            { "name": "Case 1", "type": "exec" },
+            { "name": "Case 2", "type": "exec" },
+            { "name": "Default", "type": "exec" }
+        ]
+    },
+    {
+        "name": "Do Once",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.DoOnce",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Reset", "type": "exec" },
+            { "name": "Start Closed", "type": "boolean", "default": false }
+        ],
+        "outputs": [{ "name": "Completed", "type": "exec" }]
+    },
+    {
+        "name": "Do N",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.DoN",
+        "inputs": [
+            { "name": "Enter", "type": "exec" },
+            { "name": "N", "type": "int", "default": 1 },
+            { "name": "Reset", "type": "exec" }
+        ],
+        "outputs": [
+            { "name": "Exit", "type": "exec" },
+            { "name": "Counter", "type": "int" }
+        ]
+    },
+    {
+        "name": "Gate",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.Gate",
+        "inputs": [
+            { "name": "Enter", "type": "exec" },
+            { "name": "Open", "type": "exec" },
+            { "name": "Close", "type": "exec" },
+            { "name": "Toggle", "type": "exec" },
+            { "name": "Start Closed", "type": "boolean", "default": false }
+        ],
+        "outputs": [{ "name": "Exit", "type": "exec" }]
+    },
+    {
+        "name": "FlipFlop",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.FlipFlop",
+        "inputs": [{ "name": "Exec", "type": "exec" }],
+        "outputs": [
+            { "name": "A", "type": "exec" },
+            { "name": "B", "type": "exec" },
+            { "name": "Is A", "type": "boolean" }
+        ]
+    },
+    {
+        "name": "MultiGate",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.MultiGate",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Reset", "type": "exec" },
+            { "name": "Is Random", "type": "boolean", "default": false },
+            { "name": "Loop", "type": "boolean", "default": false },
+            { "name": "Start Index", "type": "int", "default": -1 }
+        ],
+        "outputs": [
+            { "name": "Out 0", "type": "exec" },
+            { "name": "Out 1", "type": "exec" },
+            { "name": "Out 2", "type": "exec" }
+        ]
+    },
+
+    // --- LOOPS (Loop Body runs to completion before the next iteration starts) ---
+    {
+        "name": "For Loop",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.ForLoop",
+        "isLoop": true,
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "First Index", "type": "int", "default": 0 },
+            { "name": "Last Index", "type": "int", "default": 0 }
+        ],
+        "outputs": [
+            { "name": "Loop Body", "type": "exec" },
+            { "name": "Index", "type": "int" },
+            { "name": "Completed", "type": "exec" }
+        ]
+    },
+    {
+        "name": "For Loop With Break",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.ForLoop",
+        "isLoop": true,
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "First Index", "type": "int", "default": 0 },
+            { "name": "Last Index", "type": "int", "default": 0 },
+            { "name": "Break", "type": "exec" }
+        ],
+        "outputs": [
+            { "name": "Loop Body", "type": "exec" },
+            { "name": "Index", "type": "int" },
+            { "name": "Completed", "type": "exec" }
+        ]
+    },
+    {
+        "name": "While Loop",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.WhileLoop",
+        "isLoop": true,
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Condition", "type": "boolean", "default": false }
+        ],
+        "outputs": [
+            { "name": "Loop Body", "type": "exec" },
+            { "name": "Completed", "type": "exec" }
+        ]
+    },
+    {
+        "name": "For Each Loop",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.ForEachLoop",
+        "isLoop": true,
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }
+        ],
+        "outputs": [
+            { "name": "Loop Body", "type": "exec" },
+            { "name": "Array Element", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] },
+            { "name": "Array Index", "type": "int" },
+            { "name": "Completed", "type": "exec" }
+        ]
+    },
+
+    // --- TIME ---
+    {
+        "name": "Delay",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.Delay",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Duration", "type": "float", "default": 0.2 }
+        ],
+        "outputs": [{ "name": "Completed", "type": "exec" }]
+    },
+    {
+        "name": "Retriggerable Delay",
+        "category": "Flow Control",
+        "color": "var(--n-event)",
+        "functionId": "Flow.RetriggerableDelay",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Duration", "type": "float", "default": 0.2 }
+        ],
+        "outputs": [{ "name": "Completed", "type": "exec" }]
+    },
+    {
+        "name": "Set Timer by Event",
+        "category": "Time",
+        "color": "var(--n-func)",
+        "functionId": "Timer.SetByEvent",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Event", "type": "string", "widget": "dropdown", "options": [], "default": "" },
+            { "name": "Time", "type": "float", "default": 1.0 },
+            { "name": "Looping", "type": "boolean", "default": false }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }, { "name": "Handle", "type": "int" }]
+    },
+    {
+        "name": "Clear Timer by Handle",
+        "category": "Time",
+        "color": "var(--n-func)",
+        "functionId": "Timer.Clear",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Handle", "type": "int", "default": 0 }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Get Game Time in Seconds",
+        "category": "Time",
+        "color": "var(--n-pure)",
+        "functionId": "Time.GetGameTime",
+        "outputs": [{ "name": "Return Value", "type": "float" }]
+    },
+
     // --- DEBUGGING ---
     {
         "name": "Print String",
@@ -91,6 +388,20 @@ window.globalNodes = [
         ],
         "outputs": [{ "name": "Result", "type": "wildcard", "allowedTypes": ["float", "int", "vector"] }]
     },
+    {
+        "name": "Division (Whole and Remainder)",
+        "category": "Math",
+        "color": "var(--n-pure)",
+        "functionId": "Math.DivideWithRemainder",
+        "inputs": [
+            { "name": "Dividend", "type": "float", "default": 0.0 },
+            { "name": "Divisor", "type": "float", "default": 1.0 }
+        ],
+        "outputs": [
+            { "name": "Return Value", "type": "int" },
+            { "name": "Remainder", "type": "float" }
+        ]
+    },
 
     // --- LOGIC / COMPARISON ---
     {
@@ -101,8 +412,8 @@ window.globalNodes = [
         "functionId": "Logic.Equal",
         "centerLabel": "==",
         "inputs": [
-            { "name": "A", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform"] },
-            { "name": "B", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform"] }
+            { "name": "A", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform", "enum"] },
+            { "name": "B", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform", "enum"] }
         ],
         "outputs": [{ "name": "Result", "type": "boolean" }]
     },
@@ -114,8 +425,8 @@ window.globalNodes = [
         "functionId": "Logic.NotEqual",
         "centerLabel": "!=",
         "inputs": [
-            { "name": "A", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform"] },
-            { "name": "B", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform"] }
+            { "name": "A", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform", "enum"] },
+            { "name": "B", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "class", "object", "transform", "enum"] }
         ],
         "outputs": [{ "name": "Result", "type": "boolean" }]
     },
@@ -237,6 +548,38 @@ window.globalNodes = [
         ],
         "outputs": [{"name": "Transform", "type": "transform"}]
     },
+    {
+        "name": "Break Vector",
+        "category": "Variables",
+        "color": "var(--n-pure)",
+        "functionId": "Struct.Break",
+        "inputs": [{"name": "In Vec", "type": "vector"}],
+        "outputs": [
+            {"name": "X", "type": "float"}, {"name": "Y", "type": "float"}, {"name": "Z", "type": "float"}
+        ]
+    },
+    {
+        "name": "Break Rotator",
+        "category": "Variables",
+        "color": "var(--n-pure)",
+        "functionId": "Struct.Break",
+        "inputs": [{"name": "In Rot", "type": "rotator"}],
+        "outputs": [
+            {"name": "Roll", "type": "float"}, {"name": "Pitch", "type": "float"}, {"name": "Yaw", "type": "float"}
+        ]
+    },
+    {
+        "name": "Break Transform",
+        "category": "Variables",
+        "color": "var(--n-pure)",
+        "functionId": "Struct.Break",
+        "inputs": [{"name": "In Transform", "type": "transform"}],
+        "outputs": [
+            {"name": "Location", "type": "vector"},
+            {"name": "Rotation", "type": "rotator"},
+            {"name": "Scale", "type": "vector"}
+        ]
+    },
 
     // --- VECTOR MATH ---
     {
@@ -255,6 +598,372 @@ window.globalNodes = [
         "inputs": [{"name": "A", "type": "vector"}],
         "outputs": [{"name": "Result", "type": "vector"}]
     },
+    {
+        "name": "To Direction And Length",
+        "category": "Math|Vector",
+        "color": "var(--n-pure)",
+        "functionId": "Vector.ToDirectionAndLength",
+        "inputs": [{"name": "A", "type": "vector"}],
+        "outputs": [
+            {"name": "Direction", "type": "vector"},
+            {"name": "Length", "type": "float"}
+        ]
+    },
+
+    // --- ARRAYS (generic: the pins adopt the element type of the first array/item connected) ---
+    {
+        "name": "Make Array",
+        "category": "Array",
+        "color": "var(--n-pure)",
+        "functionId": "Array.Make",
+        "inputs": [
+            { "name": "[0]", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] },
+            { "name": "[1]", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] },
+            { "name": "[2]", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [{ "name": "Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }]
+    },
+    {
+        "name": "Array Add",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.Add",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "New Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [
+            { "name": "Out", "type": "exec" },
+            { "name": "Index", "type": "int" }
+        ]
+    },
+    {
+        "name": "Array Insert",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.Insert",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "New Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] },
+            { "name": "Index", "type": "int" }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Array Remove Index",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.RemoveIndex",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "Index to Remove", "type": "int" }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Array Get (a copy)",
+        "category": "Array",
+        "color": "var(--n-pure)",
+        "functionId": "Array.GetCopy",
+        "inputs": [
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "Index", "type": "int" }
+        ],
+        "outputs": [{ "name": "Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }]
+    },
+    {
+        "name": "Array Get (a ref)",
+        "category": "Array",
+        "color": "var(--n-pure)",
+        "functionId": "Array.GetRef",
+        "inputs": [
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "Index", "type": "int" }
+        ],
+        "outputs": [{ "name": "Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }]
+    },
+    {
+        "name": "Set Array Elem",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.Set",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "Index", "type": "int" },
+            { "name": "Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] },
+            { "name": "Size to Fit", "type": "boolean", "default": false }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Array Length",
+        "category": "Array",
+        "color": "var(--n-pure)",
+        "functionId": "Array.Length",
+        "inputs": [{ "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }],
+        "outputs": [{ "name": "Length", "type": "int" }]
+    },
+    {
+        "name": "Array Contains",
+        "category": "Array",
+        "color": "var(--n-pure)",
+        "functionId": "Array.Contains",
+        "inputs": [
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "Item to Find", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [{ "name": "Return Value", "type": "boolean" }]
+    },
+    {
+        "name": "Array Find",
+        "category": "Array",
+        "color": "var(--n-pure)",
+        "functionId": "Array.Find",
+        "inputs": [
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] },
+            { "name": "Item to Find", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [{ "name": "Found Index", "type": "int" }]
+    },
+    {
+        "name": "Array Clear",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.Clear",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Array Shuffle",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.Shuffle",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Array Sort",
+        "category": "Array",
+        "color": "var(--n-func)",
+        "functionId": "Array.Sort",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Array", "type": "wildcard[]", "allowedTypes": ["float[]", "int[]", "string[]"] }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+
+    // --- SETS (unique elements; generic like the array nodes) ---
+    {
+        "name": "Set Add",
+        "category": "Set",
+        "color": "var(--n-func)",
+        "functionId": "Set.Add",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Set", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] },
+            { "name": "New Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [
+            { "name": "Out", "type": "exec" }
+        ]
+    },
+    {
+        "name": "Set Remove",
+        "category": "Set",
+        "color": "var(--n-func)",
+        "functionId": "Set.Remove",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Set", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] },
+            { "name": "Item", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [
+            { "name": "Out", "type": "exec" },
+            { "name": "Return Value", "type": "boolean" }
+        ]
+    },
+    {
+        "name": "Set Contains",
+        "category": "Set",
+        "color": "var(--n-pure)",
+        "functionId": "Set.Contains",
+        "inputs": [
+            { "name": "Target Set", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] },
+            { "name": "Item to Find", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [
+            { "name": "Return Value", "type": "boolean" }
+        ]
+    },
+    {
+        "name": "Set Length",
+        "category": "Set",
+        "color": "var(--n-pure)",
+        "functionId": "Set.Length",
+        "inputs": [
+            { "name": "Target Set", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ],
+        "outputs": [
+            { "name": "Length", "type": "int" }
+        ]
+    },
+    {
+        "name": "Set To Array",
+        "category": "Set",
+        "color": "var(--n-pure)",
+        "functionId": "Set.ToArray",
+        "inputs": [
+            { "name": "A", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ],
+        "outputs": [
+            { "name": "Result", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }
+        ]
+    },
+    {
+        "name": "Set Union",
+        "category": "Set",
+        "color": "var(--n-pure)",
+        "functionId": "Set.Union",
+        "inputs": [
+            { "name": "A", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] },
+            { "name": "B", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ],
+        "outputs": [
+            { "name": "Result", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ]
+    },
+    {
+        "name": "Set Intersection",
+        "category": "Set",
+        "color": "var(--n-pure)",
+        "functionId": "Set.Intersection",
+        "inputs": [
+            { "name": "A", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] },
+            { "name": "B", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ],
+        "outputs": [
+            { "name": "Result", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ]
+    },
+    {
+        "name": "Set Difference",
+        "category": "Set",
+        "color": "var(--n-pure)",
+        "functionId": "Set.Difference",
+        "inputs": [
+            { "name": "A", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] },
+            { "name": "B", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ],
+        "outputs": [
+            { "name": "Result", "type": "set<wildcard>", "allowedTypes": ["set<boolean>", "set<int>", "set<float>", "set<string>", "set<vector>", "set<rotator>", "set<transform>", "set<color>", "set<class>", "set<object>"] }
+        ]
+    },
+
+    // --- MAPS (key -> value; the 'Key' pins adopt the key type, the other wildcards the value type) ---
+    {
+        "name": "Map Add",
+        "category": "Map",
+        "color": "var(--n-func)",
+        "functionId": "Map.Add",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" },
+            { "name": "Key", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"], "wildcardGroup": "key" },
+            { "name": "Value", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] }
+        ],
+        "outputs": [
+            { "name": "Out", "type": "exec" }
+        ]
+    },
+    {
+        "name": "Map Remove",
+        "category": "Map",
+        "color": "var(--n-func)",
+        "functionId": "Map.Remove",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" },
+            { "name": "Key", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"], "wildcardGroup": "key" }
+        ],
+        "outputs": [
+            { "name": "Out", "type": "exec" },
+            { "name": "Return Value", "type": "boolean" }
+        ]
+    },
+    {
+        "name": "Map Find",
+        "category": "Map",
+        "color": "var(--n-pure)",
+        "functionId": "Map.Find",
+        "inputs": [
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" },
+            { "name": "Key", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"], "wildcardGroup": "key" }
+        ],
+        "outputs": [
+            { "name": "Value", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"] },
+            { "name": "Found", "type": "boolean" }
+        ]
+    },
+    {
+        "name": "Map Contains",
+        "category": "Map",
+        "color": "var(--n-pure)",
+        "functionId": "Map.Contains",
+        "inputs": [
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" },
+            { "name": "Key", "type": "wildcard", "allowedTypes": ["boolean", "int", "float", "string", "vector", "rotator", "transform", "color", "class", "object"], "wildcardGroup": "key" }
+        ],
+        "outputs": [
+            { "name": "Return Value", "type": "boolean" }
+        ]
+    },
+    {
+        "name": "Map Keys",
+        "category": "Map",
+        "color": "var(--n-pure)",
+        "functionId": "Map.Keys",
+        "inputs": [
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" }
+        ],
+        "outputs": [
+            { "name": "Keys", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"], "wildcardGroup": "key" }
+        ]
+    },
+    {
+        "name": "Map Values",
+        "category": "Map",
+        "color": "var(--n-pure)",
+        "functionId": "Map.Values",
+        "inputs": [
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" }
+        ],
+        "outputs": [
+            { "name": "Values", "type": "wildcard[]", "allowedTypes": ["boolean[]", "int[]", "float[]", "string[]", "vector[]", "rotator[]", "transform[]", "color[]", "class[]", "object[]"] }
+        ]
+    },
+    {
+        "name": "Map Length",
+        "category": "Map",
+        "color": "var(--n-pure)",
+        "functionId": "Map.Length",
+        "inputs": [
+            { "name": "Target Map", "type": "map<wildcard,wildcard>" }
+        ],
+        "outputs": [
+            { "name": "Length", "type": "int" }
+        ]
+    },
 
     // --- CONVERSIONS ---
     {
@@ -305,6 +1014,63 @@ window.globalNodes = [
         "inputs": [{"name": "Vec", "type": "vector"}],
         "outputs": [{"name": "String", "type": "string"}]
     },
+    {
+        "name": "Enum to String",
+        "category": "Conversion",
+        "color": "var(--n-pure)",
+        "functionId": "Conv.EnumToString",
+        "inputs": [{"name": "Enum", "type": "enum"}],
+        "outputs": [{"name": "String", "type": "string"}]
+    },
+    {
+        "name": "Enum to Int",
+        "category": "Conversion",
+        "color": "var(--n-pure)",
+        "functionId": "Conv.EnumToInt",
+        "inputs": [{"name": "Enum", "type": "enum"}],
+        "outputs": [{"name": "Int", "type": "int"}]
+    },
+
+    // --- TESTING (Assertions fail the running test with a Blueprint error) ---
+    {
+        "name": "Assert Equal",
+        "category": "Testing",
+        "color": "var(--n-func)",
+        "functionId": "Test.AssertEqual",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Actual", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "rotator", "transform", "enum"] },
+            { "name": "Expected", "type": "wildcard", "allowedTypes": ["float", "int", "string", "boolean", "vector", "rotator", "transform", "enum"] },
+            { "name": "Message", "type": "string", "default": "", "advanced": true }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Assert True",
+        "category": "Testing",
+        "color": "var(--n-func)",
+        "functionId": "Test.AssertTrue",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Condition", "type": "boolean", "default": true },
+            { "name": "Message", "type": "string", "default": "", "advanced": true }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
+    {
+        "name": "Assert Near",
+        "category": "Testing",
+        "color": "var(--n-func)",
+        "functionId": "Test.AssertNear",
+        "inputs": [
+            { "name": "Exec", "type": "exec" },
+            { "name": "Actual", "type": "wildcard", "allowedTypes": ["float", "vector"] },
+            { "name": "Expected", "type": "wildcard", "allowedTypes": ["float", "vector"] },
+            { "name": "Tolerance", "type": "float", "default": 0.0001 },
+            { "name": "Message", "type": "string", "default": "", "advanced": true }
+        ],
+        "outputs": [{ "name": "Out", "type": "exec" }]
+    },
 
     // --- GAMEPLAY EXAMPLES ---
     {
@@ -1,79 +1,380 @@
 /**
  * Simulation Class
  * Manages the execution flow of the blueprint graph.
+ *
+ * This is the headless execution core: it never touches the DOM and never waits on its own.
+ * Everything visual (highlights, wire animations, value labels, pacing) is done by observers
+ * that listen to execution events (see SimulationVisualizer). Observers may return a Promise
+ * from their handler; the engine awaits it, which is how animated playback slows execution down.
+ *
+ * Execution is depth-first: the node reached through an exec output runs before anything else
+ * still queued, so a Loop Body chain always finishes before its loop moves on to the next iteration.
+ * Loop nodes (template flag 'isLoop') are re-entered through a queued item carrying the next
+ * iteration number; every iteration starts a new evaluation epoch so pure nodes are recomputed.
+ * Other nodes fire their first exec output, unless their function picks the output(s) to fire
+ * (see storeResult), which is how Branch, Sequence, Switch, Gate, etc. are defined.
+ * Functions with several return values return dispatchResult({ outputs: { <pin name>: value } }); every
+ * connection then reads the value of its own source pin (see readOutput).
+ *
+ * User functions (see FunctionManager) run on a call stack. A call node pushes a frame holding the
+ * function's parameters and local variables and queues the function's Entry node; every queued item
+ * remembers its frame, so lookups happen in the graph of the function it belongs to. Reaching the
+ * Return node (or running out of steps in the body) pops the frame, then the call node outputs the
+ * returned values and fires its exec output. Pure functions are evaluated on demand, like pure nodes.
+ *
+ * User macros (see MacroManager) are inlined: each macro node runs its own copy of the macro's graph,
+ * in a frame that lives for the whole run (so stateful nodes inside it keep their state per macro node).
+ * Exec enters the copy through the Inputs pin named like the macro node's pin that fired, and leaves it
+ * through the macro node's exec output named like the Outputs pin reached. The macro's data inputs are
+ * pulled from the caller every time they are read. Collapsed nodes (see CollapsedGraphManager) run the
+ * same way, in their own graph: it is not shared, so there is nothing to copy.
+ *
+ * The main event graph runs without a frame. The events of the other event graphs of the document
+ * (see EventGraphManager) run in a frame of their own, { graph, caller: null }, for the same lookups.
+ *
+ * Custom events (see CustomEventManager) are queued with their arguments, in their order, by Call <Event>
+ * nodes, by Call <Dispatcher> nodes (every event bound to the dispatcher during the run) and by fireEvent().
+ * A call runs the event's chain right away (before the caller's next node), like a function call would.
+ *
+ * Time is simulated: the clock only moves when nothing is left to run, one frame (timeScale / frameRate
+ * seconds) at a time, and only while something waits for it (see advanceFrame). Each frame fires Event Tick
+ * (in play runs), then resumes the Delay nodes and fires the timers that are due. Headless runs go from
+ * frame to frame instantly; with 'realTime' every frame lasts 1 / frameRate seconds of wall-clock time.
+ * 'playbackSpeed' divides both wall-clock waits (the step delay and the real-time frames).
+ *
+ * Input events (Input Key, Input Mouse Button) are queued behind everything else by injectInput() (the
+ * editor's play area) or by the run's input timeline, at the game time of each entry (headless runs and tests).
+ * A real-time play run with input events keeps running, waiting for input, until it is stopped.
+ *
+ * With 'pauseOnBreakpoints', a running simulation pauses when it reaches a node with a breakpoint (see
+ * Breakpoint and hitBreakpoint): before an exec node runs (the step runs once resumed or stepped), or,
+ * for a pure node, in the middle of the step that evaluates it (the step finishes once resumed or stepped).
+ *
+ * The call stack of a paused run (see getCallStack) goes from the node about to run out through the nodes
+ * that called into its frame: function calls, macro and collapsed nodes, and Call <Event> nodes (a called
+ * custom event runs in a frame of its own that remembers its call site). Step Over and Step Out run on
+ * until the next step that is back at the same depth, or one level up (see stepToDepth).
+ *
+ * With 'recordTrace', every run records its ExecutionTrace ('trace', kept once the run stops): the node of
+ * each step, the game time, the nodes evaluated, every pin value, the variables written and the errors.
+ *
+ * Events emitted (type -> payload):
+ *  - 'run-start'            { runId }
+ *  - 'step-start'           { item }
+ *  - 'wire-traversed'       { conn, kind: 'exec' | 'data', value?, sourceNode? }
+ *  - 'node-enter'           { node, item }
+ *  - 'dependencies'         { node, nodes, connections }  (pure chain about to be evaluated)
+ *  - 'dependencies-resolved'{ node, connections }
+ *  - 'pin-evaluated'        { node, pin, value, conn }
+ *  - 'pure-cached'          { node }                      (pure node reused its cached result)
+ *  - 'node-executed'        { node, result, pure }
+ *  - 'loop-iteration'       { node, iteration, outputs } (a loop is about to run its Loop Body)
+ *  - 'loop-completed'       { node, iterations, broken }
+ *  - 'function-call'        { node, frame }               (a call node entered its function)
+ *  - 'function-return'      { node, frame, outputs }      (the function returned to its call node)
+ *  - 'macro-enter'          { node, frame, pin }          (exec entered a macro node through an exec input)
+ *  - 'macro-exit'           { node, frame, pin, outputs } (exec left a macro node through an exec output)
+ *  - 'event-fired'          { name, nodes, args }         (a custom event was queued with its arguments)
+ *  - 'frame-start'          { frame, time, deltaSeconds } (the clock moved to a new frame)
+ *  - 'input'                { input, nodes }              (an input was received; nodes = the input events queued)
+ *  - 'breakpoint-hit'       { node, hits, error }         (the run paused at the breakpoint of a node; error = why its
+ *                                                           condition could not be evaluated, if so)
+ *  - 'step-paused'          { node, item }                (a Step Over / Step Out reached its step: the run paused before it)
+ *  - 'error'                { node, error }
+ *  - 'run-stop'             { runId, errors }
  */
 class Simulation {
-    constructor(graph, renderer) { 
-        this.graph = graph; 
-        this.renderer = renderer;
-        this.status = 'STOPPED'; 
-        this.executionQueue = []; 
+    /**
+     * @param {Graph} graph - The graph to execute (the main event graph).
+     * @param {Object} [options]
+     * @param {VariableManager} [options.variableManager] - Provides variable defaults and runtime values.
+     * @param {FunctionManager} [options.functionManager] - Provides the user functions called by the graph.
+     * @param {MacroManager} [options.macroManager] - Provides the user macros used by the graph.
+     * @param {EventGraphManager} [options.eventGraphManager] - Provides the other event graphs of the document.
+     * @param {number} [options.stepDelay=0] - Pause (ms) between exec steps while running. 0 = back-to-back.
+     * @param {number} [options.maxSteps=0] - Stops the run with an error after this many exec steps. 0 = unlimited.
+     * @param {number} [options.maxLoopIterations=10000] - Iterations allowed per loop execution before the run
+     *   is stopped as an infinite loop. 0 = unlimited.
+     * @param {number} [options.maxCallDepth=200] - Nested function calls allowed before the run is stopped
+     *   as a stack overflow. 0 = unlimited.
+     * @param {number} [options.frameRate=60] - Simulated frames per second.
+     * @param {number} [options.timeScale=1] - Game seconds per real second (scales Delta Seconds).
+     * @param {boolean} [options.realTime=false] - Paces frames with the wall clock instead of running them back-to-back.
+     * @param {number} [options.playbackSpeed=1] - Divides the step delay and the real-time frame duration
+     *   (Infinity = no wait at all).
+     * @param {number} [options.maxGameTime=0] - Stops the run once this much game time (s) has passed. 0 = unlimited.
+     * @param {Array<Object>} [options.inputTimeline] - Inputs to inject during each run: { time, ...input }
+     *   (see injectInput), time in game seconds.
+     * @param {boolean} [options.pauseOnBreakpoints=false] - Pauses the run at the breakpoints of the nodes.
+     * @param {boolean} [options.recordTrace=false] - Records the ExecutionTrace of each run.
+     */
+    constructor(graph, options = {}) {
+        this.graph = graph;
+        this.variableManager = options.variableManager || null;
+        this.functionManager = options.functionManager || null;
+        this.macroManager = options.macroManager || null;
+        this.eventGraphManager = options.eventGraphManager || null;
+        this.stepDelay = options.stepDelay || 0;
+        this.maxSteps = options.maxSteps || 0;
+        this.maxLoopIterations = options.maxLoopIterations !== undefined
+            ? options.maxLoopIterations
+            : Simulation.DEFAULT_MAX_LOOP_ITERATIONS;
+        this.maxCallDepth = options.maxCallDepth !== undefined
+            ? options.maxCallDepth
+            : Simulation.DEFAULT_MAX_CALL_DEPTH;
+        this.stepCount = 0;
+        this.frameRate = options.frameRate > 0 ? options.frameRate : Simulation.DEFAULT_FRAME_RATE;
+        this.timeScale = options.timeScale > 0 ? options.timeScale : 1;
+        this.realTime = !!options.realTime;
+        this.playbackSpeed = options.playbackSpeed > 0 ? options.playbackSpeed : 1;
+        this.maxGameTime = options.maxGameTime || 0;
+        this.inputTimeline = options.inputTimeline || [];
+        this.pauseOnBreakpoints = !!options.pauseOnBreakpoints;
+        this.recordTrace = !!options.recordTrace;
+
+        this.status = 'STOPPED';
+        this.executionQueue = [];
         this.timer = null;
         this.runInstanceId = 0;
         this.lastProcessedItem = null;
-        this.onStateChange = null; 
-        
-        // Tracks all visuals (labels AND glowing wires) for the current step
-        this.activeStepVisuals = [];
-    }
-    
-    initialize() {
-        this.stop(); 
-        this.status = 'STOPPED'; 
-        this.runInstanceId++; 
-        console.clear();
-        console.log(`--- Simulation Initialized (Run ${this.runInstanceId}) ---`);
-        
+        this.queueAfterLastItem = []; // Queue as it was right after lastProcessedItem was taken (for replayStep)
+        this.onStateChange = null;
+
+        // Pure node results are reused within one epoch; each loop iteration starts a new one
+        this.evaluationEpoch = 0;
+
+        // Active loops: node -> { broken } (keyed by node: function graphs reuse the same IDs)
+        this.loopStates = new Map();
+
+        // Frames of the user functions being executed, outermost first:
+        // { function, graph, callNode, caller, parameters, locals, savedState }
+        this.callStack = [];
+        this.currentFrame = null; // Frame of the step being processed (null = the event graph)
+        this.callStackBeforeLastItem = []; // Call stack as it was before lastProcessedItem ran (for replayStep)
+
+        // Inlined graphs: macro or collapsed node -> { macro (its signature), graph (the graph it runs), callNode, caller }
+        this.macroFrames = new Map();
+
+        // Event graphs besides the main one -> the frame their events run in
+        this.eventGraphFrames = new Map();
+
+        // Dispatcher name -> names of the custom events bound to it during the current run
+        this.dispatcherBindings = new Map();
+
+        // Simulated clock of the current run: game time (s) and frames elapsed
+        this.clock = { time: 0, frame: 0 };
+        // Frame and exact game time the clock counts from, since Delta Seconds last changed (see advanceFrame)
+        this.clockOrigin = { frame: 0, time: 0, deltaSeconds: null };
+        // Play runs fire Event Tick every frame (runs started from given events do not)
+        this.ticking = false;
+        // Delay nodes waiting for their time: node -> { node, frame, dueTime, order }
+        this.latentActions = new Map();
+        // Timers set by Set Timer by Event: handle -> { handle, eventName, interval, looping, dueTime, order }
+        this.timers = new Map();
+        this.nextTimerHandle = 1;
+        this.nextTimeOrder = 0; // Orders latent actions and timers due at the same time
+
+        // State of the player's input (see injectInput), and the entries of the input timeline still to come:
+        // { input, dueTime, order }
+        this.inputState = { mouseX: 0, mouseY: 0 };
+        this.scheduledInputs = [];
+
+        // Times each breakpoint was hit during the current run: node (as shown in the editor) -> hits
+        this.breakpointHits = new Map();
+        // Item paused at its breakpoint: it runs without checking it again when the run goes on
+        this.breakpointResumeItem = null;
+        // Releases the step paused at the breakpoint of a pure node (see waitAtBreakpoint)
+        this.breakpointRelease = null;
+        // Where that step is paused: { node, frame } of the pure node
+        this.breakpointPause = null;
+        // Step Over / Step Out in progress: { depth, item } (see stepToDepth)
+        this.stepTarget = null;
+
+        // Execution trace of the current (or last) run, with 'recordTrace'
+        this.trace = null;
+        // Node -> index of its graph in the trace (see traceGraphOf)
+        this.traceGraphIndexes = new Map();
+
+        // Listeners for execution events (see class comment)
+        this.observers = [];
+
+        // Blueprint errors raised during the current run: { nodeId, nodeName, message }
+        this.errors = [];
+
+        // Resolved when the current run stops (lets headless callers await a full run)
+        this.runCompletion = null;
+    }
+
+    /**
+     * Registers an observer. It must implement handleSimulationEvent(type, payload).
+     * @param {Object} observer
+     */
+    addObserver(observer) {
+        if (!this.observers.includes(observer)) this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter(o => o !== observer);
+    }
+
+    /**
+     * Notifies every observer and waits for the ones that return a Promise.
+     * @param {string} type - Event name.
+     * @param {Object} payload - Event data.
+     */
+    async emit(type, payload = {}) {
+        if (this.trace) this.traceEvent(type, payload);
+        for (const observer of this.observers) {
+            try {
+                const pending = observer.handleSimulationEvent(type, payload, this);
+                if (pending && typeof pending.then === 'function') await pending;
+            } catch (err) {
+                console.error(`Simulation observer failed on '${type}'`, err);
+            }
+        }
+    }
+
+    /**
+     * Resets runtime state and queues the entry events of the run.
+     * @param {Array<GraphNode>} [entryNodes] - Events to fire. Defaults to every "Event BeginPlay" of every event graph.
+     */
+    initialize(entryNodes = null) {
+        this.stop();
+        this.status = 'STOPPED';
+        this.runInstanceId++;
+
         // Reset Variables to their Default Values
-        if (window.App.variableManager) {
-            window.App.variableManager.resetRuntime();
+        if (this.variableManager) {
+            this.variableManager.resetRuntime();
         }
 
-        this.graph.nodes.forEach(n => n.executionResult = null);
+        this.loopStates.clear();
+        this.allGraphs().forEach(graph => this.resetNodeStates(graph.nodes));
         this.executionQueue = [];
         this.lastProcessedItem = null;
-        this.clearStepVisuals(); // Ensure clean slate
+        this.queueAfterLastItem = [];
+        this.evaluationEpoch = 0;
+        this.callStack = [];
+        this.currentFrame = null;
+        this.macroFrames.clear();
+        this.eventGraphFrames.clear();
+        this.dispatcherBindings.clear();
+        this.clock = { time: 0, frame: 0 };
+        this.clockOrigin = { frame: 0, time: 0, deltaSeconds: null };
+        this.ticking = !entryNodes;
+        this.latentActions.clear();
+        this.timers.clear();
+        this.nextTimerHandle = 1;
+        this.nextTimeOrder = 0;
+        this.inputState = { mouseX: 0, mouseY: 0 };
+        this.scheduledInputs = this.inputTimeline.map(entry => ({ input: entry, dueTime: entry.time || 0, order: this.nextTimeOrder++ }));
+        this.breakpointHits.clear();
+        this.breakpointResumeItem = null;
+        this.stepTarget = null;
+        this.errors = [];
+        this.stepCount = 0;
+        this.trace = this.recordTrace ? new ExecutionTrace(this.variableValues()) : null;
+        this.traceGraphIndexes.clear();
+
+        let resolveRun;
+        const promise = new Promise(resolve => { resolveRun = resolve; });
+        this.runCompletion = { promise, resolve: resolveRun };
 
-        const starts = this.graph.nodes.filter(n => n.name === "Event BeginPlay");
+        const starts = entryNodes || this.eventGraphs.flatMap(graph => graph.nodes.filter(n => n.name === "Event BeginPlay"));
         starts.forEach(n => {
-            this.executionQueue.push({ node: n, conn: null });
+            this.executionQueue.push({ node: n, conn: null, frame: this.entryFrameOf(n) });
         });
+        // Inputs of the timeline at time 0 come right after the entry events
+        this.scheduledInputs.filter(entry => entry.dueTime <= 0).forEach(entry => this.queueInput(entry.input));
+        this.scheduledInputs = this.scheduledInputs.filter(entry => entry.dueTime > 0);
+
+        this.emit('run-start', { runId: this.runInstanceId });
     }
 
-    start() { this.initialize(); this.setStatus('RUNNING'); this.tick(); }
-    startPaused() { this.initialize(); this.setStatus('PAUSED'); }
-    pause() { if (this.status === 'RUNNING') { this.setStatus('PAUSED'); if(this.timer) clearTimeout(this.timer); } }
-    resume() { if (this.status === 'PAUSED') { this.setStatus('RUNNING'); this.tick(); } }
+    /**
+     * Starts a run from the BeginPlay events (or the given entry events).
+     * @returns {Promise<Array>} Resolves with the run's errors once it stops.
+     */
+    start(entryNodes) {
+        this.initialize(entryNodes);
+        const completion = this.runCompletion.promise; // The run may stop before tick() returns (nothing to run)
+        this.setStatus('RUNNING');
+        this.tick();
+        return completion;
+    }
+    startPaused(entryNodes) { this.initialize(entryNodes); this.setStatus('PAUSED'); return this.runCompletion.promise; }
+    pause() { if (this.status === 'RUNNING') { this.stepTarget = null; this.setStatus('PAUSED'); if(this.timer) clearTimeout(this.timer); } }
+    resume() {
+        if (this.status !== 'PAUSED') return;
+        this.setStatus('RUNNING');
+        // A step paused at a pure node's breakpoint goes on by itself (and schedules the next one)
+        if (this.breakpointRelease) this.releaseBreakpoint();
+        else this.tick();
+    }
 
     stop() {
+        const wasActive = this.status !== 'STOPPED' || this.runCompletion !== null;
+        const stoppedRunId = this.runInstanceId;
         this.setStatus('STOPPED');
         this.executionQueue = [];
         this.lastProcessedItem = null;
+        this.queueAfterLastItem = [];
+        this.callStack = [];
+        this.currentFrame = null;
         if(this.timer) clearTimeout(this.timer);
-        this.runInstanceId++; 
-        
-        // Cleanup visuals
-        this.graph.nodes.forEach(n => {
-            const el = document.getElementById(`node-${n.id}`);
-            if(el) el.style.boxShadow = "";
-        });
-        this.clearStepVisuals(); 
-        
-        // Also clear any persistent wire highlights
-        this.graph.connections.forEach(c => this.resetWireColor(c));
+        this.runInstanceId++;
+        this.releaseBreakpoint(); // The paused step sees the new run ID and ends
 
-        console.log("--- Simulation Stopped ---");
+        if (!wasActive) return;
+        this.emit('run-stop', { runId: stoppedRunId, errors: this.errors });
+        if (this.runCompletion) {
+            this.runCompletion.resolve(this.errors);
+            this.runCompletion = null;
+        }
     }
 
+    /**
+     * Runs one step (Step / Step Into: a step into a function, a macro or a called event stops at its first node).
+     * @returns {Promise} Resolves once the step is done (at once when it finishes a step paused at a breakpoint).
+     */
     step() {
-        if (this.status === 'STOPPED') { this.startPaused(); this.processNext(true); }
-        else if (this.status === 'PAUSED') { this.processNext(true); }
+        if (this.status === 'STOPPED') { this.startPaused(); return this.processNext(true); }
+        else if (this.status === 'PAUSED' && this.breakpointRelease) { this.releaseBreakpoint(); } // Finishes the paused step
+        else if (this.status === 'PAUSED') { return this.processNext(true); }
+        return Promise.resolve();
+    }
+
+    /** Runs the next step and whatever it calls, then pauses (see stepToDepth). */
+    stepOver() { this.stepToDepth(0); }
+
+    /** Runs until the frame of the next step returns to its caller, then pauses (see stepToDepth). */
+    stepOut() { this.stepToDepth(-1); }
+
+    /**
+     * Goes on running from where the run is paused (starting it paused if it is stopped) until the first
+     * step whose call stack is at most 'offset' levels deeper than the current one, and pauses before it
+     * ('step-paused'). A breakpoint or a pause on the way ends it; so does the end of the run (e.g. Step Out
+     * of an event).
+     * @param {number} offset - 0 = Step Over, -1 = Step Out.
+     */
+    stepToDepth(offset) {
+        if (this.status === 'STOPPED') this.startPaused();
+        if (this.status !== 'PAUSED') return;
+
+        const position = this.pausePosition;
+        const depth = position ? this.callStackAt(position.node, position.frame).length : 0;
+        // The step paused at is not checked: it is the one to step over
+        this.stepTarget = { depth: depth + offset, item: this.breakpointRelease ? null : this.executionQueue[0] || null };
+        this.resume();
     }
 
     replayStep() {
-        if (this.status === 'PAUSED' && this.lastProcessedItem) {
+        if (this.status === 'PAUSED' && this.lastProcessedItem && !this.breakpointRelease) {
+            this.currentFrame = this.lastProcessedItem.frame || null;
             this.clearPureNodeCache(this.lastProcessedItem.node);
-            this.executionQueue.unshift(this.lastProcessedItem);
+            // Drop whatever the previous attempt queued, so its successors are not scheduled twice
+            this.executionQueue = [this.lastProcessedItem, ...this.queueAfterLastItem];
+            this.callStack = this.callStackBeforeLastItem.slice();
             this.processNext(true);
         }
     }
@@ -81,12 +382,13 @@ class Simulation {
     clearPureNodeCache(node) {
         node.inputs.forEach(pin => {
             if (pin.type === 'exec') return;
-            const conn = this.graph.connections.find(c => c.toNode === node.id && c.toPin === pin.index);
+            const conn = this.findInputConnection(node, pin.index);
             if (conn) {
-                const src = this.graph.nodes.find(n => n.id === conn.fromNode);
+                const src = this.findNode(conn.fromNode);
                 if (this.isPureNode(src)) {
-                    src.executionResult = null; 
-                    this.clearPureNodeCache(src); 
+                    src.executionResult = null;
+                    src.evaluationEpoch = null;
+                    this.clearPureNodeCache(src);
                 }
             }
         });
@@ -102,203 +404,1360 @@ class Simulation {
         this.processNext(false);
     }
 
+    /**
+     * Schedules the next exec step while running.
+     * Without a step delay (or at an infinite playback speed) the next step starts immediately (headless / fast runs).
+     */
+    scheduleTick() {
+        const delay = this.stepDelay / this.playbackSpeed;
+        if (delay > 0) this.timer = setTimeout(() => this.tick(), delay);
+        else this.tick();
+    }
+
     async processNext(isSingleStep) {
         const currentRunId = this.runInstanceId;
-        if (this.executionQueue.length === 0) {
-            if (this.status === 'RUNNING') this.stop();
-            return;
+        // Nothing left in this frame: move on to the next frames until something runs again
+        while (this.executionQueue.length === 0) {
+            const frames = this.status === 'STOPPED' ? 0 : this.advanceFrame();
+            if (frames === 0) {
+                if (this.status === 'RUNNING') this.stop();
+                return;
+            }
+            if (this.realTime && this.status === 'RUNNING' && !isSingleStep) {
+                this.timer = setTimeout(() => this.tick(), frames * 1000 / this.frameRate / this.playbackSpeed);
+                return;
+            }
         }
 
         const item = this.executionQueue.shift();
-        this.lastProcessedItem = item; 
+        this.currentFrame = item.frame || null;
+
+        // The body of a function ran out of steps without reaching its Return node
+        if (item.returnFrom) {
+            if (!(await this.returnFromFunction(item.returnFrom, null, currentRunId))) return;
+            if (isSingleStep) return this.processNext(true);
+            if (this.status === 'RUNNING') this.scheduleTick();
+            return;
+        }
+
+        // Breakpoint: pause before the step (once resumed or stepped, it runs without checking it again)
+        if (this.status === 'RUNNING' && !isSingleStep && item !== this.breakpointResumeItem) {
+            const hit = this.hitBreakpoint(item.node);
+            if (hit) {
+                this.executionQueue.unshift(item);
+                this.breakpointResumeItem = item;
+                this.pause();
+                await this.emit('breakpoint-hit', hit);
+                return;
+            }
+        }
+        // Step Over / Step Out: pause before the first step back at the depth aimed at
+        if (this.stepTarget && this.status === 'RUNNING' && !isSingleStep && item !== this.stepTarget.item
+            && this.callStackAt(item.node, item.frame || null).length <= this.stepTarget.depth) {
+            this.executionQueue.unshift(item);
+            this.breakpointResumeItem = item; // Its breakpoint was just checked
+            this.pause();
+            await this.emit('step-paused', { node: item.node.shownAs || item.node, item });
+            return;
+        }
+        this.breakpointResumeItem = null;
+
+        this.lastProcessedItem = item;
+        this.queueAfterLastItem = this.executionQueue.slice();
+        this.callStackBeforeLastItem = this.callStack.slice();
         if (this.onStateChange) this.onStateChange(this.status);
 
-        // --- GLOBAL VISUAL CLEANUP ---
-        // We only clear the previous step's visuals (wires/labels) when we officially 
-        // start processing the NEXT Execution Node.
-        this.clearStepVisuals();
+        // Safety net against runaway graphs (CI runs, loops that never end)
+        if (this.maxSteps > 0 && this.stepCount >= this.maxSteps) {
+            const err = new Error(`Step limit reached (${this.maxSteps}).`);
+            err.isBlueprintError = true;
+            this.reportError(item.node, err);
+            this.stop();
+            return;
+        }
+        this.stepCount++;
+
+        await this.emit('step-start', { item });
+        if (this.runInstanceId !== currentRunId) return;
 
         const { node, conn } = item;
 
-        // Animate Wire (Execution Flow)
-        if (conn && this.renderer) {
-            this.renderer.animateExecWire(conn);
-            // Visual pause for the execution wire flowing to this node
-            await new Promise(r => setTimeout(r, 1500));
+        // Execution Flow reaches the node through its incoming exec wire
+        if (conn) {
+            await this.emit('wire-traversed', { conn, kind: 'exec' });
             if (this.runInstanceId !== currentRunId) return;
         }
 
         if (this.status === 'PAUSED' && !isSingleStep) {
-            this.executionQueue.unshift(item); 
+            this.executionQueue.unshift(item);
             return;
         }
 
-        this.highlightNode(node.id, '#ffffff'); 
         node.setError(null);
+        await this.emit('node-enter', { node, item });
+        if (this.runInstanceId !== currentRunId) return;
+
+        // Exec output(s) to fire: undefined = the first one, else a pin name or a list of names (see storeResult)
+        let execSelection;
 
-        if (node.jsFunctionRef) {
+        if (node.isLoop) {
+            execSelection = await this.processLoop(node, item, currentRunId);
+            if (execSelection === null) return; // Stopped (error or new run)
+        } else if (node.functionId === 'Function.Call') {
+            if (!(await this.processCall(node, item, currentRunId))) return;
+            execSelection = null; // The exec output fires when the function returns
+        } else if (node.functionId === 'Function.Return') {
+            if (!(await this.processReturn(node, item, currentRunId))) return;
+            execSelection = null;
+        } else if (Simulation.INLINED_NODE_IDS.includes(node.functionId)) {
+            if (!(await this.processMacroEntry(node, item, currentRunId))) return;
+            execSelection = null; // The exec output fires when the macro's Outputs node is reached
+        } else if (Simulation.INLINED_OUTPUTS_IDS.includes(node.functionId)) {
+            if (!(await this.processMacroExit(node, item, currentRunId))) return;
+            execSelection = null;
+        } else if (Simulation.ARGUMENT_EVENT_IDS.includes(node.functionId)) {
+            // New epoch: pure nodes reading the event's outputs must see this call's arguments
+            this.evaluationEpoch++;
+            execSelection = this.storeResult(node, dispatchResult({ outputs: this.eventArguments(node, item.args) }));
+            await this.emit('node-executed', { node, result: node.executionResult, pure: false });
+            if (this.runInstanceId !== currentRunId) return;
+        } else if (Simulation.EVENT_CALL_IDS.includes(node.functionId)) {
+            if (!(await this.processEventCall(node, item, currentRunId))) return;
+            execSelection = null; // The exec output fired before the events were queued
+        } else if (Simulation.INPUT_EVENT_IDS.includes(node.functionId)) {
+            // New epoch: pure nodes must see the input state of this input (e.g. Get Mouse Position)
+            this.evaluationEpoch++;
+            // Pressed or Released, as given by the input that queued it (none if it was run any other way)
+            execSelection = item.inputAction || [];
+            await this.emit('node-executed', { node, result: null, pure: false });
+            if (this.runInstanceId !== currentRunId) return;
+        } else if (Simulation.CLOCK_NODE_IDS.includes(node.functionId)) {
+            execSelection = await this.processClockNode(node, item, currentRunId);
+            if (execSelection === null) return; // Stopped (error or new run)
+        } else if (node.jsFunctionRef) {
             try {
                 const args = await this.gatherInputs(node, currentRunId);
                 if (this.runInstanceId !== currentRunId) return;
-                
+
                 if (args === null) {
                     this.stop();
                     return;
                 }
 
-                if (args !== null) {
-                    this.highlightNode(node.id, '#ff9900'); 
-                    
-                    // --- CLEAR LABELS HERE ---
-                    // The labels are cleared exactly when the node starts "running".
-                    this.clearStepVisuals(); 
-
-                    // Execution Phase
-                    node.executionResult = node.jsFunctionRef.apply(node, args);
-                }
+                // Execution Phase (nodes with several exec inputs read which one fired from 'entryPin')
+                node.entryPin = item.conn ? node.inputs[item.conn.toPin].name : null;
+                execSelection = this.storeResult(node, this.invokeNode(node, args));
+                await this.emit('node-executed', { node, result: node.executionResult, pure: false });
+                if (this.runInstanceId !== currentRunId) return;
             } catch (err) {
-                if (err.isBlueprintError) node.setError(err.message);
-                else console.error(err);
-                this.stop(); 
+                this.reportError(node, err);
+                this.stop();
                 return;
             }
         } else {
-            this.highlightNode(node.id, '#ff9900');
-            // If it's a dummy node or event, still clear old visuals
-            this.clearStepVisuals(); 
+            // Dummy node or event: nothing to compute
+            await this.emit('node-executed', { node, result: null, pure: false });
+            if (this.runInstanceId !== currentRunId) return;
         }
 
         // Branching Logic
-        let targetPinName = null;
-        if (node.name === "Branch") {
-            targetPinName = node.executionResult ? "True" : "False";
+        let outExecPins;
+        try {
+            outExecPins = this.resolveExecOutputs(node, execSelection);
+        } catch (err) {
+            this.reportError(node, err);
+            this.stop();
+            return;
+        }
+
+        // Queued last-to-first so that the first pin's whole chain runs before the next pin fires
+        outExecPins.slice().reverse().forEach(pin => this.fireExecOutput(node, pin));
+
+        if (this.status === 'RUNNING' && !isSingleStep) {
+            this.scheduleTick();
         }
+    }
+
+    /**
+     * Stores what a node function returned on the node.
+     * Besides a plain value, a function may return a dispatch object (see isDispatchResult) with the keys:
+     *  - exec:    name, or array of names, of the exec output(s) to fire in order. null or [] fires none.
+     *  - outputs: values of the node's data outputs, by pin name.
+     * @returns {string|Array<string>|null|undefined} The exec selection (undefined = the first exec output).
+     */
+    storeResult(node, result) {
+        node.executionResult = result;
+        node.outputValues = null;
+        if (!Simulation.isDispatchResult(result, node)) return undefined;
+
+        if (result.outputs) this.setOutputValues(node, result.outputs);
+        return 'exec' in result ? result.exec : undefined;
+    }
+
+    /**
+     * Stores per-pin output values given by pin name (cast to each pin's type).
+     */
+    setOutputValues(node, valuesByName) {
+        node.outputValues = {};
+        Object.keys(valuesByName).forEach(name => {
+            const pin = node.outputs.find(p => p.name === name);
+            node.outputValues[name] = pin ? this.castValue(valuesByName[name], pin.type) : valuesByName[name];
+        });
+    }
+
+    /**
+     * Turns an exec selection into the node's exec output pins.
+     * Throws if a name does not match any exec output (a bug in the node's definition).
+     * @returns {Array<Pin>}
+     */
+    resolveExecOutputs(node, execSelection) {
+        const execPins = node.outputs.filter(p => p.type === 'exec');
+        if (execSelection === undefined) return execPins.slice(0, 1);
+        if (execSelection === null) return [];
+
+        const names = Array.isArray(execSelection) ? execSelection : [execSelection];
+        return names.map(name => {
+            const pin = execPins.find(p => p.name === name);
+            if (!pin) throw new Error(`'${node.name}' has no exec output named '${name}'.`);
+            return pin;
+        });
+    }
+
+    /**
+     * Queues the node connected to an exec output. It runs before anything already queued (depth-first).
+     * @param {GraphNode} node
+     * @param {Pin} outExecPin
+     * @param {Object|null} [frame] - Call frame the node runs in (defaults to the current one).
+     */
+    fireExecOutput(node, outExecPin, frame = this.currentFrame) {
+        const graph = frame ? frame.graph : this.graph;
+        const nextConn = graph.connections.find(c => c.fromNode === node.id && c.fromPin === outExecPin.index);
+        if (!nextConn) return;
+        const nextNode = graph.nodes.find(n => n.id === nextConn.toNode);
+        if (nextNode) {
+            this.executionQueue.unshift({ node: nextNode, conn: nextConn, frame });
+        }
+    }
+
+    /**
+     * Runs one step of a loop node: its first entry, the re-entry after a Loop Body, or a 'Break'.
+     * The registry function decides whether another iteration runs (see FunctionRegistry 'Flow.ForLoop').
+     * @returns {Promise<string|Array|null>} Exec output to fire ([] for none), null if the run stopped.
+     */
+    async processLoop(node, item, runId) {
+        const entryPin = item.conn ? node.inputs[item.conn.toPin] : null;
+
+        // Break only flags the loop: the current Loop Body finishes, then the loop completes
+        if (entryPin && entryPin.name === 'Break') {
+            const state = this.loopStates.get(node);
+            if (state) state.broken = true;
+            await this.emit('node-executed', { node, result: null, pure: false });
+            return this.runInstanceId === runId ? [] : null;
+        }
+
+        const iteration = item.loopIteration || 0;
+        if (iteration === 0) this.loopStates.set(node, { broken: false });
+        const state = this.loopStates.get(node) || { broken: false };
 
-        let outExecPin = null;
-        if (targetPinName) {
-            outExecPin = node.outputs.find(p => p.type === 'exec' && p.name === targetPinName);
+        let outputs = null;
+        if (!state.broken) {
+            if (this.maxLoopIterations > 0 && iteration >= this.maxLoopIterations) {
+                const err = new Error(`Infinite loop detected: more than ${this.maxLoopIterations} iterations.`);
+                err.isBlueprintError = true;
+                this.reportError(node, err);
+                this.stop();
+                return null;
+            }
+
+            // New epoch: pure nodes feeding the loop (and its body) must see this iteration's values
+            this.evaluationEpoch++;
+
+            try {
+                const args = await this.gatherInputs(node, runId);
+                if (this.runInstanceId !== runId) return null;
+                if (args === null) {
+                    this.stop();
+                    return null;
+                }
+                outputs = this.invokeNode(node, [...args, iteration]);
+            } catch (err) {
+                this.reportError(node, err);
+                this.stop();
+                return null;
+            }
+        }
+
+        if (!outputs) {
+            this.loopStates.delete(node);
+            await this.emit('node-executed', { node, result: null, pure: false });
+            if (this.runInstanceId !== runId) return null;
+            await this.emit('loop-completed', { node, iterations: iteration, broken: state.broken });
+            return this.runInstanceId === runId ? 'Completed' : null;
+        }
+
+        node.executionResult = outputs;
+        this.setOutputValues(node, outputs);
+
+        // Come back for the next iteration once the Loop Body chain (queued in front of it) is done
+        this.executionQueue.unshift({ node, conn: null, loopIteration: iteration + 1, frame: item.frame || null });
+
+        await this.emit('node-executed', { node, result: outputs, pure: false });
+        if (this.runInstanceId !== runId) return null;
+        await this.emit('loop-iteration', { node, iteration, outputs });
+        return this.runInstanceId === runId ? 'Loop Body' : null;
+    }
+
+    // --- USER FUNCTIONS ---
+
+    /**
+     * Runs a call node: pushes the function's frame and queues its Entry node, followed by a marker
+     * that returns from the function once the body's steps are done (see returnFromFunction).
+     * @returns {Promise<boolean>} False if the run stopped.
+     */
+    async processCall(node, item, runId) {
+        let frame;
+        try {
+            const args = await this.gatherInputs(node, runId);
+            if (this.runInstanceId !== runId) return false;
+            if (args === null) {
+                this.stop();
+                return false;
+            }
+            frame = this.enterFunction(node, args);
+        } catch (err) {
+            this.reportError(node, err);
+            this.stop();
+            return false;
+        }
+
+        this.executionQueue.unshift({ node, conn: null, frame: item.frame || null, returnFrom: frame });
+        const entry = frame.graph.nodes.find(n => n.functionId === 'Function.Entry');
+        if (entry) this.executionQueue.unshift({ node: entry, conn: null, frame });
+
+        await this.emit('function-call', { node, frame });
+        return this.runInstanceId === runId;
+    }
+
+    /**
+     * Runs a Return node: the values wired into it are returned to the call node.
+     * @returns {Promise<boolean>} False if the run stopped.
+     */
+    async processReturn(node, item, runId) {
+        const values = await this.collectReturnValues(item.frame, node, runId);
+        if (this.runInstanceId !== runId) return false;
+        if (values === null) {
+            this.stop();
+            return false;
+        }
+
+        node.executionResult = values;
+        await this.emit('node-executed', { node, result: values, pure: false });
+        if (this.runInstanceId !== runId) return false;
+        return this.returnFromFunction(item.frame, values, runId);
+    }
+
+    /**
+     * Leaves a function: what is left of its body is dropped, its frame is popped, then the call node
+     * outputs the returned values and fires its exec output in the caller's frame.
+     * @param {Object} frame - The frame to leave.
+     * @param {Object|null} values - Returned values by output name. null = the body ended without reaching
+     *   a Return node: the values wired into the function's Return node (if any) are returned.
+     * @returns {Promise<boolean>} False if the run stopped.
+     */
+    async returnFromFunction(frame, values, runId) {
+        if (values === null) {
+            const returnNode = frame.graph.nodes.find(n => n.functionId === 'Function.Return') || null;
+            values = await this.collectReturnValues(frame, returnNode, runId);
+            if (this.runInstanceId !== runId) return false;
+            if (values === null) {
+                this.stop();
+                return false;
+            }
+        }
+
+        this.executionQueue = this.executionQueue.filter(queued => !this.isWithinFrame(queued.frame, frame) && queued.returnFrom !== frame);
+        this.leaveFunction(frame);
+        this.currentFrame = frame.caller;
+
+        const callNode = frame.callNode;
+        callNode.executionResult = values;
+        this.setOutputValues(callNode, values);
+        // Pure nodes evaluated before the call may depend on what the function changed
+        this.evaluationEpoch++;
+
+        await this.emit('function-return', { node: callNode, frame, outputs: callNode.outputValues });
+        if (this.runInstanceId !== runId) return false;
+
+        const execPin = callNode.outputs.find(p => p.type === 'exec');
+        if (execPin) this.fireExecOutput(callNode, execPin, frame.caller);
+        return true;
+    }
+
+    /**
+     * Calls a pure function (a call node without exec pins) while its value is pulled.
+     * @returns {Promise<Object|null>} A dispatch result with the returned values, null if the
+     *   evaluation failed (the error is already reported) or the run stopped.
+     */
+    async evaluatePureCall(node, args, runId) {
+        const frame = this.enterFunction(node, args);
+        const caller = this.currentFrame;
+        let values = null;
+        try {
+            await this.emit('function-call', { node, frame });
+            if (this.runInstanceId !== runId) return null;
+
+            // Only data is pulled: an exec chain in the body would never run
+            const entry = frame.graph.nodes.find(n => n.functionId === 'Function.Entry');
+            const returnNode = frame.graph.nodes.find(n => n.functionId === 'Function.Return') || null;
+            const execConn = entry ? frame.graph.connections.find(c => c.fromNode === entry.id && c.type === 'exec') : null;
+            if (execConn && (!returnNode || execConn.toNode !== returnNode.id)) {
+                const err = new Error(`Pure function '${frame.function.name}' must wire its entry straight to its Return Node.`);
+                err.isBlueprintError = true;
+                throw err;
+            }
+
+            values = await this.collectReturnValues(frame, returnNode, runId);
+        } finally {
+            this.leaveFunction(frame);
+            this.currentFrame = caller;
+        }
+        if (values === null || this.runInstanceId !== runId) return null;
+
+        await this.emit('function-return', { node, frame, outputs: values });
+        return this.runInstanceId === runId ? dispatchResult({ outputs: values }) : null;
+    }
+
+    /**
+     * Evaluates the values wired into a Return node, in the function's frame.
+     * Outputs that are not wired (or all of them, without a Return node) get their type's empty value.
+     * @returns {Promise<Object|null>} Values by output name, null if the evaluation failed or the run stopped.
+     */
+    async collectReturnValues(frame, returnNode, runId) {
+        const outputs = frame.function.outputs;
+        const values = {};
+        outputs.forEach(output => values[output.name] = Pin.getEmptyValue(output.type));
+        if (!returnNode) return values;
+
+        const caller = this.currentFrame;
+        this.currentFrame = frame;
+        try {
+            const args = await this.gatherInputs(returnNode, runId);
+            if (args === null) return null;
+            outputs.forEach((output, i) => {
+                if (i < args.length) values[output.name] = args[i];
+            });
+            return values;
+        } finally {
+            this.currentFrame = caller;
+        }
+    }
+
+    /**
+     * Pushes the frame of the function a call node calls. The function's graph starts from a clean
+     * state; when the function is already on the stack (recursion), the state of its nodes is saved
+     * first and restored by leaveFunction().
+     * @param {GraphNode} callNode
+     * @param {Array} args - Values of the call node's data inputs (the function's inputs, in order).
+     * @returns {Object} The new frame.
+     */
+    enterFunction(callNode, args) {
+        const fn = this.functionManager ? this.functionManager.findFunction(callNode.name) : null;
+        if (!fn) {
+            const err = new Error(`Function '${callNode.name}' does not exist.`);
+            err.isBlueprintError = true;
+            throw err;
+        }
+        if (this.maxCallDepth > 0 && this.callStack.length >= this.maxCallDepth) {
+            const err = new Error(`Stack overflow: more than ${this.maxCallDepth} nested function calls.`);
+            err.isBlueprintError = true;
+            throw err;
+        }
+
+        const parameters = {};
+        fn.inputs.forEach((input, i) => parameters[input.name] = args[i]);
+        const locals = {};
+        fn.locals.forEach(local => locals[local.name] = Pin.getEmptyValue(local.type));
+
+        const isRecursive = this.callStack.some(frame => frame.graph === fn.graph);
+        const frame = {
+            function: fn,
+            graph: fn.graph,
+            callNode,
+            caller: this.currentFrame,
+            parameters,
+            locals,
+            savedState: isRecursive ? this.saveNodeStates(fn.graph.nodes) : null
+        };
+        this.resetNodeStates(fn.graph.nodes);
+        this.callStack.push(frame);
+        return frame;
+    }
+
+    /**
+     * @returns {Boolean} True if a frame is the given one or runs on behalf of it (e.g. a macro used
+     *   by a function).
+     */
+    isWithinFrame(itemFrame, frame) {
+        for (let f = itemFrame; f; f = f.caller) {
+            if (f === frame) return true;
+        }
+        return false;
+    }
+
+    leaveFunction(frame) {
+        this.callStack = this.callStack.filter(f => f !== frame);
+        if (frame.savedState) this.restoreNodeStates(frame.savedState);
+    }
+
+    // --- USER MACROS ---
+
+    /**
+     * Runs a macro node reached through one of its exec inputs: exec continues in the macro node's
+     * copy of the macro's graph, from the Inputs pin of the same name.
+     * @returns {Promise<boolean>} False if the run stopped.
+     */
+    async processMacroEntry(node, item, runId) {
+        let frame;
+        try {
+            frame = this.enterMacro(node);
+        } catch (err) {
+            this.reportError(node, err);
+            this.stop();
+            return false;
+        }
+
+        const entryPin = item.conn ? node.inputs[item.conn.toPin] : node.inputs.find(p => p.type === 'exec');
+        await this.emit('node-executed', { node, result: null, pure: false });
+        if (this.runInstanceId !== runId) return false;
+        await this.emit('macro-enter', { node, frame, pin: entryPin });
+        if (this.runInstanceId !== runId) return false;
+
+        const inputsNode = frame.graph.nodes.find(n => Simulation.INLINED_INPUTS_IDS.includes(n.functionId));
+        const inputsPin = inputsNode && entryPin ? inputsNode.outputs.find(p => p.type === 'exec' && p.name === entryPin.name) : null;
+        if (inputsPin) this.fireExecOutput(inputsNode, inputsPin, frame);
+        return true;
+    }
+
+    /**
+     * Runs an Outputs node: the macro node outputs the values wired into it, then fires its exec
+     * output named like the Outputs pin that was reached, in the frame that uses the macro.
+     * @returns {Promise<boolean>} False if the run stopped.
+     */
+    async processMacroExit(node, item, runId) {
+        const frame = item.frame;
+        if (!frame || !frame.macro) {
+            const err = new Error(`'${node.name}' can only run inside a macro.`);
+            err.isBlueprintError = true;
+            this.reportError(node, err);
+            this.stop();
+            return false;
+        }
+
+        const values = await this.collectMacroOutputs(frame, node, runId);
+        if (this.runInstanceId !== runId) return false;
+        if (values === null) {
+            this.stop();
+            return false;
+        }
+
+        node.executionResult = values;
+        await this.emit('node-executed', { node, result: values, pure: false });
+        if (this.runInstanceId !== runId) return false;
+
+        const callNode = frame.callNode;
+        callNode.executionResult = values;
+        this.setOutputValues(callNode, values);
+        // Pure nodes evaluated before may depend on what the macro changed
+        this.evaluationEpoch++;
+
+        const exitName = item.conn ? node.inputs[item.conn.toPin].name : null;
+        const exitPin = callNode.outputs.find(p => p.type === 'exec' && p.name === exitName) || null;
+        await this.emit('macro-exit', { node: callNode, frame, pin: exitPin, outputs: callNode.outputValues });
+        if (this.runInstanceId !== runId) return false;
+
+        if (exitPin) this.fireExecOutput(callNode, exitPin, frame.caller);
+        return true;
+    }
+
+    /**
+     * Evaluates a macro node without exec inputs while its value is pulled.
+     * @returns {Promise<Object|null>} A dispatch result with the macro's outputs, null if the
+     *   evaluation failed (the error is already reported) or the run stopped.
+     */
+    async evaluatePureMacro(node, runId) {
+        const frame = this.enterMacro(node);
+        const outputsNode = frame.graph.nodes.find(n => Simulation.INLINED_OUTPUTS_IDS.includes(n.functionId)) || null;
+        const values = await this.collectMacroOutputs(frame, outputsNode, runId);
+        if (values === null || this.runInstanceId !== runId) return null;
+        return dispatchResult({ outputs: values });
+    }
+
+    /**
+     * Evaluates the values wired into an Outputs node, in the macro's frame.
+     * Outputs that are not wired (or all of them, without an Outputs node) get their type's empty value.
+     * @returns {Promise<Object|null>} Values by output name, null if the evaluation failed or the run stopped.
+     */
+    async collectMacroOutputs(frame, outputsNode, runId) {
+        const outputs = frame.macro.outputs.filter(o => o.type !== 'exec');
+        const values = {};
+        outputs.forEach(output => values[output.name] = Pin.getEmptyValue(output.type));
+        if (!outputsNode) return values;
+
+        const caller = this.currentFrame;
+        this.currentFrame = frame;
+        try {
+            const args = await this.gatherInputs(outputsNode, runId);
+            if (args === null) return null;
+            outputs.forEach((output, i) => {
+                if (i < args.length) values[output.name] = args[i];
+            });
+            return values;
+        } finally {
+            this.currentFrame = caller;
+        }
+    }
+
+    /**
+     * Evaluates the data outputs of a macro's Inputs node: the values wired into the macro node,
+     * pulled in the frame that uses the macro.
+     * @returns {Promise<Object|null>} A dispatch result, null if the evaluation failed or the run stopped.
+     */
+    async evaluateMacroInputs(inputsNode, runId) {
+        const frame = this.currentFrame;
+        if (!frame || !frame.macro) {
+            const err = new Error(`'${inputsNode.name}' can only run inside a macro.`);
+            err.isBlueprintError = true;
+            throw err;
+        }
+
+        this.currentFrame = frame.caller;
+        try {
+            const args = await this.gatherInputs(frame.callNode, runId);
+            if (args === null) return null;
+            const values = {};
+            frame.macro.inputs.filter(i => i.type !== 'exec').forEach((input, i) => values[input.name] = args[i]);
+            return dispatchResult({ outputs: values });
+        } finally {
+            this.currentFrame = frame;
+        }
+    }
+
+    /**
+     * Returns the frame of a macro node, building its copy of the macro's graph the first time.
+     * A collapsed node gets a frame too: it runs its own graph, and its pins stand for the macro's signature.
+     * @param {GraphNode} node - A macro node or a collapsed node.
+     * @returns {Object} The frame; its caller is the current frame.
+     */
+    enterMacro(node) {
+        let frame = this.macroFrames.get(node);
+        if (!frame && node.functionId === 'Collapsed.Node') {
+            const signatureOf = (pins) => pins.map(p => ({ name: p.name, type: p.type }));
+            // Nodes of a macro's copy are highlighted on the macro's graph (see MacroManager.instantiate)
+            const shownGraph = (node.shownAs || node).subgraph;
+            const body = { name: node.name, inputs: signatureOf(node.inputs), outputs: signatureOf(node.outputs), graph: shownGraph, collapsed: true };
+            frame = { macro: body, graph: node.subgraph, callNode: node, caller: null };
+            this.macroFrames.set(node, frame);
+        }
+        if (!frame) {
+            const macro = this.macroManager ? this.macroManager.findMacro(node.name) : null;
+            if (!macro) {
+                const err = new Error(`Macro '${node.name}' does not exist.`);
+                err.isBlueprintError = true;
+                throw err;
+            }
+            for (let f = this.currentFrame; f; f = f.caller) {
+                if (f.macro === macro) {
+                    const err = new Error(`Macro '${macro.name}' cannot be used inside itself.`);
+                    err.isBlueprintError = true;
+                    throw err;
+                }
+            }
+            frame = { macro, graph: this.macroManager.instantiate(macro), callNode: node, caller: null };
+            this.macroFrames.set(node, frame);
+        }
+        frame.caller = this.currentFrame;
+        return frame;
+    }
+
+    // --- CUSTOM EVENTS ---
+
+    /**
+     * Queues a custom event from outside the graphs (the toolbar's Fire Event control), behind
+     * everything already queued. Only while a run is active.
+     * @param {string} name - The custom event.
+     * @param {Array} [args] - Its arguments, in the order of its parameters (missing ones are empty values).
+     * @returns {boolean} False if no run is active or the event has no node in the event graphs.
+     */
+    fireEvent(name, args = []) {
+        if (this.status === 'STOPPED') return false;
+        const nodes = this.findCustomEventNodes(name);
+        if (nodes.length === 0) return false;
+
+        nodes.forEach(node => this.executionQueue.push({ node, conn: null, frame: this.entryFrameOf(node), args }));
+        this.emit('event-fired', { name, nodes, args });
+        return true;
+    }
+
+    /**
+     * Runs a Call <Event> node or a dispatcher node (Call, Bind, Unbind). The node fires its exec output
+     * itself, then the events it calls are queued in front of it, so they run first.
+     * @returns {Promise<boolean>} False if the run stopped.
+     */
+    async processEventCall(node, item, runId) {
+        let eventNames;
+        let args;
+        try {
+            args = await this.gatherInputs(node, runId);
+            if (this.runInstanceId !== runId) return false;
+            if (args === null) {
+                this.stop();
+                return false;
+            }
+            eventNames = this.resolveEventCall(node, args);
+        } catch (err) {
+            this.reportError(node, err);
+            this.stop();
+            return false;
+        }
+
+        node.executionResult = eventNames;
+        await this.emit('node-executed', { node, result: eventNames, pure: false });
+        if (this.runInstanceId !== runId) return false;
+
+        node.outputs.filter(p => p.type === 'exec').forEach(pin => this.fireExecOutput(node, pin));
+        // Bind and Unbind take the event's name as their argument: only calls pass arguments on
+        if (node.functionId === 'Event.Call' || node.functionId === 'Dispatcher.Call') {
+            eventNames.slice().reverse().forEach(name => this.queueCustomEvent(name, args, node));
+        }
+        return true;
+    }
+
+    /**
+     * Applies a dispatcher node to the bindings of the run, or names the event of a Call <Event> node.
+     * @returns {Array<string>} The custom events the node calls (Call <Event>, Call <Dispatcher>),
+     *   or binds / unbinds.
+     */
+    resolveEventCall(node, args) {
+        const targetName = CustomEventManager.targetName(node);
+        if (node.functionId === 'Event.Call') return [targetName];
+
+        const bound = this.dispatcherBindings.get(targetName) || [];
+        if (node.functionId === 'Dispatcher.Call') return bound.slice();
+
+        const eventName = String(args[0] || '');
+        if (this.findCustomEventNodes(eventName).length === 0) {
+            const err = new Error(eventName ? `Custom event '${eventName}' has no node in the event graphs.` : 'No event to bind.');
+            err.isBlueprintError = true;
+            throw err;
+        }
+        if (node.functionId === 'Dispatcher.Bind') {
+            if (!bound.includes(eventName)) this.dispatcherBindings.set(targetName, [...bound, eventName]);
         } else {
-            outExecPin = node.outputs.find(p => p.type === 'exec');
+            this.dispatcherBindings.set(targetName, bound.filter(name => name !== eventName));
+        }
+        return [eventName];
+    }
+
+    /**
+     * Queues the nodes of a custom event in front of the queue, each in a frame of its own (in its event graph)
+     * that remembers the node calling it, for the call stack (see callStackAt).
+     * @param {GraphNode} callNode - The Call <Event> or Call <Dispatcher> node.
+     */
+    queueCustomEvent(name, args, callNode) {
+        const nodes = this.findCustomEventNodes(name);
+        nodes.slice().reverse().forEach(node => {
+            const graph = this.eventGraphs.find(g => g.nodes.includes(node));
+            const frame = { graph, caller: null, callSite: { node: callNode, frame: this.currentFrame } };
+            this.executionQueue.unshift({ node, conn: null, frame, args });
+        });
+        this.emit('event-fired', { name, nodes, args });
+    }
+
+    /**
+     * The values a custom event node outputs: its arguments, by parameter, or the parameter's empty value.
+     * @param {Array} [args] - In the order of the parameters (the pins of a split parameter stand for one).
+     * @returns {Object} Values by parameter name.
+     */
+    eventArguments(node, args = []) {
+        const parameters = [];
+        node.outputs.forEach(pin => {
+            if (pin.type === 'exec') return;
+            const parameter = pin.split ? pin.split[0].group : pin;
+            if (!parameters.some(p => p.name === parameter.name)) parameters.push(parameter);
+        });
+
+        const values = {};
+        parameters.forEach((p, i) => values[p.name] = i < args.length ? args[i] : Pin.getEmptyValue(p.type));
+        return values;
+    }
+
+    /** @returns {Array<GraphNode>} The nodes of a custom event, in every event graph. */
+    findCustomEventNodes(name) {
+        return this.eventGraphs.flatMap(graph => graph.nodes.filter(n => n.functionId === 'Event.Custom' && n.name === name));
+    }
+
+    // --- TIME ---
+
+    /** Game seconds between two frames. */
+    get deltaSeconds() {
+        return this.timeScale / this.frameRate;
+    }
+
+    /**
+     * Moves the clock to the next frame where something happens and queues what is due then: every
+     * Event Tick (play runs only), then the Delay nodes, the timers and the inputs of the timeline whose
+     * time has come, in the order they are due. Without Event Tick, the frames before the next one of
+     * them are skipped at once (unless the run waits for the player's input).
+     * @returns {number} Frames the clock moved; 0 (the clock did not move) when nothing waits for time
+     *   or when the frame would go past maxGameTime.
+     */
+    advanceFrame() {
+        const tickNodes = this.ticking ? this.eventGraphs.flatMap(graph => graph.nodes.filter(n => n.functionId === 'Event.Tick')) : [];
+        const pending = [...this.latentActions.values(), ...this.timers.values(), ...this.scheduledInputs];
+        // A running real-time play run waits for the player's input (headless runs only get the inputs of their
+        // timeline; a paused run does not move its clock for nothing when stepped)
+        const isListening = this.realTime && this.ticking && this.status === 'RUNNING' && this.findInputEventNodes().length > 0;
+        if (tickNodes.length === 0 && pending.length === 0 && !isListening) return 0;
+
+        const deltaSeconds = this.deltaSeconds;
+        let frames = 1;
+        if (tickNodes.length === 0 && !isListening) {
+            const nextDueTime = Math.min(...pending.map(entry => entry.dueTime));
+            frames = Math.max(1, Math.ceil((nextDueTime - this.clock.time - Simulation.TIME_EPSILON) / deltaSeconds));
+        }
+        if (this.maxGameTime > 0) {
+            // The clock stops at the last frame within maxGameTime
+            frames = Math.min(frames, Math.floor((this.maxGameTime - this.clock.time + Simulation.TIME_EPSILON) / deltaSeconds));
+            if (frames <= 0) return 0;
+        }
+        // Game time is frames x Delta Seconds since Delta Seconds last changed (frame rate or time scale),
+        // not a running total, so that rounding errors do not build up frame after frame
+        const origin = this.clockOrigin;
+        if (origin.deltaSeconds !== deltaSeconds) {
+            const exactTime = origin.time + (this.clock.frame - origin.frame) * (origin.deltaSeconds || 0);
+            this.clockOrigin = { frame: this.clock.frame, time: exactTime, deltaSeconds };
         }
+        this.clock.frame += frames;
+        const time = this.clockOrigin.time + (this.clock.frame - this.clockOrigin.frame) * deltaSeconds;
+
+        // Rounded so that times print as the user expects (0.3, not 0.30000000000000004)
+        this.clock.time = Math.round(time * 1e9) / 1e9;
+        // Pure nodes must see this frame's values (e.g. Get Game Time in Seconds)
+        this.evaluationEpoch++;
+        this.emit('frame-start', { frame: this.clock.frame, time: this.clock.time, deltaSeconds });
+
+        tickNodes.forEach(node => this.executionQueue.push({ node, conn: null, frame: this.entryFrameOf(node), args: [deltaSeconds] }));
+
+        const due = pending.filter(entry => entry.dueTime <= this.clock.time + Simulation.TIME_EPSILON)
+            .sort((a, b) => (a.dueTime - b.dueTime) || (a.order - b.order));
+        due.forEach(entry => {
+            if (entry.node) {
+                // Still pending until it resumes: an Event Tick of this frame does not restart a Delay
+                this.executionQueue.push({ node: entry.node, conn: null, frame: entry.frame, resumeLatent: entry });
+                return;
+            }
+            if (entry.input) {
+                this.scheduledInputs = this.scheduledInputs.filter(e => e !== entry);
+                this.queueInput(entry.input);
+                return;
+            }
+            if (entry.looping) entry.dueTime += entry.interval;
+            else this.timers.delete(entry.handle);
+            const nodes = this.findCustomEventNodes(entry.eventName);
+            nodes.forEach(node => this.executionQueue.push({ node, conn: null, frame: this.entryFrameOf(node), args: [] }));
+            this.emit('event-fired', { name: entry.eventName, nodes, args: [] });
+        });
+        return frames;
+    }
 
-        if (outExecPin) {
-            const nextConn = this.graph.connections.find(c => c.fromNode === node.id && c.fromPin === outExecPin.index);
-            if (nextConn) {
-                const nextNode = this.graph.nodes.find(n => n.id === nextConn.toNode);
-                if (nextNode) {
-                    this.executionQueue.push({ node: nextNode, conn: nextConn });
+    /**
+     * Runs a Delay, a Retriggerable Delay or a timer node. Reaching a delay only schedules it: its
+     * Completed output fires from the item advanceFrame() queues once the duration has passed.
+     * @returns {Promise<string|Array|null>} Exec output to fire ([] for none), null if the run stopped.
+     */
+    async processClockNode(node, item, runId) {
+        let result = null;
+        let execSelection = 'Out';
+        if (item.resumeLatent) {
+            // A Retriggerable Delay triggered again since it was due starts over instead
+            const isCurrent = this.latentActions.get(node) === item.resumeLatent;
+            if (isCurrent) this.latentActions.delete(node);
+            execSelection = isCurrent ? 'Completed' : [];
+        } else {
+            try {
+                const args = await this.gatherInputs(node, runId);
+                if (this.runInstanceId !== runId) return null;
+                if (args === null) {
+                    this.stop();
+                    return null;
+                }
+
+                if (node.functionId === 'Timer.SetByEvent') {
+                    result = this.setTimer(args[0], args[1], args[2]);
+                } else if (node.functionId === 'Timer.Clear') {
+                    this.timers.delete(args[0]);
+                } else {
+                    this.startDelay(node, item.frame || null, args[0]);
+                    execSelection = [];
                 }
+            } catch (err) {
+                this.reportError(node, err);
+                this.stop();
+                return null;
             }
         }
 
-        if (this.status === 'RUNNING' && !isSingleStep) {
-            this.timer = setTimeout(() => this.tick(), 100);
+        node.executionResult = result;
+        node.outputValues = null;
+        await this.emit('node-executed', { node, result, pure: false });
+        return this.runInstanceId === runId ? execSelection : null;
+    }
+
+    /**
+     * Schedules a delay node. A Delay already pending ignores the new trigger; a Retriggerable Delay
+     * starts counting its duration again.
+     * @param {Object|null} frame - The frame its Completed output fires in.
+     * @param {number} duration - In game seconds (a negative one counts as 0: Completed fires next frame).
+     */
+    startDelay(node, frame, duration) {
+        for (let f = frame; f; f = f.caller) {
+            if (f.function) {
+                const err = new Error(`'${node.name}' cannot be used inside a function.`);
+                err.isBlueprintError = true;
+                throw err;
+            }
+        }
+        if (this.latentActions.has(node) && node.functionId === 'Flow.Delay') return;
+        this.latentActions.set(node, { node, frame, dueTime: this.clock.time + Math.max(0, duration), order: this.nextTimeOrder++ });
+    }
+
+    /**
+     * Starts a timer that fires a custom event (without arguments) once its time has passed, and again
+     * every 'time' seconds if it loops.
+     * @returns {number} The timer's handle, 0 (no timer) if 'time' is not positive.
+     */
+    setTimer(eventName, time, looping) {
+        eventName = String(eventName || '');
+        if (!(time > 0)) return 0;
+        if (this.findCustomEventNodes(eventName).length === 0) {
+            const err = new Error(eventName ? `Custom event '${eventName}' has no node in the event graphs.` : 'No event to set a timer for.');
+            err.isBlueprintError = true;
+            throw err;
+        }
+
+        const handle = this.nextTimerHandle++;
+        this.timers.set(handle, { handle, eventName, interval: time, looping: !!looping, dueTime: this.clock.time + time, order: this.nextTimeOrder++ });
+        return handle;
+    }
+
+    // --- BREAKPOINTS ---
+
+    /**
+     * Counts a hit of the breakpoint of a node that is about to run (if it has an enabled one whose
+     * condition holds) and tells whether the run must pause there. A condition that cannot be evaluated
+     * pauses the run, so that it can be fixed.
+     * @param {GraphNode} node - The node about to run (a node of a macro's copy stands for the macro's node).
+     * @returns {{node: GraphNode, hits: number, error: string|null}|null} The hit, or null to go on.
+     */
+    hitBreakpoint(node) {
+        if (!this.pauseOnBreakpoints) return null;
+        const shown = node.shownAs || node;
+        const breakpoint = shown.breakpoint;
+        if (!breakpoint || !breakpoint.enabled) return null;
+
+        let error = null;
+        try {
+            if (!breakpoint.testCondition(this.breakpointVariables())) return null;
+        } catch (err) {
+            error = err.message;
+        }
+        const hits = (this.breakpointHits.get(shown) || 0) + 1;
+        this.breakpointHits.set(shown, hits);
+        if (!error && hits < breakpoint.hitCount) return null;
+        return { node: shown, hits, error };
+    }
+
+    /**
+     * @returns {Object} What breakpoint conditions (and the Watch panel) can read: the variables, and the
+     *   parameters and local variables of the function running the current step (if any).
+     */
+    breakpointVariables() {
+        const variables = { ...this.variableValues() };
+        for (let frame = this.currentFrame; frame; frame = frame.caller) {
+            if (frame.function) return { ...variables, ...frame.parameters, ...frame.locals };
+        }
+        return variables;
+    }
+
+    /** @returns {Object} The current values of the variables, by name. */
+    variableValues() {
+        return this.variableManager ? this.variableManager.runtimeValues : {};
+    }
+
+    /**
+     * Pauses the current step at the breakpoint of a pure node until the run is resumed, stepped or stopped.
+     * @returns {Promise<boolean>} False if the run was stopped (or restarted) meanwhile.
+     */
+    async waitAtBreakpoint(hit, runId) {
+        this.pause();
+        this.breakpointPause = { node: hit.node, frame: this.currentFrame };
+        const released = new Promise(resolve => { this.breakpointRelease = resolve; });
+        await this.emit('breakpoint-hit', hit);
+        await released;
+        return this.runInstanceId === runId;
+    }
+
+    releaseBreakpoint() {
+        const release = this.breakpointRelease;
+        this.breakpointRelease = null;
+        this.breakpointPause = null;
+        if (release) release();
+    }
+
+    // --- TRACE ---
+
+    /**
+     * Records an execution event in the trace of the run (see ExecutionTrace). Nodes of the inlined copy of
+     * a macro are recorded as the nodes of the macro they stand for.
+     */
+    traceEvent(type, payload) {
+        const trace = this.trace;
+        const eventNode = type === 'step-start' ? payload.item.node : payload.node;
+        const node = eventNode ? (eventNode.shownAs || eventNode) : null;
+        switch (type) {
+            case 'step-start':
+                trace.startStep({ time: this.clock.time, frame: this.clock.frame, graph: this.traceGraphOf(node), nodeId: node.id, node: node.name },
+                    this.variableValues());
+                break;
+            case 'pin-evaluated':
+                trace.recordPin(this.traceGraphOf(node), node.id, 'input', payload.pin.index, payload.value);
+                break;
+            case 'node-executed':
+            case 'loop-iteration':
+            case 'function-return':
+            case 'macro-exit':
+                if (type === 'node-executed') trace.recordNode(this.traceGraphOf(node), node.id);
+                eventNode.outputs.forEach((pin, index) => {
+                    if (pin.type !== 'exec') trace.recordPin(this.traceGraphOf(node), node.id, 'output', index, this.readOutput(eventNode, index));
+                });
+                break;
+            case 'error':
+                trace.recordError(this.traceGraphOf(node), node.id, node.name, payload.error.message);
+                break;
+            case 'run-stop':
+                trace.recordVariables(this.variableValues());
+                break;
+        }
+    }
+
+    /** @returns {number} The index, in the trace, of the graph of the document a node belongs to. */
+    traceGraphOf(node) {
+        if (!this.traceGraphIndexes.has(node)) {
+            const graph = this.documentGraphs().find(g => g.nodes.includes(node));
+            this.traceGraphIndexes.set(node, this.trace.graphIndex(graph ? this.describeGraph(graph) : null));
+        }
+        return this.traceGraphIndexes.get(node);
+    }
+
+    /**
+     * Names a graph of the document in a way that outlives the run (and is saved with traces).
+     * @returns {Object|null} { kind: 'event' | 'function' | 'macro', name } (name null = the main event graph),
+     *   or { kind: 'collapsed', parent, nodeId } for the graph of a collapsed node; null if the graph is unknown.
+     */
+    describeGraph(graph) {
+        if (graph === this.graph) return { kind: 'event', name: null };
+        const eventGraph = this.eventGraphManager ? this.eventGraphManager.findEventGraphOf(graph) : null;
+        if (eventGraph) return { kind: 'event', name: eventGraph.name };
+        const fn = this.functionManager ? this.functionManager.findFunctionOfGraph(graph) : null;
+        if (fn) return { kind: 'function', name: fn.name };
+        const macro = this.macroManager ? this.macroManager.findMacroOfGraph(graph) : null;
+        if (macro) return { kind: 'macro', name: macro.name };
+        const parent = this.documentGraphs().find(g => g.nodes.some(n => n.subgraph === graph));
+        if (!parent) return null;
+        return { kind: 'collapsed', parent: this.describeGraph(parent), nodeId: parent.nodes.find(n => n.subgraph === graph).id };
+    }
+
+    /** @returns {Graph|null} The graph of the document a descriptor stands for (see describeGraph). */
+    resolveGraph(descriptor) {
+        if (!descriptor) return null;
+        let owner = null;
+        switch (descriptor.kind) {
+            case 'event':
+                if (descriptor.name === null) return this.graph;
+                owner = this.eventGraphManager ? this.eventGraphManager.findEventGraph(descriptor.name) : null;
+                break;
+            case 'function':
+                owner = this.functionManager ? this.functionManager.findFunction(descriptor.name) : null;
+                break;
+            case 'macro':
+                owner = this.macroManager ? this.macroManager.findMacro(descriptor.name) : null;
+                break;
+            case 'collapsed': {
+                const parent = this.resolveGraph(descriptor.parent);
+                const node = parent ? parent.nodes.find(n => n.id === descriptor.nodeId) : null;
+                return (node && node.subgraph) || null;
+            }
+        }
+        return owner ? owner.graph : null;
+    }
+
+    /** Every graph of the document: the event graphs, functions and macros, each followed by the graphs of its collapsed nodes. */
+    documentGraphs() {
+        const withCollapsed = (graphs) => graphs.flatMap(g => [g, ...withCollapsed(g.nodes.filter(n => n.subgraph).map(n => n.subgraph))]);
+        return withCollapsed([...this.allGraphs(), ...(this.macroManager ? this.macroManager.graphs : [])]);
+    }
+
+    // --- INPUT ---
+
+    /**
+     * Receives an input of the player while a run is active: the matching input events are queued behind
+     * everything already queued.
+     * @param {Object} input - { key } (a name of window.inputKeys) or { button } (one of window.mouseButtons)
+     *   with { action: 'pressed' | 'released' }; x and y (optional) move the mouse first. Only x and y = a move.
+     * @returns {boolean} False if no run is active.
+     */
+    injectInput(input) {
+        if (this.status === 'STOPPED') return false;
+        this.queueInput(input);
+        return true;
+    }
+
+    /** Applies an input to the input state and queues the input events it fires (see injectInput). */
+    queueInput(input) {
+        if (typeof input.x === 'number' && typeof input.y === 'number') {
+            this.inputState.mouseX = input.x;
+            this.inputState.mouseY = input.y;
+        }
+        if (!input.action) return;
+
+        const nodes = this.findInputEventNodes(input);
+        const inputAction = input.action === 'released' ? 'Released' : 'Pressed';
+        nodes.forEach(node => this.executionQueue.push({ node, conn: null, frame: this.entryFrameOf(node), inputAction }));
+        this.emit('input', { input, nodes });
+    }
+
+    /**
+     * @param {Object} [input] - Only the events listening to this key or mouse button (see injectInput).
+     * @returns {Array<GraphNode>} The input event nodes of every event graph.
+     */
+    findInputEventNodes(input = null) {
+        return this.eventGraphs.flatMap(graph => graph.nodes.filter(n => {
+            if (!Simulation.INPUT_EVENT_IDS.includes(n.functionId)) return false;
+            if (!input) return true;
+            const listensTo = n.getInputValue(0);
+            return n.functionId === 'Input.Key' ? input.key === listensTo : input.button === listensTo;
+        }));
+    }
+
+    /** Clears what nodes remember from a previous execution (results, stateful nodes, loops). */
+    resetNodeStates(nodes) {
+        nodes.forEach(n => {
+            n.executionResult = null;
+            n.outputValues = null;
+            n.evaluationEpoch = null;
+            n.runtimeState = {};
+            n.entryPin = null;
+            this.loopStates.delete(n);
+            if (n.subgraph) this.resetNodeStates(n.subgraph.nodes);
+        });
+    }
+
+    saveNodeStates(nodes) {
+        return nodes.map(node => ({
+            node,
+            executionResult: node.executionResult,
+            outputValues: node.outputValues,
+            evaluationEpoch: node.evaluationEpoch,
+            runtimeState: node.runtimeState,
+            entryPin: node.entryPin,
+            lastInputs: node.lastInputs,
+            loopState: this.loopStates.get(node)
+        }));
+    }
+
+    restoreNodeStates(savedStates) {
+        savedStates.forEach(({ node, loopState, ...state }) => {
+            Object.assign(node, state);
+            if (loopState) this.loopStates.set(node, loopState);
+            else this.loopStates.delete(node);
+        });
+    }
+
+    /**
+     * Calls a node's registry function. Functions working on the current call frame
+     * (Simulation.FRAME_FUNCTIONS) receive it as an extra last argument, functions reading the
+     * simulated clock (Simulation.CLOCK_FUNCTIONS) receive the clock and functions reading the player's
+     * input (Simulation.INPUT_FUNCTIONS) receive the input state.
+     */
+    invokeNode(node, args) {
+        if (Simulation.FRAME_FUNCTIONS.includes(node.functionId)) return node.jsFunctionRef.apply(node, [...args, this.currentFrame]);
+        if (Simulation.CLOCK_FUNCTIONS.includes(node.functionId)) return node.jsFunctionRef.apply(node, [...args, this.clock]);
+        if (Simulation.INPUT_FUNCTIONS.includes(node.functionId)) return node.jsFunctionRef.apply(node, [...args, this.inputState]);
+        return node.jsFunctionRef.apply(node, args);
+    }
+
+    /**
+     * Value currently carried by one of a node's output pins.
+     * Nodes with several data outputs store them per pin; all others expose their single result.
+     * The field pins of a split struct output read their struct's value, then their field.
+     */
+    readOutput(node, pinIndex) {
+        const pin = node.outputs[pinIndex];
+        if (!pin) return undefined;
+
+        const structName = pin.split ? pin.split[0].group.name : pin.name;
+        let value = node.outputValues ? node.outputValues[structName] : node.executionResult;
+        if (pin.split) {
+            pin.split.forEach(level => {
+                if (value !== null && value !== undefined) value = value[level.field];
+            });
         }
+        return value;
     }
 
     async gatherInputs(node, runId) {
         const args = [];
-        
-        // --- VISUALIZATION: BACKTRACK HIGHLIGHT ---
+        const argPins = [];
+
+        // Announce the pure dependency chain that is about to be pulled (backtrack)
         let dependencyConnections = [];
         if (!this.isPureNode(node)) {
             const { nodes, connections } = this.collectPureDependencyChain(node);
             dependencyConnections = connections;
             if (nodes.length > 0) {
-                this.highlightElements(nodes, connections, '#ffffff');
-                await new Promise(r => setTimeout(r, 600)); 
+                await this.emit('dependencies', { node, nodes, connections });
                 if (this.runInstanceId !== runId) return null;
             }
         }
 
         for(let i = 0; i < node.inputs.length; i++) {
             const pin = node.inputs[i];
-            if (pin.type === 'exec') continue; 
+            if (pin.type === 'exec') continue;
 
-            const conn = this.graph.connections.find(c => c.toNode === node.id && c.toPin === pin.index);
+            const conn = this.findInputConnection(node, pin.index);
             let val = null;
 
             if (conn) {
-                const sourceNode = this.graph.nodes.find(n => n.id === conn.fromNode);
-                
+                const sourceNode = this.findNode(conn.fromNode);
+
                 if (this.isPureNode(sourceNode)) {
                     try {
-                        // FORCE RE-EVALUATION for Variable.Get
-                        const isVariableGet = sourceNode.functionId === 'Variable.Get';
+                        // FORCE RE-EVALUATION for Variable.Get (and local variables, and the inputs
+                        // of an inlined macro, which are read from whatever is wired into its node)
+                        const isVariableGet = sourceNode.functionId === 'Variable.Get' || sourceNode.functionId === 'Local.Get'
+                            || Simulation.INLINED_INPUTS_IDS.includes(sourceNode.functionId);
 
-                        if (sourceNode.executionResult === null || isVariableGet) {
+                        if (sourceNode.evaluationEpoch !== this.evaluationEpoch || isVariableGet) {
                             if (this.runInstanceId !== runId) return null;
 
-                            const sourceArgs = await this.gatherInputs(sourceNode, runId);
-                            if (sourceArgs === null) return null; 
-                            if (this.runInstanceId !== runId) return null;
+                            if (this.status === 'RUNNING') {
+                                const hit = this.hitBreakpoint(sourceNode);
+                                if (hit && !(await this.waitAtBreakpoint(hit, runId))) return null;
+                            }
+
+                            // Calculate (pure function calls and macros evaluate their own graph)
+                            let rawRes;
+                            const isInputsNode = Simulation.INLINED_INPUTS_IDS.includes(sourceNode.functionId);
+                            if (isInputsNode || Simulation.INLINED_NODE_IDS.includes(sourceNode.functionId)) {
+                                // A macro's inputs are pulled by its Inputs node, when they are read
+                                sourceNode.setError(null);
+                                rawRes = isInputsNode
+                                    ? await this.evaluateMacroInputs(sourceNode, runId)
+                                    : await this.evaluatePureMacro(sourceNode, runId);
+                                if (rawRes === null) return null; // Failed or stopped inside the macro
+                            } else {
+                                const sourceArgs = await this.gatherInputs(sourceNode, runId);
+                                if (sourceArgs === null) return null;
+                                if (this.runInstanceId !== runId) return null;
+
+                                sourceNode.setError(null);
+
+                                if (sourceNode.functionId === 'Function.Call') {
+                                    rawRes = await this.evaluatePureCall(sourceNode, sourceArgs, runId);
+                                    if (rawRes === null) return null; // Failed or stopped inside the function
+                                } else {
+                                    rawRes = this.invokeNode(sourceNode, sourceArgs);
+                                }
+                            }
 
-                            sourceNode.setError(null);
-                            
-                            // Calculate
-                            const rawRes = sourceNode.jsFunctionRef.apply(sourceNode, sourceArgs);
-                            
-                            const outPin = sourceNode.outputs[0];
-                            sourceNode.executionResult = this.castValue(rawRes, outPin ? outPin.type : 'wildcard');
-                            
-                            // Execution triggers the Orange flash
-                            this.highlightNode(sourceNode.id, '#ff9900');
-                            
-                            // DO NOT CLEAR LABELS/WIRES HERE. 
+                            if (Simulation.isDispatchResult(rawRes, sourceNode)) {
+                                // Several return values: each output pin gets its own
+                                this.storeResult(sourceNode, rawRes);
+                            } else {
+                                // (a split first output is cast to its struct type, not to its first field's)
+                                const outPin = sourceNode.outputs[0];
+                                const outType = outPin ? (outPin.split ? outPin.split[0].group.type : outPin.type) : 'wildcard';
+                                sourceNode.executionResult = this.castValue(rawRes, outType);
+                                sourceNode.outputValues = null;
+                            }
+                            sourceNode.evaluationEpoch = this.evaluationEpoch;
 
+                            await this.emit('node-executed', { node: sourceNode, result: sourceNode.executionResult, pure: true });
                         } else {
-                            // If cached, just clear the "highlight" effect (white box) 
-                            this.clearNodeHighlight(sourceNode.id);
-                            this.resetInputWiresRecursively(sourceNode);
+                            await this.emit('pure-cached', { node: sourceNode });
                         }
                     } catch (err) {
-                        sourceNode.setError(err.message || "Error");
+                        this.reportError(sourceNode, err);
                         return null;
                     }
                 }
-                
-                val = sourceNode.executionResult;
-
-                if (this.renderer) {
-                    this.resetWireColor(conn);
-
-                    let debugInputs = [];
-                    for(let k=0; k<sourceNode.inputs.length; k++) {
-                        const inputConn = this.graph.connections.find(c => c.toNode === sourceNode.id && c.toPin === k);
-                        if (inputConn) {
-                            const upNode = this.graph.nodes.find(n => n.id === inputConn.fromNode);
-                            debugInputs.push(upNode.executionResult);
-                        } else {
-                            debugInputs.push(sourceNode.getInputValue(k));
-                        }
-                    }
 
-                    const debugLabel = window.FunctionRegistry.getVisualDebug(sourceNode, debugInputs, val);
-                    
-                    // --- ANIMATE LABEL ON WIRE ---
-                    const visualObj = this.renderer.animateDataWire(conn, debugLabel);
-                    this.addStepVisual(visualObj);
-                    
-                    // Wait 1s for the "travel" animation
-                    await new Promise(r => setTimeout(r, 2000)); 
-                    if (this.runInstanceId !== runId) return null;
-                }
+                val = this.readOutput(sourceNode, conn.fromPin);
+
+                await this.emit('wire-traversed', { conn, kind: 'data', value: val, sourceNode });
+                if (this.runInstanceId !== runId) return null;
             } else {
                 val = node.getInputValue(i);
+                // Literal arrays are copied: array nodes must not modify the pin's own default
+                if (Array.isArray(val)) val = JSON.parse(JSON.stringify(val));
             }
 
-            args.push(this.castValue(val, pin.type));
+            const castedValue = this.castValue(val, pin.type);
+            args.push(castedValue);
+            argPins.push(pin);
+            await this.emit('pin-evaluated', { node, pin, value: castedValue, conn });
         }
 
-        // --- CLEANUP OF HIGHLIGHTS ---
+        // Split struct pins are passed to the function as the struct they stand for
+        const functionArgs = argPins.some(pin => pin.split) ? Pin.combineSplitValues(argPins, args) : args;
+
+        // Remember what the node was called with (used by debug labels)
+        node.lastInputs = functionArgs;
+
         if (!this.isPureNode(node) && dependencyConnections.length > 0) {
-            dependencyConnections.forEach(c => this.resetWireColor(c));
+            await this.emit('dependencies-resolved', { node, connections: dependencyConnections });
         }
 
-        return args;
+        return functionArgs;
+    }
+
+    /**
+     * Flags a node as failed, records the error for the run and notifies observers.
+     * Only Blueprint errors (err.isBlueprintError) are expected; anything else is a bug and is logged.
+     */
+    reportError(node, err) {
+        const message = err.message || "Error";
+        node.setError(message);
+        if (!err.isBlueprintError) console.error(err);
+        this.errors.push({
+            nodeId: node.id,
+            nodeName: node.name,
+            // Graph the node belongs to (both null = an event graph)
+            functionName: this.currentFrame && this.currentFrame.function ? this.currentFrame.function.name : null,
+            macroName: this.currentFrame && this.currentFrame.macro && !this.currentFrame.macro.collapsed
+                ? this.currentFrame.macro.name : null,
+            message,
+            isBlueprintError: !!err.isBlueprintError
+        });
+        this.emit('error', { node, error: err });
     }
 
     castValue(val, type) {
+        if (window.ArrayTypes.isArray(type)) return this.castArray(val, window.ArrayTypes.elementType(type));
+        if (window.SetTypes.isSet(type)) return this.castSet(val, window.SetTypes.elementType(type));
+        if (window.MapTypes.isMap(type)) return this.castMap(val, window.MapTypes.keyType(type), window.MapTypes.valueType(type));
+        if (window.EnumTypes.isEnum(type)) return this.castEnum(val, type);
+        if (window.StructTypes.isUserStruct(type)) return this.castStruct(val, type);
         if (val === null || val === undefined) return val;
         if (type === 'wildcard') return val;
 
@@ -310,8 +1769,12 @@ class Simulation {
                 if (typeof val === 'number') return val;
                 return parseFloat(val) || 0.0;
             case 'string':
+                 if (window.MapTypes.isMapValue(val)) {
+                    return `{${val.map(e => `${this.castValue(e.key, 'string')}: ${this.castValue(e.value, 'string')}`).join(', ')}}`;
+                 }
+                 if (Array.isArray(val)) return `[${val.map(item => this.castValue(item, 'string')).join(', ')}]`;
                  if (typeof val === 'object') {
-                    if ('x' in val && 'y' in val && 'z' in val) 
+                    if ('x' in val && 'y' in val && 'z' in val)
                         return `X=${val.x.toFixed(3)} Y=${val.y.toFixed(3)} Z=${val.z.toFixed(3)}`;
                     return JSON.stringify(val);
                 }
@@ -323,49 +1786,182 @@ class Simulation {
         }
     }
 
-    isPureNode(node) { return !node.inputs.some(p => p.type === 'exec'); }
+    /**
+     * Casts every element of an array. Arrays are passed by reference (Add, Remove... modify them
+     * in place), so the same array is returned unless an element actually changed.
+     * A missing value is an empty array and a single value becomes a one-element array.
+     */
+    castArray(val, elementType) {
+        if (val === null || val === undefined) return [];
+        if (!Array.isArray(val)) return [this.castValue(val, elementType)];
 
-    highlightNode(id, color = '#ff9900') {
-        const el = document.getElementById(`node-${id}`);
-        if(el) {
-            el.style.transition = "box-shadow 0.2s ease-out";
-            el.style.boxShadow = `0 0 0 4px ${color}`;
-            setTimeout(() => {
-                if (this.status !== 'STOPPED') el.style.boxShadow = ""; 
-            }, 800);
-        }
+        const casted = val.map(item => this.castValue(item, elementType));
+        return casted.every((item, i) => item === val[i]) ? val : casted;
     }
 
-    // --- HELPER METHODS ---
+    /**
+     * Casts the elements of a set and drops duplicates (compared deeply, the first one is kept).
+     * Like arrays, the same array is returned when nothing changed.
+     */
+    castSet(val, elementType) {
+        const elements = this.castArray(val, elementType);
+        const unique = elements.filter((item, i) => elements.findIndex(other => areValuesDeeplyEqual(other, item)) === i);
+        return unique.length === elements.length ? elements : unique;
+    }
 
-    addStepVisual(visualObj) {
-        if (visualObj) {
-            this.activeStepVisuals.push(visualObj);
-        }
+    /**
+     * Casts the { key, value } entries of a map. A key listed twice keeps its first position
+     * and its last value. Like arrays, the same array is returned when nothing changed.
+     */
+    castMap(val, keyType, valueType) {
+        const entries = (val === null || val === undefined) ? [] : (Array.isArray(val) ? val : [val]);
+
+        const casted = [];
+        entries.forEach(entry => {
+            if (!entry || typeof entry !== 'object') return;
+            const key = this.castValue(entry.key, keyType);
+            const value = this.castValue(entry.value, valueType);
+            const existing = casted.findIndex(e => areValuesDeeplyEqual(e.key, key));
+            if (existing !== -1) casted[existing] = { key: casted[existing].key, value };
+            else casted.push(key === entry.key && value === entry.value ? entry : { key, value });
+        });
+
+        const unchanged = Array.isArray(val) && casted.length === val.length && casted.every((e, i) => e === val[i]);
+        return unchanged ? val : casted;
     }
 
-    clearStepVisuals() {
-        if (this.activeStepVisuals && this.activeStepVisuals.length > 0) {
-            this.activeStepVisuals.forEach(obj => {
-                // Remove Label
-                if (obj.label) obj.label.remove();
-                // Remove Wire Glow (just in case the timeout hasn't fired yet)
-                if (obj.path) obj.path.classList.remove('data-flow');
-            });
-            this.activeStepVisuals = [];
+    /**
+     * Casts to a user enum: entry names are kept and numbers pick the entry at that index.
+     * Anything else (e.g. an entry that was removed since) falls back to the first entry.
+     */
+    castEnum(val, type) {
+        const entries = window.EnumTypes.entries(type);
+        if (typeof val === 'number') return entries[Math.floor(val)] !== undefined ? entries[Math.floor(val)] : entries[0];
+        return entries.includes(val) ? val : entries[0];
+    }
+
+    /**
+     * Casts every field of a user struct value. Missing fields get their empty value and
+     * properties that are not fields (e.g. of a field removed since) are dropped.
+     * Like arrays, the same object is returned when nothing changed.
+     */
+    castStruct(val, type) {
+        const fields = Pin.getStructFields(type);
+        if (!val || typeof val !== 'object' || Array.isArray(val)) return Pin.getEmptyValue(type);
+
+        const casted = {};
+        fields.forEach(field => {
+            casted[field.key] = field.key in val ? this.castValue(val[field.key], field.type) : Pin.getEmptyValue(field.type);
+        });
+
+        const unchanged = Object.keys(val).length === fields.length && fields.every(field => casted[field.key] === val[field.key]);
+        return unchanged ? val : casted;
+    }
+
+    /**
+     * Nodes without exec inputs are evaluated on demand, except custom events and Event Tick: their
+     * outputs are the arguments they were fired with, stored when they ran.
+     */
+    isPureNode(node) { return !node.inputs.some(p => p.type === 'exec') && !Simulation.ARGUMENT_EVENT_IDS.includes(node.functionId); }
+
+    // --- CALL STACK ---
+
+    /** @returns {{node: GraphNode, frame: Object|null}|null} Where a paused run is: the node about to run, or the pure node paused at its breakpoint. */
+    get pausePosition() {
+        if (this.breakpointPause) return this.breakpointPause;
+        const item = this.executionQueue[0];
+        return item ? { node: item.node, frame: item.frame || null } : null;
+    }
+
+    /**
+     * The call stack of the run where it is paused (see pausePosition).
+     * @returns {Array<Object>} Innermost first (see callStackAt); empty if nothing is queued.
+     */
+    getCallStack() {
+        const position = this.pausePosition;
+        return position ? this.callStackAt(position.node, position.frame) : [];
+    }
+
+    /**
+     * The call stack of a node running in a frame: the node, then the node that called into its frame
+     * (a function call, a macro or collapsed node, a Call <Event> node), and so on out to an event.
+     * @returns {Array<{graph: Graph, node: GraphNode, locals: Object|null}>} Innermost first. Graphs and nodes
+     *   are those shown in the editor (the nodes of a macro's copy stand for the macro's); locals are the
+     *   parameters and local variables of a function's frame.
+     */
+    callStackAt(node, frame) {
+        const stack = [];
+        for (;;) {
+            const locals = frame && frame.function ? { ...frame.parameters, ...frame.locals } : null;
+            stack.push({ graph: this.sourceGraphOf(frame), node: node.shownAs || node, locals });
+            if (frame && frame.callNode) {
+                node = frame.callNode;
+                frame = frame.caller;
+            } else if (frame && frame.callSite) {
+                node = frame.callSite.node;
+                frame = frame.callSite.frame;
+            } else {
+                return stack;
+            }
         }
     }
 
+    // --- GRAPH LOOKUP HELPERS ---
+
+    /** The graph of the current call frame (the main event graph without one). */
+    get activeGraph() {
+        return this.currentFrame ? this.currentFrame.graph : this.graph;
+    }
+
+    /**
+     * The graph of the document a frame runs: its function's graph, or the graph of its macro
+     * (a macro frame runs a copy of it), or its event graph. No frame = the main event graph.
+     */
+    sourceGraphOf(frame) {
+        if (!frame) return this.graph;
+        return frame.macro ? frame.macro.graph : frame.graph;
+    }
+
+    /** Every event graph, the main one first. */
+    get eventGraphs() {
+        return this.eventGraphManager ? this.eventGraphManager.graphs : [this.graph];
+    }
+
+    /**
+     * The frame an event node runs in: none in the main event graph, the frame of its graph in the others.
+     * @param {GraphNode} node
+     * @returns {Object|null}
+     */
+    entryFrameOf(node) {
+        const graph = this.eventGraphs.find(g => g.nodes.includes(node));
+        if (!graph || graph === this.graph) return null;
+        if (!this.eventGraphFrames.has(graph)) this.eventGraphFrames.set(graph, { graph, caller: null });
+        return this.eventGraphFrames.get(graph);
+    }
+
+    /** The event graphs and the graph of every user function. */
+    allGraphs() {
+        return [...this.eventGraphs, ...(this.functionManager ? this.functionManager.graphs : [])];
+    }
+
+    findNode(nodeId) {
+        return this.activeGraph.nodes.find(n => n.id === nodeId);
+    }
+
+    findInputConnection(node, pinIndex) {
+        return this.activeGraph.connections.find(c => c.toNode === node.id && c.toPin === pinIndex);
+    }
+
     collectPureDependencyChain(rootNode) {
         let nodes = new Set();
         let connections = new Set();
-        
+
         const traverse = (n) => {
             n.inputs.forEach(pin => {
-                if (pin.type === 'exec') return; 
-                const conn = this.graph.connections.find(c => c.toNode === n.id && c.toPin === pin.index);
+                if (pin.type === 'exec') return;
+                const conn = this.findInputConnection(n, pin.index);
                 if (conn) {
-                    const src = this.graph.nodes.find(node => node.id === conn.fromNode);
+                    const src = this.findNode(conn.fromNode);
                     if (this.isPureNode(src)) {
                         connections.add(conn);
                         if (!nodes.has(src)) {
@@ -376,61 +1972,60 @@ class Simulation {
                 }
             });
         };
-        
+
         traverse(rootNode);
         return { nodes: Array.from(nodes), connections: Array.from(connections) };
     }
+}
 
-    resetInputWiresRecursively(node) {
-        node.inputs.forEach(pin => {
-            if (pin.type === 'exec') return;
-            const conn = this.graph.connections.find(c => c.toNode === node.id && c.toPin === pin.index);
-            if (conn) {
-                this.resetWireColor(conn);
-                const src = this.graph.nodes.find(n => n.id === conn.fromNode);
-                if (src && this.isPureNode(src)) {
-                    this.clearNodeHighlight(src.id);
-                    this.resetInputWiresRecursively(src);
-                }
-            }
-        });
-    }
+// Default infinite-loop guard (iterations per loop execution)
+Simulation.DEFAULT_MAX_LOOP_ITERATIONS = 10000;
 
-    highlightElements(nodes, connections, color) {
-        nodes.forEach(n => {
-            const el = document.getElementById(`node-${n.id}`);
-            if(el) {
-                el.style.transition = "box-shadow 0.2s ease-out";
-                el.style.boxShadow = `0 0 0 4px ${color}`;
-            }
-        });
-        connections.forEach(c => {
-            const path = document.getElementById(`conn-${c.id}`);
-            if(path) {
-                if (!path.dataset.originalColor) {
-                    path.dataset.originalColor = path.style.stroke;
-                }
-                path.style.stroke = color;
-            }
-        });
-    }
+// Default stack overflow guard (nested function calls)
+Simulation.DEFAULT_MAX_CALL_DEPTH = 200;
 
-    clearNodeHighlight(id) {
-        const el = document.getElementById(`node-${id}`);
-        if(el) el.style.boxShadow = "";
-    }
+// Registry functions that work on the current call frame: they receive it as an extra last argument
+Simulation.FRAME_FUNCTIONS = ['Function.Entry', 'Local.Get', 'Local.Set'];
 
-    resetWireColor(conn) {
-         const path = document.getElementById(`conn-${conn.id}`);
-         if(path) {
-             if (path.dataset.originalColor) {
-                 path.style.stroke = path.dataset.originalColor;
-                 delete path.dataset.originalColor;
-             } else {
-                 const typeDef = window.typeDefinitions ? window.typeDefinitions[conn.type] : null;
-                 const color = typeDef ? typeDef.color : '#fff'; 
-                 path.style.stroke = color; 
-             }
-         }
-    }
-}
\ No newline at end of file
+// Registry functions that read the simulated clock: they receive it ({ time, frame }) as an extra last argument
+Simulation.CLOCK_FUNCTIONS = ['Time.GetGameTime'];
+
+// Registry functions that read the player's input: they receive the input state ({ mouseX, mouseY }) as an extra last argument
+Simulation.INPUT_FUNCTIONS = ['Input.GetMousePosition'];
+
+// Events fired by the player's input (see injectInput): their Pressed or Released output fires
+Simulation.INPUT_EVENT_IDS = ['Input.Key', 'Input.MouseButton'];
+
+// Default simulated frame rate (frames per second)
+Simulation.DEFAULT_FRAME_RATE = 60;
+
+// Tolerance (s) when comparing game times: frame times add up rounding errors
+Simulation.TIME_EPSILON = 1e-6;
+
+// Nodes that wait for game time or set timers (see processClockNode)
+Simulation.CLOCK_NODE_IDS = ['Flow.Delay', 'Flow.RetriggerableDelay', 'Timer.SetByEvent', 'Timer.Clear'];
+
+// Nodes that run an inlined graph (macro and collapsed nodes), and the nodes where exec and data enter and leave it
+Simulation.INLINED_NODE_IDS = ['Macro.Call', 'Collapsed.Node'];
+Simulation.INLINED_INPUTS_IDS = ['Macro.Inputs', 'Collapsed.Inputs'];
+Simulation.INLINED_OUTPUTS_IDS = ['Macro.Outputs', 'Collapsed.Outputs'];
+
+// Nodes that call custom events or work on event dispatchers (see processEventCall)
+Simulation.EVENT_CALL_IDS = ['Event.Call', 'Dispatcher.Call', 'Dispatcher.Bind', 'Dispatcher.Unbind'];
+
+// Events whose outputs are the arguments they were fired with (see eventArguments)
+Simulation.ARGUMENT_EVENT_IDS = ['Event.Custom', 'Event.Tick'];
+
+/**
+ * True for the { exec, outputs } objects node functions return to pick exec outputs (see storeResult):
+ * those marked with dispatchResult(), and unmarked objects of only these keys returned by a node none of
+ * whose outputs could hold such an object as a value. Nodes with wildcard or user struct outputs must use
+ * dispatchResult(): their unmarked objects are data (e.g. a struct with an 'exec' field).
+ */
+Simulation.isDispatchResult = (value, node) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    if (value[dispatchResult.MARK] === true) return true;
+    const keys = Object.keys(value);
+    if (keys.length === 0 || !keys.every(k => k === 'exec' || k === 'outputs')) return false;
+    return !node.outputs.some(p => p.type === 'wildcard' || window.StructTypes.isUserStruct(p.type));
+};
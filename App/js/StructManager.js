@@ -0,0 +1,515 @@
+/**
+ * StructManager
+ * Manages the user-defined structs (Name + ordered, typed fields) of the document.
+ * Every struct becomes a data type of its own (registered in window.typeDefinitions, see StructTypes)
+ * edited with a nested struct widget, splittable like the built-in structs, and gets generated
+ * "Make <Struct>" / "Break <Struct>" node templates.
+ * Editing a struct updates the Make/Break nodes, pin values, wires and variables that use it.
+ */
+class StructManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.structs = []; // { name, fields: [{ name, type }] }
+
+        // What registerTypes() added to the globals, so it can be replaced on the next change
+        this.registered = { types: [], templates: [] };
+
+        // Headless runs (no DOM) only use the manager to register the document's structs
+        const hasDom = typeof document !== 'undefined';
+        this.ui = {
+            list: hasDom ? document.getElementById('struct-list') : null,
+            addBtn: hasDom ? document.getElementById('btn-add-struct') : null
+        };
+
+        if (this.ui.addBtn) this.ui.addBtn.onclick = () => this.addStruct();
+    }
+
+    findStruct(name) {
+        return this.structs.find(s => s.name === name) || null;
+    }
+
+    // --- EDITING ---
+
+    addStruct() {
+        let name = "NewStruct";
+        let count = 0;
+        while (this.isTypeNameTaken(name)) {
+            count++;
+            name = `NewStruct_${count}`;
+        }
+
+        this.structs.push({ name, fields: [{ name: "Field0", type: "boolean" }] });
+        this.applyChanges(name);
+        this.editor.history.commit('Add Struct');
+    }
+
+    /**
+     * Deletes a struct. Refused while a node, a variable, another struct, a function, a macro, a custom event or a dispatcher still uses it.
+     */
+    deleteStruct(name) {
+        const { graphs, variableManager, functionManager, macroManager, customEventManager } = this.editor;
+        const nodeCount = graphs.reduce((count, graph) => count + graph.nodes.filter(n => this.isUsedByNode(n, name)).length, 0);
+        const variableCount = variableManager.variables.filter(v => this.usesStruct(v.type, name)).length;
+        const structCount = this.structs.filter(s => s.name !== name && this.usesStruct(s.name, name)).length;
+        const functionCount = functionManager.countFunctionsUsing(type => this.usesStruct(type, name));
+        const macroCount = macroManager.countMacrosUsing(type => this.usesStruct(type, name));
+        const eventCount = customEventManager ? customEventManager.countEntriesUsing(type => this.usesStruct(type, name)) : 0;
+        if (nodeCount + variableCount + structCount + functionCount + macroCount + eventCount > 0) {
+            this.editor.notify(`Cannot delete ${name}: used by ${nodeCount} node(s), ${variableCount} variable(s), ${structCount} struct(s), ${functionCount} function(s), ${macroCount} macro(s) and ${eventCount} event(s) or dispatcher(s)`);
+            return;
+        }
+
+        this.structs = this.structs.filter(s => s.name !== name);
+        this.applyChanges(name);
+        this.editor.history.commit('Delete Struct');
+    }
+
+    /**
+     * Renames a struct, and with it every type that refers to it (pins, split pins, wires,
+     * variables, fields of other structs, function, macro, custom event and dispatcher parameters) and the Make/Break nodes.
+     */
+    renameStruct(oldName, newName) {
+        const structDef = this.findStruct(oldName);
+        newName = String(newName).trim();
+        if (!structDef || newName === oldName) return;
+
+        if (!StructManager.NAME_PATTERN.test(newName) || this.isTypeNameTaken(newName)) {
+            this.editor.notify(`"${newName}" is not a valid struct name or is already taken`);
+            this.renderList();
+            return;
+        }
+
+        structDef.name = newName;
+        const rename = (type) => this.replaceInType(type, oldName, newName);
+
+        const { graphs, variableManager, functionManager, macroManager, customEventManager } = this.editor;
+        graphs.forEach(graph => {
+            graph.nodes.forEach(node => {
+                [...node.inputs, ...node.outputs].forEach(pin => {
+                    const newType = rename(pin.type);
+                    if (newType !== pin.type) {
+                        pin.type = newType;
+                        pin.dataType = newType;
+                    }
+                    (pin.split || []).forEach(level => level.group.type = rename(level.group.type));
+                });
+                node.splitPins.forEach(split => split.type = rename(split.type));
+
+                // Make/Break nodes are restored from their template, which is found by name
+                if (node.name === StructManager.makeNodeName(oldName)) {
+                    node.name = StructManager.makeNodeName(newName);
+                    if (node.outputs[0] && node.outputs[0].name === oldName) node.outputs[0].name = newName;
+                }
+                if (node.name === StructManager.breakNodeName(oldName)) {
+                    node.name = StructManager.breakNodeName(newName);
+                    if (node.inputs[0] && node.inputs[0].name === `In ${oldName}`) node.inputs[0].name = `In ${newName}`;
+                }
+            });
+            graph.connections.forEach(c => c.type = rename(c.type));
+        });
+        variableManager.variables.forEach(v => v.type = rename(v.type));
+        this.structs.forEach(s => s.fields.forEach(f => f.type = rename(f.type)));
+        functionManager.parameters.forEach(p => p.type = rename(p.type));
+        macroManager.parameters.forEach(p => p.type = rename(p.type));
+        if (customEventManager) customEventManager.parameters.forEach(p => p.type = rename(p.type));
+
+        this.applyChanges(newName);
+        this.editor.history.commit('Rename Struct');
+    }
+
+    addField(structName) {
+        const structDef = this.findStruct(structName);
+        if (!structDef) return;
+
+        let count = structDef.fields.length;
+        while (structDef.fields.some(f => f.name === `Field${count}`)) count++;
+        const field = { name: `Field${count}`, type: "boolean" };
+
+        this.prepareEdit(structName);
+        structDef.fields.push(field);
+        this.remapValues(structName, value => ({ ...value, [field.name]: Pin.getEmptyValue(field.type) }));
+        this.applyChanges(structName);
+        this.editor.history.commit('Add Struct Field');
+    }
+
+    /**
+     * Renames a field. Values (pin literals, variable defaults) and the wires of the
+     * matching Make/Break pins follow the new name.
+     */
+    renameField(structName, index, newFieldName) {
+        const structDef = this.findStruct(structName);
+        if (!structDef) return;
+        const oldFieldName = structDef.fields[index].name;
+        newFieldName = String(newFieldName).trim();
+        if (newFieldName === oldFieldName) return;
+
+        if (!newFieldName || structDef.fields.some(f => f.name === newFieldName)) {
+            this.editor.notify(`Fields of ${structName} must have unique, non-empty names`);
+            this.renderList();
+            return;
+        }
+
+        this.prepareEdit(structName);
+        structDef.fields[index].name = newFieldName;
+        // Rebuilt in field order, so the renamed key keeps its position
+        this.remapValues(structName, value => {
+            const renamed = {};
+            structDef.fields.forEach(f => renamed[f.name] = value[f.name === newFieldName ? oldFieldName : f.name]);
+            return renamed;
+        });
+        this.applyChanges(structName, { [oldFieldName]: newFieldName });
+        this.editor.history.commit('Rename Struct Field');
+    }
+
+    /**
+     * Changes the type of a field. Its values are reset to the new type's empty value and
+     * wires that no longer match are removed.
+     */
+    retypeField(structName, index, newType) {
+        const structDef = this.findStruct(structName);
+        if (!structDef || structDef.fields[index].type === newType) return;
+        if (this.usesStruct(newType, structName)) {
+            this.editor.notify(`${structName} cannot contain itself`);
+            this.renderList();
+            return;
+        }
+
+        const field = structDef.fields[index];
+        this.prepareEdit(structName);
+        field.type = newType;
+        this.remapValues(structName, value => ({ ...value, [field.name]: Pin.getEmptyValue(newType) }));
+        this.applyChanges(structName);
+        this.editor.history.commit('Change Struct Field Type');
+    }
+
+    /**
+     * Removes a field (a struct keeps at least one). Wires of its Make/Break pins are removed.
+     */
+    removeField(structName, index) {
+        const structDef = this.findStruct(structName);
+        if (!structDef) return;
+        if (structDef.fields.length <= 1) {
+            this.editor.notify(`${structName} needs at least one field`);
+            return;
+        }
+
+        this.prepareEdit(structName);
+        const [removed] = structDef.fields.splice(index, 1);
+        this.remapValues(structName, value => {
+            const remaining = { ...value };
+            delete remaining[removed.name];
+            return remaining;
+        });
+        this.applyChanges(structName);
+        this.editor.history.commit('Remove Struct Field');
+    }
+
+    /**
+     * Moves a field up (offset -1) or down (+1): the Make/Break pins are reordered, wires follow.
+     */
+    moveField(structName, index, offset) {
+        const structDef = this.findStruct(structName);
+        const target = index + offset;
+        if (!structDef || target < 0 || target >= structDef.fields.length) return;
+
+        this.prepareEdit(structName);
+        const fields = structDef.fields;
+        [fields[index], fields[target]] = [fields[target], fields[index]];
+        this.applyChanges(structName);
+        this.editor.history.commit('Reorder Struct Fields');
+    }
+
+    /**
+     * Recombines the split pins whose fields are about to change: split pins of the struct
+     * (or of a struct containing it), and the split field pins of its Make/Break nodes,
+     * whose pins are rebuilt by applyChanges().
+     */
+    prepareEdit(structName) {
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+            ['input', 'output'].forEach(direction => {
+                const rebuilt = direction === 'input' ? this.isMakeNode(node, structName) : this.isBreakNode(node, structName);
+                const pins = () => direction === 'input' ? node.inputs : node.outputs;
+                let pin;
+                while ((pin = pins().find(p => p.split && (rebuilt || this.usesStruct(p.split[0].group.type, structName))))) {
+                    graph.recombinePin(node.id, pin.index, direction);
+                }
+            });
+        }));
+    }
+
+    /**
+     * Re-registers the structs and brings the graph and the panels up to date after an edit.
+     * Wires whose two ends had the same type before the edit but not after it are removed.
+     * @param {String} structName - The struct that changed (its new name, if it was renamed).
+     * @param {Object} [renamedFields] - Old field name -> new name, so Make/Break wires follow renames.
+     */
+    applyChanges(structName, renamedFields = {}) {
+        this.registerTypes();
+
+        const { graphs, renderer, variableManager, functionManager, macroManager, customEventManager } = this.editor;
+        // The templates of the functions, macros, custom events and dispatchers follow their parameter types
+        if (functionManager) functionManager.registerTemplates();
+        if (macroManager) macroManager.registerTemplates();
+        if (customEventManager) customEventManager.registerTemplates();
+
+        const fieldPins = this.createFieldPins(structName);
+        let removedWires = 0;
+        graphs.forEach(graph => {
+            const changedNodes = graph.nodes.filter(node => this.isUsedByNode(node, structName));
+            const matchedBefore = graph.findMatchingConnections(changedNodes.map(n => n.id));
+
+            changedNodes.forEach(node => {
+                if (this.isMakeNode(node, structName)) graph.replacePins(node.id, 'input', fieldPins, renamedFields);
+                if (this.isBreakNode(node, structName)) graph.replacePins(node.id, 'output', fieldPins, renamedFields);
+            });
+
+            // Retyped fields may leave wires between pins of different types
+            removedWires += graph.removeMismatchedConnections(matchedBefore);
+            changedNodes.forEach(node => renderer.refreshNode(node));
+        });
+        if (removedWires > 0) {
+            this.editor.notify(`Removed ${removedWires} wire(s) that no longer match ${structName}`);
+            renderer.render();
+        }
+
+        variableManager.renderList();
+        if (functionManager) functionManager.renderList();
+        if (macroManager) macroManager.renderList();
+        if (customEventManager) customEventManager.renderList();
+        this.renderList();
+    }
+
+    /**
+     * Rewrites the literal values of a struct: input pin widgets and variable defaults,
+     * including structs nested in other structs or held by containers.
+     * @param {Function} mapStruct - Old struct value -> new struct value.
+     */
+    remapValues(structName, mapStruct) {
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => node.inputs.forEach(pin => {
+            if (!pin.widget || !this.usesStruct(pin.type, structName)) return;
+            pin.widget.value = this.mapStructValue(pin.widget.value, pin.type, structName, mapStruct);
+            pin.value = pin.widget.value;
+        })));
+        this.editor.variableManager.variables.forEach(v => {
+            if (this.usesStruct(v.type, structName)) v.defaultValue = this.mapStructValue(v.defaultValue, v.type, structName, mapStruct);
+        });
+    }
+
+    // --- TYPES & TEMPLATES ---
+
+    /**
+     * Registers every struct as a type, with its Make and Break node templates,
+     * replacing the previous registration.
+     */
+    registerTypes() {
+        const definitions = window.typeDefinitions = window.typeDefinitions || {};
+
+        this.registered.types.forEach(name => delete definitions[name]);
+        window.nodeTemplates = (window.nodeTemplates || []).filter(t => !this.registered.templates.includes(t.name));
+        this.registered = { types: [], templates: [] };
+
+        this.structs.forEach(structDef => {
+            definitions[structDef.name] = {
+                name: structDef.name,
+                color: "var(--c-struct)",
+                widget: "struct",
+                userDefined: true,
+                fields: structDef.fields.map(f => ({ name: f.name, key: f.name, type: f.type }))
+            };
+            this.registered.types.push(structDef.name);
+        });
+
+        // Templates last: their pins look up the field types, which may be other structs
+        this.structs.forEach(structDef => {
+            const templates = [this.createMakeTemplate(structDef.name), this.createBreakTemplate(structDef.name)];
+            window.nodeTemplates.push(...templates);
+            this.registered.templates.push(...templates.map(t => t.name));
+        });
+    }
+
+    createMakeTemplate(structName) {
+        return {
+            name: StructManager.makeNodeName(structName),
+            category: "Structs",
+            color: "var(--n-pure)",
+            functionId: "Struct.Make",
+            inputs: this.createFieldPins(structName),
+            outputs: [{ name: structName, type: structName }]
+        };
+    }
+
+    createBreakTemplate(structName) {
+        return {
+            name: StructManager.breakNodeName(structName),
+            category: "Structs",
+            color: "var(--n-pure)",
+            functionId: "Struct.Break",
+            inputs: [{ name: `In ${structName}`, type: structName }],
+            outputs: this.createFieldPins(structName)
+        };
+    }
+
+    /** One pin per field, named after it (Make inputs / Break outputs). */
+    createFieldPins(structName) {
+        const structDef = this.findStruct(structName);
+        return (structDef ? structDef.fields : []).map(field => ({ name: field.name, type: field.type }));
+    }
+
+    isMakeNode(node, structName) {
+        return node.functionId === 'Struct.Make' && node.name === StructManager.makeNodeName(structName);
+    }
+
+    isBreakNode(node, structName) {
+        return node.functionId === 'Struct.Break' && node.name === StructManager.breakNodeName(structName);
+    }
+
+    isUsedByNode(node, structName) {
+        return this.isMakeNode(node, structName) || this.isBreakNode(node, structName)
+            || [...node.inputs, ...node.outputs].some(pin => this.usesStruct(pin.type, structName)
+                || (pin.split || []).some(level => this.usesStruct(level.group.type, structName)));
+    }
+
+    /** @returns {Boolean} True if a type is the struct, a container of it, or a struct with a field that uses it. */
+    usesStruct(type, structName) {
+        const { ArrayTypes, SetTypes, MapTypes } = window;
+        if (type === structName) return true;
+        if (ArrayTypes.isArray(type)) return this.usesStruct(ArrayTypes.elementType(type), structName);
+        if (SetTypes.isSet(type)) return this.usesStruct(SetTypes.elementType(type), structName);
+        if (MapTypes.isMap(type)) return this.usesStruct(MapTypes.keyType(type), structName) || this.usesStruct(MapTypes.valueType(type), structName);
+        const structDef = this.findStruct(type);
+        return !!structDef && structDef.fields.some(f => this.usesStruct(f.type, structName));
+    }
+
+    /** @returns {String} The type with every occurrence of one struct replaced by another. */
+    replaceInType(type, oldName, newName) {
+        const { ArrayTypes, SetTypes, MapTypes } = window;
+        const replace = (t) => this.replaceInType(t, oldName, newName);
+        if (ArrayTypes.isArray(type)) return ArrayTypes.of(replace(ArrayTypes.elementType(type)));
+        if (SetTypes.isSet(type)) return SetTypes.of(replace(SetTypes.elementType(type)));
+        if (MapTypes.isMap(type)) return MapTypes.of(replace(MapTypes.keyType(type)), replace(MapTypes.valueType(type)));
+        return type === oldName ? newName : type;
+    }
+
+    /** Applies mapStruct to the values of the struct held by a value of the given type. */
+    mapStructValue(value, type, structName, mapStruct) {
+        const { ArrayTypes, SetTypes, MapTypes } = window;
+        const map = (v, t) => this.usesStruct(t, structName) ? this.mapStructValue(v, t, structName, mapStruct) : v;
+
+        if (type === structName) return (value && typeof value === 'object') ? mapStruct(value) : value;
+        if (ArrayTypes.isArray(type) || SetTypes.isSet(type)) {
+            const elementType = ArrayTypes.isArray(type) ? ArrayTypes.elementType(type) : SetTypes.elementType(type);
+            return Array.isArray(value) ? value.map(item => map(item, elementType)) : value;
+        }
+        if (MapTypes.isMap(type)) {
+            if (!Array.isArray(value)) return value;
+            return value.map(entry => ({ key: map(entry.key, MapTypes.keyType(type)), value: map(entry.value, MapTypes.valueType(type)) }));
+        }
+
+        // A struct containing it: map the fields that use it
+        const structDef = this.findStruct(type);
+        if (!structDef || !value || typeof value !== 'object') return value;
+        const mapped = { ...value };
+        structDef.fields.forEach(f => mapped[f.name] = map(value[f.name], f.type));
+        return mapped;
+    }
+
+    /** @returns {Array<String>} Structs a field of the given struct may not have, as they would contain it. */
+    getExcludedFieldTypes(structName) {
+        return this.structs.filter(s => this.usesStruct(s.name, structName)).map(s => s.name);
+    }
+
+    isTypeNameTaken(name) {
+        return !!(window.typeDefinitions || {})[name];
+    }
+
+    // --- PANEL ---
+
+    renderList() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+
+        this.structs.forEach(structDef => {
+            const row = document.createElement('div');
+            row.className = 'struct-row';
+
+            const header = document.createElement('div');
+            header.className = 'struct-header';
+
+                const nameInput = document.createElement('input');
+                nameInput.value = structDef.name;
+                nameInput.className = 'var-name';
+                nameInput.onchange = (e) => this.renameStruct(structDef.name, e.target.value);
+
+                const delBtn = document.createElement('button');
+                delBtn.innerText = '×';
+                delBtn.className = 'var-del';
+                delBtn.title = 'Delete Struct';
+                delBtn.onclick = () => this.deleteStruct(structDef.name);
+
+            header.append(nameInput, delBtn);
+            row.appendChild(header);
+
+            const excludedTypes = this.getExcludedFieldTypes(structDef.name);
+            structDef.fields.forEach((field, index) => {
+                const fieldRow = document.createElement('div');
+                fieldRow.className = 'struct-field';
+
+                const fieldInput = document.createElement('input');
+                fieldInput.value = field.name;
+                fieldInput.className = 'struct-field-name';
+                fieldInput.onchange = (e) => this.renameField(structDef.name, index, e.target.value);
+
+                const typePickers = this.editor.variableManager.createTypePickers(field.type,
+                    (t) => this.retypeField(structDef.name, index, t), excludedTypes);
+
+                const upBtn = this.createFieldButton('↑', 'Move Up', () => this.moveField(structDef.name, index, -1));
+                upBtn.disabled = index === 0;
+                const removeBtn = this.createFieldButton('×', 'Remove Field', () => this.removeField(structDef.name, index));
+
+                fieldRow.append(fieldInput, ...typePickers, upBtn, removeBtn);
+                row.appendChild(fieldRow);
+            });
+
+            row.appendChild(this.createFieldButton('+ Field', 'Add Field', () => this.addField(structDef.name)));
+            this.ui.list.appendChild(row);
+        });
+    }
+
+    createFieldButton(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'struct-field-btn';
+        btn.innerText = text;
+        btn.title = title;
+        btn.onclick = onClick;
+        return btn;
+    }
+
+    // --- DOCUMENT ---
+
+    /**
+     * Serializes the struct definitions for saving.
+     * @returns {Array<Object>} Deep copies of { name, fields }.
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.structs));
+    }
+
+    /**
+     * Replaces all structs (used when opening a saved document). Must run after the enums
+     * (fields may use them) and before the variables and the graph are loaded.
+     * @param {Array<Object>} savedStructs - The list produced by toJSON().
+     */
+    loadStructs(savedStructs) {
+        this.structs = (savedStructs || [])
+            .filter(s => s && s.name && Array.isArray(s.fields) && s.fields.length > 0)
+            .map(s => ({ name: s.name, fields: s.fields.map(f => ({ name: String(f.name), type: f.type || 'boolean' })) }));
+        this.registerTypes();
+        this.renderList();
+    }
+}
+
+// Struct names become type identifiers: no spaces or container syntax
+StructManager.NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+StructManager.makeNodeName = (structName) => `Make ${structName}`;
+StructManager.breakNodeName = (structName) => `Break ${structName}`;
@@ -0,0 +1,108 @@
+/**
+ * BlueprintTestRunner
+ * Discovers every "Event Test" node of the event graphs and executes each one in isolation
+ * (fresh variables, fresh node results) on a dedicated headless Simulation.
+ * A test passes when its exec chain completes without any Blueprint error
+ * (Assert nodes raise one when they fail).
+ * Tests do not fire Event Tick; their Delay nodes and timers run in simulated time, without waiting.
+ * Input events only fire from an input timeline given to the runner (the same one for every test).
+ * Breakpoints are ignored.
+ */
+class BlueprintTestRunner {
+    /**
+     * @param {Graph} graph - The main event graph.
+     * @param {VariableManager} variableManager - Provides fresh runtime values for every test.
+     * @param {Object} [options]
+     * @param {number} [options.maxSteps=10000] - Step limit per test (guards against endless tests).
+     * @param {number} [options.maxLoopIterations] - Infinite-loop guard (see Simulation).
+     * @param {number} [options.maxGameTime] - Game time (s) a test may last (Delay nodes, timers). 0 = unlimited.
+     * @param {number} [options.frameRate] - Simulated frames per second (see Simulation).
+     * @param {number} [options.timeScale] - Scales Delta Seconds (see Simulation).
+     * @param {Array<Object>} [options.inputTimeline] - Input injected into every test (see Simulation).
+     * @param {FunctionManager} [options.functionManager] - The functions the tests may call.
+     * @param {MacroManager} [options.macroManager] - The macros the tests may use.
+     * @param {EventGraphManager} [options.eventGraphManager] - The other event graphs (they may hold tests too).
+     */
+    constructor(graph, variableManager, options = {}) {
+        this.graph = graph;
+        this.variableManager = variableManager;
+        this.maxSteps = options.maxSteps !== undefined ? options.maxSteps : 10000;
+        this.maxLoopIterations = options.maxLoopIterations;
+        this.maxGameTime = options.maxGameTime || 0;
+        this.frameRate = options.frameRate;
+        this.timeScale = options.timeScale;
+        this.inputTimeline = options.inputTimeline || [];
+        this.functionManager = options.functionManager || null;
+        this.macroManager = options.macroManager || null;
+        this.eventGraphManager = options.eventGraphManager || null;
+    }
+
+    /**
+     * @returns {Array<{name: string, node: GraphNode, graph: Graph}>} Every test event, in graph order
+     *   (the main event graph first).
+     */
+    discoverTests() {
+        const graphs = this.eventGraphManager ? this.eventGraphManager.graphs : [this.graph];
+        return graphs.flatMap(graph => graph.nodes
+            .filter(n => n.name === BlueprintTestRunner.TEST_EVENT)
+            .map(n => ({ name: n.getInputValue(0) || `Test ${n.id}`, node: n, graph })));
+    }
+
+    /**
+     * Runs every discovered test, one after the other.
+     * @param {Function} [onResult] - Called with each result as soon as it is known (for live UIs).
+     * @returns {Promise<Array<Object>>} One result per test (see runTest).
+     */
+    async runAll(onResult) {
+        const results = [];
+        for (const test of this.discoverTests()) {
+            const result = await this.runTest(test);
+            results.push(result);
+            if (onResult) onResult(result);
+        }
+        return results;
+    }
+
+    /**
+     * Executes a single test event.
+     * @param {{name: string, node: GraphNode, graph: Graph}} test
+     * @returns {Promise<{name, nodeId, passed, failures, output, durationMs}>}
+     */
+    async runTest(test) {
+        const simulation = new Simulation(this.graph, {
+            variableManager: this.variableManager,
+            functionManager: this.functionManager,
+            macroManager: this.macroManager,
+            eventGraphManager: this.eventGraphManager,
+            maxSteps: this.maxSteps,
+            maxLoopIterations: this.maxLoopIterations,
+            maxGameTime: this.maxGameTime,
+            frameRate: this.frameRate,
+            timeScale: this.timeScale,
+            inputTimeline: this.inputTimeline
+        });
+
+        // Capture Print String output so reports can show it next to failures
+        const output = [];
+        simulation.addObserver({
+            handleSimulationEvent: (type, payload) => {
+                if (type === 'node-executed' && payload.node.functionId === 'Flow.Print') output.push(String(payload.result));
+            }
+        });
+
+        const startTime = Date.now();
+        const failures = await simulation.start([test.node]);
+
+        return {
+            name: test.name,
+            nodeId: test.node.id,
+            passed: failures.length === 0,
+            failures,
+            output,
+            durationMs: Date.now() - startTime
+        };
+    }
+}
+
+// Name of the event node template that marks a test entry point
+BlueprintTestRunner.TEST_EVENT = "Event Test";
@@ -12,9 +12,11 @@ class VariableManager {
         // Helper to render widgets in the sidebar
         this.widgetRenderer = new WidgetRenderer();
 
+        // Headless runs (no DOM) use the manager as a plain variable store
+        const hasDom = typeof document !== 'undefined';
         this.ui = {
-            list: document.getElementById('var-list'),
-            addBtn: document.getElementById('btn-add-var')
+            list: hasDom ? document.getElementById('var-list') : null,
+            addBtn: hasDom ? document.getElementById('btn-add-var') : null
         };
 
         this.bindEvents();
@@ -42,29 +44,34 @@ class VariableManager {
 
         this.variables.push(newVar);
         this.renderList();
+        this.editor.history.commit('Add Variable');
     }
 
     deleteVariable(name) {
         // 1. Remove from Data Model
         this.variables = this.variables.filter(v => v.name !== name);
         
-        // 2. [FIX] Remove associated nodes from Graph
+        // 2. [FIX] Remove associated nodes from every Graph (event graph and function graphs)
         // We collect IDs first to avoid modifying the array while iterating
-        const nodesToRemove = this.editor.graph.nodes
-            .filter(n => n.varName === name)
-            .map(n => n.id);
-
-        nodesToRemove.forEach(id => {
-            this.editor.graph.removeNode(id);
-            
-            // Remove DOM element
-            const el = document.getElementById(`node-${id}`);
-            if(el) el.remove();
+        this.editor.graphs.forEach(graph => {
+            const nodesToRemove = graph.nodes
+                .filter(n => this.isVariableNode(n, name))
+                .map(n => n.id);
+
+            nodesToRemove.forEach(id => {
+                graph.removeNode(id);
+
+                // Remove DOM element (only the shown graph has elements)
+                if (graph !== this.editor.activeGraph) return;
+                const el = document.getElementById(`node-${id}`);
+                if(el) el.remove();
+            });
         });
 
         // 3. Re-render View
         this.editor.renderer.render(); // Redraw wires (since nodes are gone)
         this.renderList();
+        this.editor.history.commit('Delete Variable');
     }
 
     updateVariable(oldName, key, value) {
@@ -79,16 +86,24 @@ class VariableManager {
         }
 
         this.renderList();
+
+        // Typing in the default value widget commits on every keystroke: merge them
+        const labels = { name: 'Rename Variable', type: 'Change Variable Type', defaultValue: 'Edit Default Value' };
+        this.editor.history.commit(labels[key] || 'Edit Variable', key === 'defaultValue' ? { mergeKey: `var-default-${v.name}` } : {});
+    }
+
+    /** Local variables of functions also have a varName: only Variable.Get/Set nodes match. */
+    isVariableNode(node, varName) {
+        return (node.functionId === "Variable.Get" || node.functionId === "Variable.Set") && node.varName === varName;
     }
 
     updateGraphNodes(varName, newType) {
-        const graph = this.editor.graph;
         const renderer = this.editor.renderer;
         const color = this.getTypeColor(newType);
         const defaultValue = this.getTypeDefault(newType);
 
-        graph.nodes.forEach(node => {
-            if (node.varName === varName) {
+        this.editor.graphs.forEach(graph => graph.nodes.forEach(node => {
+            if (this.isVariableNode(node, varName)) {
                 
                 node.color = color; 
 
@@ -106,7 +121,7 @@ class VariableManager {
                         
                         const config = this.getWidgetConfig(newType, defaultValue);
                         if (config) {
-                            pin.widget = new Widget(config.type, config.value);
+                            pin.widget = new Widget(config.type, config.value, config.options || [], config.elementType, config.keyType, config.valueType);
                         } else {
                             pin.widget = null;
                         }
@@ -118,12 +133,15 @@ class VariableManager {
                 }
                 renderer.refreshNode(node);
             }
-        });
+        }));
     }
 
     // ... (Rest of methods: getTypeDefault, getTypeColor, getWidgetConfig, etc. remain the same) ...
 
     getTypeDefault(type) {
+        if (window.isContainerType(type)) return [];
+        if (window.EnumTypes.isEnum(type)) return window.EnumTypes.entries(type)[0];
+        if (window.StructTypes.isUserStruct(type)) return Pin.getEmptyValue(type);
         switch(type) {
             case 'boolean': return false;
             case 'int': return 0;
@@ -135,6 +153,9 @@ class VariableManager {
     }
 
     getTypeColor(type) {
+        // Containers are drawn in the color of their elements (values, for maps)
+        if (window.isContainerType(type)) return this.getTypeColor(this.parseVariableType(type).valueType);
+        if (window.EnumTypes.isEnum(type) || window.StructTypes.isUserStruct(type)) return window.typeDefinitions[type].color;
         switch(type) {
             case 'boolean': return 'var(--c-boolean)'; 
             case 'int':     return 'var(--c-int)';    
@@ -146,6 +167,19 @@ class VariableManager {
     }
 
     getWidgetConfig(type, value) {
+        // Sets are edited like arrays (duplicates are dropped when the value is used)
+        if (window.ArrayTypes.isArray(type) || window.SetTypes.isSet(type)) {
+            const { valueType } = this.parseVariableType(type);
+            return this.getWidgetConfig(valueType) ? { type: 'array', value: value, elementType: valueType } : null;
+        }
+        if (window.MapTypes.isMap(type)) {
+            const { keyType, valueType } = this.parseVariableType(type);
+            return this.getWidgetConfig(keyType) && this.getWidgetConfig(valueType)
+                ? { type: 'map', value: value, keyType: keyType, elementType: valueType }
+                : null;
+        }
+        if (window.EnumTypes.isEnum(type)) return { type: 'dropdown', value: value, options: window.EnumTypes.entries(type) };
+        if (window.StructTypes.isUserStruct(type)) return { type: 'struct', value: value, valueType: type };
         switch(type) {
             case 'boolean': return { type: 'checkbox', value: value };
             case 'int':     return { type: 'number', value: value };
@@ -156,6 +190,84 @@ class VariableManager {
         }
     }
 
+    /**
+     * Splits a variable type into what the sidebar pickers show.
+     * @returns {{container: String, keyType: String|null, valueType: String}} container is
+     *   'single', 'array', 'set' or 'map'; valueType is the element type (map value type for maps).
+     */
+    parseVariableType(type) {
+        const { ArrayTypes, SetTypes, MapTypes } = window;
+        if (ArrayTypes.isArray(type)) return { container: 'array', keyType: null, valueType: ArrayTypes.elementType(type) };
+        if (SetTypes.isSet(type)) return { container: 'set', keyType: null, valueType: SetTypes.elementType(type) };
+        if (MapTypes.isMap(type)) return { container: 'map', keyType: MapTypes.keyType(type), valueType: MapTypes.valueType(type) };
+        return { container: 'single', keyType: null, valueType: type };
+    }
+
+    /**
+     * Inverse of parseVariableType.
+     */
+    composeVariableType({ container, keyType, valueType }) {
+        switch (container) {
+            case 'array': return window.ArrayTypes.of(valueType);
+            case 'set': return window.SetTypes.of(valueType);
+            case 'map': return window.MapTypes.of(keyType || valueType, valueType);
+            default: return valueType;
+        }
+    }
+
+    /**
+     * Builds one of the small <select> pickers of a variable row.
+     * @param {Array<{value: String, label: String}>} options
+     */
+    createPicker(className, options, selectedValue, onChange) {
+        const select = document.createElement('select');
+        select.className = className;
+        options.forEach(o => {
+            const opt = document.createElement('option');
+            opt.value = o.value;
+            opt.innerText = o.label;
+            if(o.value === selectedValue) opt.selected = true;
+            select.appendChild(opt);
+        });
+        select.onchange = (e) => onChange(e.target.value);
+        return select;
+    }
+
+    /**
+     * Builds the pickers of a type: the (key) type, the container, and the value type of maps.
+     * Also used by the struct designer for the field types.
+     * @param {String} type - The current type.
+     * @param {Function} onChange - Called with the new type.
+     * @param {Array<String>} [excludedTypes] - Types that may not be picked.
+     * @returns {Array<HTMLSelectElement>}
+     */
+    createTypePickers(type, onChange, excludedTypes = []) {
+        const parsedType = this.parseVariableType(type);
+        const isMap = parsedType.container === 'map';
+        const retype = (changes) => onChange(this.composeVariableType({ ...parsedType, ...changes }));
+        const typeOptions = [...VariableManager.BASE_TYPES, ...window.EnumTypes.names(), ...window.StructTypes.names()]
+            .filter(t => !excludedTypes.includes(t))
+            .map(t => ({ value: t, label: t }));
+
+        const typeSelect = this.createPicker('var-type', typeOptions,
+            isMap ? parsedType.keyType : parsedType.valueType,
+            (t) => retype(isMap ? { keyType: t } : { valueType: t }));
+        typeSelect.style.width = '70px';
+
+        const containerSelect = this.createPicker('var-container', [
+            { value: 'single', label: '●' }, { value: 'array', label: '▦' },
+            { value: 'set', label: '{ }' }, { value: 'map', label: '⇒' }
+        ], parsedType.container, (c) => retype({ container: c, keyType: c === 'map' ? parsedType.valueType : null }));
+        containerSelect.title = 'Single value, array, set or map';
+
+        if (!isMap) return [typeSelect, containerSelect];
+
+        // Maps: the first picker is the key type, this one the value type
+        const valueSelect = this.createPicker('var-type', typeOptions, parsedType.valueType, (t) => retype({ valueType: t }));
+        valueSelect.style.width = '70px';
+        return [typeSelect, containerSelect, valueSelect];
+    }
+
     renderList() {
         if(!this.ui.list) return;
         this.ui.list.innerHTML = '';
@@ -208,17 +320,8 @@ class VariableManager {
                 botRow.style.gap = '8px';
                 botRow.style.flexWrap = 'wrap'; 
 
-                    const typeSelect = document.createElement('select');
-                    typeSelect.className = 'var-type';
-                    typeSelect.style.width = '70px'; 
-                    ['boolean', 'int', 'float', 'string', 'vector'].forEach(t => {
-                        const opt = document.createElement('option');
-                        opt.value = t;
-                        opt.innerText = t;
-                        if(t === v.type) opt.selected = true;
-                        typeSelect.appendChild(opt);
-                    });
-                    typeSelect.onchange = (e) => this.updateVariable(v.name, 'type', e.target.value);
+                    const isContainer = window.isContainerType(v.type);
+                    const typePickers = this.createTypePickers(v.type, (t) => this.updateVariable(v.name, 'type', t));
 
                     const defContainer = document.createElement('div');
                     defContainer.className = 'var-default';
@@ -237,10 +340,10 @@ class VariableManager {
                                 widgetEl.style.width = '60px'; 
                                 widgetEl.style.minWidth = '40px';
                             } 
-                            else if (v.type === 'boolean') {
+                            else if (v.type === 'boolean' || window.EnumTypes.isEnum(v.type)) {
                                 widgetEl.style.width = 'auto';
                             }
-                            else if (v.type === 'vector') {
+                            else if (v.type === 'vector' || isContainer || window.StructTypes.isUserStruct(v.type)) {
                                 widgetEl.style.width = '100%';
                                 widgetEl.style.minWidth = '120px';
                             }
@@ -249,7 +352,7 @@ class VariableManager {
                         }
                     }
 
-                botRow.append(typeSelect, defContainer);
+                botRow.append(...typePickers, defContainer);
 
             col.append(topRow, botRow);
 
@@ -276,6 +379,46 @@ class VariableManager {
         });
     }
 
+    /**
+     * Serializes the variable definitions for saving.
+     * @returns {Array<Object>} Deep copies of { name, type, defaultValue }.
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.variables));
+    }
+
+    /**
+     * Replaces all variable definitions (used when opening a saved document).
+     * @param {Array<Object>} savedVariables - The list produced by toJSON().
+     */
+    loadVariables(savedVariables) {
+        this.variables = (savedVariables || [])
+            .filter(v => v && v.name)
+            .map(v => ({
+                name: v.name,
+                type: v.type || 'boolean',
+                defaultValue: v.defaultValue !== undefined ? v.defaultValue : this.getTypeDefault(v.type)
+            }));
+        this.runtimeValues = {};
+        this.renderList();
+    }
+
+    /**
+     * Resolves the template needed to re-instantiate a serialized node.
+     * Variable Get/Set nodes are generated from the current definitions, self-contained nodes
+     * saved their own template, everything else comes from the global node templates.
+     * @param {Object} nodeData - A node produced by GraphNode.toJSON().
+     * @returns {Object|null} The template, or null if none matches.
+     */
+    findTemplate(nodeData) {
+        if (nodeData.template) return nodeData.template;
+        if (nodeData.varName) {
+            if (nodeData.functionId === 'Variable.Get') return this.createGetTemplate(nodeData.varName);
+            if (nodeData.functionId === 'Variable.Set') return this.createSetTemplate(nodeData.varName);
+        }
+        return (window.nodeTemplates || []).find(t => t.name === nodeData.name) || null;
+    }
+
     createGetTemplate(varName) {
         const v = this.variables.find(i => i.name === varName);
         if(!v) return null;
@@ -313,4 +456,7 @@ class VariableManager {
             ]
         };
     }
-}
\ No newline at end of file
+}
+
+// Types a variable (or the elements / keys / values of a container variable) can have, besides user enums and structs
+VariableManager.BASE_TYPES = ['boolean', 'int', 'float', 'string', 'vector'];
@@ -0,0 +1,171 @@
+/**
+ * Breakpoint Class
+ * Represents a breakpoint set on a node (GraphNode.breakpoint). When a run reaches the node, the Simulation
+ * pauses before the node runs (see Simulation.hitBreakpoint), if the breakpoint is enabled, its condition
+ * holds and the node has been reached (with the condition holding) at least hitCount times during the run.
+ *
+ * Conditions are boolean expressions over the variables, e.g. `Health <= 0 && !IsDead`. In a function graph
+ * they also see the parameters and local variables of the function. Supported: numbers, 'strings' or
+ * "strings", true, false, variable names (struct fields with Name.Field), parentheses and the operators
+ * ! - * / % + < <= > >= == != && ||. Names that are not plain identifiers (variables and fields may be
+ * named anything, spaces included) go in brackets: `[Player Health] <= 0`, `Stats.[Max Ammo]`; a ']' in
+ * a bracketed name is written ']]'.
+ */
+class Breakpoint {
+    /**
+     * @param {Object} [settings]
+     * @param {boolean} [settings.enabled=true] - Disabled breakpoints never pause.
+     * @param {string} [settings.condition=''] - Expression that must be true to pause. Empty = always.
+     * @param {number} [settings.hitCount=0] - Pause only from the Nth hit of the run on. 0 or 1 = every hit.
+     */
+    constructor(settings = {}) {
+        this.enabled = settings.enabled !== undefined ? !!settings.enabled : true;
+        this.condition = settings.condition || '';
+        this.hitCount = settings.hitCount > 0 ? Math.floor(settings.hitCount) : 0;
+
+        // Compiled condition, for the source it was compiled from
+        this.compiled = null;
+        this.compiledSource = null;
+    }
+
+    /**
+     * Evaluates the condition.
+     * @param {Object} variables - Values by name (variables, and parameters and locals in a function).
+     * @returns {boolean} True if there is no condition or if it holds.
+     * @throws {Error} A Blueprint error if the condition is invalid or uses an unknown name.
+     */
+    testCondition(variables) {
+        if (!this.condition.trim()) return true;
+        if (this.compiledSource !== this.condition) {
+            this.compiled = Breakpoint.compileCondition(this.condition);
+            this.compiledSource = this.condition;
+        }
+        return !!this.compiled(variables);
+    }
+
+    /** @returns {Object} The settings to save: { enabled, condition, hitCount }. */
+    toJSON() {
+        return { enabled: this.enabled, condition: this.condition, hitCount: this.hitCount };
+    }
+
+    /**
+     * Checks the syntax of a condition without evaluating it.
+     * @returns {string|null} The syntax error, or null if the condition is valid (or empty).
+     */
+    static validateCondition(source) {
+        if (!source.trim()) return null;
+        try {
+            Breakpoint.compileCondition(source);
+            return null;
+        } catch (err) {
+            return err.message;
+        }
+    }
+
+    /**
+     * Parses a condition into a function of the variables (see the class comment for the syntax).
+     * @param {string} source
+     * @returns {Function} (variables) => value.
+     * @throws {Error} A Blueprint error on a syntax error.
+     */
+    static compileCondition(source) {
+        const fail = (message) => {
+            const err = new Error(`Breakpoint condition: ${message}.`);
+            err.isBlueprintError = true;
+            return err;
+        };
+
+        // Tokens: { kind: 'number' | 'string' | 'name' | 'op', value, bracketed }
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|'([^']*)'|"([^"]*)"|([A-Za-z_][A-Za-z0-9_]*)|\[((?:[^\]]|\]\])*)\]|(&&|\|\||==|!=|<=|>=|[!<>+\-*/%().]))/y;
+        let position = 0;
+        while (position < source.length) {
+            if (!source.slice(position).trim()) break;
+            pattern.lastIndex = position;
+            const match = pattern.exec(source);
+            if (!match) throw fail(`unexpected '${source.slice(position).trim()[0]}'`);
+            position = pattern.lastIndex;
+            if (match[1] !== undefined) tokens.push({ kind: 'number', value: parseFloat(match[1]) });
+            else if (match[2] !== undefined || match[3] !== undefined) tokens.push({ kind: 'string', value: match[2] !== undefined ? match[2] : match[3] });
+            else if (match[4] !== undefined) tokens.push({ kind: 'name', value: match[4] });
+            else if (match[5] !== undefined) tokens.push({ kind: 'name', value: match[5].replace(/\]\]/g, ']'), bracketed: true });
+            else tokens.push({ kind: 'op', value: match[6] });
+        }
+
+        let index = 0;
+        const peek = () => tokens[index] || null;
+        const accept = (...ops) => {
+            const token = peek();
+            if (token && token.kind === 'op' && ops.includes(token.value)) { index++; return token.value; }
+            return null;
+        };
+        const describe = (token) => !token ? 'end of condition' : token.bracketed ? `'[${token.value}]'` : `'${token.value}'`;
+
+        // Binary operators, loosest first
+        const LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        const OPERATORS = {
+            '||': (a, b) => a || b, '&&': (a, b) => a && b,
+            '==': (a, b) => a === b, '!=': (a, b) => a !== b,
+            '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b,
+            '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b
+        };
+
+        const parseLevel = (level) => {
+            if (level === LEVELS.length) return parseUnary();
+            let left = parseLevel(level + 1);
+            let op;
+            while ((op = accept(...LEVELS[level]))) {
+                const lhs = left, rhs = parseLevel(level + 1), apply = OPERATORS[op];
+                // && and || only evaluate their right side when needed (e.g. `HasTarget && Target.Health < 10`)
+                left = op === '&&' ? (vars) => lhs(vars) && rhs(vars)
+                    : op === '||' ? (vars) => lhs(vars) || rhs(vars)
+                    : (vars) => apply(lhs(vars), rhs(vars));
+            }
+            return left;
+        };
+
+        const parseUnary = () => {
+            if (accept('!')) { const operand = parseUnary(); return (vars) => !operand(vars); }
+            if (accept('-')) { const operand = parseUnary(); return (vars) => -operand(vars); }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) throw fail('unexpected end of condition');
+            if (accept('(')) {
+                const inner = parseLevel(0);
+                if (!accept(')')) throw fail(`expected ')' instead of ${describe(peek())}`);
+                return inner;
+            }
+            if (token.kind === 'number' || token.kind === 'string') { index++; return () => token.value; }
+            if (token.kind !== 'name') throw fail(`unexpected ${describe(token)}`);
+            index++;
+            // [true] and [false] are variables
+            if (token.value === 'true' && !token.bracketed) return () => true;
+            if (token.value === 'false' && !token.bracketed) return () => false;
+
+            const path = [token.value];
+            while (accept('.')) {
+                const field = peek();
+                if (!field || field.kind !== 'name') throw fail(`expected a field name after '.'`);
+                path.push(field.value);
+                index++;
+            }
+            return (vars) => path.reduce((value, name, i) => {
+                if (i === 0) {
+                    if (!Object.prototype.hasOwnProperty.call(vars, name)) throw fail(`unknown variable '${name}'`);
+                    return vars[name];
+                }
+                if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, name)) {
+                    throw fail(`'${path.slice(0, i).join('.')}' has no field '${name}'`);
+                }
+                return value[name];
+            }, null);
+        };
+
+        const expression = parseLevel(0);
+        if (index < tokens.length) throw fail(`unexpected ${describe(peek())}`);
+        return expression;
+    }
+}
@@ -31,6 +31,30 @@ class Graph {
         return newNode;
     }
 
+    /**
+     * Adds an existing node (e.g. one moved from another graph), giving it an ID of this graph.
+     * @param {GraphNode} graphNode - The node; its ID is replaced.
+     * @returns {Number} The node's new ID.
+     */
+    adoptNode(graphNode) {
+        graphNode.id = this.nextAvailableNodeId++;
+        this.nodes.push(graphNode);
+        return graphNode.id;
+    }
+
+    /**
+     * Finds a pin of a node.
+     * @param {Number} targetNodeId - The ID of the pin's parent node.
+     * @param {String} pinDirection - 'input' or 'output'.
+     * @param {Number} pinIndex - The index of the pin on the node.
+     * @returns {Pin|null}
+     */
+    findPin(targetNodeId, pinDirection, pinIndex) {
+        const node = this.nodes.find(graphNode => graphNode.id === targetNodeId);
+        if (!node) return null;
+        return (pinDirection === 'input' ? node.inputs : node.outputs)[pinIndex] || null;
+    }
+
     /**
      * Removes a node and all associated connections from the graph.
      * @param {Number} targetNodeId - The unique ID of the node to remove.
@@ -72,6 +96,132 @@ class Graph {
         }
     }
 
+    /**
+     * Splits a struct pin into its field pins (see GraphNode.splitPin).
+     * Wires of the struct pin are removed; wires of the pins after it are shifted to their new index.
+     * @param {Number} targetNodeId - The ID of the pin's parent node.
+     * @param {Number} targetPinIndex - The index of the struct pin.
+     * @param {String} pinDirection - 'input' or 'output'.
+     * @returns {Boolean} True if the pin was split.
+     */
+    splitPin(targetNodeId, targetPinIndex, pinDirection) {
+        const node = this.nodes.find(graphNode => graphNode.id === targetNodeId);
+        const pins = node ? (pinDirection === 'input' ? node.inputs : node.outputs) : [];
+        if (!pins[targetPinIndex] || !Pin.getStructFields(pins[targetPinIndex].type)) return false;
+
+        this.disconnectPin(targetNodeId, targetPinIndex, pinDirection);
+        const fieldCount = node.splitPin(pinDirection, targetPinIndex);
+        this.shiftPinConnections(targetNodeId, pinDirection, targetPinIndex + 1, fieldCount - 1);
+        return true;
+    }
+
+    /**
+     * Merges split field pins back into their struct pin (see GraphNode.recombinePin).
+     * Wires of the field pins are removed; wires of the pins after them are shifted back.
+     * @param {Number} targetNodeId - The ID of the pin's parent node.
+     * @param {Number} targetPinIndex - The index of any field pin of the struct.
+     * @param {String} pinDirection - 'input' or 'output'.
+     * @returns {Boolean} True if pins were recombined.
+     */
+    recombinePin(targetNodeId, targetPinIndex, pinDirection) {
+        const node = this.nodes.find(graphNode => graphNode.id === targetNodeId);
+        const range = node ? node.getSplitGroupRange(pinDirection, targetPinIndex) : null;
+        if (!range) return false;
+
+        for (let pinIndex = range.start; pinIndex < range.start + range.count; pinIndex++) {
+            this.disconnectPin(targetNodeId, pinIndex, pinDirection);
+        }
+        node.recombinePin(pinDirection, targetPinIndex);
+        this.shiftPinConnections(targetNodeId, pinDirection, range.start + range.count, 1 - range.count);
+        return true;
+    }
+
+    /**
+     * Replaces every input or output pin of a node (e.g. a Switch on Enum after its enum was edited).
+     * Wires follow their pin by name; wires of pins that no longer exist are removed.
+     * Input pins keep their widget value when a pin of the same name and type existed before.
+     * @param {Number} targetNodeId - The ID of the node.
+     * @param {String} pinDirection - 'input' or 'output'.
+     * @param {Array<Object>} pinTemplates - Definitions of the new pins.
+     * @param {Object} [renamedPins] - Old pin name -> new name, for pins that were renamed.
+     */
+    replacePins(targetNodeId, pinDirection, pinTemplates, renamedPins = {}) {
+        const node = this.nodes.find(graphNode => graphNode.id === targetNodeId);
+        if (!node) return;
+
+        const key = pinDirection === 'input' ? 'inputs' : 'outputs';
+        const oldPins = node[key];
+        const newNameOf = (oldName) => Object.prototype.hasOwnProperty.call(renamedPins, oldName) ? renamedPins[oldName] : oldName;
+
+        node[key] = pinTemplates.map((pinTemplate, pinIndex) => {
+            const newPin = new Pin(node, pinIndex, pinDirection, pinTemplate);
+            const oldPin = oldPins.find(pin => newNameOf(pin.name) === newPin.name && pin.type === newPin.type);
+            if (oldPin && oldPin.widget && newPin.widget) {
+                newPin.widget.value = oldPin.widget.value;
+                newPin.value = oldPin.widget.value;
+            }
+            return newPin;
+        });
+
+        this.connections = this.connections.filter(existingConnection => {
+            const isInput = pinDirection === 'input';
+            if ((isInput ? existingConnection.toNode : existingConnection.fromNode) !== targetNodeId) return true;
+            const oldPin = oldPins[isInput ? existingConnection.toPin : existingConnection.fromPin];
+            const newIndex = oldPin ? node[key].findIndex(pin => pin.name === newNameOf(oldPin.name)) : -1;
+            if (newIndex === -1) return false;
+            if (isInput) existingConnection.toPin = newIndex;
+            else existingConnection.fromPin = newIndex;
+            return true;
+        });
+    }
+
+    /**
+     * Lists the wires of some nodes whose two ends have the same type. Pass the result to
+     * removeMismatchedConnections() once the pins of these nodes have been rebuilt or retyped.
+     * @param {Array<Number>} targetNodeIds - IDs of the nodes about to change.
+     * @returns {Array<Connection>}
+     */
+    findMatchingConnections(targetNodeIds) {
+        const ids = new Set(targetNodeIds);
+        return this.connections.filter(existingConnection =>
+            (ids.has(existingConnection.fromNode) || ids.has(existingConnection.toNode)) && this.endsMatch(existingConnection));
+    }
+
+    /**
+     * Removes the given wires whose two ends no longer have the same type.
+     * Wires that already joined different types are never passed here, so they are kept.
+     * @param {Array<Connection>} matchingConnections - The result of findMatchingConnections().
+     * @returns {Number} The number of wires removed.
+     */
+    removeMismatchedConnections(matchingConnections) {
+        const previousCount = this.connections.length;
+        const matching = new Set(matchingConnections);
+        this.connections = this.connections.filter(existingConnection =>
+            !matching.has(existingConnection) || this.endsMatch(existingConnection));
+        return previousCount - this.connections.length;
+    }
+
+    /** @returns {Boolean} True if both pins of a connection exist and have the same type. */
+    endsMatch(existingConnection) {
+        const sourcePin = this.findPin(existingConnection.fromNode, 'output', existingConnection.fromPin);
+        const targetPin = this.findPin(existingConnection.toNode, 'input', existingConnection.toPin);
+        return !!sourcePin && !!targetPin && sourcePin.type === targetPin.type;
+    }
+
+    /**
+     * Moves the wires of a node's pins (from a given index on) by a number of positions.
+     */
+    shiftPinConnections(targetNodeId, pinDirection, fromPinIndex, offset) {
+        if (offset === 0) return;
+        this.connections.forEach(existingConnection => {
+            if (pinDirection === 'input') {
+                if (existingConnection.toNode === targetNodeId && existingConnection.toPin >= fromPinIndex) existingConnection.toPin += offset;
+            } else if (existingConnection.fromNode === targetNodeId && existingConnection.fromPin >= fromPinIndex) {
+                existingConnection.fromPin += offset;
+            }
+        });
+    }
+
     /**
      * Creates a new connection between two pins, applying single-wire rules (replacement).
      * @param {Number} sourceNodeId - ID of the source (output) node.
@@ -131,6 +281,59 @@ class Graph {
         };
     }
 
+    /**
+     * Rebuilds the graph from data produced by toJSON() (the inverse operation).
+     * Node and connection IDs are preserved so saved references stay valid.
+     * @param {Object} serializedGraph - The object returned by toJSON().
+     * @param {Function} resolveTemplate - Callback (nodeData) => template used to re-instantiate each node.
+     * @returns {Array<Object>} Serialized nodes that could not be restored (no matching template).
+     */
+    fromJSON(serializedGraph, resolveTemplate) {
+        this.clear();
+        const skippedNodes = [];
+
+        (serializedGraph.nodes || []).forEach(nodeData => {
+            const template = resolveTemplate(nodeData);
+            if (!template) {
+                skippedNodes.push(nodeData);
+                return;
+            }
+            const restoredNode = new GraphNode(nodeData.id, template, nodeData.x, nodeData.y);
+            restoredNode.restoreState(nodeData);
+            skippedNodes.push(...restoredNode.restoreSubgraph(nodeData, resolveTemplate));
+            this.nodes.push(restoredNode);
+        });
+
+        // Connections bypass addConnection() on purpose: the saved wiring already obeys
+        // the single-wire rules, and we must keep the original connection IDs.
+        const restoredIds = new Set(this.nodes.map(graphNode => graphNode.id));
+        (serializedGraph.connections || []).forEach(savedConnection => {
+            if (!restoredIds.has(savedConnection.fromNode) || !restoredIds.has(savedConnection.toNode)) return;
+            this.connections.push(new Connection(
+                savedConnection.id,
+                savedConnection.fromNode,
+                savedConnection.fromPin,
+                savedConnection.toNode,
+                savedConnection.toPin,
+                savedConnection.type
+            ));
+        });
+
+        if (serializedGraph.viewport) {
+            this.pan = { x: serializedGraph.viewport.x || 0, y: serializedGraph.viewport.y || 0 };
+            this.scale = serializedGraph.viewport.scale || 1;
+        }
+
+        // Counters must never hand out an ID that is already in use
+        const counters = serializedGraph.counters || {};
+        const highestNodeId = this.nodes.reduce((max, graphNode) => Math.max(max, graphNode.id), 0);
+        const highestConnectionId = this.connections.reduce((max, connection) => Math.max(max, connection.id), 0);
+        this.nextAvailableNodeId = Math.max(counters.nextId || 1, highestNodeId + 1);
+        this.nextAvailableConnectionId = Math.max(counters.nextConnId || 1, highestConnectionId + 1);
+
+        return skippedNodes;
+    }
+
     /**
      * Completely resets the graph state, removing all nodes and connections.
      */
@@ -28,13 +28,27 @@ class GraphNode {
         
         this.showAdvanced = false;
 
+        // Struct pins split into field pins, in the order they were split (replayed on restore)
+        this.splitPins = [];
+
         // Restore Variable Name if this node represents a Getter/Setter
         this.varName = nodeTemplate.varName || null;
 
+        // Self-contained templates (collapsed nodes) are not registered anywhere: the node saves its own
+        this.template = nodeTemplate.selfContained ? nodeTemplate : null;
+        // Collapsed nodes hold the nodes they stand for in a graph of their own (see CollapsedGraphManager)
+        this.subgraph = null;
+
         // Function reference for logic execution
         this.functionId = nodeTemplate.functionId || null;
         this.jsFunctionRef = window.FunctionRegistry ? window.FunctionRegistry[this.functionId] : null;
         this.executionResult = null; 
+        this.outputValues = null; // Per-output values (pin name -> value) for nodes with several data outputs
+        this.isLoop = nodeTemplate.isLoop || false; // Re-entered by the Simulation after each Loop Body
+        this.runtimeState = {}; // Private memory of stateful nodes (Do Once, Gate...), reset on every run
+        this.entryPin = null;   // Name of the exec input that triggered the current execution
+        this.error = null; // Last error message raised while executing (see setError)
+        this.breakpoint = null; // Breakpoint set on the node, if any (see Breakpoint)
 
         // Initialize Input Pins
         this.inputs = (nodeTemplate.inputs || []).map((pinDefinition, pinIndex) => {
@@ -78,9 +92,16 @@ class GraphNode {
      * @param {String} errorMessage - The message to display. If null/empty, clears the error.
      */
     setError(errorMessage) {
+        this.error = errorMessage || null;
+
+        // Headless runs (no DOM) only keep the error on the model
+        if (typeof document === 'undefined') return;
+
         // Attempt to find the DOM element corresponding to this node
+        // (an element with this ID may show a node of another graph; a node of an inlined
+        // macro copy shows its errors on the macro graph's node)
         const nodeDomElement = document.getElementById(`node-${this.id}`);
-        if (!nodeDomElement) return;
+        if (!nodeDomElement || nodeDomElement.graphNode !== (this.shownAs || this)) return;
         
         let errorContainer = nodeDomElement.querySelector('.node-error');
         
@@ -117,6 +138,11 @@ class GraphNode {
             y: this.y,
             varName: this.varName, 
             functionId: this.functionId, // Persist functionId to identify logic (e.g. Get/Set) on restore
+            showAdvanced: this.showAdvanced,
+            splitPins: this.splitPins.map(split => ({ ...split })),
+            template: this.template,
+            subgraph: this.subgraph ? this.subgraph.toJSON() : null,
+            breakpoint: this.breakpoint ? this.breakpoint.toJSON() : null,
             
             // Save types to validation/reconstruction
             pinTypes: {
@@ -130,4 +156,155 @@ class GraphNode {
             }))
         };
     }
-}
\ No newline at end of file
+
+    /**
+     * Restores dynamic state (pin types, widget values, advanced expansion, breakpoint) from serialized data.
+     * Used when pasting from the clipboard and when loading a saved document.
+     * @param {Object} nodeData - The object previously produced by toJSON().
+     */
+    restoreState(nodeData) {
+        // Split pins first: the saved pin types and values are indexed on the split layout
+        if (nodeData.splitPins) {
+            nodeData.splitPins.forEach(split => {
+                const pins = split.direction === 'input' ? this.inputs : this.outputs;
+                const pin = pins.find(p => p.name === split.name);
+                if (!pin) return;
+                if (pin.type !== split.type) pin.setType(split.type);
+                this.splitPin(split.direction, pin.index);
+            });
+        }
+
+        // Types next: setType() resets widgets, so values must be applied afterwards
+        if (nodeData.pinTypes) {
+            ['inputs', 'outputs'].forEach(direction => {
+                if (!nodeData.pinTypes[direction]) return;
+                nodeData.pinTypes[direction].forEach((savedType, pinIndex) => {
+                    const realPin = this[direction][pinIndex];
+                    if (realPin && savedType && realPin.type !== savedType) realPin.setType(savedType);
+                });
+            });
+        }
+
+        if (nodeData.inputs) {
+            nodeData.inputs.forEach((savedPin, pinIndex) => {
+                const realPin = this.inputs[pinIndex];
+                if (realPin && savedPin.value !== undefined) {
+                    realPin.value = savedPin.value;
+                    if (realPin.widget) realPin.widget.value = savedPin.value;
+                }
+            });
+        }
+
+        if (nodeData.showAdvanced !== undefined) this.showAdvanced = !!nodeData.showAdvanced;
+        if (nodeData.breakpoint) this.breakpoint = new Breakpoint(nodeData.breakpoint);
+    }
+
+    /**
+     * Restores the graph of a collapsed node from serialized data (see restoreState).
+     * @param {Object} nodeData - The object previously produced by toJSON().
+     * @param {Function} resolveTemplate - Callback (nodeData) => template for the nodes of the graph.
+     * @returns {Array<Object>} Serialized nodes of the graph that could not be restored.
+     */
+    restoreSubgraph(nodeData, resolveTemplate) {
+        if (!nodeData.subgraph) return [];
+        this.subgraph = new Graph();
+        return this.subgraph.fromJSON(nodeData.subgraph, resolveTemplate);
+    }
+
+    /**
+     * Replaces a struct pin (vector, rotator, transform...) by one pin per field, in place.
+     * Connections are not updated here: use Graph.splitPin, which also re-indexes the wires.
+     * @param {String} pinDirection - 'input' or 'output'.
+     * @param {Number} pinIndex - Index of the struct pin.
+     * @returns {Number} Number of field pins now standing in place of the struct pin (0 if not a struct).
+     */
+    splitPin(pinDirection, pinIndex) {
+        const pins = pinDirection === 'input' ? this.inputs : this.outputs;
+        const pin = pins[pinIndex];
+        const fields = pin ? Pin.getStructFields(pin.type) : null;
+        if (!fields) return 0;
+
+        // Field pins start from the struct's current widget value
+        const structValue = pin.widget && pin.widget.value ? JSON.parse(JSON.stringify(pin.widget.value)) : null;
+        const group = { name: pin.name, type: pin.type, allowedTypes: pin.allowedTypes, wildcardGroup: pin.wildcardGroup, advanced: pin.advanced };
+
+        const fieldPins = fields.map(field => {
+            const fieldPin = new Pin(this, 0, pinDirection, {
+                name: `${pin.name} ${field.name}`,
+                type: field.type,
+                advanced: pin.advanced,
+                default: structValue ? structValue[field.key] : undefined
+            });
+            fieldPin.split = [...(pin.split || []), { group, field: field.key }];
+            return fieldPin;
+        });
+
+        pins.splice(pinIndex, 1, ...fieldPins);
+        this.reindexPins();
+        this.splitPins.push({ direction: pinDirection, name: pin.name, type: pin.type });
+        return fieldPins.length;
+    }
+
+    /**
+     * Finds the pins that were produced by the innermost split containing the given field pin.
+     * @returns {{start: Number, count: Number, depth: Number, group: Object}|null}
+     */
+    getSplitGroupRange(pinDirection, pinIndex) {
+        const pins = pinDirection === 'input' ? this.inputs : this.outputs;
+        const pin = pins[pinIndex];
+        if (!pin || !pin.split) return null;
+
+        const depth = pin.split.length - 1;
+        const group = pin.split[depth].group;
+        const inGroup = (p) => p && p.split && p.split[depth] && p.split[depth].group === group;
+
+        let start = pinIndex;
+        while (inGroup(pins[start - 1])) start--;
+        let end = pinIndex;
+        while (inGroup(pins[end + 1])) end++;
+
+        return { start, count: end - start + 1, depth, group };
+    }
+
+    /**
+     * Merges the field pins of a split struct back into one pin (inverse of splitPin).
+     * @param {String} pinDirection - 'input' or 'output'.
+     * @param {Number} pinIndex - Index of any field pin of the struct.
+     * @returns {{start: Number, count: Number}|null} The range of pins that was replaced, or null.
+     */
+    recombinePin(pinDirection, pinIndex) {
+        const range = this.getSplitGroupRange(pinDirection, pinIndex);
+        if (!range) return null;
+
+        const pins = pinDirection === 'input' ? this.inputs : this.outputs;
+        const { start, count, depth, group } = range;
+        const fieldPins = pins.slice(start, start + count);
+
+        const fieldValues = fieldPins.map(p => p.widget ? p.widget.value : p.value);
+        const [structValue] = Pin.combineSplitValues(fieldPins, fieldValues, depth);
+
+        const structPin = new Pin(this, 0, pinDirection, {
+            name: group.name,
+            type: group.type,
+            allowedTypes: group.allowedTypes,
+            wildcardGroup: group.wildcardGroup,
+            advanced: group.advanced,
+            default: pinDirection === 'input' ? structValue : undefined
+        });
+        structPin.split = depth > 0 ? fieldPins[0].split.slice(0, depth) : null;
+
+        pins.splice(start, count, structPin);
+        this.reindexPins();
+
+        // Forget this split and the nested splits of its fields
+        this.splitPins = this.splitPins.filter(split => !(split.direction === pinDirection &&
+            (split.name === group.name || split.name.startsWith(`${group.name} `))));
+        return { start, count };
+    }
+
+    /** Keeps pin.index in sync with the position of each pin (after a split or recombine). */
+    reindexPins() {
+        this.inputs.forEach((pin, pinIndex) => pin.index = pinIndex);
+        this.outputs.forEach((pin, pinIndex) => pin.index = pinIndex);
+    }
+}
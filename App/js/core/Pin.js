@@ -24,10 +24,17 @@ class Pin {
         
         this.advanced = pinTemplate.advanced || false;
         this.allowedTypes = pinTemplate.allowedTypes || null; 
+        // Generic pins adopt the type of what they get connected to (see ConnectionManager)
+        this.isGeneric = !!this.allowedTypes || String(pinTemplate.type).includes('wildcard') || pinTemplate.type === window.EnumTypes.ANY;
+        // Generic pins whose wildcard stands for a map's key type instead of its value / element type
+        this.wildcardGroup = pinTemplate.wildcardGroup || null;
         
         this.widget = null; // The UI control associated with this pin (if any)
         this.value = null;  // The runtime value of the pin
 
+        // Set on the field pins of a split struct pin: one { group, field } level per split, outermost first
+        this.split = null;
+
         // Only input pins typically have interactive widgets (like text boxes)
         if (pinDirection === 'input') {
             this.initializeWidget(pinTemplate);
@@ -40,7 +47,7 @@ class Pin {
      */
     initializeWidget(pinTemplate) {
         // Check if there is a global definition for this type that specifies a default widget
-        const globalTypeDefinition = window.typeDefinitions ? window.typeDefinitions[this.type] : null;
+        const globalTypeDefinition = window.getTypeDefinition ? window.getTypeDefinition(this.type) : null;
         
         // Determine widget type: Priority is Explicit Template > Global Type Default > None
         const widgetType = pinTemplate 
@@ -51,8 +58,11 @@ class Pin {
             const definedDefault = pinTemplate ? pinTemplate.default : undefined;
             const finalDefaultValue = this.resolveDefaultValue(this.type, definedDefault);
             
-            // Create the Widget Model
-            this.widget = new Widget(widgetType, finalDefaultValue, pinTemplate ? pinTemplate.options : []);
+            // Create the Widget Model (enum dropdowns list the enum's entries)
+            const containerInfo = globalTypeDefinition || {};
+            const options = (pinTemplate && pinTemplate.options) || containerInfo.entries || [];
+            this.widget = new Widget(widgetType, finalDefaultValue, options,
+                containerInfo.elementType, containerInfo.keyType, this.type);
             this.value = finalDefaultValue;
         } else {
             this.widget = null;
@@ -85,6 +95,10 @@ class Pin {
     resolveDefaultValue(typeIdentifier, manualDefaultValue) {
         // If a specific default was provided in the template, use it.
         if (manualDefaultValue !== undefined) return manualDefaultValue;
+        // Arrays, sets and maps all start empty
+        if (window.isContainerType(typeIdentifier)) return [];
+        // Enums start on their first entry
+        if (window.EnumTypes.isEnum(typeIdentifier)) return window.EnumTypes.entries(typeIdentifier)[0];
         
         // Otherwise, return a safe default for the specific type
         switch (typeIdentifier) {
@@ -94,9 +108,78 @@ class Pin {
             case 'boolean': return true;
             case 'color': return "#FFFFFF";
             case 'vector': return {x:0, y:0, z:0};
+            case 'rotator': return {roll:0, pitch:0, yaw:0};
+            case 'transform': return {loc: {x:0, y:0, z:0}, rot: {roll:0, pitch:0, yaw:0}, scale: {x:1, y:1, z:1}};
             case 'class': return "None";
             case 'object': return "None";
-            default: return null;
+            default: {
+                // User structs: every field starts empty
+                const fields = Pin.getStructFields(typeIdentifier);
+                if (!fields) return null;
+                const struct = {};
+                fields.forEach(field => struct[field.key] = Pin.getEmptyValue(field.type));
+                return struct;
+            }
+        }
+    }
+
+    /**
+     * Returns the "empty" value of a type: what a new array element or a padded array slot holds.
+     * Unlike resolveDefaultValue, strings are empty and booleans false.
+     * @param {String} typeIdentifier
+     * @returns {any}
+     */
+    static getEmptyValue(typeIdentifier) {
+        switch (typeIdentifier) {
+            case 'string': return "";
+            case 'boolean': return false;
+            default: return Pin.prototype.resolveDefaultValue(typeIdentifier);
+        }
+    }
+
+    /**
+     * Returns the fields of a struct type (see DataTypes.js), or null if the type is not a struct.
+     * @param {String} typeIdentifier
+     * @returns {Array<{name: String, key: String, type: String}>|null}
+     */
+    static getStructFields(typeIdentifier) {
+        const typeDefinition = window.typeDefinitions ? window.typeDefinitions[typeIdentifier] : null;
+        return (typeDefinition && typeDefinition.fields) || null;
+    }
+
+    /**
+     * Folds the values of split field pins back into struct values (inverse of splitting).
+     * Consecutive pins of the same split group become one struct; other pins keep their value.
+     * @param {Array<Pin>} pins - Pins in node order.
+     * @param {Array} values - One value per pin.
+     * @param {Number} depth - Split level to fold (0 = outermost).
+     * @returns {Array} One value per unsplit pin / struct group.
+     */
+    static combineSplitValues(pins, values, depth = 0) {
+        const combined = [];
+        const groupAt = (pin) => (pin.split && pin.split[depth]) ? pin.split[depth].group : null;
+
+        let i = 0;
+        while (i < pins.length) {
+            const group = groupAt(pins[i]);
+            if (!group) {
+                combined.push(values[i]);
+                i++;
+                continue;
+            }
+
+            let end = i;
+            while (end < pins.length && groupAt(pins[end]) === group) end++;
+
+            // Each field is either a single pin or a nested split group
+            const groupPins = pins.slice(i, end);
+            const fieldValues = Pin.combineSplitValues(groupPins, values.slice(i, end), depth + 1);
+            const fieldKeys = [...new Set(groupPins.map(p => p.split[depth].field))];
+            const struct = {};
+            fieldKeys.forEach((key, k) => struct[key] = fieldValues[k]);
+            combined.push(struct);
+            i = end;
         }
+        return combined;
     }
-}
\ No newline at end of file
+}
@@ -2,7 +2,7 @@
  * Widget Class
  * Represents the state and configuration of a UI control (widget) attached to a Pin.
  * This acts as the "Model" for the widget. The visual "View" is handled by WidgetRenderer.js.
- * Common widget types include: 'text', 'number', 'checkbox', 'dropdown', 'vector3', 'color'.
+ * Common widget types include: 'text', 'number', 'checkbox', 'dropdown', 'vector3', 'color', 'array', 'map', 'struct'.
  */
 class Widget {
     /**
@@ -10,10 +10,16 @@ class Widget {
      * @param {String} widgetType - The identifier for the type of widget (e.g., 'number', 'dropdown').
      * @param {any} initialValue - The initial value held by the widget (e.g., 0, "Hello", true).
      * @param {Array<String>} dropdownOptions - Optional array of strings used only for 'dropdown' widgets.
+     * @param {String} elementType - For 'array' and 'map' widgets: the type of the elements (map values) being edited.
+     * @param {String} keyType - For 'map' widgets: the type of the keys.
+     * @param {String} valueType - The data type being edited ('struct' widgets look up its fields).
      */
-    constructor(widgetType, initialValue, dropdownOptions = []) {
+    constructor(widgetType, initialValue, dropdownOptions = [], elementType = null, keyType = null, valueType = null) {
         this.type = widgetType;       
         this.value = initialValue;     
         this.options = dropdownOptions; 
+        this.elementType = elementType;
+        this.keyType = keyType;
+        this.valueType = valueType;
     }
 }
\ No newline at end of file
@@ -7,11 +7,14 @@
  * how mouse movements should be interpreted (e.g., Panning vs. Dragging Nodes).
  */
 class Interaction {
-    constructor(graph, renderer, dom) {
+    constructor(graph, renderer, dom, history) {
         this.graph = graph;
         this.renderer = renderer;
         this.dom = dom;
 
+        // Undo/Redo stack: every completed edit is reported here via history.commit()
+        this.history = history;
+
         // =========================================================
         // 1. Instantiate Sub-Systems (The Logic Handlers)
         // =========================================================
@@ -56,17 +59,40 @@ class Interaction {
                      // UX Polish: Auto-select the newly created node
                      this.selectionManager.clear();
                      this.selectionManager.add(node.id);
+                     this.history.commit(`Create ${tmpl.name}`);
                 },
                 onDelete: (targetId) => this.deleteWithSelectionCheck(targetId),
                 onCopy: () => this.clipboard.copy(),
                 onCut: () => this.cutSelection(),
-                onPaste: (x, y) => this.clipboard.paste(x, y),
+                onPaste: (x, y) => this.pasteAt(x, y),
                 onPinChange: (node, pin, newType, index, dir) => {
                     // Logic to update the data model when a user changes a pin type
                     pin.setType(newType);
                     this.graph.disconnectPin(node.id, index, dir);
                     this.renderer.refreshNode(node);
-                }
+                    this.history.commit('Change Pin Type');
+                },
+                onSplitPin: (node, index, dir) => {
+                    if (!this.graph.splitPin(node.id, index, dir)) return;
+                    this.renderer.refreshNode(node);
+                    this.history.commit('Split Struct Pin');
+                },
+                onRecombinePin: (node, index, dir) => {
+                    if (!this.graph.recombinePin(node.id, index, dir)) return;
+                    this.renderer.refreshNode(node);
+                    this.history.commit('Recombine Struct Pin');
+                },
+                onWatchPin: (node, index, dir) => window.App.watchPanel.addPinWatch(this.graph, node.id, index, dir),
+                onCollapseToFunction: (targetId) => this.collapseToFunction(targetId),
+                onCollapseNodes: (targetId) => this.collapseNodes(targetId),
+                onExpandNode: (targetId) => this.expandNode(targetId),
+                onToggleBreakpoint: (targetId) => this.toggleBreakpoints(targetId),
+                onEnableBreakpoint: (targetId, enabled) => window.App.breakpointPanel.setEnabled(this.graph, targetId, enabled),
+                onUndo: () => this.history.undo(),
+                onRedo: () => this.history.redo(),
+                getHistoryLabels: () => ({ undo: this.history.undoLabel, redo: this.history.redoLabel }),
+                // Nodes that only exist in the shown graph (a function graph's Return node)
+                getGraphTemplates: () => window.App.functionManager.getGraphTemplates(this.graph)
             }
         );
 
@@ -137,11 +163,17 @@ class Interaction {
                     }
                 }
             }
+            else if (this.mode === 'DRAG_NODES') {
+                this.nodeMovementManager.endDrag();
+                this.history.commit(this.selectionManager.selected.size > 1 ? 'Move Nodes' : 'Move Node');
+            }
             else if (this.mode === 'DRAG_WIRE') {
                 // Check if we dropped the wire on a valid pin
                 const target = e.target.closest('.pin');
                 if (target) this.connectionManager.commit(target);
                 this.renderer.render(); // Redraw to finalize wire
+                // One step covers socket stealing, wildcard propagation and conversion nodes
+                this.history.commit('Connect Pins');
             }
             else if (this.mode === 'BOX_SELECT') {
                 this.selectionManager.endBox();
@@ -153,12 +185,26 @@ class Interaction {
             this.renderer.render(); 
         });
 
+        // --- DOUBLE CLICK (Open the graph of a function call or macro node) ---
+        c.addEventListener('dblclick', e => {
+            const nodeEl = e.target.closest('.node');
+            if (!nodeEl || !nodeEl.graphNode || e.target.closest('input, select, textarea')) return;
+            window.App.openNodeGraph(nodeEl.graphNode);
+        });
+
         // --- MISC EVENTS ---
         c.addEventListener('contextmenu', e => e.preventDefault()); // Block default browser menu
         c.addEventListener('wheel', e => {
             this.viewportManager.handleZoom(e);
             this.contextMenu.hide();
         }, { passive: false });
+
+        // Widget edits (typed values, checkboxes...) are reported by the NodeRenderer.
+        // Consecutive edits of the same pin are merged so typing undoes as one step.
+        window.addEventListener('pin-value-change', e => {
+            const { nodeId, pinIndex } = e.detail;
+            this.history.commit('Edit Value', { mergeKey: `pin-${nodeId}-${pinIndex}` });
+        });
     }
 
     /**
@@ -170,16 +216,48 @@ class Interaction {
             if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
 
             if ((e.ctrlKey || e.metaKey) && e.key === 'c') { e.preventDefault(); this.clipboard.copy(); }
-            if ((e.ctrlKey || e.metaKey) && e.key === 'v') { e.preventDefault(); this.clipboard.paste(this.lastMousePos.x, this.lastMousePos.y); }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'v') { e.preventDefault(); this.pasteAt(this.lastMousePos.x, this.lastMousePos.y); }
             if ((e.ctrlKey || e.metaKey) && e.key === 'x') { this.cutSelection(); }
+
+            // Undo: Ctrl+Z / Redo: Ctrl+Shift+Z (or Ctrl+Y)
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) this.history.redo(); else this.history.undo();
+            }
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') { e.preventDefault(); this.history.redo(); }
+
+            // Breakpoints: F9 toggles them on the selected nodes
+            if (e.key === 'F9') {
+                e.preventDefault();
+                if (this.selectionManager.selected.size > 0) this.toggleBreakpoints();
+            }
+
+            // Stepping: F10 Step Over, F11 Step Into, Shift+F11 Step Out
+            if (e.key === 'F10' || e.key === 'F11') {
+                e.preventDefault();
+                window.App.stepExecution(e.key === 'F10' ? 'over' : e.shiftKey ? 'out' : 'into');
+            }
             
             if (['Delete', 'Backspace'].includes(e.key)) { 
-                if (this.selectionManager.selected.size > 0) this.nodeManager.deleteNodes(this.selectionManager.selected); 
+                if (this.selectionManager.selected.size > 0) {
+                    this.nodeManager.deleteNodes(this.selectionManager.selected);
+                    this.history.commit('Delete');
+                }
                 this.selectionManager.clear();
             }
         });
     }
 
+    /**
+     * Points the controller and its managers at another graph (when the editor shows a function graph).
+     * @param {Graph} graph
+     */
+    setGraph(graph) {
+        this.graph = graph;
+        [this.viewportManager, this.selectionManager, this.nodeMovementManager,
+            this.connectionManager, this.clipboard, this.nodeManager].forEach(m => m.graph = graph);
+    }
+
     // =========================================================
     // Helpers & Logic
     // =========================================================
@@ -211,6 +289,63 @@ class Interaction {
             this.nodeManager.deleteNodes([targetId]);
         }
         this.selectionManager.clear();
+        this.history.commit('Delete');
+    }
+
+    /**
+     * Toggles the breakpoints of the selection (or only of the target, if it is not selected).
+     * @param {number} [targetId] - The node right-clicked. Defaults to the selection.
+     */
+    toggleBreakpoints(targetId = null) {
+        const ids = targetId === null || this.selectionManager.selected.has(targetId) ? [...this.selectionManager.selected] : [targetId];
+        window.App.breakpointPanel.toggleBreakpoints(this.graph, ids);
+    }
+
+    /**
+     * Moves the selection (or only the target, if it is not selected) into a new function
+     * and puts a call node in its place.
+     */
+    collapseToFunction(targetId) {
+        const ids = this.selectionManager.selected.has(targetId) ? [...this.selectionManager.selected] : [targetId];
+        const callNode = window.App.functionManager.collapseNodes(this.graph, ids);
+        if (!callNode) return;
+
+        this.renderer.createNodeElement(callNode, (e, nodeId) => this.handleNodeDown(e, nodeId));
+        this.selectionManager.clear();
+        this.selectionManager.add(callNode.id);
+        this.renderer.render();
+        this.history.commit('Collapse to Function');
+    }
+
+    /**
+     * Replaces the selection (or only the target, if it is not selected) by a collapsed node.
+     */
+    collapseNodes(targetId) {
+        const ids = this.selectionManager.selected.has(targetId) ? [...this.selectionManager.selected] : [targetId];
+        const collapsedNode = window.App.collapsedGraphManager.collapseNodes(this.graph, ids);
+        if (!collapsedNode) return;
+
+        this.renderer.createNodeElement(collapsedNode, (e, nodeId) => this.handleNodeDown(e, nodeId));
+        this.selectionManager.clear();
+        this.selectionManager.add(collapsedNode.id);
+        this.renderer.render();
+        this.history.commit('Collapse Nodes');
+    }
+
+    /**
+     * Puts the nodes of a collapsed node back in its place, selected.
+     */
+    expandNode(targetId) {
+        const nodes = window.App.collapsedGraphManager.expandNode(this.graph, targetId);
+        if (!nodes) return;
+
+        this.selectionManager.clear();
+        nodes.forEach(node => {
+            this.renderer.createNodeElement(node, (e, nodeId) => this.handleNodeDown(e, nodeId));
+            this.selectionManager.add(node.id);
+        });
+        this.renderer.render();
+        this.history.commit('Expand Node');
     }
 
     async cutSelection() {
@@ -218,9 +353,18 @@ class Interaction {
         if (success) {
             this.nodeManager.deleteNodes(this.selectionManager.selected);
             this.selectionManager.clear();
+            this.history.commit('Cut');
         }
     }
 
+    /**
+     * Pastes the clipboard content; all pasted nodes and wires undo as a single step.
+     */
+    async pasteAt(screenX, screenY) {
+        await this.clipboard.paste(screenX, screenY);
+        this.history.commit('Paste');
+    }
+
     // Helper: Prevent dragging the node when user is trying to type in an input
     _isInteractiveElement(el) {
         return el.closest('.pin') || el.closest('input') || 
@@ -252,6 +396,7 @@ class Interaction {
         // Alt + Click: Break Connections
         if (e.altKey) {
             this.connectionManager.breakConnection(e.target);
+            this.history.commit('Break Connection');
             return;
         } 
         
@@ -277,6 +422,7 @@ class Interaction {
             }
             
             this.contextMenu.show(e.clientX, e.clientY, 'node', { 
+                graph: this.graph,
                 targetId: nodeId,
                 selectedCount: this.selectionManager.selected.size 
             });
@@ -25,7 +25,8 @@ class ClipboardManager {
         // Snapshot selected nodes into plain JSON objects
         this.selection.selected.forEach(id => {
             const node = this.graph.nodes.find(n => n.id === id);
-            if (node) nodesToCopy.push(node.toJSON());
+            // Breakpoints stay on the node they were set on
+            if (node) nodesToCopy.push({ ...node.toJSON(), breakpoint: null });
         });
 
         // SNAPSHOT CONNECTIONS: Only copy wires where both start and end nodes are selected.
@@ -105,8 +106,9 @@ class ClipboardManager {
                 const newNode = this.graph.addNode(template, pasteX + offsetX, pasteY + offsetY);
                 idMap.set(nodeData.id, newNode.id);
 
-                // Restore dynamic state (pin types and widget inputs)
-                this._restoreNodeState(newNode, nodeData);
+                // Restore dynamic state (pin types and widget inputs), and the graph of a collapsed node
+                newNode.restoreState(nodeData);
+                newNode.restoreSubgraph(nodeData, (innerData) => window.App.variableManager.findTemplate(innerData));
                 
                 this.renderer.createNodeElement(newNode);
                 this.selection.add(newNode.id);
@@ -142,32 +144,8 @@ class ClipboardManager {
 
     /** Resolves node templates, including specialized variable nodes. */
     _findTemplate(nodeData) {
-        if (nodeData.varName && window.App.variableManager) {
-            if (nodeData.functionId === 'Variable.Get') return window.App.variableManager.createGetTemplate(nodeData.varName);
-            if (nodeData.functionId === 'Variable.Set') return window.App.variableManager.createSetTemplate(nodeData.varName);
-        }
-        return window.nodeTemplates.find(t => t.name === nodeData.name);
-    }
-
-    /** Restores dynamic data (pin types/widget values) to a newly instantiated node. */
-    _restoreNodeState(newNode, nodeData) {
-        if (nodeData.pinTypes) {
-            ['inputs', 'outputs'].forEach(dir => {
-                if (nodeData.pinTypes[dir]) {
-                    nodeData.pinTypes[dir].forEach((type, idx) => {
-                        if (newNode[dir][idx] && type) newNode[dir][idx].setType(type);
-                    });
-                }
-            });
-        }
-        if (nodeData.inputs) {
-            nodeData.inputs.forEach((savedPin, index) => {
-                const realPin = newNode.inputs[index];
-                if (realPin && savedPin.value !== undefined) {
-                    realPin.value = savedPin.value;
-                    if (realPin.widget) realPin.widget.value = savedPin.value;
-                }
-            });
-        }
+        // A function graph has exactly one Entry node, a macro or collapsed graph one Inputs and one Outputs node
+        if (['Function.Entry', 'Macro.Inputs', 'Macro.Outputs', 'Collapsed.Inputs', 'Collapsed.Outputs'].includes(nodeData.functionId)) return null;
+        return window.App.functionManager.findTemplate(nodeData);
     }
 }
\ No newline at end of file
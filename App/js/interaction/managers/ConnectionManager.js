@@ -116,22 +116,29 @@ class ConnectionManager {
         // --- WILDCARD PROPAGATION ---
         // If one of the nodes is a generic "Wildcard" node (like a 'Print' node),
         // it adopts the data type of the node it is being connected to.
-        if (s.dataType !== 'wildcard' && t.dataType === 'wildcard') {
+        // Only its generic pins change; exec and fixed pins are kept.
+        // Container pins adopt the matching part: "wildcard[]" wired to "float[]" makes the node's
+        // wildcards float; "map<wildcard,wildcard>" binds the key and value wildcards separately.
+        // "enum" pins are wildcards that only accept user enums.
+        const isWildcard = (type) => typeof type === 'string' && (type.includes('wildcard') || type === window.EnumTypes.ANY);
+        if (!isWildcard(s.dataType) && isWildcard(t.dataType)) {
             const targetNode = this.graph.nodes.find(n => n.id === t.nodeId);
             if (targetNode) {
-                targetNode.inputs.forEach(p => p.setType(s.dataType));
-                targetNode.outputs.forEach(p => p.setType(s.dataType));
-                t.dataType = s.dataType; 
-                this.renderer.refreshNode(targetNode);
+                const targetPin = (t.type === 'input' ? targetNode.inputs : targetNode.outputs)[t.index];
+                const bindings = this.resolveWildcardBindings(targetNode, targetPin, s.dataType);
+                if (!bindings) return;
+                this.adoptWildcardBindings(targetNode, bindings);
+                t.dataType = targetPin.type; 
             }
         }
-        else if (s.dataType === 'wildcard' && t.dataType !== 'wildcard') {
+        else if (isWildcard(s.dataType) && !isWildcard(t.dataType)) {
             const sourceNode = this.graph.nodes.find(n => n.id === s.sourceNode);
             if (sourceNode) {
-                sourceNode.inputs.forEach(p => p.setType(t.dataType));
-                sourceNode.outputs.forEach(p => p.setType(t.dataType));
-                s.dataType = t.dataType; 
-                this.renderer.refreshNode(sourceNode);
+                const sourcePin = (s.sourceType === 'input' ? sourceNode.inputs : sourceNode.outputs)[s.sourcePin];
+                const bindings = this.resolveWildcardBindings(sourceNode, sourcePin, t.dataType);
+                if (!bindings) return;
+                this.adoptWildcardBindings(sourceNode, bindings);
+                s.dataType = sourcePin.type; 
             }
         }
 
@@ -156,6 +163,10 @@ class ConnectionManager {
                     const midY = (nodeA.y + nodeB.y) / 2;
                     
                     const convNode = this.graph.addNode(template, midX, midY);
+                    // Generic converters (Enum to String...) adopt the type they convert from
+                    const convInput = convNode.inputs[0];
+                    const convBindings = convInput && convInput.isGeneric ? this.resolveWildcardBindings(convNode, convInput, srcType) : null;
+                    if (convBindings) this.adoptWildcardBindings(convNode, convBindings);
                     this.renderer.createNodeElement(convNode);
                     
                     const fromNodeId = s.sourceType === 'output' ? s.sourceNode : t.nodeId;
@@ -180,6 +191,75 @@ class ConnectionManager {
         this.graph.addConnection(fromNode, fromPin, toNode, toPin, s.dataType);
     }
 
+    /**
+     * Works out what the wildcards of a generic node stand for once 'pin' is wired to 'connectedType'.
+     * A wildcard belongs to the 'value' group (elements, map values) unless its pin says otherwise
+     * (pin.wildcardGroup = 'key' for map keys). Containers of containers are not supported.
+     * @param {GraphNode} node - The wildcard node.
+     * @param {Pin} pin - Its pin being connected.
+     * @param {String} connectedType - Type of the pin on the other end.
+     * @returns {Object|null} The bindings ({ value: 'float' }, { key: 'string', value: 'int' }...),
+     *   or null if the connection must be rejected.
+     */
+    resolveWildcardBindings(node, pin, connectedType) {
+        const bindings = this.matchWildcardType(pin.type, connectedType, pin.wildcardGroup || 'value');
+        if (!bindings) return null;
+
+        const bindsContainer = Object.values(bindings).some(type => window.isContainerType(type));
+        const hasContainerPins = [...node.inputs, ...node.outputs].some(p => p.isGeneric && window.isContainerType(p.type));
+        return (bindsContainer && hasContainerPins) ? null : bindings;
+    }
+
+    /**
+     * Matches a (partly) generic type against a concrete one, container by container.
+     * @returns {Object|null} Wildcard bindings by group, or null if the types don't fit.
+     */
+    matchWildcardType(genericType, concreteType, group) {
+        const { ArrayTypes, SetTypes, MapTypes, EnumTypes } = window;
+        if (genericType === 'wildcard') return { [group]: concreteType };
+        if (genericType === EnumTypes.ANY) return EnumTypes.isEnum(concreteType) ? { [group]: concreteType } : null;
+
+        if (ArrayTypes.isArray(genericType)) {
+            return ArrayTypes.isArray(concreteType)
+                ? this.matchWildcardType(ArrayTypes.elementType(genericType), ArrayTypes.elementType(concreteType), group)
+                : null;
+        }
+        if (SetTypes.isSet(genericType)) {
+            return SetTypes.isSet(concreteType)
+                ? this.matchWildcardType(SetTypes.elementType(genericType), SetTypes.elementType(concreteType), group)
+                : null;
+        }
+        if (MapTypes.isMap(genericType)) {
+            if (!MapTypes.isMap(concreteType)) return null;
+            const keys = this.matchWildcardType(MapTypes.keyType(genericType), MapTypes.keyType(concreteType), 'key');
+            const values = this.matchWildcardType(MapTypes.valueType(genericType), MapTypes.valueType(concreteType), 'value');
+            return (keys && values) ? { ...keys, ...values } : null;
+        }
+        return genericType === concreteType ? {} : null;
+    }
+
+    /**
+     * Replaces the bound wildcards in every generic pin of a node (see resolveWildcardBindings).
+     */
+    adoptWildcardBindings(node, bindings) {
+        const { ArrayTypes, SetTypes, MapTypes, EnumTypes } = window;
+        const substitute = (type, group) => {
+            if (type === 'wildcard' || type === EnumTypes.ANY) return bindings[group] || type;
+            if (ArrayTypes.isArray(type)) return ArrayTypes.of(substitute(ArrayTypes.elementType(type), group));
+            if (SetTypes.isSet(type)) return SetTypes.of(substitute(SetTypes.elementType(type), group));
+            if (MapTypes.isMap(type)) return MapTypes.of(substitute(MapTypes.keyType(type), 'key'), substitute(MapTypes.valueType(type), 'value'));
+            return type;
+        };
+
+        [...node.inputs, ...node.outputs]
+            .filter(p => p.isGeneric)
+            .forEach(p => {
+                const newType = substitute(p.type, p.wildcardGroup || 'value');
+                if (newType !== p.type) p.setType(newType);
+            });
+        this.renderer.refreshNode(node);
+    }
+
     /**
      * Sever connections for a specific pin.
      * @param {HTMLElement} pinElement 
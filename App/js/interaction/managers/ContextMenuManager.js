@@ -70,7 +70,7 @@ class ContextMenuManager {
         // CASE B: Right-clicked a Node header/body
         else if (type === 'node') {
             if(search) search.style.display = 'none'; // No search needed for node actions
-            this._buildNodeMenu(targetId, contextData.selectedCount);
+            this._buildNodeMenu(graph, targetId, contextData.selectedCount);
         } 
         
         // CASE C: Right-clicked the empty Canvas (Create Node)
@@ -106,7 +106,7 @@ class ContextMenuManager {
             if(list) list.appendChild(liPaste);
 
             // Render the full list of available nodes from the global template
-            this._renderNodeList(window.nodeTemplates || []);
+            this._renderNodeList(this._getTemplates());
         }
     }
 
@@ -126,7 +126,7 @@ class ContextMenuManager {
     filter(query) {
         const lower = query.toLowerCase();
         // Filter the global templates array
-        const filtered = (window.nodeTemplates || []).filter(n => n.name.toLowerCase().includes(lower));
+        const filtered = this._getTemplates().filter(n => n.name.toLowerCase().includes(lower));
         // Re-render list (passing 'true' for isSearching to disable categories)
         this._renderNodeList(filtered, !!query);
     }
@@ -135,8 +135,15 @@ class ContextMenuManager {
     //           INTERNAL BUILDERS
     // =========================================
 
+    /** The global templates plus the ones of the graph shown (e.g. a function's Return node). */
+    _getTemplates() {
+        const graphTemplates = this.callbacks.getGraphTemplates ? this.callbacks.getGraphTemplates() : [];
+        return [...(window.nodeTemplates || []), ...graphTemplates];
+    }
+
     /**
-     * Builds the menu options for modifying a Pin (e.g., changing type from Int to Float).
+     * Builds the menu options of a Pin (e.g., watching its value, changing type from Int to Float,
+     * splitting a struct pin into its fields).
      */
     _buildPinMenu(graph, nodeId, pinIndex, dir) {
         const node = graph.nodes.find(n => n.id === nodeId);
@@ -146,6 +153,21 @@ class ContextMenuManager {
         const pin = (dir === 'input') ? node.inputs[pinIndex] : node.outputs[pinIndex];
         const list = this.dom.list;
 
+        // Data pins can be watched while debugging; struct pins (vector, rotator, transform) can be expanded
+        // into one pin per field, and back
+        if (pin && list) {
+            const addItem = (label, action) => {
+                const li = document.createElement('li');
+                li.className = 'ctx-item';
+                li.innerHTML = `<span>${label}</span>`;
+                li.onclick = () => { action(); this.hide(); };
+                list.appendChild(li);
+            };
+            if (pin.type !== 'exec') addItem('Watch this value', () => this.callbacks.onWatchPin(node, pinIndex, dir));
+            if (Pin.getStructFields(pin.type)) addItem('Split Struct Pin', () => this.callbacks.onSplitPin(node, pinIndex, dir));
+            if (pin.split) addItem('Recombine Struct Pin', () => this.callbacks.onRecombinePin(node, pinIndex, dir));
+        }
+
         // Only show if the pin actually supports multiple types
         if (pin && pin.allowedTypes && list) {
             // Header
@@ -156,8 +178,9 @@ class ContextMenuManager {
             head.innerHTML = `<span>Change Pin Type</span>`;
             list.appendChild(head);
 
-            // Generate an option for every allowed type
-            pin.allowedTypes.forEach(t => {
+            // Generate an option for every allowed type ("enum" stands for every user enum)
+            const allowedTypes = pin.allowedTypes.flatMap(t => t === window.EnumTypes.ANY ? window.EnumTypes.names() : [t]);
+            allowedTypes.forEach(t => {
                 const li = document.createElement('li');
                 li.className = 'ctx-item';
                 
@@ -165,7 +188,7 @@ class ContextMenuManager {
                 const check = (t === pin.type) ? "✓ " : "";
                 
                 // Find color for the type label
-                const typeDef = (window.globalDataTypes || []).find(g => g.name === t);
+                const typeDef = window.getTypeDefinition(t);
                 const colorVar = typeDef ? typeDef.color : '#fff';
 
                 li.innerHTML = `<span style="color:${colorVar}">${check}${t.toUpperCase()}</span>`;
@@ -179,9 +202,9 @@ class ContextMenuManager {
     }
 
     /**
-     * Builds the menu options for Node operations (Copy, Cut, Delete).
+     * Builds the menu options for Node operations (Copy, Cut, Collapse, Breakpoints, Delete).
      */
-    _buildNodeMenu(targetId, selectedCount = 1) {
+    _buildNodeMenu(graph, targetId, selectedCount = 1) {
         const list = this.dom.list;
         if (!list) return;
 
@@ -195,8 +218,24 @@ class ContextMenuManager {
             list.appendChild(li);
         };
 
+        // Undo / Redo (labels describe the command that would be reverted/re-applied)
+        const history = this.callbacks.getHistoryLabels ? this.callbacks.getHistoryLabels() : {};
+        if (history.undo) addItem(`Undo ${history.undo}`, () => this.callbacks.onUndo());
+        if (history.redo) addItem(`Redo ${history.redo}`, () => this.callbacks.onRedo());
+
         addItem('Copy', () => this.callbacks.onCopy());
         addItem('Cut', () => this.callbacks.onCut());
+        addItem('Collapse Nodes', () => this.callbacks.onCollapseNodes(targetId));
+        const node = graph ? graph.nodes.find(n => n.id === targetId) : null;
+        if (node && node.subgraph) addItem('Expand Node', () => this.callbacks.onExpandNode(targetId));
+        addItem('Collapse to Function', () => this.callbacks.onCollapseToFunction(targetId));
+
+        // Breakpoints (F9 toggles them too)
+        addItem(node && node.breakpoint ? 'Remove Breakpoint' : 'Add Breakpoint', () => this.callbacks.onToggleBreakpoint(targetId));
+        if (node && node.breakpoint) {
+            const enabled = node.breakpoint.enabled;
+            addItem(enabled ? 'Disable Breakpoint' : 'Enable Breakpoint', () => this.callbacks.onEnableBreakpoint(targetId, !enabled));
+        }
 
         // Dynamic label: "Delete Node" vs "Delete 5 Nodes"
         const count = selectedCount > 1 ? selectedCount : 1;
@@ -0,0 +1,179 @@
+/**
+ * BreakpointPanel Class
+ * Side panel listing the breakpoints of every graph of the document (see Breakpoint), and the editing
+ * operations on them: toggling (F9, node context menu), enabling, condition, hit count and removal.
+ * Breakpoints are part of the document: every change is an undoable edit.
+ */
+class BreakpointPanel {
+    /**
+     * @param {Editor} editor - Gives access to the graphs, the renderer, the history and the simulation.
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.ui = {
+            panel: document.getElementById('breakpoint-panel'),
+            list: document.getElementById('breakpoint-list'),
+            summary: document.getElementById('breakpoint-summary'),
+            removeAllBtn: document.getElementById('btn-remove-breakpoints')
+        };
+
+        if (this.ui.removeAllBtn) this.ui.removeAllBtn.onclick = () => this.removeAll();
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @returns {boolean} True if the panel is now visible.
+     */
+    toggle() {
+        if (!this.ui.panel) return false;
+        const visible = this.ui.panel.classList.toggle('visible');
+        if (visible) this.render();
+        return visible;
+    }
+
+    /**
+     * @returns {Array<{node: GraphNode, graph: Graph}>} The nodes with a breakpoint, graph by graph.
+     */
+    findBreakpoints() {
+        return this.editor.graphs.flatMap(graph => graph.nodes.filter(n => n.breakpoint).map(node => ({ node, graph })));
+    }
+
+    /**
+     * Adds a breakpoint to the nodes that have none, or removes them all if every node has one.
+     * @param {Graph} graph
+     * @param {Array<number>} nodeIds
+     */
+    toggleBreakpoints(graph, nodeIds) {
+        const nodes = graph.nodes.filter(n => nodeIds.includes(n.id));
+        if (nodes.length === 0) return;
+        const remove = nodes.every(n => n.breakpoint);
+        nodes.forEach(n => n.breakpoint = remove ? null : (n.breakpoint || new Breakpoint()));
+        this.commit(nodes, remove ? 'Remove Breakpoint' : 'Add Breakpoint');
+    }
+
+    /** Enables or disables the breakpoint of a node. */
+    setEnabled(graph, nodeId, enabled) {
+        const node = graph.nodes.find(n => n.id === nodeId);
+        if (!node || !node.breakpoint) return;
+        node.breakpoint.enabled = enabled;
+        this.commit([node], enabled ? 'Enable Breakpoint' : 'Disable Breakpoint');
+    }
+
+    /**
+     * Changes the condition or the hit count of a breakpoint.
+     * @param {GraphNode} node
+     * @param {string} key - 'condition' or 'hitCount'.
+     * @param {string|number} value
+     */
+    updateBreakpoint(node, key, value) {
+        if (!node.breakpoint) return;
+        if (key === 'condition') {
+            const error = Breakpoint.validateCondition(value);
+            if (error) {
+                this.editor.notify(error);
+                this.render(); // Back to the condition in use
+                return;
+            }
+            node.breakpoint.condition = value.trim();
+        } else if (key === 'hitCount') {
+            node.breakpoint.hitCount = value > 0 ? Math.floor(value) : 0;
+        }
+        this.commit([node], key === 'condition' ? 'Edit Breakpoint Condition' : 'Edit Breakpoint Hit Count');
+    }
+
+    removeBreakpoint(node) {
+        node.breakpoint = null;
+        this.commit([node], 'Remove Breakpoint');
+    }
+
+    removeAll() {
+        const nodes = this.findBreakpoints().map(b => b.node);
+        if (nodes.length === 0) return;
+        nodes.forEach(n => n.breakpoint = null);
+        this.commit(nodes, 'Remove All Breakpoints');
+    }
+
+    /** Redraws the badges of the nodes, records the edit and refreshes the list. */
+    commit(nodes, label) {
+        nodes.forEach(n => this.editor.renderer.refreshNode(n));
+        this.editor.history.commit(label);
+        this.render();
+    }
+
+    /**
+     * Lists the breakpoints with their settings and how many times they were hit during the current
+     * (or last) run. Called after every edit and when a run starts or pauses at a breakpoint.
+     */
+    render() {
+        if (!this.ui.list) return;
+        const breakpoints = this.findBreakpoints();
+        this.ui.list.innerHTML = '';
+        breakpoints.forEach(b => this.ui.list.appendChild(this.createRow(b)));
+
+        const disabled = breakpoints.filter(b => !b.node.breakpoint.enabled).length;
+        this.ui.summary.innerText = breakpoints.length === 0
+            ? 'Select nodes and press F9 to add breakpoints'
+            : `${breakpoints.length} breakpoint(s)${disabled > 0 ? `, ${disabled} disabled` : ''}`;
+    }
+
+    /**
+     * Builds one breakpoint row. Clicking its title selects and centers the node.
+     * @param {{node: GraphNode, graph: Graph}} entry
+     */
+    createRow({ node, graph }) {
+        const breakpoint = node.breakpoint;
+        const row = document.createElement('div');
+        row.className = `breakpoint-row ${breakpoint.enabled ? '' : 'disabled'}`;
+
+        const header = document.createElement('div');
+        header.className = 'breakpoint-header';
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = breakpoint.enabled;
+        enabled.title = 'Enabled';
+        enabled.onchange = () => this.setEnabled(graph, node.id, enabled.checked);
+
+        const title = document.createElement('span');
+        title.className = 'breakpoint-title';
+        title.innerText = `${node.name} · ${this.editor.getGraphName(graph)}`;
+        title.onclick = () => this.editor.focusNode(node.id, graph);
+
+        const hits = document.createElement('span');
+        hits.className = 'breakpoint-hits';
+        const hitCount = this.editor.simulation.breakpointHits.get(node) || 0;
+        hits.innerText = hitCount > 0 ? `${hitCount} hit(s)` : '';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'var-del';
+        removeBtn.innerText = '×';
+        removeBtn.title = 'Remove Breakpoint';
+        removeBtn.onclick = () => this.removeBreakpoint(node);
+
+        header.append(enabled, title, hits, removeBtn);
+
+        const settings = document.createElement('div');
+        settings.className = 'breakpoint-settings';
+
+        const condition = document.createElement('input');
+        condition.type = 'text';
+        condition.className = 'breakpoint-condition';
+        condition.placeholder = 'Condition (e.g. Health <= 0)';
+        condition.title = 'Pause only when this is true. Names with spaces or symbols go in brackets: [Player Health] <= 0';
+        condition.value = breakpoint.condition;
+        condition.onchange = () => this.updateBreakpoint(node, 'condition', condition.value);
+
+        const hitCountInput = document.createElement('input');
+        hitCountInput.type = 'number';
+        hitCountInput.className = 'breakpoint-hit-count';
+        hitCountInput.min = 0;
+        hitCountInput.title = 'Pause from this hit on (0 = every hit)';
+        hitCountInput.value = breakpoint.hitCount;
+        hitCountInput.onchange = () => this.updateBreakpoint(node, 'hitCount', parseInt(hitCountInput.value, 10) || 0);
+
+        settings.append(condition, hitCountInput);
+        row.append(header, settings);
+        return row;
+    }
+}
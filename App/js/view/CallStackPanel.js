@@ -0,0 +1,95 @@
+/**
+ * CallStackPanel Class
+ * Side panel showing the call stack of a paused run (see Simulation.getCallStack): the node about to run,
+ * then each function call, macro, collapsed or Call <Event> node that led to it, out to the event that
+ * started it. Function frames list their parameters and local variables. Clicking a frame shows its node
+ * in its graph. The stack is only known while the run is paused.
+ */
+class CallStackPanel {
+    /**
+     * @param {Editor} editor - Gives access to the simulation and the graphs.
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.ui = {
+            panel: document.getElementById('call-stack-panel'),
+            list: document.getElementById('call-stack-list'),
+            summary: document.getElementById('call-stack-summary')
+        };
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @returns {boolean} True if the panel is now visible.
+     */
+    toggle() {
+        if (!this.ui.panel) return false;
+        const visible = this.ui.panel.classList.toggle('visible');
+        if (visible) this.render();
+        return visible;
+    }
+
+    get isVisible() {
+        return !!this.ui.panel && this.ui.panel.classList.contains('visible');
+    }
+
+    /** Simulation observer: the stack changes whenever the run pauses somewhere else, or stops. */
+    handleSimulationEvent(type) {
+        if (['run-start', 'breakpoint-hit', 'step-paused', 'run-stop'].includes(type) && this.isVisible) this.render();
+    }
+
+    /** Lists the frames of the paused run, innermost first. */
+    render() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+
+        const simulation = this.editor.simulation;
+        const stack = simulation.status === 'PAUSED' ? simulation.getCallStack() : [];
+        stack.forEach((frame, i) => this.ui.list.appendChild(this.createRow(frame, i === 0)));
+
+        this.ui.summary.innerText = simulation.status === 'RUNNING' ? 'Pause the run to see its call stack'
+            : simulation.status === 'STOPPED' ? 'Not running'
+            : stack.length === 0 ? 'Paused · nothing queued'
+            : `Paused · ${stack.length} frame(s)`;
+    }
+
+    /**
+     * Builds one frame row: its node and graph, and the function's parameters and local variables.
+     * @param {{graph: Graph, node: GraphNode, locals: Object|null}} frame
+     * @param {boolean} isCurrent - True for the innermost frame (where the run is).
+     */
+    createRow(frame, isCurrent) {
+        const row = document.createElement('div');
+        row.className = `call-stack-row ${isCurrent ? 'current' : ''}`;
+
+        const title = document.createElement('span');
+        title.className = 'call-stack-title';
+        title.innerText = frame.node.name;
+        title.title = 'Show Node';
+        title.onclick = () => {
+            if (this.editor.graphs.includes(frame.graph)) this.editor.focusNode(frame.node.id, frame.graph);
+        };
+
+        const graphName = document.createElement('span');
+        graphName.className = 'call-stack-graph';
+        graphName.innerText = this.editor.getGraphName(frame.graph);
+
+        const header = document.createElement('div');
+        header.className = 'call-stack-header';
+        header.append(title, graphName);
+        row.appendChild(header);
+
+        if (frame.locals && Object.keys(frame.locals).length > 0) {
+            const fn = this.editor.functionManager.findFunctionOfGraph(frame.graph);
+            const declarations = fn ? [...fn.inputs, ...fn.locals] : [];
+            const typeOf = (name) => (declarations.find(d => d.name === name) || {}).type;
+            const locals = document.createElement('pre');
+            locals.className = 'call-stack-locals';
+            locals.innerText = Object.keys(frame.locals)
+                .map(name => `${name} = ${formatValueForInspection(frame.locals[name], typeOf(name)).replace(/\n\s*/g, ' ')}`).join('\n');
+            row.appendChild(locals);
+        }
+        return row;
+    }
+}
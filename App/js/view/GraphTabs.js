@@ -0,0 +1,95 @@
+/**
+ * GraphTabs
+ * The tab strip of the toolbar: one tab per graph opened in the canvas (event graphs, functions and
+ * macros; a collapsed graph is shown in the tab of the graph holding it). Clicking a tab shows its graph
+ * as it was left: each graph keeps its viewport, and the editor keeps its selection (see Editor.showGraph).
+ * Closing a tab only hides the graph.
+ */
+class GraphTabs {
+    /**
+     * @param {Editor} editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.tabs = []; // { root: Graph, shown: Graph } (shown = the root or one of its collapsed graphs)
+
+        this.ui = {
+            strip: document.getElementById('graph-tabs')
+        };
+    }
+
+    /**
+     * Makes the tab of a graph the active one, opening it if needed (called whenever a graph is shown).
+     * @param {Graph} graph - Any graph of the document, collapsed graphs included.
+     */
+    open(graph) {
+        const root = this.editor.collapsedGraphManager.locate(graph).root;
+        let tab = this.tabs.find(t => t.root === root);
+        if (!tab) {
+            tab = { root, shown: graph };
+            this.tabs.push(tab);
+        }
+        tab.shown = graph;
+        this.render();
+    }
+
+    /**
+     * Closes a tab; the tab next to it becomes active if it was. The last tab cannot be closed.
+     */
+    close(tab) {
+        const index = this.tabs.indexOf(tab);
+        if (index < 0 || this.tabs.length === 1) return;
+
+        const wasActive = this.isActive(tab);
+        this.tabs.splice(index, 1);
+        if (wasActive) this.editor.showGraph(this.shownGraphOf(this.tabs[Math.min(index, this.tabs.length - 1)]));
+        else this.render();
+    }
+
+    /** Closes every tab (a new document is about to be shown). */
+    reset() {
+        this.tabs = [];
+    }
+
+    isActive(tab) {
+        return tab.root === this.editor.collapsedGraphManager.locate(this.editor.activeGraph).root;
+    }
+
+    /** The graph a tab shows: the collapsed graph last shown in it, if it still exists. */
+    shownGraphOf(tab) {
+        return this.editor.graphs.includes(tab.shown) ? tab.shown : tab.root;
+    }
+
+    render() {
+        // Tabs of deleted event graphs, functions and macros go away with them
+        const graphs = this.editor.graphs;
+        this.tabs = this.tabs.filter(tab => graphs.includes(tab.root));
+        if (!this.ui.strip) return;
+        this.ui.strip.innerHTML = '';
+
+        this.tabs.forEach(tab => {
+            const el = document.createElement('div');
+            el.className = `graph-tab ${this.editor.getGraphKind(tab.root)}`;
+            el.classList.toggle('active', this.isActive(tab));
+            el.onclick = () => this.editor.showGraph(this.shownGraphOf(tab));
+
+            const name = document.createElement('span');
+            name.innerText = this.editor.getGraphName(tab.root);
+            el.appendChild(name);
+
+            if (this.tabs.length > 1) {
+                const closeBtn = document.createElement('button');
+                closeBtn.className = 'graph-tab-close';
+                closeBtn.innerText = '×';
+                closeBtn.title = 'Close Tab';
+                closeBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.close(tab);
+                };
+                el.appendChild(closeBtn);
+            }
+
+            this.ui.strip.appendChild(el);
+        });
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * MyBlueprintPanel
+ * The "My Blueprint" side panel: a tree of everything the document defines (event graphs, functions,
+ * macros, custom events, event dispatchers and variables). Items are created, renamed and deleted through their managers; graphs have
+ * an "Open" button, and variables can be dragged onto the canvas as from the Variables panel.
+ */
+class MyBlueprintPanel {
+    /**
+     * @param {Editor} editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.foldedSections = new Set(); // Titles of the sections folded by the user
+
+        this.ui = {
+            tree: document.getElementById('blueprint-tree')
+        };
+    }
+
+    /**
+     * The sections of the tree, in display order.
+     * An item without 'rename' or 'delete' cannot be renamed or deleted (the main event graph).
+     * @returns {Array<{title, kind, addLabel, add, items: Array<{name, graph?, color?, dragData?, rename?, delete?}>}>}
+     */
+    get sections() {
+        const { eventGraphManager, functionManager, macroManager, customEventManager, variableManager } = this.editor;
+        const customEventItems = (kind) => customEventManager[kind].map(entry => ({
+            name: entry.name,
+            rename: (newName) => customEventManager.renameEntry(kind, entry.name, newName),
+            delete: () => customEventManager.deleteEntry(kind, entry.name)
+        }));
+        return [
+            {
+                title: 'Graphs', kind: 'event', addLabel: 'Add Event Graph',
+                add: () => eventGraphManager.addEventGraph(),
+                items: eventGraphManager.eventGraphs.map(entry => eventGraphManager.isMainGraph(entry.name)
+                    ? { name: entry.name, graph: entry.graph }
+                    : {
+                        name: entry.name, graph: entry.graph,
+                        rename: (newName) => eventGraphManager.renameEventGraph(entry.name, newName),
+                        delete: () => eventGraphManager.deleteEventGraph(entry.name)
+                    })
+            },
+            {
+                title: 'Functions', kind: 'function', addLabel: 'Add Function',
+                add: () => functionManager.addFunction(),
+                items: functionManager.functions.map(fn => ({
+                    name: fn.name, graph: fn.graph,
+                    rename: (newName) => functionManager.renameFunction(fn.name, newName),
+                    delete: () => functionManager.deleteFunction(fn.name)
+                }))
+            },
+            {
+                title: 'Macros', kind: 'macro', addLabel: 'Add Macro',
+                add: () => macroManager.addMacro(),
+                items: macroManager.macros.map(macro => ({
+                    name: macro.name, graph: macro.graph,
+                    rename: (newName) => macroManager.renameMacro(macro.name, newName),
+                    delete: () => macroManager.deleteMacro(macro.name)
+                }))
+            },
+            {
+                title: 'Custom Events', kind: 'custom-event', addLabel: 'Add Custom Event',
+                add: () => customEventManager.addEntry('events'),
+                items: customEventItems('events')
+            },
+            {
+                title: 'Event Dispatchers', kind: 'dispatcher', addLabel: 'Add Event Dispatcher',
+                add: () => customEventManager.addEntry('dispatchers'),
+                items: customEventItems('dispatchers')
+            },
+            {
+                title: 'Variables', kind: 'variable', addLabel: 'Add Variable',
+                add: () => variableManager.addVariable(),
+                items: variableManager.variables.map(v => ({
+                    name: v.name,
+                    color: variableManager.getTypeColor(v.type),
+                    dragData: { type: 'variable', name: v.name, varType: v.type },
+                    rename: (newName) => variableManager.updateVariable(v.name, 'name', newName),
+                    delete: () => variableManager.deleteVariable(v.name)
+                }))
+            }
+        ];
+    }
+
+    render() {
+        if (!this.ui.tree) return;
+        this.ui.tree.innerHTML = '';
+
+        const shownRoot = this.editor.collapsedGraphManager.locate(this.editor.activeGraph).root;
+        this.sections.forEach(section => {
+            const folded = this.foldedSections.has(section.title);
+
+            const header = document.createElement('div');
+            header.className = 'blueprint-section';
+            header.classList.toggle('collapsed', folded);
+            header.onclick = () => {
+                if (folded) this.foldedSections.delete(section.title);
+                else this.foldedSections.add(section.title);
+                this.render();
+            };
+
+                const title = document.createElement('span');
+                title.innerText = `${section.title} (${section.items.length})`;
+
+                const addBtn = document.createElement('button');
+                addBtn.className = 'btn-small';
+                addBtn.innerText = '+';
+                addBtn.title = section.addLabel;
+                addBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    section.add();
+                };
+
+            header.append(title, addBtn);
+            this.ui.tree.appendChild(header);
+
+            if (folded) return;
+            section.items.forEach(item => this.ui.tree.appendChild(this.createItemRow(section, item, shownRoot)));
+        });
+    }
+
+    createItemRow(section, item, shownRoot) {
+        const row = document.createElement('div');
+        row.className = `blueprint-item ${section.kind}`;
+        row.classList.toggle('shown', !!item.graph && item.graph === shownRoot);
+        if (item.color) row.style.borderLeftColor = item.color;
+
+        if (item.dragData) {
+            row.draggable = true;
+            row.ondragstart = (e) => e.dataTransfer.setData('application/json', JSON.stringify(item.dragData));
+        }
+
+        const nameInput = document.createElement('input');
+        nameInput.value = item.name;
+        nameInput.className = 'var-name';
+        nameInput.readOnly = !item.rename;
+        if (item.rename) {
+            nameInput.onchange = (e) => {
+                item.rename(e.target.value);
+                // A refused name leaves the document unchanged: show the current name again
+                this.render();
+            };
+        }
+        row.appendChild(nameInput);
+
+        if (item.graph) {
+            const openBtn = document.createElement('button');
+            openBtn.className = 'struct-field-btn';
+            openBtn.innerText = 'Open';
+            openBtn.title = 'Open Graph';
+            openBtn.onclick = () => this.editor.showGraph(item.graph);
+            row.appendChild(openBtn);
+        }
+
+        if (item.delete) {
+            const delBtn = document.createElement('button');
+            delBtn.innerText = '×';
+            delBtn.className = 'var-del';
+            delBtn.title = 'Delete';
+            delBtn.onclick = () => item.delete();
+            row.appendChild(delBtn);
+        }
+        return row;
+    }
+}
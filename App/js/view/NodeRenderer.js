@@ -18,9 +18,10 @@ class NodeRenderer {
     createElement(node) {
         const el = document.createElement('div');
         
-        // Apply classes: 'compact' for math nodes, 'expanded' for advanced view
-        el.className = `node ${node.hideHeader ? 'compact' : ''} ${node.showAdvanced ? 'expanded' : ''}`;
+        // Apply classes: 'compact' for math nodes, 'expanded' for advanced view, 'collapsed-graph' for collapsed nodes
+        el.className = `node ${node.hideHeader ? 'compact' : ''} ${node.showAdvanced ? 'expanded' : ''} ${node.subgraph ? 'collapsed-graph' : ''}`;
         el.id = `node-${node.id}`;
+        el.graphNode = node; // IDs are only unique per graph (see GraphNode.setError)
         
         // Positioning
         el.style.left = `${node.x}px`;
@@ -39,6 +40,25 @@ class NodeRenderer {
             el.appendChild(header);
         }
 
+        // Collapsed nodes tell how many nodes they stand for
+        if (node.subgraph) {
+            const count = node.subgraph.nodes.filter(n => n.functionId !== 'Collapsed.Inputs' && n.functionId !== 'Collapsed.Outputs').length;
+            const summary = document.createElement('div');
+            summary.className = 'node-collapsed-summary';
+            summary.innerText = `${count} node(s) · double-click to open`;
+            el.appendChild(summary);
+        }
+
+        // Breakpoint badge (hollow when disabled; conditional and hit-count breakpoints have a dot)
+        if (node.breakpoint) {
+            const { enabled, condition, hitCount } = node.breakpoint;
+            const badge = document.createElement('div');
+            const details = [condition && `if ${condition}`, hitCount > 1 && `from hit ${hitCount}`].filter(Boolean);
+            badge.className = `node-breakpoint ${enabled ? '' : 'disabled'} ${details.length > 0 ? 'conditional' : ''}`;
+            badge.title = `Breakpoint${enabled ? '' : ' (disabled)'}${details.length > 0 ? ': ' + details.join(', ') : ''}`;
+            el.appendChild(badge);
+        }
+
         // 2. Body (Grid Layout)
         const body = document.createElement('div');
         body.className = 'node-body';
@@ -110,7 +130,11 @@ class NodeRenderer {
         
         // The Pin Circle (Connection Point)
         const shape = document.createElement('div');
-        shape.className = `pin ${pin.type}`;
+        // Apply Data Type Color
+        const typeDef = window.getTypeDefinition(pin.type) || { color: '#999' };
+
+        // Container pins have their own shape (array: grid, set: braces, map: key | value halves)
+        shape.className = typeDef.container ? `pin ${typeDef.container}` : `pin ${pin.type}`;
         
         // Dataset attributes used by Interaction.js for wiring logic
         shape.dataset.node = pin.nodeId;
@@ -119,9 +143,8 @@ class NodeRenderer {
         shape.dataset.dataType = pin.dataType;
         shape.dataset.id = pin.id;
 
-        // Apply Data Type Color
-        const typeDef = window.typeDefinitions[pin.type] || { color: '#999' };
         shape.style.setProperty('--pin-color', typeDef.color);
+        if (typeDef.keyColor) shape.style.setProperty('--pin-key-color', typeDef.keyColor);
 
         // Pin Label
         const label = document.createElement('span');
@@ -132,7 +155,14 @@ class NodeRenderer {
         let widgetEl = null;
         if (pin.widget) {
             // Render widget and attach callback to sync value back to Model
-            widgetEl = this.widgetRenderer.render(pin.widget, (val) => { pin.value = val; });
+            widgetEl = this.widgetRenderer.render(pin.widget, (val, layoutChanged) => {
+                pin.value = val;
+                // Notify listeners (e.g. Undo History) that the user edited a value
+                const evt = new CustomEvent('pin-value-change', { detail: { nodeId: pin.nodeId, pinIndex: pin.index } });
+                window.dispatchEvent(evt);
+                // The node grew or shrank (array element added/removed): redraw it so the wires follow
+                if (layoutChanged) window.dispatchEvent(new CustomEvent('node-refresh', { detail: { nodeId: pin.nodeId } }));
+            });
         }
 
         // Layout: Input (Pin -> Label -> Widget), Output (Label -> Pin)
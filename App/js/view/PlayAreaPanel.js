@@ -0,0 +1,98 @@
+/**
+ * PlayAreaPanel Class
+ * Floating panel standing for the game's window. While a run is active, the keys pressed and the mouse
+ * buttons clicked in its play area fire the Input events of the graphs (see Simulation.injectInput), and
+ * the mouse position over it is what Get Mouse Position returns (in pixels, from its top-left corner).
+ * Input is only captured by the focused play area during a run: the editor's shortcuts work everywhere else.
+ */
+class PlayAreaPanel {
+    /**
+     * @param {Editor} editor - Gives access to the simulation.
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.ui = {
+            panel: document.getElementById('play-panel'),
+            area: document.getElementById('play-area'),
+            status: document.getElementById('play-status')
+        };
+
+        if (this.ui.area) this.bindInput();
+        this.render();
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @returns {boolean} True if the panel is now visible.
+     */
+    toggle() {
+        if (!this.ui.panel) return false;
+        return this.ui.panel.classList.toggle('visible');
+    }
+
+    /** True while the play area passes input on to the simulation. */
+    get isCapturing() {
+        return this.editor.simulation.status !== 'STOPPED';
+    }
+
+    bindInput() {
+        const area = this.ui.area;
+        area.addEventListener('keydown', (e) => this.handleKey(e, 'pressed'));
+        area.addEventListener('keyup', (e) => this.handleKey(e, 'released'));
+        area.addEventListener('mousedown', (e) => {
+            area.focus();
+            this.handleMouseButton(e, 'pressed');
+        });
+        area.addEventListener('mouseup', (e) => this.handleMouseButton(e, 'released'));
+        area.addEventListener('mousemove', (e) => {
+            if (this.isCapturing) this.send(this.pointerPosition(e));
+        });
+        area.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    handleKey(e, action) {
+        if (!this.isCapturing) return;
+        // The key belongs to the game: no editor shortcut (Delete, Ctrl+Z...) and no browser default
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.repeat) return;
+
+        const key = Object.keys(window.inputKeys).find(name => window.inputKeys[name] === e.code);
+        if (key) this.send({ key, action });
+    }
+
+    handleMouseButton(e, action) {
+        if (!this.isCapturing) return;
+        const button = window.mouseButtons[e.button];
+        if (button) this.send({ button, action, ...this.pointerPosition(e) });
+    }
+
+    /** @returns {{x: number, y: number}} The mouse position over the play area, in pixels. */
+    pointerPosition(e) {
+        const rect = this.ui.area.getBoundingClientRect();
+        return { x: Math.round(e.clientX - rect.left), y: Math.round(e.clientY - rect.top) };
+    }
+
+    send(input) {
+        this.editor.simulation.injectInput(input);
+        if (input.action) this.lastInput = `${input.key || input.button} ${input.action}`;
+        this.render();
+    }
+
+    /**
+     * Shows whether input is captured, the last input and the mouse position.
+     * Called by the editor whenever the simulation's status changes.
+     */
+    render() {
+        if (!this.ui.area) return;
+        const capturing = this.isCapturing;
+        this.ui.area.classList.toggle('capturing', capturing);
+        if (!capturing) this.lastInput = null;
+
+        const state = this.editor.simulation.inputState;
+        this.ui.status.innerText = !capturing
+            ? 'Start the simulation to send input'
+            : `${this.lastInput || 'Click here, then use the keyboard and mouse'} · Mouse ${state.mouseX}, ${state.mouseY}`;
+    }
+}
@@ -75,11 +75,24 @@ class Renderer {
         this.dom.nodesLayer.appendChild(el);
     }
 
+    /**
+     * Discards every node element and recreates the whole view from the model.
+     * Used after the graph has been replaced wholesale (e.g. opening a saved document).
+     */
+    rebuild() {
+        this.dom.nodesLayer.innerHTML = '';
+        this.dom.connectionsLayer.innerHTML = '';
+        this.graph.nodes.forEach(node => this.createNodeElement(node, this.dragCallback));
+        this.render();
+    }
+
     /**
      * Re-renders a specific node in place.
      * Used when node state changes (e.g., expanding Advanced Pins).
      */
     refreshNode(node) {
+        // Node IDs are only unique per graph: nodes of the other graphs have no element here
+        if (!this.graph.nodes.includes(node)) return;
         const oldEl = document.getElementById(`node-${node.id}`);
         if (!oldEl) return;
         
@@ -129,7 +142,7 @@ class Renderer {
         if (id) path.id = `conn-${id}`; // Assign ID for animation lookups
 
         // Set Color
-        const col = (window.typeDefinitions[type]||{}).color || '#fff';
+        const col = (window.getTypeDefinition(type)||{}).color || '#fff';
         path.style.stroke = col;
         
         this.dom.connectionsLayer.appendChild(path);
@@ -137,8 +150,9 @@ class Renderer {
 
     /**
      * ANIMATION: Moves a glowing ball along the execution wire.
+     * @param {number} [duration=1500] - Travel time (ms), the simulation's pause for the wire.
      */
-    animateExecWire(conn) {
+    animateExecWire(conn, duration = 1500) {
         const path = document.getElementById(`conn-${conn.id}`);
         if (!path) return;
 
@@ -149,7 +163,6 @@ class Renderer {
         this.dom.connectionsLayer.appendChild(ball);
 
         // Animation Logic
-        const duration = 1500; // 1.5 seconds match simulation delay
         const start = performance.now();
         const totalLen = path.getTotalLength();
 
@@ -173,8 +186,10 @@ class Renderer {
 
     /**
      * ANIMATION: Flashes the wire and moves the data value label along it.
+     * @param {number} [duration=2000] - Total time (ms), the simulation's pause for the wire: the label
+     *   waits for the first half, then travels for the second.
      */
-    animateDataWire(conn, value) {
+    animateDataWire(conn, value, duration = 2000) {
         const path = document.getElementById(`conn-${conn.id}`);
         if (!path) return null;
 
@@ -183,10 +198,10 @@ class Renderer {
         void path.offsetWidth; // Trigger reflow
         path.classList.add('data-flow');
 
-        // Remove glow after 500ms
+        // Remove glow after a quarter of the duration
         setTimeout(() => {
             if(path) path.classList.remove('data-flow');
-        }, 500); 
+        }, duration / 4); 
 
         // 2. Create Floating Label
         let displayVal = value;
@@ -213,14 +228,14 @@ class Renderer {
         label.style.left = `${startPoint.x}px`;
         label.style.top = `${startPoint.y}px`;
 
-        // Wait 300ms before moving, then travel for 700ms (Total ~1s)
+        // Wait for half the duration before moving, then travel for the other half
+        const travel = duration / 2;
         setTimeout(() => {
-            const duration = 1000; 
             const start = performance.now();
 
             const animate = (time) => {
                 const elapsed = time - start;
-                const progress = Math.min(elapsed / duration, 1);
+                const progress = travel > 0 ? Math.min(elapsed / travel, 1) : 1;
                 
                 const point = path.getPointAtLength(progress * totalLen);
                 
@@ -233,7 +248,7 @@ class Renderer {
                 }
             };
             requestAnimationFrame(animate);
-        }, 1000);
+        }, travel);
 
         // Return object containing both visuals for tracking/cleanup
         return { label: label, path: path };
@@ -0,0 +1,284 @@
+/**
+ * SimulationVisualizer Class
+ * Optional observer of the Simulation that turns execution events into the animated playback:
+ * node highlights, exec "balls" travelling along wires, floating value labels on data wires.
+ * It is also responsible for the pacing: each handler returns a Promise that the Simulation
+ * awaits, so the engine itself never sleeps. Every pause and animation is divided by 'speed'.
+ * With the visuals off (Run to Completion) it only collects the nodes that run, and outlines them
+ * once they are back on.
+ */
+class SimulationVisualizer {
+    /**
+     * @param {Renderer} renderer - Used for wire animations and to reach the graph being shown.
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        // Visual pauses (ms) inserted between execution events
+        this.delays = {
+            execWire: 1500,   // Exec ball travelling to the next node
+            dependencies: 600, // Backtrack highlight of the pure dependency chain
+            dataWire: 2000,   // Value label travelling along a data wire
+            nodeHighlight: 800 // Highlight of a node fading out (not a pause)
+        };
+
+        // Playback speed: delays and animations last (delay / speed); Infinity = no pause and no animation
+        this.speed = 1;
+
+        // False during a Run to Completion: no visuals, the nodes that run are collected in 'ranNodes'
+        this.enabled = true;
+        // Nodes (as shown) that ran while the visuals were off
+        this.ranNodes = new Set();
+
+        // Tracks all visuals (labels AND glowing wires) for the current step
+        this.activeStepVisuals = [];
+
+        // True between 'run-start' and 'run-stop' (highlights persist once stopped)
+        this.isRunActive = false;
+    }
+
+    get graph() { return this.renderer.graph; }
+
+    /**
+     * Entry point called by the Simulation for every execution event.
+     * @param {string} type - Event name (see Simulation).
+     * @param {Object} payload - Event data.
+     * @returns {Promise|undefined} A pause the Simulation must wait for, if any.
+     */
+    handleSimulationEvent(type, payload) {
+        if (type === 'run-start') this.clearRunResults();
+        if (!this.enabled) {
+            if (type === 'node-executed') this.ranNodes.add(payload.node.shownAs || payload.node);
+            return;
+        }
+        // What a Run to Completion left outlined goes once the run goes on with visuals
+        if (type === 'step-start' && this.ranNodes.size > 0) this.clearRunResults();
+
+        // The node a run paused at stays outlined until the run goes on
+        if (['step-start', 'node-executed', 'run-stop'].includes(type)) this.clearBreakpointHighlight();
+
+        // Steps running in another graph (e.g. inside a called function) are not shown, nor paced
+        if (!this.isInShownGraph(payload)) return;
+
+        switch (type) {
+            case 'run-start':
+                console.log(`--- Simulation Initialized (Run ${payload.runId}) ---`);
+                this.isRunActive = true;
+                this.clearStepVisuals();
+                return;
+
+            case 'step-start':
+                // We only clear the previous step's visuals (wires/labels) when we officially
+                // start processing the NEXT Execution Node.
+                this.clearStepVisuals();
+                return;
+
+            case 'wire-traversed':
+                return payload.kind === 'exec'
+                    ? this.showExecWire(payload.conn)
+                    : this.showDataWire(payload.conn, payload.sourceNode, payload.value);
+
+            case 'node-enter':
+                this.highlightNode(payload.node.id, '#ffffff');
+                return;
+
+            case 'dependencies':
+                this.highlightElements(payload.nodes, payload.connections, '#ffffff');
+                return this.wait(this.delays.dependencies);
+
+            case 'dependencies-resolved':
+                payload.connections.forEach(c => this.resetWireColor(c));
+                return;
+
+            case 'pure-cached':
+                // If cached, just clear the "highlight" effect (white box)
+                this.clearNodeHighlight(payload.node.id);
+                this.resetInputWiresRecursively(payload.node);
+                return;
+
+            case 'node-executed':
+                // Execution triggers the Orange flash
+                this.highlightNode(payload.node.id, '#ff9900');
+                // Labels of the inputs are cleared exactly when an exec node starts "running"
+                if (!payload.pure) this.clearStepVisuals();
+                return;
+
+            case 'breakpoint-hit':
+            case 'step-paused':
+                this.highlightBreakpoint(payload.node.id);
+                return;
+
+            case 'run-stop':
+                this.isRunActive = false;
+                this.clearAll();
+                console.log("--- Simulation Stopped ---");
+                return;
+        }
+    }
+
+    /**
+     * @returns {Boolean} False if the event is about a node or wire of a graph that is not shown.
+     */
+    isInShownGraph(payload) {
+        if (!payload) return true;
+        const nodes = payload.nodes || (payload.node ? [payload.node] : []);
+        const connections = payload.connections || (payload.conn ? [payload.conn] : []);
+        // Inside a macro, the inlined copies stand for the nodes and wires of the macro's graph
+        return nodes.every(n => this.graph.nodes.includes(n.shownAs || n))
+            && connections.every(c => this.graph.connections.includes(c.shownAs || c));
+    }
+
+    /** @returns {Promise|undefined} A pause of 'ms' at the playback speed (none at an infinite speed). */
+    wait(ms) {
+        const duration = ms / this.speed;
+        if (!(duration > 0)) return;
+        return new Promise(r => setTimeout(r, duration));
+    }
+
+    /**
+     * Turns the visuals off (Run to Completion) or back on; back on, the nodes that ran meanwhile are outlined.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) this.showRunResults();
+    }
+
+    /** Outlines the nodes of the shown graph that ran while the visuals were off (again whenever the graph is rebuilt). */
+    showRunResults() {
+        this.ranNodes.forEach(node => {
+            const el = this.graph.nodes.includes(node) ? document.getElementById(`node-${node.id}`) : null;
+            if (el) el.classList.add('ran');
+        });
+    }
+
+    clearRunResults() {
+        this.ranNodes.clear();
+        document.querySelectorAll('.node.ran').forEach(el => el.classList.remove('ran'));
+    }
+
+    // --- EVENT VISUALS ---
+
+    showExecWire(conn) {
+        if (this.speed !== Infinity) this.renderer.animateExecWire(conn, this.delays.execWire / this.speed);
+        // Visual pause for the execution wire flowing to this node
+        return this.wait(this.delays.execWire);
+    }
+
+    showDataWire(conn, sourceNode, value) {
+        this.resetWireColor(conn);
+
+        const outputPin = sourceNode.outputs[conn.fromPin];
+        const debugLabel = window.FunctionRegistry.getVisualDebug(sourceNode, sourceNode.lastInputs || [], value, outputPin);
+
+        // --- ANIMATE LABEL ON WIRE ---
+        const visualObj = this.renderer.animateDataWire(conn, debugLabel, this.delays.dataWire / this.speed);
+        this.addStepVisual(visualObj);
+
+        // Wait for the "travel" animation
+        return this.wait(this.delays.dataWire);
+    }
+
+    highlightNode(id, color = '#ff9900') {
+        const el = document.getElementById(`node-${id}`);
+        if(el) {
+            el.style.transition = "box-shadow 0.2s ease-out";
+            el.style.boxShadow = `0 0 0 4px ${color}`;
+            setTimeout(() => {
+                if (this.isRunActive) el.style.boxShadow = "";
+            }, this.delays.nodeHighlight / this.speed);
+        }
+    }
+
+    highlightBreakpoint(id) {
+        const el = document.getElementById(`node-${id}`);
+        if (el) el.classList.add('at-breakpoint');
+    }
+
+    clearBreakpointHighlight() {
+        document.querySelectorAll('.node.at-breakpoint').forEach(el => el.classList.remove('at-breakpoint'));
+    }
+
+    // --- HELPER METHODS ---
+
+    addStepVisual(visualObj) {
+        if (visualObj) {
+            this.activeStepVisuals.push(visualObj);
+        }
+    }
+
+    clearStepVisuals() {
+        if (this.activeStepVisuals && this.activeStepVisuals.length > 0) {
+            this.activeStepVisuals.forEach(obj => {
+                // Remove Label
+                if (obj.label) obj.label.remove();
+                // Remove Wire Glow (just in case the timeout hasn't fired yet)
+                if (obj.path) obj.path.classList.remove('data-flow');
+            });
+            this.activeStepVisuals = [];
+        }
+    }
+
+    /**
+     * Removes every highlight left by a run (nodes, labels, wire colors).
+     */
+    clearAll() {
+        this.graph.nodes.forEach(n => this.clearNodeHighlight(n.id));
+        this.clearStepVisuals();
+        // Also clear any persistent wire highlights
+        this.graph.connections.forEach(c => this.resetWireColor(c));
+    }
+
+    resetInputWiresRecursively(node) {
+        node.inputs.forEach(pin => {
+            if (pin.type === 'exec') return;
+            const conn = this.graph.connections.find(c => c.toNode === node.id && c.toPin === pin.index);
+            if (conn) {
+                this.resetWireColor(conn);
+                const src = this.graph.nodes.find(n => n.id === conn.fromNode);
+                if (src && !src.inputs.some(p => p.type === 'exec')) {
+                    this.clearNodeHighlight(src.id);
+                    this.resetInputWiresRecursively(src);
+                }
+            }
+        });
+    }
+
+    highlightElements(nodes, connections, color) {
+        nodes.forEach(n => {
+            const el = document.getElementById(`node-${n.id}`);
+            if(el) {
+                el.style.transition = "box-shadow 0.2s ease-out";
+                el.style.boxShadow = `0 0 0 4px ${color}`;
+            }
+        });
+        connections.forEach(c => {
+            const path = document.getElementById(`conn-${c.id}`);
+            if(path) {
+                if (!path.dataset.originalColor) {
+                    path.dataset.originalColor = path.style.stroke;
+                }
+                path.style.stroke = color;
+            }
+        });
+    }
+
+    clearNodeHighlight(id) {
+        const el = document.getElementById(`node-${id}`);
+        if(el) el.style.boxShadow = "";
+    }
+
+    resetWireColor(conn) {
+         const path = document.getElementById(`conn-${conn.id}`);
+         if(path) {
+             if (path.dataset.originalColor) {
+                 path.style.stroke = path.dataset.originalColor;
+                 delete path.dataset.originalColor;
+             } else {
+                 const typeDef = window.getTypeDefinition(conn.type);
+                 const color = typeDef ? typeDef.color : '#fff';
+                 path.style.stroke = color;
+             }
+         }
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * TestPanel Class
+ * Side panel listing the test events of the event graphs and their pass/fail status.
+ * Runs the tests through a BlueprintTestRunner (headless, no animation).
+ */
+class TestPanel {
+    /**
+     * @param {Editor} editor - Gives access to the graph, variables and simulation.
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.isRunning = false;
+
+        this.ui = {
+            panel: document.getElementById('test-panel'),
+            list: document.getElementById('test-list'),
+            summary: document.getElementById('test-summary'),
+            runBtn: document.getElementById('btn-run-tests')
+        };
+
+        if (this.ui.runBtn) this.ui.runBtn.onclick = () => this.runAll();
+    }
+
+    /**
+     * Shows or hides the panel. Opening it lists the current tests (without running them).
+     * @returns {boolean} True if the panel is now visible.
+     */
+    toggle() {
+        if (!this.ui.panel) return false;
+        const visible = this.ui.panel.classList.toggle('visible');
+        if (visible && !this.isRunning) this.renderPending();
+        return visible;
+    }
+
+    /**
+     * Lists discovered tests with a neutral status.
+     * @returns {Array<Object>} The tests, in the order of the rows (see BlueprintTestRunner.discoverTests).
+     */
+    renderPending() {
+        const runner = new BlueprintTestRunner(this.editor.graph, this.editor.variableManager, {
+            functionManager: this.editor.functionManager,
+            macroManager: this.editor.macroManager,
+            eventGraphManager: this.editor.eventGraphManager
+        });
+        const tests = runner.discoverTests();
+        this.ui.list.innerHTML = '';
+        tests.forEach(test => this.ui.list.appendChild(this.createRow(test, 'pending')));
+        this.ui.summary.innerText = tests.length === 0
+            ? `No "${BlueprintTestRunner.TEST_EVENT}" node in the event graphs`
+            : `${tests.length} test(s)`;
+        return tests;
+    }
+
+    /**
+     * Runs every test and updates the list as results come in.
+     */
+    async runAll() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        if (this.ui.runBtn) this.ui.runBtn.disabled = true;
+
+        // Tests share the graph's nodes with the interactive simulation
+        this.editor.simulation.stop();
+        const tests = this.renderPending();
+        const rows = [...this.ui.list.children];
+
+        const runner = new BlueprintTestRunner(this.editor.graph, this.editor.variableManager, {
+            functionManager: this.editor.functionManager,
+            macroManager: this.editor.macroManager,
+            eventGraphManager: this.editor.eventGraphManager
+        });
+        // Results come in the order of the discovered tests (node IDs are only unique per graph)
+        let index = 0;
+        const results = await runner.runAll(result => {
+            const message = result.passed ? `${result.durationMs} ms` : result.failures.map(f => f.message).join('\n');
+            const newRow = this.createRow(tests[index], result.passed ? 'passed' : 'failed', message);
+            rows[index++].replaceWith(newRow);
+        });
+
+        const failed = results.filter(r => !r.passed).length;
+        this.ui.summary.innerText = `${results.length} test(s), ${results.length - failed} passed, ${failed} failed`;
+        this.ui.summary.classList.toggle('failed', failed > 0);
+
+        this.isRunning = false;
+        if (this.ui.runBtn) this.ui.runBtn.disabled = false;
+    }
+
+    /**
+     * Builds one test row. Clicking it selects and centers the test's event node.
+     * @param {{name: string, node: GraphNode, graph: Graph}} test
+     */
+    createRow(test, status, message = '') {
+        const row = document.createElement('div');
+        row.className = `test-row ${status}`;
+
+        const indicator = document.createElement('span');
+        indicator.className = 'test-status';
+        indicator.innerText = status === 'passed' ? '✓' : status === 'failed' ? '✗' : '•';
+
+        const col = document.createElement('div');
+        col.className = 'test-info';
+
+        const title = document.createElement('div');
+        title.className = 'test-name';
+        title.innerText = test.name;
+        col.appendChild(title);
+
+        if (message) {
+            const detail = document.createElement('div');
+            detail.className = 'test-message';
+            detail.innerText = message;
+            col.appendChild(detail);
+        }
+
+        row.append(indicator, col);
+        row.onclick = () => this.editor.focusNode(test.node.id, test.graph);
+        return row;
+    }
+}
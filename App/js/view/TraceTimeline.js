@@ -0,0 +1,184 @@
+/**
+ * TraceTimeline Class
+ * Toolbar scrubber over the ExecutionTrace of the current (or last) run, or of an imported trace.
+ * Moving it back to an earlier step shows the run as it was right after that step: the graph of the step
+ * with its node outlined (and the pure nodes it evaluated), and the pin and variable values of that time
+ * in the Watch panel and the pin tooltips. The run itself is not rewound: stepping or running again goes
+ * back to the latest step. Traces are exported and imported as JSON (e.g. for bug reports).
+ */
+class TraceTimeline {
+    /**
+     * @param {Editor} editor - Gives access to the simulation, the graphs and the Watch panel.
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.ui = {
+            slider: document.getElementById('trace-slider'),
+            label: document.getElementById('trace-label'),
+            exportBtn: document.getElementById('btn-export-trace'),
+            importBtn: document.getElementById('btn-import-trace'),
+            fileInput: document.getElementById('trace-file')
+        };
+
+        // The trace shown: the simulation's, or an imported one
+        this.trace = null;
+        this.imported = false;
+        // Step shown, null = the latest one (follows the run)
+        this.viewedStep = null;
+
+        if (this.ui.slider) this.ui.slider.oninput = () => this.showStep(parseInt(this.ui.slider.value, 10));
+        if (this.ui.exportBtn) this.ui.exportBtn.onclick = () => this.exportTrace();
+        if (this.ui.importBtn && this.ui.fileInput) {
+            this.ui.importBtn.onclick = () => this.ui.fileInput.click();
+            this.ui.fileInput.onchange = (e) => {
+                const file = e.target.files[0];
+                if (file) this.importTrace(file);
+                e.target.value = ''; // Allow re-importing the same file
+            };
+        }
+    }
+
+    /** Simulation observer: a new run replaces the trace shown; every step brings the view back to the latest step. */
+    handleSimulationEvent(type, payload, simulation) {
+        if (type === 'run-start') {
+            this.trace = simulation.trace;
+            this.imported = false;
+            this.showLatest();
+        } else if (type === 'step-start' || type === 'run-stop') {
+            if (this.viewedStep !== null && !this.imported) this.showLatest();
+            else this.render();
+        }
+    }
+
+    /**
+     * Shows the state of the run right after a step.
+     * @param {number} stepNumber - Clamped to the steps of the trace; the last one of a live trace = showLatest().
+     */
+    showStep(stepNumber) {
+        const trace = this.trace;
+        if (!trace || trace.steps.length === 0) return;
+        stepNumber = Math.max(trace.firstStepNumber, Math.min(stepNumber, trace.lastStepNumber));
+        if (stepNumber === trace.lastStepNumber && !this.imported) {
+            this.showLatest();
+            return;
+        }
+
+        this.viewedStep = stepNumber;
+        const state = trace.stateAt(stepNumber);
+        const graph = this.resolveGraph(state.step.graph);
+        if (graph && graph !== this.editor.activeGraph && this.editor.graphs.includes(graph)) this.editor.showGraph(graph);
+        this.editor.watchPanel.showPastValues(this.resolveValues(state));
+        this.highlight();
+        this.render();
+    }
+
+    /** Back to the latest values of the run (the Watch panel follows the simulation again). */
+    showLatest() {
+        this.viewedStep = null;
+        this.editor.watchPanel.showPastValues(null);
+        this.highlight();
+        this.render();
+    }
+
+    /** @returns {Graph|null} The graph of the document a graph of the trace stands for. */
+    resolveGraph(graphIndex) {
+        return this.editor.simulation.resolveGraph(this.trace.graphs[graphIndex]);
+    }
+
+    /**
+     * Turns the pin records of a state into the values the Watch panel shows (see WatchPanel.pinValues).
+     * Records of nodes that no longer exist are left out.
+     */
+    resolveValues(state) {
+        const pinValues = new Map();
+        const graphs = new Map();
+        state.pins.forEach(record => {
+            if (!graphs.has(record.graph)) graphs.set(record.graph, this.resolveGraph(record.graph));
+            const graph = graphs.get(record.graph);
+            const node = graph ? graph.nodes.find(n => n.id === record.nodeId) : null;
+            if (!node) return;
+            if (!pinValues.has(node)) pinValues.set(node, { input: [], output: [] });
+            pinValues.get(node)[record.dir][record.pin] = { value: record.value };
+        });
+        return { pinValues, variableValues: state.variables };
+    }
+
+    /** Outlines the node of the step shown, and the nodes it evaluated (nothing while following the run). */
+    highlight() {
+        document.querySelectorAll('.node.trace-step, .node.trace-evaluated').forEach(el => el.classList.remove('trace-step', 'trace-evaluated'));
+        if (this.viewedStep === null) return;
+        const step = this.trace.getStep(this.viewedStep);
+        const shown = (graphIndex, nodeId) => this.resolveGraph(graphIndex) === this.editor.activeGraph ? document.getElementById(`node-${nodeId}`) : null;
+        step.nodes.forEach(n => {
+            const el = shown(n.graph, n.nodeId);
+            if (el) el.classList.add('trace-evaluated');
+        });
+        const el = shown(step.graph, step.nodeId);
+        if (el) el.classList.add('trace-step');
+    }
+
+    /** Updates the slider and the label: step shown, its node, game time and errors. */
+    render() {
+        const { slider, label, exportBtn } = this.ui;
+        if (!slider) return;
+        const trace = this.trace;
+        const hasSteps = !!trace && trace.steps.length > 0;
+        if (exportBtn) exportBtn.disabled = !hasSteps;
+
+        slider.disabled = !hasSteps || this.editor.simulation.status === 'RUNNING';
+        if (!hasSteps) {
+            slider.min = 0; slider.max = 0; slider.value = 0;
+            label.innerText = '';
+            return;
+        }
+
+        const stepNumber = this.viewedStep !== null ? this.viewedStep : trace.lastStepNumber;
+        slider.min = trace.firstStepNumber;
+        slider.max = trace.lastStepNumber;
+        slider.value = stepNumber;
+
+        const step = trace.getStep(stepNumber);
+        const errors = step.errors.length > 0 ? ` · ${step.errors.length} error(s)` : '';
+        label.innerText = `Step ${stepNumber}/${trace.lastStepNumber} · ${step.node} · ${step.time.toFixed(2)} s${errors}`;
+        label.classList.toggle('past', this.viewedStep !== null);
+        label.title = this.imported ? 'Imported trace' : '';
+    }
+
+    /** Downloads the trace shown as a .trace.json file. */
+    exportTrace() {
+        if (!this.trace) return;
+        const json = JSON.stringify(this.trace.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.editor.documentName}${ExecutionTrace.FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.editor.notify(`Exported ${link.download}`);
+    }
+
+    /**
+     * Reads a trace file picked by the user and shows its last step. A run in progress is stopped first.
+     * @param {File} file - The file from the trace file input.
+     */
+    async importTrace(file) {
+        try {
+            const trace = ExecutionTrace.fromJSON(JSON.parse(await file.text()));
+            this.editor.simulation.stop();
+            this.trace = trace;
+            this.imported = true;
+            if (trace.steps.length > 0) this.showStep(trace.lastStepNumber);
+            else this.showLatest();
+            this.editor.notify(`Imported ${file.name} (${trace.steps.length} step(s))`);
+        } catch (err) {
+            console.error("Import Trace Error:", err);
+            this.editor.notify(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+}
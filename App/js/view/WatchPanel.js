@@ -0,0 +1,299 @@
+/**
+ * WatchPanel Class
+ * Inspection of the values of a run while debugging. As a Simulation observer, it records the last value
+ * of every pin evaluated during the run, and the variables as of the last step; both are kept once the run
+ * stops, until the next run starts.
+ *  - The side panel lists the watched pins ("Watch this value" in the pin context menu) and variables
+ *    with their values in full (see formatValueForInspection), refreshed on every step.
+ *  - Hovering any data pin shows its last value in a tooltip.
+ * Both can show the values of an earlier step instead (see TraceTimeline and showPastValues).
+ * Watches are not part of the document (nor of the undo history).
+ */
+class WatchPanel {
+    /**
+     * @param {Editor} editor - Gives access to the graphs, the variables and the simulation.
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.ui = {
+            panel: document.getElementById('watch-panel'),
+            list: document.getElementById('watch-list'),
+            summary: document.getElementById('watch-summary'),
+            variableSelect: document.getElementById('watch-variable-select'),
+            addVariableBtn: document.getElementById('btn-add-watch'),
+            removeAllBtn: document.getElementById('btn-remove-watches'),
+            tooltip: document.getElementById('pin-tooltip')
+        };
+
+        // { kind: 'pin', graph, nodeId, pinIndex, dir } or { kind: 'variable', name }
+        this.watches = [];
+
+        // Shown node (a macro's inlined copies stand for the nodes of the macro) -> { input: [], output: [] } values by pin index
+        this.pinValues = new Map();
+        // Variables, and parameters and locals of the function running, as of the last step (null before the first run)
+        this.variableValues = null;
+        // Values of an earlier step shown instead of the latest ones: { pinValues, variableValues } (null = the latest)
+        this.pastValues = null;
+
+        if (this.ui.addVariableBtn) this.ui.addVariableBtn.onclick = () => {
+            if (this.ui.variableSelect.value) this.addVariableWatch(this.ui.variableSelect.value);
+        };
+        if (this.ui.removeAllBtn) this.ui.removeAllBtn.onclick = () => this.removeAll();
+
+        // Pin tooltips (pins are re-created with their node, so the listeners are on the layer)
+        const nodesLayer = editor.dom.nodesLayer;
+        if (nodesLayer && this.ui.tooltip) {
+            nodesLayer.addEventListener('mouseover', (e) => {
+                const pinEl = e.target.closest('.pin');
+                if (pinEl) this.showPinTooltip(pinEl, e.clientX, e.clientY);
+            });
+            nodesLayer.addEventListener('mouseout', (e) => {
+                if (e.target.closest('.pin')) this.hidePinTooltip();
+            });
+        }
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @returns {boolean} True if the panel is now visible.
+     */
+    toggle() {
+        if (!this.ui.panel) return false;
+        const visible = this.ui.panel.classList.toggle('visible');
+        if (visible) this.render();
+        return visible;
+    }
+
+    get isVisible() {
+        return !!this.ui.panel && this.ui.panel.classList.contains('visible');
+    }
+
+    // --- RECORDING (Simulation observer) ---
+
+    handleSimulationEvent(type, payload, simulation) {
+        switch (type) {
+            case 'run-start':
+                this.pinValues = new Map();
+                this.recordVariables(simulation);
+                break;
+            case 'step-start':
+                this.recordVariables(simulation);
+                break;
+            case 'pin-evaluated':
+                this.recordPin(payload.node, 'input', payload.pin.index, payload.value);
+                break;
+            case 'node-executed':
+            case 'loop-iteration':
+            case 'function-return':
+            case 'macro-exit':
+                payload.node.outputs.forEach((pin, index) => {
+                    if (pin.type !== 'exec') this.recordPin(payload.node, 'output', index, simulation.readOutput(payload.node, index));
+                });
+                this.recordVariables(simulation);
+                break;
+            case 'breakpoint-hit':
+            case 'step-paused':
+            case 'run-stop':
+                break;
+            default:
+                return;
+        }
+        if (this.isVisible) this.render();
+    }
+
+    recordPin(node, dir, pinIndex, value) {
+        const shown = node.shownAs || node;
+        if (!this.pinValues.has(shown)) this.pinValues.set(shown, { input: [], output: [] });
+        // Copied: arrays and structs may be modified by the nodes that run next
+        this.pinValues.get(shown)[dir][pinIndex] = { value: copyValue(value) };
+    }
+
+    recordVariables(simulation) {
+        const variables = simulation.breakpointVariables();
+        this.variableValues = {};
+        Object.keys(variables).forEach(name => this.variableValues[name] = copyValue(variables[name]));
+    }
+
+    /**
+     * Shows the values of an earlier step of the run instead of the latest ones.
+     * @param {{pinValues: Map, variableValues: Object}|null} values - Same shape as the recorded values; null = the latest.
+     */
+    showPastValues(values) {
+        this.pastValues = values;
+        this.render();
+    }
+
+    /** The values shown: those of the step picked in the trace timeline, or the latest. */
+    get shownValues() {
+        return this.pastValues || { pinValues: this.pinValues, variableValues: this.variableValues };
+    }
+
+    /**
+     * @returns {{value: any}|null} The last value of a pin during the current (or last) run, null if it was not evaluated.
+     */
+    getPinValue(node, dir, pinIndex) {
+        const values = this.shownValues.pinValues.get(node);
+        return (values && values[dir][pinIndex]) || null;
+    }
+
+    // --- WATCHES ---
+
+    /** Watches a pin of a node ("Watch this value"), and shows the panel. */
+    addPinWatch(graph, nodeId, pinIndex, dir) {
+        const exists = this.watches.some(w => w.kind === 'pin' && w.graph === graph && w.nodeId === nodeId && w.pinIndex === pinIndex && w.dir === dir);
+        if (!exists) this.watches.push({ kind: 'pin', graph, nodeId, pinIndex, dir });
+        this.editor.toggleSidePanel(this, true);
+        this.render();
+    }
+
+    /** Watches a variable (or a parameter or local variable of a function) by name. */
+    addVariableWatch(name) {
+        if (!this.watches.some(w => w.kind === 'variable' && w.name === name)) this.watches.push({ kind: 'variable', name });
+        this.render();
+    }
+
+    removeWatch(watch) {
+        this.watches = this.watches.filter(w => w !== watch);
+        this.render();
+    }
+
+    removeAll() {
+        this.watches = [];
+        this.render();
+    }
+
+    /**
+     * Finds what a watch stands for in the document as it is now.
+     * @returns {{name: string, type: string, value: {value: any}|null, node?: GraphNode, graph?: Graph}|null}
+     *   null if its node or variable no longer exists.
+     */
+    resolveWatch(watch) {
+        if (watch.kind === 'pin') {
+            const node = this.editor.graphs.includes(watch.graph) ? watch.graph.nodes.find(n => n.id === watch.nodeId) : null;
+            const pin = node ? (watch.dir === 'input' ? node.inputs : node.outputs)[watch.pinIndex] : null;
+            if (!pin) return null;
+            return {
+                name: `${node.name} › ${pin.name || pin.type}`, type: pin.type, node, graph: watch.graph,
+                value: this.getPinValue(node, watch.dir, watch.pinIndex)
+            };
+        }
+
+        const declaration = this.findVariableDeclaration(watch.name);
+        if (!declaration) return null;
+        const variableValues = this.shownValues.variableValues;
+        const inScope = variableValues && Object.prototype.hasOwnProperty.call(variableValues, watch.name);
+        return { name: watch.name, type: declaration.type, value: inScope ? { value: variableValues[watch.name] } : null };
+    }
+
+    /** @returns {{name: string, type: string}|null} The variable, or function parameter or local variable, of that name. */
+    findVariableDeclaration(name) {
+        const variable = this.editor.variableManager.variables.find(v => v.name === name);
+        if (variable) return variable;
+        const parameters = this.editor.functionManager.functions.flatMap(fn => [...fn.inputs, ...fn.locals]);
+        return parameters.find(p => p.name === name) || null;
+    }
+
+    // --- VIEW ---
+
+    /**
+     * Lists the watches with their values, and the variables that can be added (those of the document, and
+     * the parameters and local variables of the function shown).
+     */
+    render() {
+        if (!this.ui.list) return;
+        this.ui.list.innerHTML = '';
+        this.watches.forEach(watch => this.ui.list.appendChild(this.createRow(watch)));
+
+        if (this.ui.variableSelect) {
+            const fn = this.editor.functionManager.findFunctionOfGraph(this.editor.activeGraph);
+            const names = [...this.editor.variableManager.variables, ...(fn ? [...fn.inputs, ...fn.locals] : [])].map(v => v.name);
+            this.ui.variableSelect.innerHTML = '';
+            [...new Set(names)].forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.innerText = name;
+                this.ui.variableSelect.appendChild(option);
+            });
+        }
+
+        const status = this.editor.simulation.status;
+        this.ui.summary.innerText = this.watches.length === 0
+            ? 'Right-click a pin and pick "Watch this value"'
+            : this.pastValues ? 'Values of an earlier step (see the trace timeline)'
+            : status === 'RUNNING' ? 'Running' : status === 'PAUSED' ? 'Paused' : this.variableValues ? 'Values of the last run' : 'Not run yet';
+    }
+
+    /**
+     * Builds one watch row. Clicking the name of a watched pin selects and centers its node.
+     */
+    createRow(watch) {
+        const resolved = this.resolveWatch(watch);
+        const row = document.createElement('div');
+        row.className = `watch-row ${resolved ? '' : 'missing'}`;
+
+        const header = document.createElement('div');
+        header.className = 'watch-header';
+
+        const title = document.createElement('span');
+        title.className = 'watch-title';
+        if (resolved && resolved.node) title.onclick = () => this.editor.focusNode(resolved.node.id, resolved.graph);
+
+        const typeLabel = document.createElement('span');
+        typeLabel.className = 'watch-type';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'var-del';
+        removeBtn.innerText = '×';
+        removeBtn.title = 'Remove Watch';
+        removeBtn.onclick = () => this.removeWatch(watch);
+
+        const value = document.createElement('pre');
+        value.className = 'watch-value';
+
+        if (resolved) {
+            title.innerText = resolved.graph ? `${resolved.name} · ${this.editor.getGraphName(resolved.graph)}` : resolved.name;
+            typeLabel.innerText = resolved.type;
+            const typeDef = window.getTypeDefinition(resolved.type);
+            if (typeDef) typeLabel.style.color = typeDef.color;
+            value.innerText = this.describeValue(resolved.value, resolved.type, watch.kind === 'variable' ? 'Not in scope' : 'Not evaluated');
+        } else {
+            title.innerText = watch.kind === 'variable' ? watch.name : 'Removed pin';
+            value.innerText = 'No longer exists';
+        }
+
+        header.append(title, typeLabel, removeBtn);
+        row.append(header, value);
+        return row;
+    }
+
+    /** @returns {string} A recorded value in full, or 'missing' if there is none. */
+    describeValue(recorded, type, missing) {
+        if (!recorded) return this.editor.simulation.status === 'STOPPED' && !this.variableValues ? 'Not run yet' : missing;
+        return formatValueForInspection(recorded.value, type);
+    }
+
+    // --- PIN TOOLTIP ---
+
+    /**
+     * Shows the name, type and last value of a data pin of the graph shown next to the mouse.
+     * @param {HTMLElement} pinEl - The .pin element hovered (see NodeRenderer.renderPin).
+     */
+    showPinTooltip(pinEl, x, y) {
+        const node = this.editor.activeGraph.nodes.find(n => n.id === parseInt(pinEl.dataset.node, 10));
+        const dir = pinEl.dataset.type;
+        const pinIndex = parseInt(pinEl.dataset.index, 10);
+        const pin = node ? (dir === 'input' ? node.inputs : node.outputs)[pinIndex] : null;
+        if (!pin || pin.type === 'exec') return;
+
+        const tooltip = this.ui.tooltip;
+        tooltip.innerText = `${pin.name || 'Value'} (${pin.type})\n${this.describeValue(this.getPinValue(node, dir, pinIndex), pin.type, 'Not evaluated')}`;
+        tooltip.style.left = `${x + 12}px`;
+        tooltip.style.top = `${y + 12}px`;
+        tooltip.classList.add('visible');
+    }
+
+    hidePinTooltip() {
+        this.ui.tooltip.classList.remove('visible');
+    }
+}
@@ -20,6 +20,10 @@ class WidgetRenderer {
             case 'dropdown': return this.createDropdown(widget, onUpdate);
             case 'vector3': return this.createVector(widget, onUpdate);
             case 'rotator': return this.createRotator(widget, onUpdate);
+            case 'transform': return this.createTransform(widget, onUpdate);
+            case 'array': return this.createArray(widget, onUpdate);
+            case 'map': return this.createMap(widget, onUpdate);
+            case 'struct': return this.createStruct(widget, onUpdate);
             default: return null;
         }
     }
@@ -150,6 +154,194 @@ class WidgetRenderer {
         return div;
     }
 
+    // Transform Widget: one Location / Rotation / Scale row, each reusing the vector & rotator widgets
+    createTransform(widget, onUpdate) {
+        const div = document.createElement('div');
+        div.className = 'widget-transform';
+        // Data format: {loc:{x,y,z}, rot:{roll,pitch,yaw}, scale:{x,y,z}}
+        const val = widget.value || {loc: {x:0, y:0, z:0}, rot: {roll:0, pitch:0, yaw:0}, scale: {x:1, y:1, z:1}};
+
+        const rows = [
+            { key: 'loc', label: 'L', create: (w, cb) => this.createVector(w, cb) },
+            { key: 'rot', label: 'R', create: (w, cb) => this.createRotator(w, cb) },
+            { key: 'scale', label: 'S', create: (w, cb) => this.createVector(w, cb) }
+        ];
+
+        rows.forEach(r => {
+            const row = document.createElement('div');
+            row.className = 'widget-transform-row';
+
+            const label = document.createElement('span');
+            label.innerText = r.label;
+
+            // Each row edits its part of the transform through a small proxy widget
+            const partWidget = { value: val[r.key] };
+            const partEl = r.create(partWidget, (partVal) => {
+                val[r.key] = partVal;
+                widget.value = val;
+                if(onUpdate) onUpdate(val);
+            });
+
+            row.append(label, partEl);
+            div.appendChild(row);
+        });
+        return div;
+    }
+
+    // Array Widget (also edits sets): one row per element, each edited with the element type's own widget.
+    // Adding or removing an element changes the widget's size: onUpdate then gets 'true' as second argument.
+    createArray(widget, onUpdate) {
+        const div = document.createElement('div');
+        div.className = 'widget-array';
+        // Work on a copy: the initial value may be shared with a template default
+        const val = JSON.parse(JSON.stringify(widget.value || []));
+        const elementDefinition = window.getTypeDefinition(widget.elementType) || {};
+
+        const commit = (layoutChanged) => {
+            widget.value = val;
+            if(onUpdate) onUpdate(val, layoutChanged);
+        };
+
+        const renderRows = () => {
+            div.innerHTML = '';
+            val.forEach((item, index) => {
+                const row = document.createElement('div');
+                row.className = 'widget-array-row';
+
+                const label = document.createElement('span');
+                label.innerText = index;
+
+                // Each element is edited through a small proxy widget
+                const itemWidget = { type: elementDefinition.widget, value: item, options: elementDefinition.entries || widget.options, valueType: widget.elementType };
+                const itemEl = this.render(itemWidget, (itemVal) => {
+                    val[index] = itemVal;
+                    commit(false);
+                });
+
+                const removeBtn = this.createContainerButton('×', 'Remove element', () => {
+                    val.splice(index, 1);
+                    renderRows();
+                    commit(true);
+                });
+
+                row.append(label);
+                if (itemEl) row.append(itemEl);
+                row.append(removeBtn);
+                div.appendChild(row);
+            });
+
+            div.appendChild(this.createContainerButton('+', 'Add element', () => {
+                val.push(Pin.getEmptyValue(widget.elementType));
+                renderRows();
+                commit(true);
+            }));
+        };
+
+        renderRows();
+        return div;
+    }
+
+    // Map Widget: one row per { key, value } entry, same layout and callbacks as the array widget.
+    // Duplicate keys typed here are merged when the value is used (the last one wins).
+    createMap(widget, onUpdate) {
+        const div = document.createElement('div');
+        div.className = 'widget-array widget-map';
+        const val = JSON.parse(JSON.stringify(widget.value || []));
+        const keyDefinition = window.getTypeDefinition(widget.keyType) || {};
+        const valueDefinition = window.getTypeDefinition(widget.elementType) || {};
+
+        const commit = (layoutChanged) => {
+            widget.value = val;
+            if(onUpdate) onUpdate(val, layoutChanged);
+        };
+
+        const renderRows = () => {
+            div.innerHTML = '';
+            val.forEach((entry, index) => {
+                const row = document.createElement('div');
+                row.className = 'widget-array-row';
+
+                const keyEl = this.render({ type: keyDefinition.widget, value: entry.key, options: keyDefinition.entries || widget.options, valueType: widget.keyType }, (keyVal) => {
+                    entry.key = keyVal;
+                    commit(false);
+                });
+                const arrow = document.createElement('span');
+                arrow.innerText = '→';
+                const valueEl = this.render({ type: valueDefinition.widget, value: entry.value, options: valueDefinition.entries || widget.options, valueType: widget.elementType }, (valueVal) => {
+                    entry.value = valueVal;
+                    commit(false);
+                });
+
+                const removeBtn = this.createContainerButton('×', 'Remove entry', () => {
+                    val.splice(index, 1);
+                    renderRows();
+                    commit(true);
+                });
+
+                if (keyEl) row.append(keyEl);
+                row.append(arrow);
+                if (valueEl) row.append(valueEl);
+                row.append(removeBtn);
+                div.appendChild(row);
+            });
+
+            div.appendChild(this.createContainerButton('+', 'Add entry', () => {
+                val.push({ key: Pin.getEmptyValue(widget.keyType), value: Pin.getEmptyValue(widget.elementType) });
+                renderRows();
+                commit(true);
+            }));
+        };
+
+        renderRows();
+        return div;
+    }
+
+    // Struct Widget (user structs): one labelled row per field of widget.valueType, each edited with
+    // the field type's own widget (nested structs and containers included). Layout changes are passed on.
+    createStruct(widget, onUpdate) {
+        const div = document.createElement('div');
+        div.className = 'widget-struct';
+        const val = JSON.parse(JSON.stringify(widget.value || {}));
+
+        (Pin.getStructFields(widget.valueType) || []).forEach(field => {
+            const fieldDefinition = window.getTypeDefinition(field.type) || {};
+            if (!(field.key in val)) val[field.key] = Pin.getEmptyValue(field.type);
+
+            const row = document.createElement('div');
+            row.className = 'widget-struct-row';
+
+            const label = document.createElement('span');
+            label.innerText = field.name;
+
+            // Each field is edited through a small proxy widget
+            const fieldWidget = {
+                type: fieldDefinition.widget, value: val[field.key], options: fieldDefinition.entries || [],
+                elementType: fieldDefinition.elementType, keyType: fieldDefinition.keyType, valueType: field.type
+            };
+            const fieldEl = this.render(fieldWidget, (fieldVal, layoutChanged) => {
+                val[field.key] = fieldVal;
+                widget.value = val;
+                if(onUpdate) onUpdate(val, layoutChanged);
+            });
+
+            row.append(label);
+            if (fieldEl) row.append(fieldEl);
+            div.appendChild(row);
+        });
+        return div;
+    }
+
+    /** Small '+' / '×' button of the array and map widgets. */
+    createContainerButton(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'widget-array-btn';
+        btn.innerText = text;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+        this.stopDrag(btn);
+        return btn;
+    }
+
     stopDrag(el) {
         el.addEventListener('mousedown', e => e.stopPropagation());
     }